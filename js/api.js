@@ -0,0 +1,123 @@
+// Automation API in the page - window.telescopeAPI and the postMessage interface
+//
+// window.telescopeAPI is a TelescopeAPI (js/engine/api.js) over the simulation on screen;
+// this controller keeps the panels in step with what it does. A page that embeds the emulator
+// in an iframe drives it with postMessage:
+//
+//   frame.contentWindow.postMessage({ type: 'telescope-api', id: 1, method: 'scope.slewTo', args: [3.79, 24.1] }, 'https://emulator.example');
+//
+// and gets { type: 'telescope-api-result', id: 1, result } or { ..., error } back. Events
+// arrive as { type: 'telescope-api-event', event, data } in the parent window and in every
+// window that has sent a request. Results and events are sent as JSON data, so dates become
+// ISO strings.
+//
+// Only pages from the emulator's own origin or one in API_ALLOWED_ORIGINS are obeyed, and
+// replies and events are addressed to those origins alone, so a page that frames or opens
+// the emulator cannot drive it or read its state unless it is listed.
+
+const API_NAMESPACES = ['scope', 'photometer', 'spectrometer', 'clock', 'log'];
+
+// Origins of other pages that may use the postMessage interface, e.g. 'https://lab.example.edu'
+const API_ALLOWED_ORIGINS = [];
+
+class APIController {
+    // options: { allowedOrigins } - origins obeyed besides the page's own (API_ALLOWED_ORIGINS
+    // by default)
+    constructor(telescopeController, options = {}) {
+        this.telescopeController = telescopeController;
+        this.api = new TelescopeAPI(telescopeController.simulation);
+        this.allowedOrigins = [window.location.origin]
+            .concat(options.allowedOrigins || API_ALLOWED_ORIGINS)
+            .filter(origin => origin && origin !== 'null');
+        this.clients = new Map();      // windows that get events -> origins they may have
+        if (window.parent !== window) {
+            // The parent's origin is unknown until it sends a request: the browser delivers only
+            // the copy addressed to the origin it really has
+            this.clients.set(window.parent, this.allowedOrigins);
+        }
+
+        this.api.on('action', (event) => this.onAction(event));
+        ['action', 'state', 'clock'].forEach(name => {
+            this.api.on(name, (data) => this.broadcast(name, data));
+        });
+        window.addEventListener('message', (event) => this.receive(event));
+    }
+
+    // Show in the panels what an API call changed
+    onAction({ action, status, result }) {
+        if (status === 'started') return;
+
+        const controller = this.telescopeController;
+        if (action === 'scope.setTelescope' || action === 'scope.loadField') {
+            controller.updateSelectionInfo();
+            controller.refreshPlanner();
+        }
+        if (action.startsWith('photometer.') && controller.photometerController) {
+            if (action === 'photometer.expose' && status === 'done') {
+                controller.photometerController.displayResults(result.observations[0]);
+            }
+            if (action === 'photometer.exposeCycle' && status === 'done') {
+                result.observations.forEach(observation => controller.photometerController.displayResults(observation));
+                controller.photometerController.displayColors(result.colors);
+            }
+            controller.photometerController.updateControls();
+        }
+        controller.updateDisplay();
+    }
+
+    // "scope.slewTo" or "getState" to the function that implements it, or null
+    resolve(method) {
+        const [namespace, name] = String(method).split('.');
+        if (name === undefined) {
+            return namespace === 'getState' ? () => this.api.getState() : null;
+        }
+        if (!API_NAMESPACES.includes(namespace) || !Object.prototype.hasOwnProperty.call(this.api[namespace], name)) {
+            return null;
+        }
+        return this.api[namespace][name];
+    }
+
+    async receive(event) {
+        const message = event.data;
+        if (!message || message.type !== 'telescope-api') return;
+        if (!this.allowedOrigins.includes(event.origin)) {
+            console.warn(`Ignored an API request from ${event.origin}: not in the allowed origins`);
+            return;
+        }
+
+        const reply = { type: 'telescope-api-result', id: message.id };
+        if (event.source) {
+            this.clients.set(event.source, [event.origin]);
+        }
+
+        const method = this.resolve(message.method);
+        try {
+            if (!method) {
+                throw new Error(`Unknown API method: ${message.method}`);
+            }
+            reply.result = APIController.toData(await method(...(message.args || [])));
+        } catch (error) {
+            reply.error = error.message;
+        }
+        if (event.source) {
+            event.source.postMessage(reply, event.origin);
+        }
+    }
+
+    broadcast(event, data) {
+        if (this.clients.size === 0) return;
+        const message = { type: 'telescope-api-event', event, data: APIController.toData(data) };
+        this.clients.forEach((origins, client) => {
+            try {
+                origins.forEach(origin => client.postMessage(message, origin));
+            } catch (error) {
+                this.clients.delete(client);
+            }
+        });
+    }
+
+    // Plain data that survives postMessage
+    static toData(value) {
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+}
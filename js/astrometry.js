@@ -0,0 +1,188 @@
+// Catalog (J2000) to apparent place: proper motion, precession, nutation, annual aberration
+//
+// Low-precision expressions from Meeus, "Astronomical Algorithms" (ch. 21-23): good to about
+// an arcsecond over several centuries, far below the finder and photometer resolution.
+// RA is in hours and Dec in degrees throughout, as everywhere else in the simulator.
+
+const Astrometry = {
+    J2000: 2451545.0,             // JD of the J2000.0 epoch
+    DELTA_T_SECONDS: 69.2,        // TT - UT for the 2020s; close enough for these corrections
+    ARCSEC: Math.PI / (180 * 3600),
+
+    // Julian epoch (e.g. 1950.0, 2016.0) to Julian Day
+    epochToJulianDay: (epoch) => {
+        return Astrometry.J2000 + (epoch - 2000.0) * 365.25;
+    },
+
+    // Julian centuries of Terrestrial Time since J2000.0
+    julianCenturies: (date) => {
+        const jd = Utils.dateToJulianDay(date) + Astrometry.DELTA_T_SECONDS / 86400;
+        return (jd - Astrometry.J2000) / 36525;
+    },
+
+    // Unit vector <-> (RA hours, Dec degrees)
+    toVector: (ra, dec) => {
+        const a = Utils.hoursToRadians(ra);
+        const d = Utils.degreesToRadians(dec);
+        return [Math.cos(d) * Math.cos(a), Math.cos(d) * Math.sin(a), Math.sin(d)];
+    },
+
+    fromVector: (v) => {
+        const r = Math.hypot(v[0], v[1], v[2]);
+        return {
+            ra: Utils.normalizeHours(Utils.radiansToHours(Math.atan2(v[1], v[0]))),
+            dec: Utils.radiansToDegrees(Math.asin(Math.max(-1, Math.min(1, v[2] / r))))
+        };
+    },
+
+    // Rotations of the coordinate frame about the x and z axes
+    rotateX: (v, angle) => {
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        return [v[0], c * v[1] + s * v[2], -s * v[1] + c * v[2]];
+    },
+
+    rotateZ: (v, angle) => {
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        return [c * v[0] + s * v[1], -s * v[0] + c * v[1], v[2]];
+    },
+
+    // Linear proper motion. pmRA is mu_alpha* = mu_alpha cos(dec) in mas/yr, as Hipparcos and Gaia give it
+    applyProperMotion: (ra, dec, pmRA, pmDec, years) => {
+        const cosDec = Math.cos(Utils.degreesToRadians(dec));
+        const raOffset = cosDec > 1e-9 ? (pmRA || 0) * years / 3.6e6 / cosDec : 0;
+        return {
+            ra: Utils.normalizeHours(ra + raOffset / 15),
+            dec: Math.max(-90, Math.min(90, dec + (pmDec || 0) * years / 3.6e6))
+        };
+    },
+
+    // IAU 1976 precession between two Julian Days (Meeus 21.2-21.4)
+    precess: (ra, dec, fromJD, toJD) => {
+        if (fromJD === toJD) return { ra, dec };
+
+        const T = (fromJD - Astrometry.J2000) / 36525;
+        const t = (toJD - fromJD) / 36525;
+        const k = Astrometry.ARCSEC;
+
+        const base = 2306.2181 + 1.39656 * T - 0.000139 * T * T;
+        const zeta = (base * t + (0.30188 - 0.000344 * T) * t * t + 0.017998 * t * t * t) * k;
+        const z = (base * t + (1.09468 + 0.000066 * T) * t * t + 0.018203 * t * t * t) * k;
+        const theta = ((2004.3109 - 0.85330 * T - 0.000217 * T * T) * t -
+            (0.42665 + 0.000217 * T) * t * t - 0.041833 * t * t * t) * k;
+
+        // P = R3(-z) R2(theta) R3(-zeta); R2 written out as it is the only use
+        let v = Astrometry.rotateZ(Astrometry.toVector(ra, dec), -zeta);
+        const c = Math.cos(theta);
+        const s = Math.sin(theta);
+        v = [c * v[0] - s * v[2], v[1], s * v[0] + c * v[2]];
+        v = Astrometry.rotateZ(v, -z);
+        return Astrometry.fromVector(v);
+    },
+
+    // Nutation in longitude and obliquity, and the obliquity of the ecliptic, in degrees (Meeus 22)
+    nutation: (T) => {
+        const rad = (deg) => Utils.degreesToRadians(deg);
+        const omega = rad(125.04452 - 1934.136261 * T);
+        const L = rad(280.4665 + 36000.7698 * T);
+        const Lmoon = rad(218.3165 + 481267.8813 * T);
+
+        const dpsi = -17.20 * Math.sin(omega) - 1.32 * Math.sin(2 * L) -
+            0.23 * Math.sin(2 * Lmoon) + 0.21 * Math.sin(2 * omega);
+        const deps = 9.20 * Math.cos(omega) + 0.57 * Math.cos(2 * L) +
+            0.10 * Math.cos(2 * Lmoon) - 0.09 * Math.cos(2 * omega);
+        const eps0 = 23.4392911 - (46.8150 * T + 0.00059 * T * T - 0.001813 * T * T * T) / 3600;
+
+        return {
+            dpsi: dpsi / 3600,
+            deps: deps / 3600,
+            meanObliquity: eps0,
+            obliquity: eps0 + deps / 3600
+        };
+    },
+
+    // Geometric longitude of the Sun in degrees (Meeus 25.2-25.4), for aberration
+    solarLongitude: (T) => {
+        const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+        const M = Utils.degreesToRadians(357.52911 + 35999.05029 * T - 0.0001537 * T * T);
+        const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M) +
+            (0.019993 - 0.000101 * T) * Math.sin(2 * M) + 0.000289 * Math.sin(3 * M);
+        return Utils.normalizeAngle(L0 + C);
+    },
+
+    // Annual aberration as a displacement of the unit vector toward Earth's velocity,
+    // including the e-terms of the elliptic orbit (equivalent to Meeus 23.3)
+    applyAberration: (v, T, obliquity) => {
+        const kappa = 20.49552 * Astrometry.ARCSEC;
+        const e = 0.016708634 - 0.000042037 * T;
+        const sun = Utils.degreesToRadians(Astrometry.solarLongitude(T));
+        const perihelion = Utils.degreesToRadians(102.93735 + 1.71946 * T);
+        const eps = Utils.degreesToRadians(obliquity);
+
+        // Earth's velocity / c in ecliptic then equatorial coordinates
+        const vx = kappa * (Math.sin(sun) - e * Math.sin(perihelion));
+        const vy = kappa * (-Math.cos(sun) + e * Math.cos(perihelion));
+        const velocity = [vx, vy * Math.cos(eps), vy * Math.sin(eps)];
+
+        return [v[0] + velocity[0], v[1] + velocity[1], v[2] + velocity[2]];
+    },
+
+    // Apparent RA/Dec of date for catalog coordinates.
+    // options: { epoch (Julian year of the catalog coordinates, default 2000.0),
+    //            pmRA, pmDec (mas/yr), nutation (default true), aberration (default true) }
+    apparentPlace: (ra, dec, date, options = {}) => {
+        const epoch = options.epoch === undefined ? 2000.0 : options.epoch;
+        const epochJD = Astrometry.epochToJulianDay(epoch);
+        const T = Astrometry.julianCenturies(date);
+        const jd = Astrometry.J2000 + T * 36525;
+
+        let position = { ra, dec };
+        if (options.pmRA || options.pmDec) {
+            position = Astrometry.applyProperMotion(ra, dec, options.pmRA, options.pmDec, (jd - epochJD) / 365.25);
+        }
+        position = Astrometry.precess(position.ra, position.dec, epochJD, jd);
+
+        const nut = Astrometry.nutation(T);
+        let v = Astrometry.toVector(position.ra, position.dec);
+        if (options.nutation !== false) {
+            // N = R1(-eps) R3(-dpsi) R1(eps0)
+            v = Astrometry.rotateX(v, Utils.degreesToRadians(nut.meanObliquity));
+            v = Astrometry.rotateZ(v, -Utils.degreesToRadians(nut.dpsi));
+            v = Astrometry.rotateX(v, -Utils.degreesToRadians(nut.obliquity));
+        }
+        if (options.aberration !== false) {
+            v = Astrometry.applyAberration(v, T, nut.obliquity);
+        }
+
+        return Astrometry.fromVector(v);
+    },
+
+    // J2000 coordinates whose apparent place of date is (ra, dec): apparentPlace inverted by
+    // iteration, for positions that come from the sky rather than a catalog (e.g. mount axes)
+    catalogPlace: (ra, dec, date) => {
+        let guess = { ra, dec };
+        for (let i = 0; i < 3; i++) {
+            const apparent = Astrometry.apparentPlace(guess.ra, guess.dec, date);
+            let dRA = ra - apparent.ra;
+            if (dRA > 12) dRA -= 24;
+            if (dRA < -12) dRA += 24;
+            guess = {
+                ra: Utils.normalizeHours(guess.ra + dRA),
+                dec: Math.max(-90, Math.min(90, guess.dec + dec - apparent.dec))
+            };
+        }
+        return guess;
+    },
+
+    // Equation of the equinoxes in hours: apparent minus mean sidereal time
+    equationOfEquinoxes: (date) => {
+        const nut = Astrometry.nutation(Astrometry.julianCenturies(date));
+        return nut.dpsi * Math.cos(Utils.degreesToRadians(nut.obliquity)) / 15;
+    },
+
+    // Local apparent sidereal time in hours, the counterpart of apparent coordinates
+    apparentSiderealTime: (date, longitude) => {
+        return Utils.normalizeHours(Utils.calculateLST(date, longitude) + Astrometry.equationOfEquinoxes(date));
+    }
+};
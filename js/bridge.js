@@ -0,0 +1,90 @@
+// Network bridge link - lets planetarium software drive this page through
+// scripts/telescope-bridge.js. The bridge relays LX200, Alpaca and Stellarium requests as
+// RemoteMount commands (js/engine/remote.js); this page runs them on its own simulation and
+// reports the position back. Enabled with ?bridge, or ?bridge=ws://host:port/bridge.
+
+const BRIDGE_DEFAULT_URL = 'ws://localhost:11111/bridge';
+const BRIDGE_RECONNECT_MS = 5000;
+const BRIDGE_STATUS_INTERVAL_MS = 500;
+
+class BridgeClient {
+    constructor(telescopeController, url) {
+        this.telescopeController = telescopeController;
+        this.remote = new RemoteMount(telescopeController.telescope);
+        this.url = url || BRIDGE_DEFAULT_URL;
+        this.socket = null;
+        this.lastStatus = 0;
+
+        telescopeController.clock.on('tick', () => this.sendStatus());
+        telescopeController.clock.on('jump', () => this.sendStatus(true));
+        this.connect();
+    }
+
+    connect() {
+        this.setIndicator('connecting');
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            console.warn(`Bridge: cannot connect to ${this.url}: ${error.message}`);
+            this.setIndicator('offline');
+            return;
+        }
+
+        this.socket.onopen = () => {
+            console.log(`Bridge: connected to ${this.url}`);
+            this.setIndicator('connected');
+            this.sendStatus(true);
+        };
+        this.socket.onmessage = (event) => this.receive(event.data);
+        this.socket.onclose = () => {
+            this.socket = null;
+            this.setIndicator('offline');
+            setTimeout(() => this.connect(), BRIDGE_RECONNECT_MS);
+        };
+    }
+
+    // A command from the bridge: run it and answer with the result and the new status
+    receive(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            console.warn('Bridge: ignoring a malformed message');
+            return;
+        }
+        if (message.type !== 'command') return;
+
+        const reply = { type: 'result', id: message.id };
+        try {
+            reply.status = this.remote.execute(message.command, message.args || {});
+            console.log(`Bridge: ${message.command}`, message.args || '');
+        } catch (error) {
+            reply.error = error.message;
+            reply.status = this.remote.getStatus();
+            console.warn(`Bridge: ${message.command}: ${error.message}`);
+        }
+        this.send(reply);
+        this.telescopeController.updateDisplay();
+    }
+
+    // Position reports, at most twice a second unless forced
+    sendStatus(force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastStatus < BRIDGE_STATUS_INTERVAL_MS) return;
+        this.lastStatus = now;
+        this.send({ type: 'status', status: this.remote.getStatus() });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    // The header status dot shows the bridge link while it is enabled
+    setIndicator(state) {
+        const labels = { connecting: 'Bridge: connecting…', connected: 'Bridge connected', offline: 'Bridge offline' };
+        document.getElementById('connection-status').classList.toggle('inactive', state !== 'connected');
+        document.getElementById('connection-label').textContent = labels[state];
+    }
+}
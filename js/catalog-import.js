@@ -0,0 +1,302 @@
+// Import user target lists (CSV, catalog JSON, VOTable) as catalog rows and fields
+
+const CatalogImport = {
+    // Column names used by spreadsheets and survey tools, keyed by normalized header
+    COLUMN_ALIASES: {
+        name: ['name', 'id', 'object', 'target', 'main_id', 'designation', 'star'],
+        ra: ['ra', 'raj2000', '_raj2000', 'ra_icrs', 'ra_j2000', 'ra_deg', 'radeg', 'ra_h', 'ra_hours', 'alpha'],
+        dec: ['dec', 'de', 'dej2000', 'decj2000', '_dej2000', 'de_icrs', 'dec_icrs', 'dec_j2000', 'dec_deg', 'decdeg', 'delta'],
+        mag: ['mag', 'v', 'vmag', 'v_mag', 'magv', 'flux_v'],
+        bmag: ['b', 'bmag', 'b_mag', 'flux_b'],
+        umag: ['u', 'umag', 'u_mag', 'flux_u'],
+        bv: ['bv', 'b-v', 'b_v', 'bmv'],
+        ub: ['ub', 'u-b', 'u_b', 'umb'],
+        redshift: ['redshift', 'z', 'rvz_redshift'],
+        objType: ['objtype', 'type', 'otype', 'class', 'obj_type'],
+        specType: ['spectype', 'sptype', 'sp_type', 'spec_type', 'spectral_type', 'spectrum'],
+        pmRA: ['pmra', 'pm_ra', 'pmra_cosdec', 'pmracosdec'],
+        pmDec: ['pmdec', 'pm_dec', 'pmde'],
+        epoch: ['epoch', 'equinox']
+    },
+
+    // Main-sequence B-V by spectral type, for stars listed without one
+    COLOR_TYPES: [
+        [-0.30, 'B0 V'], [-0.17, 'B6 V'], [0.00, 'A1 V'], [0.15, 'A5 V'], [0.30, 'F0 V'],
+        [0.44, 'F5 V'], [0.58, 'G0 V'], [0.65, 'G2 V'], [0.81, 'K0 V'], [1.15, 'K5 V'],
+        [1.40, 'M0 V'], [1.64, 'M5 V']
+    ],
+
+    // 'csv', 'json' or 'votable' from the file name, falling back to the content
+    detectFormat: (filename, text) => {
+        const extension = String(filename).toLowerCase().split('.').pop();
+        if (extension === 'json') return 'json';
+        if (['vot', 'votable', 'xml'].includes(extension)) return 'votable';
+        if (['csv', 'tsv', 'txt'].includes(extension)) return 'csv';
+
+        const start = text.trimStart();
+        if (start.startsWith('[') || start.startsWith('{')) return 'json';
+        if (start.startsWith('<')) return 'votable';
+        return 'csv';
+    },
+
+    // Parse a file's text into catalog rows: { format, rows }. Rows still need CatalogSchema.
+    parse: (filename, text) => {
+        const format = CatalogImport.detectFormat(filename, text);
+
+        if (format === 'json') {
+            const data = JSON.parse(text);
+            return { format, rows: Array.isArray(data) ? data : data.objects };
+        }
+
+        const table = format === 'votable' ? CatalogImport.parseVOTable(text) : CatalogImport.parseCSV(text);
+        return { format, rows: CatalogImport.tableToRows(table) };
+    },
+
+    // Delimited text with a header line; comma, semicolon or tab separated, "quoted" fields
+    parseCSV: (text) => {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '' && !line.trimStart().startsWith('#'));
+        if (lines.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        const header = lines[0];
+        const delimiter = ['\t', ';', ','].find(d => header.includes(d)) || ',';
+
+        const splitLine = (line) => {
+            const fields = [];
+            let field = '';
+            let quoted = false;
+            for (let i = 0; i < line.length; i++) {
+                const ch = line[i];
+                if (quoted) {
+                    if (ch === '"' && line[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else if (ch === '"') {
+                        quoted = false;
+                    } else {
+                        field += ch;
+                    }
+                } else if (ch === '"') {
+                    quoted = true;
+                } else if (ch === delimiter) {
+                    fields.push(field.trim());
+                    field = '';
+                } else {
+                    field += ch;
+                }
+            }
+            fields.push(field.trim());
+            return fields;
+        };
+
+        return {
+            columns: splitLine(header).map(name => ({ name })),
+            rows: lines.slice(1).map(splitLine)
+        };
+    },
+
+    // TABLEDATA-serialized VOTable (what VizieR, SIMBAD and TOPCAT write by default)
+    parseVOTable: (text) => {
+        const tableMatch = /<TABLE[\s>][\s\S]*?<\/TABLE>/i.exec(text);
+        if (!tableMatch) {
+            throw new Error('No TABLE element found in VOTable');
+        }
+        const table = tableMatch[0];
+
+        if (!/<TABLEDATA[\s>]/i.test(table)) {
+            throw new Error('Only TABLEDATA VOTables are supported; re-export without BINARY encoding');
+        }
+
+        const attribute = (tag, name) => {
+            const match = new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i').exec(tag);
+            return match ? (match[2] !== undefined ? match[2] : match[3]) : '';
+        };
+        const decode = (value) => value
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+            .trim();
+
+        const columns = (table.match(/<FIELD\b[^>]*>/gi) || []).map(tag => ({
+            name: attribute(tag, 'name') || attribute(tag, 'ID'),
+            unit: attribute(tag, 'unit'),
+            ucd: attribute(tag, 'ucd')
+        }));
+
+        const rows = (table.match(/<TR\b[^>]*>[\s\S]*?<\/TR>/gi) || []).map(tr =>
+            (tr.match(/<TD\b[^>]*\/>|<TD\b[^>]*>[\s\S]*?<\/TD>/gi) || []).map(td =>
+                td.endsWith('/>') ? '' : decode(td.replace(/^<TD\b[^>]*>/i, '').replace(/<\/TD>$/i, ''))));
+
+        return { columns, rows };
+    },
+
+    // Which catalog property a column holds, from its UCD first and its name second
+    columnRole: (column) => {
+        const ucd = (column.ucd || '').toLowerCase();
+        if (ucd) {
+            if (ucd.startsWith('pos.eq.ra')) return 'ra';
+            if (ucd.startsWith('pos.eq.dec')) return 'dec';
+            if (ucd.startsWith('meta.id') && ucd.includes('meta.main')) return 'name';
+            if (ucd.startsWith('src.redshift')) return 'redshift';
+            if (ucd.startsWith('src.sptype')) return 'specType';
+            if (ucd.startsWith('phot.mag') && ucd.includes('em.opt.v')) return 'mag';
+            if (ucd.startsWith('phot.mag') && ucd.includes('em.opt.b')) return 'bmag';
+            if (ucd.startsWith('phot.mag') && ucd.includes('em.opt.u')) return 'umag';
+            if (ucd.startsWith('phot.color') && ucd.includes('em.opt.b')) return 'bv';
+            if (ucd.startsWith('pos.pm') && ucd.includes('pos.eq.ra')) return 'pmRA';
+            if (ucd.startsWith('pos.pm') && ucd.includes('pos.eq.dec')) return 'pmDec';
+        }
+
+        const key = String(column.name || '').toLowerCase().replace(/[\s()]/g, '');
+        return Object.keys(CatalogImport.COLUMN_ALIASES).find(role =>
+            CatalogImport.COLUMN_ALIASES[role].includes(key)) || null;
+    },
+
+    // Decimal or sexagesimal ("13 29 52.7", "13:29:52.7", "13h29m52.7s", "+47°11'43\"")
+    parseSexagesimal: (text) => {
+        const value = String(text).trim();
+        if (value === '') return NaN;
+        if (/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(value)) return Number(value);
+
+        const sign = value.startsWith('-') ? -1 : 1;
+        const parts = value.replace(/^[+-]/, '').split(/[\s:hdms°'"′″]+/i).filter(p => p !== '');
+        if (parts.length === 0 || parts.length > 3 || parts.some(p => !/^\d+\.?\d*$/.test(p))) {
+            return NaN;
+        }
+        const [a, b = 0, c = 0] = parts.map(Number);
+        return sign * (a + b / 60 + c / 3600);
+    },
+
+    // Galaxy (1) or star (0) from a type column; null when the column does not say
+    parseObjectType: (value) => {
+        const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+        if (text === '') return null;
+        if (text === '0' || text === '*' || /^star/.test(text)) return 0;
+        if (text === '1' || /^(g$|gal|gic|gig|gpair|gtrpl|bic|clg|agn|sy[12]?|seyfert|qso|lin|rg|emg|sbg|h2g)/.test(text)) return 1;
+        return 0;
+    },
+
+    // "G2V" → "G2 V"; stars without a luminosity class are taken as dwarfs
+    normalizeSpecType: (text) => {
+        const trimmed = String(text).trim();
+        const match = /^([OBAFGKM]\d(?:\.\d+)?)\s*(III|II|IV|I|V)?/.exec(trimmed);
+        // Anything that is not a spectral type is kept as given for the schema to reject
+        if (!match || !CatalogSchema.SPEC_TYPE_PATTERN.test(trimmed)) return trimmed;
+        return `${match[1]} ${match[2] || 'V'}`;
+    },
+
+    specTypeFromColor: (bv) => {
+        let best = CatalogImport.COLOR_TYPES[0];
+        CatalogImport.COLOR_TYPES.forEach(entry => {
+            if (Math.abs(entry[0] - bv) < Math.abs(best[0] - bv)) best = entry;
+        });
+        return best[1];
+    },
+
+    // Table { columns: [{ name, unit, ucd }], rows: [[text]] } → catalog rows
+    tableToRows: (table) => {
+        const roles = {};
+        table.columns.forEach((column, i) => {
+            const role = CatalogImport.columnRole(column);
+            if (role && roles[role] === undefined) roles[role] = i;
+        });
+
+        if (roles.ra === undefined || roles.dec === undefined) {
+            throw new Error('Could not find RA and Dec columns (expected headers such as "ra" and "dec")');
+        }
+
+        const cell = (row, role) => roles[role] === undefined ? '' : (row[roles[role]] || '').trim();
+        const number = (row, role) => {
+            const text = cell(row, role);
+            return text === '' ? undefined : Number(text);
+        };
+
+        // Decimal RA is taken as degrees when the unit says so, or when any value exceeds 24
+        const raColumn = table.columns[roles.ra];
+        const raName = String(raColumn.name).toLowerCase();
+        const raIsSexagesimal = (text) => /[:\shm]/i.test(text.trim());
+        const raInDegrees = /deg/i.test(raColumn.unit || '') || /deg/.test(raName) ||
+            (!/h/i.test(raColumn.unit || '') && !/_h|hour/.test(raName) &&
+             table.rows.some(row => !raIsSexagesimal(cell(row, 'ra')) && Number(cell(row, 'ra')) > 24));
+
+        return table.rows.map((row, index) => {
+            const raText = cell(row, 'ra');
+            let ra = CatalogImport.parseSexagesimal(raText);
+            if (raInDegrees && !raIsSexagesimal(raText)) {
+                ra /= 15;
+            }
+
+            const mag = number(row, 'mag');
+            const bmag = number(row, 'bmag');
+            const umag = number(row, 'umag');
+            let bv = number(row, 'bv');
+            let ub = number(row, 'ub');
+            if (bv === undefined && bmag !== undefined && mag !== undefined) bv = bmag - mag;
+            if (ub === undefined && umag !== undefined && bmag !== undefined) ub = umag - bmag;
+
+            const redshift = number(row, 'redshift');
+            let objType = CatalogImport.parseObjectType(cell(row, 'objType'));
+            if (objType === null) {
+                objType = redshift > 0.001 ? 1 : 0;
+            }
+
+            const record = {
+                name: cell(row, 'name') || `Target ${index + 1}`,
+                ra,
+                dec: CatalogImport.parseSexagesimal(cell(row, 'dec')),
+                mag,
+                bv: bv === undefined ? 0 : bv,
+                ub: ub === undefined ? 0 : ub,
+                redshift: redshift === undefined ? 0 : redshift,
+                objType,
+                code: 0,
+                specType: ''
+            };
+
+            // Optional astrometry: proper motion in mas/yr and the Julian epoch of the coordinates
+            ['pmRA', 'pmDec'].forEach(role => {
+                const value = number(row, role);
+                if (value !== undefined) record[role] = value;
+            });
+            const epoch = cell(row, 'epoch').replace(/^J/i, '');
+            if (epoch !== '') record.epoch = Number(epoch);
+
+            if (objType === 0) {
+                const specType = cell(row, 'specType');
+                record.specType = specType ? CatalogImport.normalizeSpecType(specType) :
+                    CatalogImport.specTypeFromColor(bv === undefined ? 0.65 : bv);
+                record.code = SPECTRAL_CODES[record.specType] || 0;
+            } else {
+                record.code = 10 * (index + 1);
+            }
+
+            return record;
+        });
+    },
+
+    // A FIELDS-style entry holding its own objects, centered on the mean position
+    createField: (name, rows) => {
+        const positions = rows.filter(row => Number.isFinite(row.ra) && Number.isFinite(row.dec));
+        let ra = 0;
+        let dec = 0;
+        if (positions.length > 0) {
+            // Circular mean so lists straddling 0h are centered correctly
+            const angle = (row) => row.ra / 12 * Math.PI;
+            const x = positions.reduce((sum, row) => sum + Math.cos(angle(row)), 0);
+            const y = positions.reduce((sum, row) => sum + Math.sin(angle(row)), 0);
+            ra = ((Math.atan2(y, x) / Math.PI * 12) + 24) % 24;
+            dec = positions.reduce((sum, row) => sum + row.dec, 0) / positions.length;
+        }
+
+        return {
+            name,
+            filename: name,
+            ra,
+            dec,
+            background: false,
+            uploaded: true,
+            objects: rows
+        };
+    }
+};
@@ -0,0 +1,130 @@
+// Catalog file schema - checks every row before it reaches the physics
+
+const CatalogSchema = {
+    // MK type as used by the Jacoby atlas: class letter and subtype, then optionally a luminosity
+    // class (III, IIIb, III-IV) and a peculiarity flag (p, e, n); nothing else may follow
+    SPEC_TYPE_PATTERN: /^[OBAFGKM]\d(\.\d+)?\s*((Ia|Iab|Ib|I|II|III|IV|V)[ab]?([-/](I|II|III|IV|V))?)?\s*[pPen]?$/,
+
+    // Problems with one catalog row as [{ field, reason }]; an empty list means it is usable
+    validateRecord: (record) => {
+        const problems = [];
+        const fail = (field, reason) => problems.push({ field, reason });
+
+        if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+            fail('row', 'must be an object');
+            return problems;
+        }
+
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+        const describe = (value) => {
+            if (value === undefined) return 'missing';
+            return `got ${typeof value === 'number' ? value : JSON.stringify(value)}`;
+        };
+
+        if (typeof record.name !== 'string' || record.name.trim() === '') {
+            fail('name', `must be a non-empty string (${describe(record.name)})`);
+        }
+
+        if (!isNumber(record.ra)) {
+            fail('ra', `must be a number of hours (${describe(record.ra)})`);
+        } else if (record.ra < 0 || record.ra >= 24) {
+            fail('ra', `${record.ra} is outside [0, 24) hours`);
+        }
+
+        if (!isNumber(record.dec)) {
+            fail('dec', `must be a number of degrees (${describe(record.dec)})`);
+        } else if (record.dec < -90 || record.dec > 90) {
+            fail('dec', `${record.dec} is outside [-90, 90] degrees`);
+        }
+
+        if (!isNumber(record.mag)) {
+            fail('mag', `must be a number (${describe(record.mag)})`);
+        }
+
+        // Optional numbers default to 0 in AstroObject, but must be numbers when given
+        ['bv', 'ub', 'redshift', 'code', 'epoch', 'pmRA', 'pmDec'].forEach(field => {
+            if (record[field] !== undefined && record[field] !== null && !isNumber(record[field])) {
+                fail(field, `must be a number (${describe(record[field])})`);
+            }
+        });
+        if (isNumber(record.epoch) && (record.epoch < 1800 || record.epoch > 2200)) {
+            fail('epoch', `${record.epoch} is not a plausible Julian epoch`);
+        }
+        if (isNumber(record.redshift) && record.redshift <= -1) {
+            fail('redshift', `${record.redshift} is not a physical redshift`);
+        }
+
+        if (record.objType !== 0 && record.objType !== 1) {
+            fail('objType', `must be 0 (star) or 1 (galaxy) (${describe(record.objType)})`);
+        }
+
+        // Stars need a spectral type to pick their library spectrum
+        if (record.objType === 0) {
+            if (typeof record.specType !== 'string' || !CatalogSchema.SPEC_TYPE_PATTERN.test(record.specType.trim())) {
+                fail('specType', `unknown spectral type (${describe(record.specType)})`);
+            }
+        } else if (record.specType !== undefined && typeof record.specType !== 'string') {
+            fail('specType', `must be a string (${describe(record.specType)})`);
+        }
+
+        return problems;
+    },
+
+    // Validate a parsed catalog file. Returns a report:
+    // { file, total, valid: [rows], rejected: [{ index, name, record, problems }],
+    //   problems: [{ file, index, field, reason }], error }
+    validate: (data, file = '') => {
+        const report = { file, total: 0, valid: [], rejected: [], problems: [], error: null };
+
+        if (!Array.isArray(data)) {
+            report.error = 'catalog must be a JSON array of objects';
+            return report;
+        }
+
+        report.total = data.length;
+        data.forEach((record, index) => {
+            const problems = CatalogSchema.validateRecord(record);
+            if (problems.length === 0) {
+                report.valid.push(record);
+                return;
+            }
+
+            report.rejected.push({
+                index,
+                name: record && typeof record.name === 'string' ? record.name : '',
+                record,
+                problems
+            });
+            problems.forEach(p => report.problems.push({ file, index, field: p.field, reason: p.reason }));
+        });
+
+        return report;
+    },
+
+    // Report for a file that could not be read or parsed at all
+    failedReport: (file, error) => {
+        return { file, total: 0, valid: [], rejected: [], problems: [], error: error.message || String(error) };
+    },
+
+    // True when the report has anything the user should see
+    hasIssues: (report) => {
+        return Boolean(report && (report.error || report.rejected.length > 0));
+    },
+
+    // One line per problem: "FILE.json row 3 (Name) mag: must be a number (got "12.1")"
+    formatProblems: (report) => {
+        if (report.error) {
+            return [`${report.file}: ${report.error}`];
+        }
+        return report.rejected.flatMap(entry => entry.problems.map(p =>
+            `${report.file} row ${entry.index}${entry.name ? ` (${entry.name})` : ''} ${p.field}: ${p.reason}`));
+    },
+
+    summarize: (report) => {
+        if (report.error) {
+            return `Could not load ${report.file}: ${report.error}`;
+        }
+        return `${report.file}: loaded ${report.valid.length} of ${report.total} objects, ` +
+            `${report.rejected.length} rejected`;
+    }
+};
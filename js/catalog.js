@@ -12,9 +12,30 @@ class AstroObject {
         this.objType = data.objType; // 0=star, 1=galaxy
         this.code = data.code || 0;
         this.specType = data.specType || '';
+        this.syntheticColors = null;  // band - V by passband, filled in by Passbands
+        
+        // Catalog coordinates may be of another epoch (e.g. B1950 lists); ra/dec are
+        // always held at J2000 so every object shares the telescope's frame
+        this.epoch = data.epoch || 2000.0;  // Julian year of the catalog coordinates
+        this.pmRA = data.pmRA || 0;         // mu_alpha* (includes cos dec), mas/yr
+        this.pmDec = data.pmDec || 0;       // mas/yr
+        if (this.epoch !== 2000.0) {
+            const epochJD = Astrometry.epochToJulianDay(this.epoch);
+            const moved = Astrometry.applyProperMotion(this.ra, this.dec, this.pmRA, this.pmDec,
+                (Astrometry.J2000 - epochJD) / 365.25);
+            const j2000 = Astrometry.precess(moved.ra, moved.dec, epochJD, Astrometry.J2000);
+            this.ra = j2000.ra;
+            this.dec = j2000.dec;
+        }
+    }
+    
+    // Apparent place of date, with proper motion since J2000
+    getApparentPosition(date) {
+        return Astrometry.apparentPlace(this.ra, this.dec, date, { pmRA: this.pmRA, pmDec: this.pmDec });
     }
     
-    // Get magnitude in specific filter
+    // Get magnitude in specific filter: U, B and V from the catalog colors, the other
+    // passbands synthesized from the object's spectrum (see Passbands.synthesizeMagnitude)
     getMagnitude(filter) {
         switch(filter) {
             case 'U':
@@ -22,8 +43,9 @@ class AstroObject {
             case 'B':
                 return this.mag + this.bv;
             case 'V':
-            default:
                 return this.mag;
+            default:
+                return Passbands.has(filter) ? Passbands.synthesizeMagnitude(this, filter) : this.mag;
         }
     }
     
@@ -38,11 +60,18 @@ class Catalog {
     constructor() {
         this.objects = [];
         this.backgroundStars = [];
+        this.rejected = [];     // rows that failed validation, with their problems
+        this.report = null;     // CatalogSchema report for the last load
         this.loadPromise = null;
     }
     
-    // Load catalog from JSON file
+    // Load catalog from JSON file. Rows failing CatalogSchema are kept out of
+    // this.objects and quarantined in this.rejected; this.report describes the load.
     async loadFromFile(filename) {
+        this.objects = [];
+        this.rejected = [];
+        
+        let data;
         try {
             console.log(`Loading catalog: ${filename}`);
             const response = await fetch(`data/${filename}`);
@@ -51,17 +80,31 @@ class Catalog {
                 throw new Error(`Failed to load catalog: ${response.status} ${response.statusText}`);
             }
             
-            const data = await response.json();
-            this.objects = data.map(objData => new AstroObject(objData));
-            
-            console.log(`Loaded ${this.objects.length} objects from ${filename}`);
-            return this.objects;
+            data = await response.json();
         } catch (error) {
             console.error('Error loading catalog:', error);
-            // Load sample data as fallback
-            this.loadSampleData();
+            this.report = CatalogSchema.failedReport(filename, error);
             throw error;
         }
+        
+        return this.loadFromData(data, filename);
+    }
+    
+    // Validate already-parsed catalog rows and keep the good ones
+    loadFromData(data, filename = '') {
+        this.report = CatalogSchema.validate(data, filename);
+        this.objects = this.report.valid.map(objData => new AstroObject(objData));
+        this.rejected = this.report.rejected;
+        
+        if (this.report.error) {
+            console.error(CatalogSchema.summarize(this.report));
+            throw new Error(`Invalid catalog ${filename}: ${this.report.error}`);
+        }
+        
+        CatalogSchema.formatProblems(this.report).forEach(line => console.warn(line));
+        console.log(`Loaded ${this.objects.length} objects from ${filename}` +
+            (this.rejected.length ? ` (${this.rejected.length} rejected)` : ''));
+        return this.objects;
     }
     
     // Load sample data for testing
@@ -111,8 +154,8 @@ class Catalog {
         console.log(`Loaded ${this.objects.length} sample objects`);
     }
     
-    // Generate background stars for a field
-    generateBackgroundStars(centerRA, centerDec, fovDegrees, useDenseField = false) {
+    // Generate background stars for a field (rng: random source, see js/random.js)
+    generateBackgroundStars(centerRA, centerDec, fovDegrees, useDenseField = false, rng = Math) {
         console.log('Generating background stars...');
         
         const starCount = useDenseField ? BACKGROUND_STARS.TOTAL_COUNT : 1000;
@@ -121,11 +164,11 @@ class Catalog {
         
         for (let i = 0; i < starCount; i++) {
             // Random position within the field
-            const ra = centerRA + (Math.random() - 0.5) * fovDegrees / 15; // Convert to hours
-            const dec = centerDec + (Math.random() - 0.5) * fovDegrees;
+            const ra = centerRA + (rng.random() - 0.5) * fovDegrees / 15; // Convert to hours
+            const dec = centerDec + (rng.random() - 0.5) * fovDegrees;
             
             // Generate magnitude using luminosity function
-            const u = Math.random();
+            const u = rng.random();
             const xMin = Math.pow(10, 0.6 * BACKGROUND_STARS.MAG_MIN);
             const xMax = Math.pow(10, 0.6 * BACKGROUND_STARS.MAG_MAX);
             const x = u * (xMax - xMin) + xMin;
@@ -155,7 +198,9 @@ class Catalog {
         const objectsInSlit = this.objects.filter(obj => {
             // Calculate angular separations more carefully
             const cosDec = Math.cos(Utils.degreesToRadians(centerDec));
-            const dRA = Math.abs((obj.ra - centerRA) * 15 * cosDec); // Convert RA hours to degrees and apply cos(dec)
+            let hours = Utils.normalizeHours(obj.ra - centerRA);
+            if (hours > 12) hours -= 24; // across 0h
+            const dRA = Math.abs(hours * 15 * cosDec); // Convert RA hours to degrees and apply cos(dec)
             const dDec = Math.abs(obj.dec - centerDec);
             
             console.log(`Object ${obj.name}: RA=${obj.ra.toFixed(5)}h, Dec=${obj.dec.toFixed(5)}°`);
@@ -254,5 +299,7 @@ class Catalog {
     clear() {
         this.objects = [];
         this.backgroundStars = [];
+        this.rejected = [];
+        this.report = null;
     }
 }
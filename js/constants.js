@@ -10,25 +10,18 @@ const CONSTANTS = {
     DEFAULT_SITE_ALT: 152.0,         // Villanova Observatory elevation (m)
     DEFAULT_TELESCOPE_LAT: 40.0375,  // degrees north
     DEFAULT_TELESCOPE_LON: -75.3370, // degrees east
+    DEFAULT_TIME_ZONE: 'America/New_York', // IANA zone of the default site
     
-    // Photometry constants
-    ZERO_POINT_PHOTONS: {
-        'U': 1.8e10,
-        'B': 4.0e10,
-        'V': 3.6e10
-    },
+    // Atmosphere for refraction; site pressure follows from elevation, temperature
+    // can be overridden per telescope with a `temperature` entry
+    SEA_LEVEL_PRESSURE: 1013.25,     // hPa
+    DEFAULT_SITE_TEMPERATURE: 10.0,  // °C
     
-    EXTINCTION_COEFF: {
-        'U': 0.50,
-        'B': 0.25,
-        'V': 0.15
-    },
+    // Per-band photometry constants (zero points, extinction, dark sky) are in PASSBANDS
+    // (js/passbands.js)
     
-    SKY_BRIGHTNESS: {
-        'U': 22.0,
-        'B': 22.7,
-        'V': 21.6
-    },
+    // Seeing used when a telescope has no `seeing` entry (see TELESCOPES and js/psf.js)
+    DEFAULT_SEEING: { fwhm: 2.5, profile: 'moffat', beta: 3.0 },
     
     // Field of view settings
     FINDER_FOV_DEG: 2.0,           // Finder scope FOV in degrees
@@ -36,7 +29,8 @@ const CONSTANTS = {
     SLIT_WIDTH_DEG: 0.3/60.0,      // Slit width in degrees
     SLIT_HEIGHT_DEG: 1.0/60.0,     // Slit height in degrees
     
-    // Slew speeds (deg/step, interval_ms, label)
+    // Manual slew speeds (deg/step, interval_ms, label): step / interval is the rate on the sky,
+    // capped by the mount's maxRate. Go-to slews always run at the mount's full rate.
     SLEW_SPEEDS: [
         { step: 0.0005, interval: 50, label: 'Slew: Ultra Slow' },
         { step: 0.001, interval: 25, label: 'Slew: Slow' },
@@ -45,9 +39,21 @@ const CONSTANTS = {
         { step: 0.04, interval: 12.5, label: 'Slew: Ultra Fast' }
     ],
     
+    // Mount used when a telescope has no `mount` entry (see TELESCOPES)
+    DEFAULT_MOUNT: { type: 'equatorial', maxRate: 4.0, acceleration: 2.0, meridianLimit: 0.25 },
+    MOUNT_STEP_MS: 100,              // slews are integrated in steps of simulated time this long
+    SIDEREAL_RATE: 1.00273790935,    // sidereal seconds per solar second
+    
     // Photometer settings
     APERTURE_SIZES: [5, 10, 20, 40], // arcseconds
     INTEGRATION_TIMES: [0.01, 0.1, 1.0, 10.0], // seconds
+    // Sky annulus for background subtraction: inner and outer radius in aperture radii
+    SKY_ANNULUS: { inner: 2.0, outer: 3.0 },
+    // Filter wheel: slots in order round the wheel (null: one per passband, in PASSBANDS
+    // order), and seconds to turn one slot
+    FILTER_WHEEL: { slots: null, slotTime: 1.5 },
+    // Photometer detector used when a telescope has no `detector` entry (see TELESCOPES)
+    DEFAULT_DETECTOR: { readNoise: 10.0, darkCurrent: 0.05, pixelScale: 1.0 },
     
     // Spectrum settings
     SPECTRUM_MIN_WAVE: 3900, // Angstroms
@@ -63,31 +69,83 @@ const CONSTANTS = {
 };
 
 // Telescope configurations
+//
+// id: short name for links and scripts (see SessionState.toURL)
+//
+// limits (all optional): minAltitude (degrees), hourAngle [east, west] (hours),
+// declination [min, max] (degrees), horizon [[azimuth, altitude], ...] - a local horizon
+// profile interpolated linearly in azimuth, e.g. trees and buildings around the dome
+//
+// timeZone: IANA zone name of the site, used to enter and show site-local time
+//
+// mount: type ('equatorial' fork, 'gem' German equatorial or 'altaz'), maxRate (deg/s per axis),
+// acceleration (deg/s²), meridianLimit (hours a GEM may track past the meridian before flipping)
+//
+// detector: the photometer's CCD - readNoise (e⁻ rms per pixel per readout), darkCurrent
+// (e⁻/s per pixel) and pixelScale (arcsec per pixel), which sets how many pixels an aperture covers
+//
+// seeing: the star image - fwhm (arcsec at the zenith at 5000 Å), profile ('moffat' or 'gaussian')
+// and the Moffat beta
 const TELESCOPES = [
     {
+        id: 'vu12',
         name: 'VU 12" Meade telescope',
         diameter: 0.3048,
         latitude: 40.0369,
         longitude: -75.2426,
-        altitude: 152.0
+        altitude: 152.0,
+        timeZone: 'America/New_York',
+        mount: { type: 'equatorial', maxRate: 8.0, acceleration: 4.0 },
+        detector: { readNoise: 9.0, darkCurrent: 0.02, pixelScale: 1.0 },
+        seeing: { fwhm: 3.0 },
+        limits: {
+            minAltitude: 15.0,
+            hourAngle: [-6.0, 6.0],
+            declination: [-35.0, 90.0],
+            horizon: [[0, 15], [70, 25], [110, 22], [180, 15], [250, 20], [300, 28], [340, 18]]
+        }
     },
     {
+        id: 'vu20',
         name: 'VU 20" Planewave telescope',
         diameter: 0.508,
         latitude: 40.0369,
         longitude: -75.2426,
-        altitude: 152.0
+        altitude: 152.0,
+        timeZone: 'America/New_York',
+        mount: { type: 'gem', maxRate: 5.0, acceleration: 2.0, meridianLimit: 0.25 },
+        detector: { readNoise: 7.0, darkCurrent: 0.01, pixelScale: 0.6 },
+        seeing: { fwhm: 3.0 },
+        limits: {
+            minAltitude: 15.0,
+            hourAngle: [-6.0, 6.0],
+            declination: [-35.0, 90.0],
+            horizon: [[0, 15], [70, 25], [110, 22], [180, 15], [250, 20], [300, 28], [340, 18]]
+        }
     },
     {
+        id: 'blanco',
         name: 'CTIO 4-m Blanco telescope',
         diameter: 4.0,
         latitude: -30.1667,
         longitude: -70.7972,
-        altitude: 2202.0
+        altitude: 2202.0,
+        timeZone: 'America/Santiago',
+        mount: { type: 'equatorial', maxRate: 0.75, acceleration: 0.1 },
+        detector: { readNoise: 6.0, darkCurrent: 0.001, pixelScale: 0.27 },
+        seeing: { fwhm: 0.9 },
+        limits: {
+            minAltitude: 20.0,
+            hourAngle: [-5.0, 5.0],
+            declination: [-89.0, 37.0]
+        }
     }
 ];
 
 // Field definitions
+//
+// synthetic: the catalog was generated by scripts/generate-fields.js (no legacy source survives):
+// made-up stars and galaxies around the real field center, not real objects
 const FIELDS = [
     {
         name: 'Coma Berenices galaxy cluster',
@@ -101,28 +159,32 @@ const FIELDS = [
         filename: 'BOOTFLD.json',
         ra: 14.50833333,
         dec: 31.49138888,
-        background: false
+        background: false,
+        synthetic: true
     },
     {
         name: 'Corona Borealis galaxy cluster',
         filename: 'CRBORFLD.json',
         ra: 15.40944444,
         dec: 27.50166666,
-        background: false
+        background: false,
+        synthetic: true
     },
     {
         name: 'Ursa Major I galaxy cluster',
         filename: 'UMA1FLD.json',
         ra: 11.80638888,
         dec: 55.60083333,
-        background: false
+        background: false,
+        synthetic: true
     },
     {
         name: 'Ursa Major II galaxy cluster',
         filename: 'UMA2FLD.json',
         ra: 10.99611111,
         dec: 56.80777777,
-        background: false
+        background: false,
+        synthetic: true
     },
     {
         name: 'Pleiades star cluster',
@@ -136,14 +198,16 @@ const FIELDS = [
         filename: 'STARTEMP.json',
         ra: 5.90,
         dec: 7.40,
-        background: true
+        background: true,
+        synthetic: true
     },
     {
         name: 'Atmospheric Effects Group',
         filename: 'ATMOGRP.json',
         ra: 14.71,
         dec: 16.41,
-        background: true
+        background: true,
+        synthetic: true
     }
 ];
 
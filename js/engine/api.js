@@ -0,0 +1,270 @@
+// Automation API - a documented, promise-based way to drive a Simulation, DOM-free
+//
+// Every method returns a promise. Anything that takes simulated time (slews, exposures,
+// spectra) runs as a one-step ObservingSequence, so it waits on a started clock in the browser
+// and steps a headless one, exactly as a sequence would, and a failure rejects with the reason:
+//
+//   const api = new TelescopeAPI(simulation);
+//   await api.scope.setTelescope('CTIO 4-m Blanco telescope');
+//   await api.scope.loadField('PLEIADES.json');
+//   await api.scope.slewToObject('Alcyone');           // or slewTo(ra, dec), J2000 hours/degrees
+//   const obs = await api.photometer.expose({ filter: 'B', aperture: 10, time: 1 });
+//   await api.photometer.setFilters(['U', 'B', 'V']);   // filter wheel; or (bands, 'simultaneous')
+//   const { observations, colors } = await api.photometer.exposeCycle({ time: 10 });
+//   const spectrum = await api.spectrometer.integrate(60);
+//
+// One timed action runs at a time; starting another while one is in progress is refused.
+// api.abort() cuts the action in progress short.
+//
+// Events (subscribe with on(); it returns an unsubscribe function):
+//   'action'  { action, status, args, result, error }   status 'started' | 'done' | 'failed' | 'aborted'
+//   'state'   getState()                                telescope, field, mount or instrument settings changed
+//   'clock'   { time, rate, running }                   paused, resumed, rate changed or time set
+
+class TelescopeAPI {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.listeners = {};
+        this.sequence = null;          // ObservingSequence of the action in progress
+        this.action = null;            // and its API name, e.g. 'scope.slewTo'
+        this.lastSignature = null;
+
+        const clock = simulation.clock;
+        clock.on('tick', () => this.checkState());
+        clock.on('state', (state) => this.emit('clock', state));
+        clock.on('jump', () => {
+            this.emit('clock', clock.getState());
+            this.checkState();
+        });
+
+        this.scope = {
+            setTelescope: (name) => this.perform('scope.setTelescope', [{ action: 'telescope', name }], [name])
+                .then(() => this.getTelescopeInfo()),
+            loadField: (name) => this.perform('scope.loadField', [{ action: 'field', name }], [name])
+                .then(([step]) => step.result),
+            slewTo: (ra, dec) => this.perform('scope.slewTo', [{ action: 'slew', ra, dec }], [ra, dec])
+                .then(([step]) => step.result),
+            slewToObject: (name) => this.perform('scope.slewToObject', [{ action: 'slew', object: name }], [name])
+                .then(([step]) => step.result),
+            setTracking: (enabled) => this.perform('scope.setTracking', [{ action: 'tracking', enabled }], [enabled])
+                .then(([step]) => step.result),
+            abort: async () => this.abort(),
+            getPointing: async () => this.getPointing(),
+            getObjects: async () => this.simulation.telescope.catalog.objects.map(TelescopeAPI.describeObject)
+        };
+
+        this.photometer = {
+            setFilter: (band) => this.perform('photometer.setFilter', [{ action: 'filter', band }], [band])
+                .then(([step]) => step.result),
+            setFilters: (bands, mode = 'sequential') =>
+                this.perform('photometer.setFilters', [{ action: 'filters', bands, mode }], [bands, mode])
+                    .then(([step]) => step.result),
+            setAperture: (arcsec) => this.perform('photometer.setAperture', [{ action: 'aperture', arcsec }], [arcsec])
+                .then(([step]) => step.result),
+            expose: (options = {}) => this.expose(options),
+            exposeCycle: (options = {}) => this.exposeCycle(options),
+            getSettings: async () => this.getPhotometerSettings()
+        };
+
+        this.spectrometer = {
+            integrate: (seconds) => this.perform('spectrometer.integrate', [{ action: 'spectrum', seconds }], [seconds])
+                .then(() => this.simulation.log.spectra[this.simulation.log.spectra.length - 1])
+        };
+
+        this.clock = {
+            getState: async () => clock.getState(),
+            pause: async () => clock.pause(),
+            resume: async () => clock.resume(),
+            setRate: async (rate) => clock.setRate(rate),
+            step: async (seconds) => clock.step(seconds),
+            setTime: async (date) => clock.setTime(date),
+            wait: (seconds) => this.perform('clock.wait', [{ action: 'wait', seconds }], [seconds])
+                .then(([step]) => step.result)
+        };
+
+        this.log = {
+            getObservations: async () => this.simulation.log.entries.slice(),
+            getSpectra: async () => this.simulation.log.spectra.slice(),
+            toCSV: async () => this.simulation.log.toCSV()
+        };
+    }
+
+    // Everything a client may want to show, as plain values
+    async getState() {
+        return this.snapshot();
+    }
+
+    snapshot() {
+        const { telescope, clock, spectrometer } = this.simulation;
+        return {
+            seed: this.simulation.seed,
+            time: telescope.currentDateTime.toISOString(),
+            clock: { rate: clock.rate, running: clock.running },
+            telescope: this.getTelescopeInfo(),
+            field: telescope.currentField ? telescope.currentField.name : null,
+            mount: telescope.getMountStatus(),
+            limitStatus: telescope.limitStatus,
+            photometer: this.getPhotometerSettings(),
+            spectrometer: {
+                object: spectrometer.currentObject ? spectrometer.currentObject.name : null,
+                ...spectrometer.getStatus()
+            },
+            busy: this.action
+        };
+    }
+
+    getTelescopeInfo() {
+        const telescope = this.simulation.telescope.currentTelescope;
+        return telescope ? {
+            name: telescope.name,
+            latitude: telescope.latitude,
+            longitude: telescope.longitude,
+            timeZone: this.simulation.telescope.getTimeZone()
+        } : null;
+    }
+
+    getPointing() {
+        const pointing = this.simulation.telescope.getCurrentPointing();
+        return {
+            ra: pointing.ra,
+            dec: pointing.dec,
+            altitude: pointing.altaz.altitude,
+            azimuth: pointing.altaz.azimuth,
+            airmass: pointing.airmass,
+            hourAngle: pointing.hourAngle,
+            lst: pointing.lst,
+            slewing: this.simulation.telescope.slewActive
+        };
+    }
+
+    getPhotometerSettings() {
+        const photometer = this.simulation.photometer;
+        return {
+            filter: photometer.currentFilter,
+            aperture: photometer.getAperture(),
+            integrationTime: photometer.getIntegrationTime(),
+            atmosphere: photometer.atmosphereEnabled,
+            annulus: photometer.annulusEnabled,
+            filterMode: photometer.filterMode,
+            filters: photometer.activeFilters.slice()
+        };
+    }
+
+    // One exposure: options { filter, aperture (arcsec), time (s) } default to the current settings.
+    // Giving a filter switches to single-filter mode; for the other modes see exposeCycle().
+    async expose(options = {}) {
+        const steps = [];
+        if (options.filter !== undefined) steps.push({ action: 'filter', band: options.filter });
+        if (options.aperture !== undefined) steps.push({ action: 'aperture', arcsec: options.aperture });
+        steps.push({
+            action: 'expose',
+            count: 1,
+            seconds: options.time !== undefined ? options.time : this.simulation.photometer.getIntegrationTime()
+        });
+        const done = await this.perform('photometer.expose', steps, [options]);
+        return done[done.length - 1].result.observations[0];
+    }
+
+    // Exposures through every active filter (see setFilters): options { aperture (arcsec),
+    // time (s), count } - resolves to { observations, colors }
+    async exposeCycle(options = {}) {
+        const steps = [];
+        if (options.aperture !== undefined) steps.push({ action: 'aperture', arcsec: options.aperture });
+        steps.push({
+            action: 'expose',
+            count: options.count !== undefined ? options.count : 1,
+            seconds: options.time !== undefined ? options.time : this.simulation.photometer.getIntegrationTime()
+        });
+        const done = await this.perform('photometer.exposeCycle', steps, [options]);
+        const result = done[done.length - 1].result;
+        return { observations: result.observations, colors: result.colors };
+    }
+
+    // Run steps as a sequence and resolve to them; reject with the first failure
+    async perform(action, steps, args) {
+        if (this.sequence) {
+            throw new Error(`Busy: ${this.action} is still in progress`);
+        }
+
+        const sequence = new ObservingSequence(this.simulation, steps);
+        this.sequence = sequence;
+        this.action = action;
+        this.emit('action', { action, status: 'started', args });
+
+        try {
+            await sequence.run();
+        } finally {
+            this.sequence = null;
+            this.action = null;
+        }
+
+        this.checkState();
+        if (sequence.state !== 'done') {
+            const status = sequence.state === 'aborted' ? 'aborted' : 'failed';
+            const error = status === 'aborted' ? `${action} was aborted` :
+                sequence.steps.find(step => step.status === 'failed').error;
+            this.emit('action', { action, status, args, error });
+            throw new Error(error);
+        }
+
+        const result = sequence.steps[sequence.steps.length - 1].result;
+        this.emit('action', { action, status: 'done', args, result });
+        return sequence.steps;
+    }
+
+    // Stop the timed action in progress and any slew
+    abort() {
+        if (this.sequence) {
+            this.sequence.abort();
+        } else {
+            this.simulation.telescope.abortSlewing();
+            this.checkState();
+        }
+    }
+
+    // Emit 'state' when anything but the time and pointing has changed
+    checkState() {
+        const state = this.snapshot();
+        const signature = JSON.stringify({ ...state, time: null, spectrometer: state.spectrometer.object });
+        if (signature !== this.lastSignature) {
+            this.lastSignature = signature;
+            this.emit('state', state);
+        }
+    }
+
+    static describeObject(object) {
+        return {
+            name: object.name,
+            ra: object.ra,
+            dec: object.dec,
+            mag: object.mag,
+            bv: object.bv,
+            objType: object.objType,
+            specType: object.specType,
+            redshift: object.redshift
+        };
+    }
+
+    on(event, handler) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        if (!this.listeners[event]) return;
+        this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+    }
+
+    emit(event, data) {
+        (this.listeners[event] || []).slice().forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`API ${event} handler failed:`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,158 @@
+// Simulation clock - the one source of simulated time, DOM-free
+//
+// Everything that takes time (slews, tracking, exposures, spectra) runs on the telescope's
+// currentDateTime, and this clock is what moves it forward. Started, it follows the wall clock
+// at `rate` times real time; paused, simulated time stands still until step() or setTime().
+// Headless scripts usually never start it and call step() or advance() instead.
+//
+// Events (subscribe with on(); it returns an unsubscribe function):
+//   'tick'   { time, delta }   simulated time moved forward by delta seconds
+//   'jump'   { time }          time was set directly, e.g. from the date/time picker
+//   'state'  { time, rate, running }   paused, resumed or the rate changed
+
+class SimulationClock {
+    // options: { rate, tickInterval (wall-clock ms between ticks) }
+    constructor(telescope, options = {}) {
+        this.telescope = telescope;
+        this.rate = 1;
+        this.running = true;
+        this.tickInterval = options.tickInterval || 50;
+        this.timer = null;
+        this.lastWallTime = 0;
+        this.listeners = {};
+
+        if (options.rate !== undefined) {
+            this.setRate(options.rate);
+        }
+    }
+
+    // Rates offered by faster()/slower(); setRate accepts anything in between
+    static get RATES() {
+        return [1, 10, 60, 300, 900, 3600];
+    }
+
+    static get MAX_RATE() {
+        return 3600;
+    }
+
+    get time() {
+        return this.telescope.currentDateTime;
+    }
+
+    getState() {
+        return { time: this.time, rate: this.rate, running: this.running };
+    }
+
+    // Follow the wall clock (browser); does nothing if already started
+    start() {
+        if (this.timer) return;
+        this.lastWallTime = Date.now();
+        this.timer = setInterval(() => this.tick(), this.tickInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    tick() {
+        const now = Date.now();
+        const wall = now - this.lastWallTime;
+        this.lastWallTime = now;
+
+        if (this.running) {
+            this.advance(wall * this.rate);
+        }
+    }
+
+    pause() {
+        if (!this.running) return;
+        this.running = false;
+        this.emit('state', this.getState());
+    }
+
+    resume() {
+        if (this.running) return;
+        this.running = true;
+        this.lastWallTime = Date.now();
+        this.emit('state', this.getState());
+    }
+
+    toggle() {
+        if (this.running) {
+            this.pause();
+        } else {
+            this.resume();
+        }
+        return this.running;
+    }
+
+    // Simulated seconds per wall-clock second, 1 to 3600
+    setRate(rate) {
+        const value = Number(rate);
+        if (!Number.isFinite(value)) {
+            throw new Error(`Invalid clock rate: ${rate}`);
+        }
+        this.rate = Math.max(1, Math.min(SimulationClock.MAX_RATE, value));
+        this.emit('state', this.getState());
+        return this.rate;
+    }
+
+    faster() {
+        const next = SimulationClock.RATES.find(rate => rate > this.rate);
+        return this.setRate(next !== undefined ? next : SimulationClock.MAX_RATE);
+    }
+
+    slower() {
+        const previous = SimulationClock.RATES.filter(rate => rate < this.rate).pop();
+        return this.setRate(previous !== undefined ? previous : 1);
+    }
+
+    // Move simulated time forward by a number of seconds, paused or not
+    step(seconds) {
+        if (!(seconds > 0)) {
+            throw new Error(`Clock steps must be positive (got ${seconds})`);
+        }
+        this.advance(seconds * 1000);
+        return this.time;
+    }
+
+    advance(milliseconds) {
+        if (!(milliseconds > 0)) return;
+        this.telescope.advanceTime(milliseconds);
+        this.emit('tick', { time: this.time, delta: milliseconds / 1000 });
+    }
+
+    // Jump to a date. No time passes, so nothing slews or integrates across the jump.
+    setTime(date) {
+        this.telescope.setDateTime(date);
+        this.emit('jump', { time: this.time });
+        return this.time;
+    }
+
+    on(event, handler) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        if (!this.listeners[event]) return;
+        this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+    }
+
+    // A failing subscriber is logged and does not stop the others
+    emit(event, data) {
+        (this.listeners[event] || []).slice().forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`Clock ${event} handler failed:`, error);
+            }
+        });
+    }
+}
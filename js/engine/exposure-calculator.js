@@ -0,0 +1,153 @@
+// Exposure-time calculator - photometer signal-to-noise, DOM-free
+//
+// Built on Photometer.getNoiseBudget(), the photon model the simulated exposures draw from. In
+// t seconds a source gives S·t counts; its own photon noise, the sky, dark current and
+// scintillation all add variance in proportion to t, and reading the CCD out adds a fixed R²:
+//     SNR(t) = S·t / sqrt(V·t + R²)
+// so the exposure for a target SNR is the positive root of S²t² − SNR²·V·t − SNR²·R² = 0.
+// The largest variance names the noise regime: read noise for short exposures of faint
+// sources, then the source's own photons or the sky, and scintillation for bright stars.
+// S counts only the light the aperture catches in the seeing (js/psf.js), so a tight aperture
+// trades signal for less sky.
+
+const ExposureCalculator = {
+    // Noise terms in the order they are reported
+    REGIMES: {
+        source: 'Source photon noise',
+        sky: 'Sky background',
+        dark: 'Dark current',
+        readNoise: 'Read noise',
+        scintillation: 'Scintillation'
+    },
+
+    // Source magnitude when none is given and the aperture is empty
+    DEFAULT_MAGNITUDE: 15.0,
+
+    // Exposure range of SNR curves, seconds
+    CURVE_RANGE: [0.01, 10000],
+
+    // Conditions for a calculation: { telescope, filter, magnitude, aperture, airmass,
+    // skyMagnitude, offset }. offset is the source's distance from the aperture center in
+    // arcsec, 0 unless given. Anything not given comes from the photometer and where the telescope
+    // points - the brightest object in the aperture, and the current airmass and sky when
+    // the calculation is for the telescope in use (a zenith, dark sky for any other).
+    // telescope may be a TELESCOPES entry, its id or its name.
+    getConditions: (photometer, options = {}) => {
+        const current = photometer.telescope.currentTelescope;
+        let telescope = options.telescope !== undefined ? options.telescope : current;
+        if (typeof telescope === 'string') {
+            const match = TELESCOPES.find(t => t.name === telescope || t.id === telescope);
+            if (!match) {
+                throw new Error(`Unknown telescope: ${telescope}`);
+            }
+            telescope = match;
+        }
+
+        const filter = options.filter || photometer.currentFilter;
+        Passbands.require(filter);
+
+        const here = Boolean(telescope) && telescope === current;
+        const pointing = photometer.telescope.getCurrentPointing();
+
+        const conditions = {
+            telescope: telescope || null,
+            filter,
+            magnitude: options.magnitude !== undefined ?
+                Number(options.magnitude) : ExposureCalculator.brightestInAperture(photometer, filter),
+            aperture: options.aperture !== undefined ? Number(options.aperture) : photometer.getAperture(),
+            airmass: options.airmass !== undefined ? Number(options.airmass) :
+                here && pointing.altaz.altitude > 0 ? pointing.airmass : 1.0,
+            skyMagnitude: options.skyMagnitude !== undefined ? Number(options.skyMagnitude) :
+                here ? photometer.getSkyBrightness(filter) : Passbands.require(filter).sky,
+            offset: options.offset !== undefined ? Number(options.offset) : 0
+        };
+
+        if (!Number.isFinite(conditions.magnitude)) {
+            throw new Error('Enter the source magnitude');
+        }
+        if (!(conditions.aperture > 0)) {
+            throw new Error('The aperture must be larger than zero');
+        }
+        if (!(conditions.airmass >= 1)) {
+            throw new Error('Airmass must be 1 or more');
+        }
+        if (!Number.isFinite(conditions.skyMagnitude)) {
+            throw new Error('Enter the sky brightness in mag/arcsec²');
+        }
+        if (!(conditions.offset >= 0)) {
+            throw new Error('The offset from the aperture center cannot be negative');
+        }
+        return conditions;
+    },
+
+    // Magnitude in a filter of the brightest catalog object in the aperture
+    brightestInAperture: (photometer, filter) => {
+        const magnitudes = photometer.findObjectsInAperture()
+            .map(obj => obj.getMagnitude(filter))
+            .filter(Number.isFinite);
+        return magnitudes.length > 0 ? Math.min(...magnitudes) : ExposureCalculator.DEFAULT_MAGNITUDE;
+    },
+
+    // Signal, noise and SNR of one exposure: { seconds, signal, variances, noise, snr, dominant,
+    // fraction, fwhm }, dominant being the REGIMES key of the largest variance and fraction the
+    // share of the source's light inside the aperture in seeing of that FWHM
+    estimate: (photometer, conditions, seconds) => {
+        const budget = photometer.getNoiseBudget(conditions, seconds);
+        const terms = Object.keys(ExposureCalculator.REGIMES);
+        const variance = terms.reduce((sum, term) => sum + budget.variances[term], 0);
+        const noise = Math.sqrt(variance);
+        return {
+            seconds,
+            signal: budget.signal,
+            variances: budget.variances,
+            noise,
+            snr: noise > 0 ? budget.signal / noise : Infinity,
+            dominant: terms.reduce((best, term) => budget.variances[term] > budget.variances[best] ? term : best),
+            fraction: budget.fraction,
+            fwhm: budget.fwhm
+        };
+    },
+
+    // Seconds of exposure that reach a target SNR
+    exposureForSNR: (photometer, conditions, snr) => {
+        if (!(snr > 0)) {
+            throw new Error('The target SNR must be larger than zero');
+        }
+        // Per second of exposure; only the read noise does not grow with time
+        const { signal, variances } = photometer.getNoiseBudget(conditions, 1);
+        if (!(signal > 0)) {
+            throw new Error('The source gives no signal');
+        }
+        const growing = variances.source + variances.sky + variances.dark + variances.scintillation;
+        const a = snr * snr * growing;
+        const b = snr * snr * variances.readNoise;
+        return (a + Math.sqrt(a * a + 4 * signal * signal * b)) / (2 * signal * signal);
+    },
+
+    // estimate() at `points` exposure times spaced evenly in log time across `range`
+    curve: (photometer, conditions, range = ExposureCalculator.CURVE_RANGE, points = 81) => {
+        const [from, to] = range.map(Math.log10);
+        return Array.from({ length: points }, (_, i) =>
+            ExposureCalculator.estimate(photometer, conditions, Math.pow(10, from + (to - from) * i / (points - 1))));
+    },
+
+    // Everything at once: options are getConditions() options plus seconds (default the
+    // photometer's integration time) and snr (the target, default 100).
+    // Returns { conditions, exposure: estimate(seconds), target: { snr, seconds, estimate }, curve }
+    calculate: (photometer, options = {}) => {
+        const conditions = ExposureCalculator.getConditions(photometer, options);
+        const seconds = options.seconds !== undefined ? Number(options.seconds) : photometer.getIntegrationTime();
+        if (!(seconds > 0)) {
+            throw new Error('The exposure time must be larger than zero');
+        }
+        const snr = options.snr !== undefined ? Number(options.snr) : 100;
+        const targetSeconds = ExposureCalculator.exposureForSNR(photometer, conditions, snr);
+
+        return {
+            conditions,
+            exposure: ExposureCalculator.estimate(photometer, conditions, seconds),
+            target: { snr, seconds: targetSeconds, estimate: ExposureCalculator.estimate(photometer, conditions, targetSeconds) },
+            curve: ExposureCalculator.curve(photometer, conditions)
+        };
+    }
+};
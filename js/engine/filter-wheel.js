@@ -0,0 +1,65 @@
+// Filter wheel - which filter is in the beam and how long changing it takes, DOM-free
+//
+// The slots sit in a ring (CONSTANTS.FILTER_WHEEL); the wheel turns slotTime seconds per slot
+// and goes whichever way round is shorter. Photometer times its filter changes with it and
+// orders a multi-filter cycle so the wheel moves as little as possible.
+
+class FilterWheel {
+    constructor(config = {}) {
+        const defaults = CONSTANTS.FILTER_WHEEL;
+        this.slots = (config.slots || defaults.slots || Passbands.ids()).slice();
+        this.slotTime = config.slotTime !== undefined ? config.slotTime : defaults.slotTime;
+        this.position = 0;             // slot in the beam
+    }
+
+    get filter() {
+        return this.slots[this.position];
+    }
+
+    slotOf(filter) {
+        const slot = this.slots.indexOf(filter);
+        if (slot === -1) {
+            throw new Error(`Filter ${filter} is not in the filter wheel`);
+        }
+        return slot;
+    }
+
+    // Slots between two filters, the short way round
+    distance(from, to) {
+        const steps = Math.abs(this.slotOf(to) - this.slotOf(from));
+        return Math.min(steps, this.slots.length - steps);
+    }
+
+    // Seconds to bring a filter into the beam from where the wheel is now
+    moveTime(filter) {
+        return this.distance(this.filter, filter) * this.slotTime;
+    }
+
+    // Turn to a filter; returns the seconds that takes
+    moveTo(filter) {
+        const seconds = this.moveTime(filter);
+        this.position = this.slotOf(filter);
+        return seconds;
+    }
+
+    // Seconds of wheel moves to visit filters in the given order, starting from here
+    cycleTime(filters) {
+        let from = this.filter;
+        return filters.reduce((total, filter) => {
+            const seconds = this.distance(from, filter) * this.slotTime;
+            from = filter;
+            return total + seconds;
+        }, 0);
+    }
+
+    // Filters in the order the wheel reaches them turning one way from where it is (the
+    // current filter first), in whichever direction needs less turning
+    order(filters) {
+        const n = this.slots.length;
+        const unique = filters.filter((filter, i) => filters.indexOf(filter) === i);
+        const ahead = (filter) => (this.slotOf(filter) - this.position + n) % n;
+        const forward = unique.slice().sort((a, b) => ahead(a) - ahead(b));
+        const backward = unique.slice().sort((a, b) => (n - ahead(a)) % n - (n - ahead(b)) % n);
+        return this.cycleTime(backward) < this.cycleTime(forward) ? backward : forward;
+    }
+}
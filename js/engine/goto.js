@@ -0,0 +1,108 @@
+// Go-to targets - typed coordinates, Alt/Az positions, offsets and names, DOM-free
+//
+// Each resolver returns { name, ra, dec } (J2000 hours and degrees) for Telescope.slewTo, or
+// throws an Error that says what was wrong with the input. Names are looked up in the loaded
+// field (Catalog.searchByName) and in the offline bright-star and Messier list (NAMED_OBJECTS).
+
+const GoTo = {
+    // NAMED_OBJECTS as { name, alias, ra, dec, mag, kind, source }, built on first use
+    namedObjects: null,
+
+    getNamedObjects: () => {
+        if (!GoTo.namedObjects) {
+            const stars = NAMED_OBJECTS.STARS.map(([name, ra, dec, mag]) => ({
+                name, alias: '', ra: Utils.parseRA(ra), dec: Utils.parseDec(dec), mag, kind: 'star', source: 'bright star'
+            }));
+            const messier = NAMED_OBJECTS.MESSIER.map(([name, alias, ra, dec, mag, kind]) => ({
+                name, alias, ra: Utils.parseRA(ra), dec: Utils.parseDec(dec), mag, kind, source: 'Messier'
+            }));
+            GoTo.namedObjects = stars.concat(messier);
+        }
+        return GoTo.namedObjects;
+    },
+
+    // Typed RA and Dec, sexagesimal or decimal (see Utils.parseRA / parseDec)
+    fromEquatorial: (raText, decText) => {
+        const ra = Utils.parseRA(raText);
+        const dec = Utils.parseDec(decText);
+        return { name: `${String(raText).trim()} ${String(decText).trim()}`, ra, dec };
+    },
+
+    // Where an observed altitude and azimuth (degrees, azimuth from north through east) is now
+    fromHorizontal: (telescope, altText, azText) => {
+        const altitude = Utils.parseDegrees(altText);
+        if (Math.abs(altitude) > 90) {
+            throw new Error(`Altitude out of range: ${altText}`);
+        }
+        const azimuth = Utils.normalizeAngle(Utils.parseDegrees(azText));
+        const position = telescope.horizontalToJ2000(altitude, azimuth);
+        return { name: `Alt ${altitude.toFixed(2)}° Az ${azimuth.toFixed(2)}°`, ra: position.ra, dec: position.dec };
+    },
+
+    // The current center moved by arcseconds east and north on the sky
+    fromOffset: (telescope, eastText, northText) => {
+        const east = GoTo.parseArcsec(eastText);
+        const north = GoTo.parseArcsec(northText);
+        const dec = telescope.centerDec + north / 3600;
+        if (Math.abs(dec) > 90) {
+            throw new Error('That offset goes past the pole');
+        }
+        const cosDec = Math.max(1e-6, Math.cos(Utils.degreesToRadians(telescope.centerDec)));
+        const ra = Utils.normalizeHours(telescope.centerRA + east / 3600 / 15 / cosDec);
+        return { name: `Offset ${east}″ E, ${north}″ N`, ra, dec };
+    },
+
+    // Blank means no offset
+    parseArcsec: (text) => {
+        const trimmed = String(text === undefined || text === null ? '' : text).trim().replace(/["″]$/, '');
+        const value = trimmed === '' ? 0 : Number(trimmed.replace(/−/g, '-'));
+        if (!Number.isFinite(value)) {
+            throw new Error(`Cannot read "${text}" as an offset in arcseconds`);
+        }
+        return value;
+    },
+
+    // Names that match typed text, best first: exact, then prefix, then anywhere in the name;
+    // objects in the loaded field ahead of the built-in list
+    suggest: (catalog, text, limit = 10) => {
+        const query = GoTo.normalizeName(text);
+        if (!query) return [];
+
+        const field = catalog.searchByName(String(text).trim()).map(obj => ({
+            name: obj.name, alias: '', ra: obj.ra, dec: obj.dec, mag: obj.mag, kind: obj.objType === 1 ? 'galaxy' : 'star', source: 'field'
+        }));
+        const candidates = field.concat(GoTo.getNamedObjects())
+            .map(obj => ({ obj, rank: GoTo.matchRank(obj, query) }))
+            .filter(candidate => candidate.rank !== null);
+
+        // Array sort is stable, so equal ranks keep field-first order
+        candidates.sort((a, b) => a.rank - b.rank);
+        return candidates.slice(0, limit).map(candidate => candidate.obj);
+    },
+
+    // 0 exact, 1 prefix, 2 anywhere, or null, on the name or the common name
+    matchRank: (obj, query) => {
+        const ranks = [obj.name, obj.alias].filter(Boolean).map(name => {
+            const key = GoTo.normalizeName(name);
+            if (key === query) return 0;
+            if (key.startsWith(query)) return 1;
+            return key.includes(query) ? 2 : null;
+        }).filter(rank => rank !== null);
+        return ranks.length > 0 ? Math.min(...ranks) : null;
+    },
+
+    // Case and spaces don't matter: "m 31" finds M31
+    normalizeName: (name) => String(name || '').toLowerCase().replace(/\s+/g, ''),
+
+    // One object for a typed name: an exact match, or the only one the text matches
+    resolveName: (catalog, text) => {
+        const matches = GoTo.suggest(catalog, text, Infinity);
+        const query = GoTo.normalizeName(text);
+        const exact = matches.find(obj => GoTo.matchRank(obj, query) === 0);
+        if (exact) return exact;
+        if (matches.length === 1) return matches[0];
+        throw new Error(matches.length === 0 ?
+            `No object named "${text}" in the field or the bright-star and Messier list` :
+            `"${text}" matches ${matches.length} objects; pick one from the list`);
+    }
+};
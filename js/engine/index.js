@@ -0,0 +1,147 @@
+// Node entry point for the headless simulation engine
+//
+// In the browser the js/ files are classic scripts sharing one global scope.
+// Here the same files are evaluated together in a vm context, so the engine
+// runs unchanged under plain `node`. `fetch` of data/ paths reads from disk.
+//
+//   const { Simulation } = require('./js/engine');
+//   const sim = await new Simulation().configure({ telescope: 'CTIO 4-m Blanco telescope', field: 'PLEIADES.json' });
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+
+// Engine scripts in browser load order (see index.html)
+const ENGINE_SCRIPTS = [
+    'js/constants.js',
+    'js/random.js',
+    'js/utils.js',
+    'js/passbands.js',
+    'js/astrometry.js',
+    'js/ephemeris.js',
+    'js/sky-brightness.js',
+    'js/psf.js',
+    'js/fits.js',
+    'js/catalog-schema.js',
+    'js/catalog-import.js',
+    'js/catalog.js',
+    'js/named-objects.js',
+    'js/engine/observations.js',
+    'js/engine/mount.js',
+    'js/engine/telescope.js',
+    'js/engine/clock.js',
+    'js/engine/filter-wheel.js',
+    'js/engine/photometer.js',
+    'js/engine/exposure-calculator.js',
+    'js/engine/spectrometer.js',
+    'js/engine/planner.js',
+    'js/engine/sequence.js',
+    'js/engine/goto.js',
+    'js/engine/remote.js',
+    'js/engine/api.js',
+    'js/engine/session.js',
+    'js/engine/simulation.js'
+];
+
+// Top-level declarations handed back to Node
+const EXPORTED_NAMES = [
+    'CONSTANTS',
+    'TELESCOPES',
+    'FIELDS',
+    'SPECTRAL_CODES',
+    'BACKGROUND_STARS',
+    'NAMED_OBJECTS',
+    'PASSBANDS',
+    'SeededRandom',
+    'Utils',
+    'Passbands',
+    'Astrometry',
+    'Ephemeris',
+    'SkyBrightness',
+    'PSF',
+    'FITS',
+    'CatalogSchema',
+    'CatalogImport',
+    'AstroObject',
+    'Catalog',
+    'ObservationLog',
+    'Mount',
+    'Telescope',
+    'SimulationClock',
+    'FilterWheel',
+    'Photometer',
+    'ExposureCalculator',
+    'Spectrometer',
+    'Planner',
+    'ObservingSequence',
+    'GoTo',
+    'RemoteMount',
+    'TelescopeAPI',
+    'SessionState',
+    'Simulation'
+];
+
+// Minimal fetch that serves relative paths from the repository on disk
+function createFileFetch(baseDir) {
+    return async (url) => {
+        const filePath = path.resolve(baseDir, String(url));
+        let text;
+        try {
+            text = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            return {
+                ok: false,
+                status: 404,
+                statusText: 'Not Found',
+                json: async () => { throw error; },
+                text: async () => ''
+            };
+        }
+        return {
+            ok: true,
+            status: 200,
+            statusText: 'OK',
+            json: async () => JSON.parse(text),
+            text: async () => text
+        };
+    };
+}
+
+// Console that keeps warnings and errors but drops the engine's progress logging
+const quietConsole = {
+    log: () => {},
+    info: () => {},
+    debug: () => {},
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+// Create an isolated engine instance.
+// options: { console, quiet, fetch, baseDir }
+function createEngine(options = {}) {
+    const context = vm.createContext({
+        console: options.console || (options.quiet ? quietConsole : console),
+        fetch: options.fetch || createFileFetch(options.baseDir || ROOT_DIR),
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        TextEncoder,
+        TextDecoder,
+        URLSearchParams
+    });
+
+    ENGINE_SCRIPTS.forEach(file => {
+        const filename = path.join(ROOT_DIR, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    return vm.runInContext(`({ ${EXPORTED_NAMES.join(', ')} })`, context);
+}
+
+module.exports = {
+    createEngine,
+    ...createEngine()
+};
@@ -0,0 +1,153 @@
+// Mount kinematics - how the telescope gets from one position to another, DOM-free
+//
+// A mount works in its own axis coordinates, in degrees:
+//   'equatorial'  fork or yoke: [hour angle, declination]
+//   'gem'         German equatorial: the same axes, but the tube sits on one side of the pier.
+//                 Observing west of the meridian the tube is on the east side of the pier; the
+//                 declination axis then reads past the pole, so crossing sides (a meridian flip)
+//                 swings both axes a long way.
+//   'altaz'       [azimuth, altitude]
+// Both axes move at once, each limited to maxRate (deg/s) and accelerating or braking at
+// most `acceleration` (deg/s²), so a slew ramps up, cruises, ramps down and ends when the
+// slower axis arrives. Telescope converts between the sky and these coordinates.
+
+class Mount {
+    constructor(config = {}, latitude = CONSTANTS.DEFAULT_TELESCOPE_LAT) {
+        const defaults = CONSTANTS.DEFAULT_MOUNT;
+        this.type = config.type || defaults.type;
+        this.maxRate = config.maxRate || defaults.maxRate;
+        this.acceleration = config.acceleration || defaults.acceleration;
+        // Hours past the meridian a GEM may track before it has to flip
+        this.meridianLimit = config.meridianLimit !== undefined ? config.meridianLimit : defaults.meridianLimit;
+
+        if (!Mount.TYPES.includes(this.type)) {
+            throw new Error(`Unknown mount type: ${this.type}`);
+        }
+
+        // The declination axis of a flipped GEM passes over the visible pole
+        this.pole = latitude >= 0 ? 180 : -180;
+
+        this.tracking = true;
+        this.pierSide = 'west';        // GEM only: tube west of the pier, observing east
+        this.velocity = [0, 0];        // deg/s per axis
+    }
+
+    static get TYPES() {
+        return ['equatorial', 'gem', 'altaz'];
+    }
+
+    static get LABELS() {
+        return { equatorial: 'Equatorial fork', gem: 'German equatorial', altaz: 'Alt-azimuth' };
+    }
+
+    isEquatorial() {
+        return this.type !== 'altaz';
+    }
+
+    // Pier side a GEM needs for a target at this hour angle (hours). It stays on its current
+    // side while the target is within meridianLimit of the meridian, so it only flips when it must.
+    choosePierSide(hourAngle) {
+        if (this.type !== 'gem') return this.pierSide;
+        if (this.pierSide === 'west' && hourAngle <= this.meridianLimit) return 'west';
+        if (this.pierSide === 'east' && hourAngle >= -this.meridianLimit) return 'east';
+        return hourAngle >= 0 ? 'east' : 'west';
+    }
+
+    // True once a tracking GEM has followed its target too far past the meridian
+    needsMeridianFlip(hourAngle) {
+        return this.type === 'gem' && this.tracking && this.pierSide === 'west' && hourAngle > this.meridianLimit;
+    }
+
+    // Sky position in the mount frame ({ ha, dec } or { az, alt }, degrees) to axis angles
+    toAxes(position, pierSide = this.pierSide) {
+        if (this.type === 'altaz') {
+            return [position.az, position.alt];
+        }
+        if (this.type === 'gem' && pierSide === 'east') {
+            return [position.ha - 180, this.pole - position.dec];
+        }
+        return [position.ha, position.dec];
+    }
+
+    // Axis angles back to the sky position they point at
+    fromAxes(axes) {
+        if (this.type === 'altaz') {
+            return { az: Utils.normalizeAngle(axes[0]), alt: axes[1] };
+        }
+        if (this.type === 'gem' && Math.abs(axes[1]) > 90) {
+            return { ha: Mount.wrap(axes[0] + 180), dec: this.pole - axes[1] };
+        }
+        return { ha: Mount.wrap(axes[0]), dec: axes[1] };
+    }
+
+    // Signed distance from one axis angle to another. Only the azimuth axis turns freely;
+    // the others never wrap through the underside of the mount.
+    axisDistance(index, from, to) {
+        return index === 0 && this.type === 'altaz' ? Mount.wrap(to - from) : to - from;
+    }
+
+    // Advance both axes toward their targets by dt seconds. Each axis goes no faster than
+    // it can still brake to a stop at the target. Returns { axes, arrived }.
+    step(axes, target, dt) {
+        const a = this.acceleration;
+        const next = [];
+        let arrived = true;
+
+        for (let i = 0; i < 2; i++) {
+            const distance = this.axisDistance(i, axes[i], target[i]);
+            const v = this.velocity[i];
+            const desired = Math.sign(distance) * Math.min(this.maxRate, Math.sqrt(2 * a * Math.abs(distance)));
+            const newV = v + Math.max(-a * dt, Math.min(a * dt, desired - v));
+            const moved = (v + newV) / 2 * dt;
+
+            // Close enough to stop within this step, or the step would overshoot
+            if (Math.sign(distance) * moved >= Math.abs(distance) || Math.abs(distance) < Mount.TOLERANCE) {
+                next.push(axes[i] + distance);
+                this.velocity[i] = 0;
+            } else {
+                next.push(axes[i] + moved);
+                this.velocity[i] = newV;
+                arrived = false;
+            }
+        }
+
+        return { axes: next, arrived };
+    }
+
+    // Ramp a single speed (manual slewing) toward a target speed over dt seconds
+    accelerate(speed, targetSpeed, dt) {
+        const dv = this.acceleration * dt;
+        return speed + Math.max(-dv, Math.min(dv, targetSpeed - speed));
+    }
+
+    // Time in seconds for an axis move of `distance` degrees from rest to rest
+    axisTime(distance) {
+        const d = Math.abs(distance);
+        const rampDistance = this.maxRate * this.maxRate / this.acceleration;
+        return d < rampDistance ?
+            2 * Math.sqrt(d / this.acceleration) :
+            d / this.maxRate + this.maxRate / this.acceleration;
+    }
+
+    // Estimated duration of a slew between two axis positions: the slower axis decides
+    slewTime(from, to) {
+        return Math.max(
+            this.axisTime(this.axisDistance(0, from[0], to[0])),
+            this.axisTime(this.axisDistance(1, from[1], to[1]))
+        );
+    }
+
+    stop() {
+        this.velocity = [0, 0];
+    }
+
+    // Angle wrapped into [-180, 180)
+    static wrap(angle) {
+        return Utils.normalizeAngle(angle + 180) - 180;
+    }
+
+    // Axis positions closer than this (degrees, ~0.4") count as arrived
+    static get TOLERANCE() {
+        return 1e-4;
+    }
+}
@@ -0,0 +1,140 @@
+// Observation log - structured photometry rows and saved spectra, with CSV/JSON/FITS export
+
+class ObservationLog {
+    constructor() {
+        this.entries = [];   // one row per object per photometer exposure
+        this.spectra = [];   // completed spectrometer integrations
+    }
+
+    // Photometry columns in export order, with FITS column types and units
+    static get COLUMNS() {
+        return [
+            { name: 'number', type: 'K' },
+            { name: 'timestamp', type: 'A', unit: 'UTC' },
+            { name: 'telescope', type: 'A' },
+            { name: 'field', type: 'A' },
+            { name: 'object', type: 'A' },
+            { name: 'ra', type: 'D', unit: 'hour' },
+            { name: 'dec', type: 'D', unit: 'deg' },
+            { name: 'altitude', type: 'D', unit: 'deg' },
+            { name: 'azimuth', type: 'D', unit: 'deg' },
+            { name: 'airmass', type: 'D' },
+            { name: 'sky', type: 'D', unit: 'mag/arcsec2' },
+            { name: 'filter', type: 'A' },
+            { name: 'aperture', type: 'D', unit: 'arcsec' },
+            { name: 'exposure', type: 'D', unit: 's' },
+            { name: 'counts', type: 'K', unit: 'count' },
+            { name: 'skyCounts', type: 'D', unit: 'count' },
+            { name: 'net', type: 'D', unit: 'count' },
+            { name: 'instMag', type: 'D', unit: 'mag' },
+            { name: 'instMagErr', type: 'D', unit: 'mag' },
+            { name: 'seed', type: 'A' }
+        ];
+    }
+
+    // Record a Photometer.performPhotometry() result; returns the new rows. skyCounts is the
+    // background taken off the counts, net what is left; the sky-only SKY row has neither.
+    addPhotometry(observation) {
+        const photometry = observation.photometry || {};
+        const rows = Object.entries(observation.results).map(([object, counts]) => ({
+            number: observation.number,
+            timestamp: observation.timestamp,
+            telescope: observation.telescope,
+            field: observation.field,
+            object,
+            ra: observation.ra,
+            dec: observation.dec,
+            altitude: observation.altitude,
+            azimuth: observation.azimuth,
+            airmass: observation.airmass,
+            sky: observation.skyBrightness,
+            filter: observation.filter,
+            aperture: observation.aperture,
+            exposure: observation.integrationTime,
+            counts,
+            skyCounts: photometry[object] ? photometry[object].sky : null,
+            net: photometry[object] ? photometry[object].net : null,
+            instMag: photometry[object] ? photometry[object].instrumentalMag : null,
+            instMagErr: photometry[object] ? photometry[object].error : null,
+            seed: String(observation.seed)
+        }));
+
+        this.entries.push(...rows);
+        return rows;
+    }
+
+    // Record a Spectrometer.finish() snapshot
+    addSpectrum(spectrum) {
+        this.spectra.push(spectrum);
+        return spectrum;
+    }
+
+    clear() {
+        this.entries = [];
+        this.spectra = [];
+    }
+
+    toCSV() {
+        const names = ObservationLog.COLUMNS.map(col => col.name);
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [names.join(',')];
+        this.entries.forEach(entry => {
+            lines.push(names.map(name => escape(entry[name])).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    toJSON() {
+        return {
+            observations: this.entries,
+            spectra: this.spectra.map(spectrum => ({
+                ...spectrum,
+                wavelengths: Array.from(spectrum.wavelengths),
+                counts: Array.from(spectrum.counts)
+            }))
+        };
+    }
+
+    toJSONString() {
+        return JSON.stringify(this.toJSON(), null, 2);
+    }
+
+    // Photometry log as a FITS binary table (extension OBSLOG)
+    toFITS() {
+        return FITS.createBinaryTable(ObservationLog.COLUMNS, this.entries, 'OBSLOG', [
+            ['ORIGIN', 'Telescope Control Panel', 'file creator'],
+            ['DATE', new Date().toISOString().slice(0, 19), 'file creation date (UTC)']
+        ]);
+    }
+
+    // One spectrum as a 1-D FITS image with a linear WCS wavelength axis
+    static spectrumToFITS(spectrum) {
+        const wavelengths = spectrum.wavelengths;
+        const step = wavelengths.length > 1 ? wavelengths[1] - wavelengths[0] : 1;
+
+        return FITS.createImage1D(spectrum.counts, [
+            ['EXTEND', true, 'extensions may follow'],
+            ['BUNIT', 'count', 'accumulated photon counts'],
+            ['CTYPE1', 'WAVE', 'air wavelength'],
+            ['CUNIT1', 'Angstrom', 'wavelength unit'],
+            ['CRPIX1', 1, 'reference pixel'],
+            ['CRVAL1', wavelengths[0], 'wavelength at reference pixel'],
+            ['CDELT1', step, 'wavelength increment per pixel'],
+            ['OBJECT', spectrum.object, 'target name'],
+            ['TELESCOP', spectrum.telescope || '', 'telescope'],
+            ['FIELD', spectrum.field || '', 'field catalog'],
+            ['DATE-OBS', spectrum.timestamp.slice(0, 23), 'start of integration (UTC)'],
+            ['EXPTIME', spectrum.exposure, '[s] integration time'],
+            ['RA', Utils.hoursToDegrees(spectrum.ra), '[deg] pointing right ascension'],
+            ['DEC', spectrum.dec, '[deg] pointing declination'],
+            ['AIRMASS', spectrum.airmass, 'airmass at start'],
+            ['REDSHIFT', spectrum.redshift, 'catalog redshift'],
+            ['SEED', String(spectrum.seed), 'random seed of the session'],
+            ['ORIGIN', 'Telescope Control Panel', 'file creator']
+        ]);
+    }
+}
@@ -0,0 +1,660 @@
+// Photometer instrument model - settings and photon-count simulation, no DOM
+//
+// Filter modes:
+//   'single'        one exposure in currentFilter
+//   'sequential'    a filter wheel: each exposure of exposeCycle() goes through activeFilters,
+//                   turning the wheel between them (the moves take simulated time)
+//   'simultaneous'  a multi-channel photometer: one shutter opening measures every active filter
+// Each observation carries standard magnitudes with 1σ errors for the objects it measured, and
+// getColors() turns observations in several filters into color indices (B−V, U−B, g−r, ...).
+// Filters are the passbands in PASSBANDS (js/passbands.js).
+//
+// Counts are photons from the source and the sky, with scintillation, plus the telescope's CCD
+// (CONSTANTS.DEFAULT_DETECTOR or its `detector` entry): dark current and read noise over the
+// pixels the aperture covers. getNoiseBudget() gives the expected signal and each noise term,
+// which ExposureCalculator turns into signal-to-noise and exposure times.
+//
+// With the sky annulus on (CONSTANTS.SKY_ANNULUS), every exposure also counts a ring around
+// the aperture; scaled by area, that is the background taken off each object's counts for its
+// net counts and instrumental magnitude. Off, the model's mean sky and dark are taken off.
+//
+// Stars are not points: seeing spreads their light (js/psf.js), so an aperture catches only
+// the fraction of it that falls inside - less for a small aperture, an off-center star or a
+// poor night - and the wings of neighbours just outside spill in. Objects centered in the
+// aperture are the ones measured. Standard magnitudes are not corrected for the light lost
+// outside the aperture, so a tight aperture reads fainter. With the atmosphere off there is
+// no seeing and every star is a point.
+
+class Photometer {
+    // options: { rng, log, clock } - random source, ObservationLog to record exposures in,
+    // and the SimulationClock that exposures take their time from
+    constructor(telescope, options = {}) {
+        this.telescope = telescope;
+        this.rng = options.rng || new SeededRandom(undefined, 'photometer');
+        this.log = options.log || null;
+        this.clock = options.clock || null;
+
+        // Photometer settings
+        this.currentFilter = 'V';
+        this.apertureIndex = 2; // Start with 20"
+        this.integrationIndex = 2; // Start with 1.0s
+        this.customIntegration = null; // seconds, when not one of the preset times
+        this.atmosphereEnabled = true;
+        this.annulusEnabled = true;
+        this.filterMode = 'single';
+        this.activeFilters = ['B', 'V'];   // measured in the multi-filter modes
+        this.wheel = new FilterWheel();
+        this.wheel.moveTo(this.currentFilter);
+
+        this.observationCount = 0;
+        this.exposureStart = null;     // pointing when the current exposure opened
+        this.exposureTime = 0;         // and its integration time in seconds
+        this.exposureFilters = [];     // filters it measures
+        this.exposureSky = null;       // sky brightness (mag/arcsec²) per filter when it opened
+    }
+
+    static get FILTER_MODES() {
+        return ['single', 'sequential', 'simultaneous'];
+    }
+
+    // Color indices reported from multi-filter observations, as [bluer, redder] filter pairs
+    static get COLOR_INDICES() {
+        return [['B', 'V'], ['U', 'B'], ['V', 'R'], ['R', 'I'], ['u', 'g'], ['g', 'r'], ['r', 'i'], ['i', 'z']];
+    }
+
+    getAperture() {
+        return CONSTANTS.APERTURE_SIZES[this.apertureIndex];
+    }
+
+    getIntegrationTime() {
+        return this.customIntegration !== null ? this.customIntegration : CONSTANTS.INTEGRATION_TIMES[this.integrationIndex];
+    }
+
+    // Put a filter in the beam; returns the seconds the filter wheel takes to get there
+    setFilter(filter) {
+        Passbands.require(filter);
+        this.currentFilter = filter;
+        return this.wheel.moveTo(filter);
+    }
+
+    setFilterMode(mode) {
+        if (!Photometer.FILTER_MODES.includes(mode)) {
+            throw new Error(`Unknown filter mode: ${mode}`);
+        }
+        this.filterMode = mode;
+    }
+
+    // Filters measured in the multi-filter modes
+    setActiveFilters(filters) {
+        if (!Array.isArray(filters) || filters.length === 0) {
+            throw new Error('Choose at least one filter');
+        }
+        filters.forEach(filter => Passbands.require(filter));
+        this.activeFilters = filters.filter((filter, i) => filters.indexOf(filter) === i);
+    }
+
+    // Filters one exposure measures, in the order the wheel takes them
+    getCycleFilters() {
+        return this.filterMode === 'single' ? [this.currentFilter] : this.wheel.order(this.activeFilters);
+    }
+
+    // Aperture in arcseconds; must be one of CONSTANTS.APERTURE_SIZES
+    setAperture(apertureArcsec) {
+        const index = CONSTANTS.APERTURE_SIZES.indexOf(apertureArcsec);
+        if (index === -1) {
+            throw new Error(`Unsupported aperture: ${apertureArcsec}"`);
+        }
+        this.apertureIndex = index;
+    }
+
+    // Integration time in seconds: any positive time (scripts and sequences), though the
+    // integration button only steps through CONSTANTS.INTEGRATION_TIMES
+    setIntegrationTime(seconds) {
+        if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds <= 0) {
+            throw new Error(`Unsupported integration time: ${seconds}s`);
+        }
+        const index = CONSTANTS.INTEGRATION_TIMES.indexOf(seconds);
+        if (index === -1) {
+            this.customIntegration = seconds;
+            return;
+        }
+        this.integrationIndex = index;
+        this.customIntegration = null;
+    }
+
+    cycleAperture() {
+        this.apertureIndex = (this.apertureIndex + 1) % CONSTANTS.APERTURE_SIZES.length;
+        return this.getAperture();
+    }
+
+    cycleIntegrationTime() {
+        this.customIntegration = null;
+        this.integrationIndex = (this.integrationIndex + 1) % CONSTANTS.INTEGRATION_TIMES.length;
+        return this.getIntegrationTime();
+    }
+
+    toggleAtmosphere() {
+        this.atmosphereEnabled = !this.atmosphereEnabled;
+        return this.atmosphereEnabled;
+    }
+
+    // Background from a sky annulus (true) or from the model's mean sky (false)
+    setSkyAnnulus(enabled) {
+        this.annulusEnabled = Boolean(enabled);
+        return this.annulusEnabled;
+    }
+
+    toggleSkyAnnulus() {
+        return this.setSkyAnnulus(!this.annulusEnabled);
+    }
+
+    // Inner and outer radius (arcsec) of the sky annulus around an aperture
+    getAnnulus(apertureArcsec = this.getAperture()) {
+        return {
+            inner: apertureArcsec * CONSTANTS.SKY_ANNULUS.inner,
+            outer: apertureArcsec * CONSTANTS.SKY_ANNULUS.outer
+        };
+    }
+
+    // Aperture area over annulus area: scales annulus counts to the aperture
+    getAnnulusRatio() {
+        const { inner, outer } = CONSTANTS.SKY_ANNULUS;
+        return 1 / (outer * outer - inner * inner);
+    }
+
+    // Sky surface brightness (mag/arcsec²) in a filter (the current one by default) at the
+    // pointing center: moonlight and twilight included, the dark zenith value when no
+    // telescope is selected
+    getSkyBrightness(filter = this.currentFilter) {
+        const conditions = this.telescope.getSkyConditions();
+        if (!conditions) {
+            return Passbands.require(filter).sky;
+        }
+        return SkyBrightness.compute(filter, conditions).magnitude;
+    }
+
+    // Catalog objects inside the aperture at the current pointing
+    findObjectsInAperture() {
+        return this.findObjectsNear(this.getAperture());
+    }
+
+    // Catalog objects inside the sky annulus at the current pointing
+    findObjectsInAnnulus(apertureArcsec = this.getAperture()) {
+        const { inner, outer } = this.getAnnulus(apertureArcsec);
+        const { catalog, centerRA, centerDec } = this.telescope;
+        const inside = catalog.findObjectsInAperture(centerRA, centerDec, inner);
+        return catalog.findObjectsInAperture(centerRA, centerDec, outer).filter(obj => !inside.includes(obj));
+    }
+
+    // Seeing FWHM (arcsec) in a filter at an airmass; 0 with the atmosphere off
+    getSeeingFWHM(telescope, airmass = 1.0, filter = this.currentFilter) {
+        if (!this.atmosphereEnabled) return 0;
+        return PSF.getFWHM(PSF.getSeeing(telescope), airmass, Passbands.getCenter(filter));
+    }
+
+    // Distance (arcsec) of a catalog object from the pointing center
+    getOffset(obj) {
+        return Utils.angularSeparation(this.telescope.centerRA, this.telescope.centerDec, obj.ra, obj.dec) * 3600;
+    }
+
+    // Catalog objects within a radius (arcsec) of the pointing center
+    findObjectsNear(radiusArcsec) {
+        return this.telescope.catalog.findObjectsInAperture(this.telescope.centerRA, this.telescope.centerDec, radiusArcsec);
+    }
+
+    // Catalog objects whose light reaches the aperture, or the sky annulus when it is on, in seeing
+    // of the given FWHM
+    findObjectsInReach(apertureArcsec, fwhm) {
+        const radius = this.annulusEnabled ? this.getAnnulus(apertureArcsec).outer : apertureArcsec;
+        return this.findObjectsNear(radius + PSF.getReach(fwhm));
+    }
+
+    // How much of each object's light the aperture takes in at the current pointing, in a filter
+    // (the current one by default): { fwhm, objects: [{ object, offset, fraction }] } for the
+    // objects centered in the aperture
+    getApertureLight(filter = this.currentFilter) {
+        const aperture = this.getAperture();
+        const telescope = this.telescope.currentTelescope;
+        const pointing = this.telescope.getCurrentPointing();
+        const airmass = this.atmosphereEnabled && telescope && pointing.altaz.altitude > 0 ? pointing.airmass : 1.0;
+        const fwhm = this.getSeeingFWHM(telescope, airmass, filter);
+        const seeing = PSF.getSeeing(telescope);
+
+        return {
+            fwhm,
+            objects: this.findObjectsInAperture().map(obj => {
+                const offset = this.getOffset(obj);
+                return { object: obj, offset, fraction: PSF.inCircle(aperture, offset, fwhm, seeing) };
+            })
+        };
+    }
+
+    // Take one exposure with the current settings: the clock runs on by the integration time.
+    // It measures the filter in the beam (every active one in simultaneous mode); a filter
+    // wheel cycle is exposeCycle().
+    performPhotometry() {
+        this.passTime(this.startExposure());
+        return this.finishExposure();
+    }
+
+    // Exposures in the current filter mode, resolving to { observations, colors }. In sequential
+    // mode every one is a cycle through the active filters, turning the wheel before each;
+    // otherwise it is one shutter opening. options: { count (default 1), wait, onProgress }.
+    // wait(seconds, onFraction) lets simulated time pass and may return a promise (the default
+    // steps the clock at once); onProgress gets the fraction of the exposures done.
+    async exposeCycle(options = {}) {
+        const count = options.count !== undefined ? options.count : 1;
+        const wait = options.wait || (seconds => this.passTime(seconds));
+        const onProgress = options.onProgress || (() => {});
+
+        const bands = this.filterMode === 'sequential' ? this.getCycleFilters() : [null];
+        const total = count * bands.length;
+        const observations = [];
+        for (let n = 0; n < count; n++) {
+            for (let b = 0; b < bands.length; b++) {
+                const done = n * bands.length + b;
+                if (bands[b]) {
+                    const move = this.setFilter(bands[b]);
+                    if (move > 0) {
+                        await wait(move, () => {});
+                    }
+                }
+                const seconds = this.startExposure();
+                await wait(seconds, f => onProgress((done + f) / total));
+                observations.push(...this.finishExposures());
+            }
+        }
+
+        const filters = new Set(observations.map(observation => observation.filter));
+        return { observations, colors: filters.size > 1 ? Photometer.getColors(observations) : [] };
+    }
+
+    // Run the simulation clock on by some seconds (or the telescope, without a clock)
+    passTime(seconds) {
+        if (this.clock) {
+            this.clock.step(seconds);
+        } else {
+            this.telescope.advanceTime(seconds * 1000);
+        }
+    }
+
+    // Open the shutter; returns the integration time in seconds. The UI then lets the
+    // simulation clock run that long before calling finishExposure(). In simultaneous mode
+    // the exposure measures every active filter, otherwise the one in the beam.
+    startExposure() {
+        const violation = this.telescope.checkCurrentLimits();
+        if (violation) {
+            this.telescope.limitStatus = `Integration refused: ${violation}`;
+            throw new Error(`Cannot integrate: ${violation}`);
+        }
+
+        this.exposureStart = this.telescope.getCurrentPointing();
+        this.exposureTime = this.getIntegrationTime();
+        this.exposureFilters = this.filterMode === 'simultaneous' ? this.getCycleFilters() : [this.currentFilter];
+        this.exposureSky = {};
+        this.exposureFilters.forEach(filter => {
+            this.exposureSky[filter] = this.getSkyBrightness(filter);
+        });
+        return this.exposureTime;
+    }
+
+    // Seconds of simulated time since the shutter opened
+    getExposureElapsed() {
+        if (!this.exposureStart) return 0;
+        return (this.telescope.currentDateTime - this.exposureStart.datetime) / 1000;
+    }
+
+    cancelExposure() {
+        this.exposureStart = null;
+    }
+
+    // Close the shutter and count photons from whatever is in the aperture now; the
+    // observation is stamped with the time and pointing at which the exposure opened.
+    // With several filters (simultaneous mode) this is the first; see finishExposures().
+    finishExposure() {
+        return this.finishExposures()[0];
+    }
+
+    // Close the shutter: one observation per filter the exposure measured, each logged
+    finishExposures() {
+        if (!this.exposureStart) {
+            throw new Error('No exposure in progress');
+        }
+
+        const pointing = this.exposureStart;
+        this.exposureStart = null;
+
+        // Tracking may have carried the target out of limits during the exposure
+        const violation = this.telescope.checkCurrentLimits();
+        if (violation) {
+            this.telescope.limitStatus = `Integration aborted: ${violation}`;
+            throw new Error(`Integration aborted: ${violation}`);
+        }
+
+        const aperture = this.getAperture();
+        const integrationTime = this.exposureTime;
+
+        // Calculate airmass if atmosphere is enabled
+        let airmass = 1.0;
+        if (this.atmosphereEnabled && pointing.telescope) {
+            airmass = pointing.airmass;
+        }
+
+        return this.exposureFilters.map(filter => {
+            const sky = this.exposureSky[filter];
+
+            // Objects close enough for their light to reach the aperture or the annulus
+            const fwhm = this.getSeeingFWHM(pointing.telescope, airmass, filter);
+            const nearby = this.findObjectsInReach(aperture, fwhm);
+
+            // Perform photometry simulation
+            const results = this.simulatePhotometry(
+                nearby,
+                aperture,
+                integrationTime,
+                airmass,
+                pointing.telescope,
+                sky,
+                filter
+            );
+
+            const annulus = this.annulusEnabled ? this.measureSkyAnnulus(
+                nearby, aperture, integrationTime, airmass, pointing.telescope, sky, filter
+            ) : null;
+            const photometry = this.getPhotometry(
+                results, annulus, aperture, integrationTime, airmass, pointing.telescope, sky, filter
+            );
+
+            this.observationCount++;
+
+            const observation = {
+                number: this.observationCount,
+                timestamp: pointing.datetime.toISOString(),
+                telescope: pointing.telescope ? pointing.telescope.name : '',
+                field: this.telescope.currentField ? this.telescope.currentField.name : '',
+                ra: pointing.ra,
+                dec: pointing.dec,
+                altitude: pointing.altaz.altitude,
+                azimuth: pointing.altaz.azimuth,
+                filter,
+                aperture,
+                integrationTime,
+                airmass,
+                seeing: fwhm,
+                skyBrightness: this.atmosphereEnabled ? sky : null,
+                seed: this.rng.seed,
+                results,
+                annulus,
+                photometry,
+                magnitudes: this.getMagnitudes(photometry, airmass, pointing.telescope, filter)
+            };
+
+            if (this.log) {
+                this.log.addPhotometry(observation);
+            }
+
+            return observation;
+        });
+    }
+
+    // Counts per object centered in the aperture, or SKY when there is none. objects are the
+    // catalog objects whose light may reach the aperture: each measured object gets the part of
+    // its own light inside the aperture, and the light spilling in from objects centered outside
+    // it. skyMagnitude is the observed sky (mag/arcsec²), already through the atmosphere; by
+    // default the dark sky in the filter
+    simulatePhotometry(objects, apertureArcsec, integrationTime, airmass, telescope,
+                       skyMagnitude, filter = this.currentFilter) {
+        const results = {};
+        const sky = skyMagnitude !== undefined ? skyMagnitude : Passbands.require(filter).sky;
+        const skyPhotons = this.getSkyPhotons(apertureArcsec, integrationTime, telescope, sky, filter);
+        const detector = this.getDetector(telescope);
+        const pixels = this.getAperturePixels(apertureArcsec, telescope);
+        const fwhm = this.getSeeingFWHM(telescope, airmass, filter);
+        const seeing = PSF.getSeeing(telescope);
+        const { centerRA, centerDec } = this.telescope;
+
+        // Photons each object puts in the aperture
+        const targets = [];
+        let spillPhotons = 0;
+        objects.forEach(obj => {
+            const fraction = PSF.inCircle(apertureArcsec, this.getOffset(obj), fwhm, seeing);
+            const photons = this.getSourcePhotons(obj.getMagnitude(filter), filter, airmass, telescope, integrationTime) * fraction;
+            if (obj.isWithinRadius(centerRA, centerDec, apertureArcsec)) {
+                targets.push({ obj, photons });
+            } else {
+                spillPhotons += photons;
+            }
+        });
+
+        // Dark current and one readout over the aperture's pixels
+        const detectorCounts = () => Utils.poissonRandom(detector.darkCurrent * pixels * integrationTime, this.rng) +
+            Utils.normalRandom(this.rng) * detector.readNoise * Math.sqrt(pixels);
+
+        // Sky background
+        if (this.atmosphereEnabled) {
+            const skyCounts = Utils.poissonRandom(skyPhotons, this.rng);
+
+            if (targets.length === 0) {
+                results['SKY'] = Math.max(0, Math.round(skyCounts + Utils.poissonRandom(spillPhotons, this.rng) + detectorCounts()));
+            }
+        }
+
+        // Object photometry
+        targets.forEach(({ obj, photons }) => {
+            const objCounts = Utils.poissonRandom(photons, this.rng);
+
+            // Add sky background and neighbours' light per object
+            let totalCounts = objCounts + Utils.poissonRandom(spillPhotons, this.rng);
+            if (this.atmosphereEnabled) {
+                const skyCounts = Utils.poissonRandom(skyPhotons, this.rng);
+                totalCounts += skyCounts;
+            }
+
+            // Add scintillation noise if atmosphere enabled
+            if (this.atmosphereEnabled && telescope) {
+                const sigma = this.getScintillation(telescope, airmass, integrationTime);
+                const scintNoise = Utils.normalRandom(this.rng) * sigma * objCounts;
+                totalCounts += scintNoise;
+            }
+
+            totalCounts += detectorCounts();
+
+            results[obj.name] = Math.max(0, Math.round(totalCounts));
+        });
+
+        return results;
+    }
+
+    // Counts in the ring around the aperture, and those counts scaled to the aperture's area:
+    // { inner, outer, counts, scaled, objects }. Sky, dark current and read noise cover the
+    // ring's pixels; the light of nearby catalog objects that falls on it adds in, as a star in a
+    // real annulus does. objects lists the names of those centered in the ring.
+    measureSkyAnnulus(objects, apertureArcsec, integrationTime, airmass, telescope, skyMagnitude, filter) {
+        const { inner, outer } = this.getAnnulus(apertureArcsec);
+        const ratio = this.getAnnulusRatio();
+        const detector = this.getDetector(telescope);
+        const pixels = this.getAperturePixels(apertureArcsec, telescope) / ratio;
+        const fwhm = this.getSeeingFWHM(telescope, airmass, filter);
+        const seeing = PSF.getSeeing(telescope);
+        const { centerRA, centerDec } = this.telescope;
+
+        let counts = 0;
+        if (this.atmosphereEnabled) {
+            const skyPhotons = this.getSkyPhotons(apertureArcsec, integrationTime, telescope, skyMagnitude, filter) / ratio;
+            counts += Utils.poissonRandom(skyPhotons, this.rng);
+        }
+        const photons = objects.reduce((sum, obj) => sum +
+            this.getSourcePhotons(obj.getMagnitude(filter), filter, airmass, telescope, integrationTime) *
+            PSF.inAnnulus(inner, outer, this.getOffset(obj), fwhm, seeing), 0);
+        counts += Utils.poissonRandom(photons, this.rng);
+        counts += Utils.poissonRandom(detector.darkCurrent * pixels * integrationTime, this.rng) +
+            Utils.normalRandom(this.rng) * detector.readNoise * Math.sqrt(pixels);
+        counts = Math.max(0, Math.round(counts));
+
+        const inRing = objects.filter(obj =>
+            obj.isWithinRadius(centerRA, centerDec, outer) && !obj.isWithinRadius(centerRA, centerDec, inner));
+        return { inner, outer, counts, scaled: counts * ratio, objects: inRing.map(obj => obj.name) };
+    }
+
+    // Sky-subtracted photometry of each object: { counts, sky, net, instrumentalMag, error }.
+    // sky is the background taken off - the annulus counts scaled to the aperture, or without
+    // an annulus the model's mean sky and dark current. The instrumental magnitude is
+    // −2.5 log10(net counts per second); it and its 1σ error are null when nothing is left. The
+    // error combines the Poisson noise of the counts, read noise, the annulus's own noise and
+    // scintillation.
+    getPhotometry(results, annulus, apertureArcsec, integrationTime, airmass, telescope, skyMagnitude, filter) {
+        const photometry = {};
+        const detector = this.getDetector(telescope);
+        const pixels = this.getAperturePixels(apertureArcsec, telescope);
+        const readVariance = detector.readNoise ** 2 * pixels;
+        const scintillation = this.atmosphereEnabled && telescope ?
+            this.getScintillation(telescope, airmass, integrationTime) : 0;
+
+        let sky;
+        let skyVariance = 0;
+        if (annulus) {
+            const ratio = this.getAnnulusRatio();
+            sky = annulus.scaled;
+            skyVariance = ratio * ratio * annulus.counts + ratio * readVariance;
+        } else {
+            sky = detector.darkCurrent * pixels * integrationTime + (this.atmosphereEnabled ?
+                this.getSkyPhotons(apertureArcsec, integrationTime, telescope, skyMagnitude, filter) : 0);
+        }
+
+        Object.entries(results).forEach(([name, counts]) => {
+            if (name === 'SKY') return;
+            const net = counts - sky;
+            const noise = Math.sqrt(counts + readVariance + skyVariance + (scintillation * net) ** 2);
+            photometry[name] = {
+                counts,
+                sky,
+                net,
+                instrumentalMag: net > 0 ? -2.5 * Math.log10(net / integrationTime) : null,
+                error: net > 0 ? 2.5 / Math.LN10 * noise / net : null
+            };
+        });
+        return photometry;
+    }
+
+    // Standard magnitude and 1σ error from each object's instrumental magnitude, or null when
+    // nothing was left: zero point, collecting area and (with the atmosphere on) extinction
+    // are taken out
+    getMagnitudes(photometry, airmass, telescope, filter) {
+        const magnitudes = {};
+        const offset = 2.5 * Math.log10(Passbands.getZeroPoint(filter) * this.getCollectingArea(telescope));
+        const extinction = this.atmosphereEnabled ? Passbands.require(filter).extinction * airmass : 0;
+
+        Object.entries(photometry).forEach(([name, measured]) => {
+            magnitudes[name] = measured.instrumentalMag === null ? null : {
+                mag: measured.instrumentalMag + offset - extinction,
+                error: measured.error
+            };
+        });
+        return magnitudes;
+    }
+
+    // m²
+    getCollectingArea(telescope) {
+        const telescopeDiameter = telescope ? telescope.diameter : CONSTANTS.DEFAULT_TELESCOPE_DIAM;
+        return Math.PI * (telescopeDiameter / 2) ** 2;
+    }
+
+    // Mean photons collected from a source of a magnitude, after extinction with the atmosphere on
+    getSourcePhotons(magnitude, filter, airmass, telescope, integrationTime) {
+        const flux = Utils.magToFlux(magnitude, filter);
+        const fluxExtinct = this.atmosphereEnabled ? Utils.applyExtinction(flux, filter, airmass) : flux;
+        return fluxExtinct * this.getCollectingArea(telescope) * integrationTime;
+    }
+
+    // Mean sky photons in the aperture
+    getSkyPhotons(apertureArcsec, integrationTime, telescope, skyMagnitude, filter) {
+        const apertureArea = Math.PI * (apertureArcsec / 3600 * Math.PI / 180) ** 2; // steradians (approximation)
+        const skyFlux = Utils.magToFlux(skyMagnitude, filter);
+        return skyFlux * this.getCollectingArea(telescope) * integrationTime * apertureArea * 1e10; // scaling factor
+    }
+
+    // Scintillation noise as a fraction of the object's counts (Young 1967: aperture in cm,
+    // site altitude in m)
+    getScintillation(telescope, airmass, integrationTime) {
+        return 0.09 * Math.pow(telescope.diameter * 100, -2/3) * Math.pow(airmass, 7/4) *
+               Math.exp(-telescope.altitude / 8000) * Math.pow(2 * integrationTime, -0.5);
+    }
+
+    // CCD of the telescope's photometer: { readNoise, darkCurrent, pixelScale }
+    getDetector(telescope) {
+        return { ...CONSTANTS.DEFAULT_DETECTOR, ...(telescope && telescope.detector) };
+    }
+
+    // Pixels inside an aperture of the given radius
+    getAperturePixels(apertureArcsec, telescope) {
+        return Math.PI * (apertureArcsec / this.getDetector(telescope).pixelScale) ** 2;
+    }
+
+    // Expected counts for a source in an exposure of `seconds`, from the same model
+    // simulatePhotometry() draws from: { signal, variances: { source, sky, dark, readNoise,
+    // scintillation }, fwhm, fraction }, variances in counts². conditions: { telescope, filter,
+    // magnitude, aperture (arcsec), airmass, skyMagnitude (mag/arcsec², default the dark sky),
+    // offset (arcsec of the source from the aperture center, default 0) }. The signal is the
+    // fraction of the source's light the aperture catches in seeing of the given FWHM.
+    // Taking off an annulus measurement adds that measurement's noise: the sky, dark and read
+    // noise terms grow by the aperture-to-annulus area ratio.
+    getNoiseBudget(conditions, seconds) {
+        const { telescope, filter, magnitude, aperture } = conditions;
+        const airmass = conditions.airmass !== undefined ? conditions.airmass : 1.0;
+        const skyMagnitude = conditions.skyMagnitude !== undefined ?
+            conditions.skyMagnitude : Passbands.require(filter).sky;
+        const fwhm = this.getSeeingFWHM(telescope, airmass, filter);
+        const fraction = PSF.inCircle(aperture, conditions.offset || 0, fwhm, PSF.getSeeing(telescope));
+        const signal = this.getSourcePhotons(magnitude, filter, airmass, telescope, seconds) * fraction;
+        const scintillation = this.atmosphereEnabled && telescope ?
+            this.getScintillation(telescope, airmass, seconds) * signal : 0;
+        const detector = this.getDetector(telescope);
+        const pixels = this.getAperturePixels(aperture, telescope);
+        const background = this.annulusEnabled ? 1 + this.getAnnulusRatio() : 1;
+
+        return {
+            signal,
+            fwhm,
+            fraction,
+            variances: {
+                source: signal,
+                sky: this.atmosphereEnabled ?
+                    this.getSkyPhotons(aperture, seconds, telescope, skyMagnitude, filter) * background : 0,
+                dark: detector.darkCurrent * pixels * seconds * background,
+                readNoise: detector.readNoise ** 2 * pixels * background,
+                scintillation: scintillation ** 2
+            }
+        };
+    }
+
+    // Color indices from observations in several filters, per object:
+    // [{ object, index: 'B-V', value, error }]. Repeated measurements in one filter are
+    // averaged weighted by 1/σ²; the two filters' errors add in quadrature.
+    static getColors(observations) {
+        const sums = {};   // object -> filter -> { weighted, weight }
+        observations.forEach(observation => {
+            Object.entries(observation.magnitudes || {}).forEach(([object, measured]) => {
+                if (!measured) return;
+                const weight = 1 / (measured.error * measured.error);
+                const bands = sums[object] || (sums[object] = {});
+                const sum = bands[observation.filter] || (bands[observation.filter] = { weighted: 0, weight: 0 });
+                sum.weighted += measured.mag * weight;
+                sum.weight += weight;
+            });
+        });
+
+        const colors = [];
+        Object.entries(sums).forEach(([object, bands]) => {
+            Photometer.COLOR_INDICES.forEach(([blue, red]) => {
+                if (!bands[blue] || !bands[red]) return;
+                colors.push({
+                    object,
+                    index: `${blue}-${red}`,
+                    value: bands[blue].weighted / bands[blue].weight - bands[red].weighted / bands[red].weight,
+                    error: Math.sqrt(1 / bands[blue].weight + 1 / bands[red].weight)
+                });
+            });
+        });
+        return colors;
+    }
+}
@@ -0,0 +1,179 @@
+// Observation planner - visibility of catalog objects over a night, DOM-free
+//
+// A night runs from local noon on the chosen site date to local noon the next day. Objects are
+// sampled every stepMinutes on the same time grid as the Sun and Moon; their apparent place is
+// taken once for the night, which is far inside a sample's worth of motion. Targets are ranked
+// by how long they spend below an airmass limit while the Sun is below `darkness` degrees.
+
+class Planner {
+    // options: { stepMinutes }
+    constructor(telescope, options = {}) {
+        this.telescope = telescope;
+        this.stepMinutes = options.stepMinutes || 10;
+    }
+
+    // Sun altitude that counts as dark enough to observe: the end of nautical twilight
+    static get DEFAULT_DARKNESS() {
+        return -12;
+    }
+
+    static get DEFAULT_MAX_AIRMASS() {
+        return 2.0;
+    }
+
+    // Site-local date ("YYYY-MM-DD") of the night in progress at `date`: before local noon
+    // it is still last night
+    nightOf(date = this.telescope.currentDateTime) {
+        const timeZone = this.telescope.getTimeZone();
+        const parts = Utils.zonedParts(date, timeZone);
+        const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day - (parts.hour < 12 ? 1 : 0)));
+        return day.toISOString().slice(0, 10);
+    }
+
+    // The night starting on a site-local date, sampled: { date, start, end, sunset, sunrise,
+    // darkStart, darkEnd, darkness, moonFraction, samples: [{ time, lst, sunAltitude, moon }] }.
+    // Sunset/sunrise and the dark limits are null when the Sun does not cross them that night.
+    getNight(dateText = this.nightOf(), darkness = Planner.DEFAULT_DARKNESS) {
+        const telescope = this.requireTelescope();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(dateText).trim())) {
+            throw new Error(`Invalid date (expected YYYY-MM-DD): ${dateText}`);
+        }
+
+        const timeZone = this.telescope.getTimeZone();
+        const date = String(dateText).trim();
+        const next = new Date(Date.parse(`${date}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+        const start = Utils.zonedTimeToDate(`${date} 12:00`, timeZone);
+        const end = Utils.zonedTimeToDate(`${next} 12:00`, timeZone);
+
+        const samples = [];
+        const stepMs = this.stepMinutes * 60000;
+        for (let t = start.getTime(); t <= end.getTime(); t += stepMs) {
+            const time = new Date(t);
+            const lst = Astrometry.apparentSiderealTime(time, telescope.longitude);
+            const sun = Ephemeris.sunPosition(time);
+            const geocentric = Ephemeris.moonPosition(time);
+            const moon = Ephemeris.topocentric(geocentric, geocentric.distance, lst, telescope.latitude, telescope.altitude);
+            samples.push({
+                time,
+                lst,
+                sunAltitude: Utils.calculateAltAz(sun.ra, sun.dec, lst, telescope.latitude).altitude,
+                moon: {
+                    ra: moon.ra,
+                    dec: moon.dec,
+                    altitude: Utils.calculateAltAz(moon.ra, moon.dec, lst, telescope.latitude).altitude
+                }
+            });
+        }
+
+        // Crossings of the sampled solar altitude, interpolated between samples
+        const crossing = (threshold, rising) => {
+            for (let i = 1; i < samples.length; i++) {
+                const a0 = samples[i - 1].sunAltitude - threshold;
+                const a1 = samples[i].sunAltitude - threshold;
+                if ((rising ? a0 < 0 && a1 >= 0 : a0 >= 0 && a1 < 0)) {
+                    const f = a0 / (a0 - a1);
+                    const t0 = samples[i - 1].time.getTime();
+                    return new Date(Math.round(t0 + f * stepMs));
+                }
+            }
+            return null;
+        };
+
+        const middle = new Date((start.getTime() + end.getTime()) / 2);
+        return {
+            date,
+            timeZone,
+            start,
+            end,
+            sunset: crossing(Ephemeris.RISE_SET_ALTITUDE, false),
+            sunrise: crossing(Ephemeris.RISE_SET_ALTITUDE, true),
+            darkStart: crossing(darkness, false),
+            darkEnd: crossing(darkness, true),
+            darkness,
+            moonFraction: Ephemeris.moonPhase(middle).fraction,
+            samples
+        };
+    }
+
+    // Altitude, airmass and moon distance of one object through a night from getNight(), with its
+    // rise, transit and set (apparent horizon) and the hours it spends dark and below maxAirmass
+    getVisibility(object, night, maxAirmass = Planner.DEFAULT_MAX_AIRMASS) {
+        const telescope = this.requireTelescope();
+        const middle = new Date((night.start.getTime() + night.end.getTime()) / 2);
+        const apparent = Astrometry.apparentPlace(object.ra, object.dec, middle);
+        const atmosphere = this.telescope.getAtmosphere();
+        const hours = this.stepMinutes / 60;
+
+        const samples = night.samples.map(sample => {
+            const altaz = Utils.calculateAltAz(apparent.ra, apparent.dec, sample.lst, telescope.latitude, atmosphere);
+            const up = altaz.altitude > 0;
+            return {
+                time: sample.time,
+                altitude: altaz.altitude,
+                azimuth: altaz.azimuth,
+                airmass: up ? Utils.calculateAirmass(altaz.altitude) : null,
+                moonDistance: Utils.angularDistance(apparent.ra, apparent.dec, sample.moon.ra, sample.moon.dec),
+                dark: sample.sunAltitude < night.darkness
+            };
+        });
+
+        const usable = samples.filter(s => s.dark && s.airmass !== null && s.airmass <= maxAirmass);
+
+        // Rise and set against the apparent horizon, found between samples by bisection
+        const altitudeAt = (time) => {
+            const lst = Astrometry.apparentSiderealTime(time, telescope.longitude);
+            return Utils.calculateAltAz(apparent.ra, apparent.dec, lst, telescope.latitude, atmosphere).altitude;
+        };
+        const span = (night.end - night.start) / 3600000;
+        const crossings = Ephemeris.findCrossings(altitudeAt, night.start, span, 0, this.stepMinutes);
+        const rise = crossings.find(c => c.rising);
+        const set = crossings.find(c => !c.rising);
+
+        // Transit: the first time in the night the hour angle comes round to zero
+        const lst = night.samples[0].lst;
+        const transit = new Date(night.start.getTime() +
+            Utils.normalizeHours(apparent.ra - lst) / CONSTANTS.SIDEREAL_RATE * 3600000);
+
+        // Moon distance in the middle of the usable window, or at transit if there is none
+        const reference = usable.length > 0 ? usable[Math.floor(usable.length / 2)] :
+            samples.reduce((best, s) => (Math.abs(s.time - transit) < Math.abs(best.time - transit) ? s : best));
+
+        return {
+            object,
+            samples,
+            rise: rise ? rise.time : null,
+            set: set ? set.time : null,
+            transit,
+            transitAltitude: altitudeAt(transit),
+            moonDistance: reference.moonDistance,
+            hoursUsable: usable.length * hours,
+            bestAirmass: usable.length > 0 ? Math.min(...usable.map(s => s.airmass)) : null
+        };
+    }
+
+    // Rank objects (default: the loaded catalog) for the night of `date`:
+    // options { date, maxAirmass, darkness, objects }. Returns { night, maxAirmass, targets }
+    // with targets sorted by usable hours, then by how high they transit.
+    plan(options = {}) {
+        const maxAirmass = options.maxAirmass || Planner.DEFAULT_MAX_AIRMASS;
+        if (!(maxAirmass >= 1)) {
+            throw new Error(`Airmass limit must be at least 1 (got ${options.maxAirmass})`);
+        }
+
+        const night = this.getNight(options.date || this.nightOf(),
+            options.darkness !== undefined ? options.darkness : Planner.DEFAULT_DARKNESS);
+        const objects = options.objects || this.telescope.catalog.objects;
+        const targets = objects
+            .map(object => this.getVisibility(object, night, maxAirmass))
+            .sort((a, b) => b.hoursUsable - a.hoursUsable || b.transitAltitude - a.transitAltitude);
+
+        return { night, maxAirmass, targets };
+    }
+
+    requireTelescope() {
+        if (!this.telescope.currentTelescope) {
+            throw new Error('Select a telescope before planning');
+        }
+        return this.telescope.currentTelescope;
+    }
+}
@@ -0,0 +1,128 @@
+// Remote mount control - what planetarium programs ask of a telescope, DOM-free
+//
+// The network bridge (scripts/telescope-bridge.js) turns LX200 and Alpaca requests into the
+// few commands below. The same object runs them in the browser page, against the simulation
+// the student is looking at, and in Node for a headless mount, so both behave the same.
+// Coordinates are J2000, the catalog frame: RA in hours, Dec in degrees.
+//
+//   slew     { ra, dec }         go-to; refused with the reason when outside the limits
+//   sync     { ra, dec }         the telescope is pointing here
+//   abort                        stop every motion
+//   move     { direction }       start a manual slew: north, south, east or west
+//   stop                         end a manual slew
+//   tracking { enabled }
+//   rate     { index }           manual slew speed, an index into CONSTANTS.SLEW_SPEEDS
+
+class RemoteMount {
+    constructor(telescope) {
+        this.telescope = telescope;
+    }
+
+    static get COMMANDS() {
+        return ['slew', 'sync', 'abort', 'move', 'stop', 'tracking', 'rate'];
+    }
+
+    // Everything a client polls for, as plain JSON-friendly values
+    getStatus() {
+        const telescope = this.telescope;
+        const site = telescope.currentTelescope;
+        const time = telescope.currentDateTime;
+        const pointing = telescope.getCurrentPointing();
+        const mount = telescope.getMountStatus();
+        const target = telescope.autoSlewActive && telescope.autoSlewTarget;
+
+        return {
+            telescope: site ? site.name : null,
+            ra: telescope.centerRA,
+            dec: telescope.centerDec,
+            altitude: pointing.altaz.altitude,
+            azimuth: pointing.altaz.azimuth,
+            siderealTime: site ? pointing.lst : null,
+            slewing: telescope.slewActive,
+            tracking: mount.tracking,
+            mountType: mount.type,
+            pierSide: mount.pierSide,
+            target: target ? { ra: target.ra, dec: target.dec } : null,
+            limitStatus: telescope.limitStatus,
+            latitude: site ? site.latitude : null,
+            longitude: site ? site.longitude : null,
+            elevation: site ? site.altitude : null,
+            utc: time.toISOString(),
+            timeZone: telescope.getTimeZone(),
+            utcOffset: Utils.timeZoneOffset(time, telescope.getTimeZone()) / 60
+        };
+    }
+
+    // Run one command; returns the status after it, throws an Error saying why it was refused
+    execute(command, args = {}) {
+        const telescope = this.telescope;
+
+        switch (command) {
+            case 'slew': {
+                const { ra, dec } = RemoteMount.requireCoordinates(args);
+                this.requireTelescope();
+                if (!telescope.slewTo(ra, dec)) {
+                    throw new Error(telescope.limitStatus);
+                }
+                break;
+            }
+            case 'sync': {
+                const { ra, dec } = RemoteMount.requireCoordinates(args);
+                this.requireTelescope();
+                telescope.syncTo(ra, dec);
+                break;
+            }
+            case 'abort':
+                telescope.abortSlewing();
+                break;
+            case 'move':
+                this.requireTelescope();
+                if (telescope.autoSlewActive) {
+                    throw new Error('The mount is slewing to a target; abort first');
+                }
+                if (telescope.slewActive) {
+                    telescope.stopSlewing();
+                }
+                telescope.startSlewing(args.direction);
+                break;
+            case 'stop':
+                if (!telescope.autoSlewActive) {
+                    telescope.stopSlewing();
+                }
+                break;
+            case 'tracking':
+                telescope.setTracking(Boolean(args.enabled));
+                break;
+            case 'rate': {
+                const index = Number(args.index);
+                if (!Number.isInteger(index) || index < 0 || index >= CONSTANTS.SLEW_SPEEDS.length) {
+                    throw new Error(`Slew rate must be 0 to ${CONSTANTS.SLEW_SPEEDS.length - 1} (got ${args.index})`);
+                }
+                telescope.slewSpeedIndex = index;
+                break;
+            }
+            default:
+                throw new Error(`Unknown mount command: ${command}`);
+        }
+
+        return this.getStatus();
+    }
+
+    requireTelescope() {
+        if (!this.telescope.currentTelescope) {
+            throw new Error('Select a telescope first');
+        }
+    }
+
+    static requireCoordinates(args) {
+        const ra = Number(args.ra);
+        const dec = Number(args.dec);
+        if (!Number.isFinite(ra) || ra < 0 || ra >= 24) {
+            throw new Error(`RA must be 0 to 24 hours (got ${args.ra})`);
+        }
+        if (!Number.isFinite(dec) || dec < -90 || dec > 90) {
+            throw new Error(`Dec must be -90 to +90 degrees (got ${args.dec})`);
+        }
+        return { ra, dec };
+    }
+}
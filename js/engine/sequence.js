@@ -0,0 +1,473 @@
+// Observing sequences - a queue of slews and exposures run against a Simulation, DOM-free
+//
+// A sequence is a list of steps, written as JSON ([{ "action": "expose", "count": 5, "seconds": 10 }, ...]
+// or { "steps": [...] }) or as text, one step per line ('#' starts a comment):
+//
+//   telescope CTIO 4-m Blanco telescope
+//   field PLEIADES.json                  built-in field name or file name
+//   slew Alcyone                         catalog object, or RA (hours) and Dec (degrees): slew 3.79 24.1
+//   tracking on
+//   filter B                             one filter; turning the filter wheel takes time
+//   filters U B V                        expose through each in turn (filter wheel), or all at
+//                                        once with: filters simultaneous U B V
+//   aperture 10                          arcseconds, one of CONSTANTS.APERTURE_SIZES
+//   expose 5 x 10                        five exposures of 10 s (any positive time),
+//                                        or five filter cycles with several filters
+//   spectrum 60                          spectrum of the object in the slit, 60 s
+//   wait 10m                             seconds, or with s/m/h
+//   wait until 2026-11-02 23:30          site-local time
+//
+// Everything takes simulated time. A clock that has been started (the browser) is waited on, so a
+// sequence runs at the clock's rate and stands still while the clock is paused; a clock that was
+// never started (headless scripts) is stepped, and the sequence runs as fast as it can compute.
+//
+// Events (subscribe with on(); it returns an unsubscribe function):
+//   'step'   { index, step }      a step started or changed status
+//   'state'  { state, current }   'idle' | 'running' | 'paused' | 'done' | 'aborted' | 'failed'
+
+class ObservingSequence {
+    constructor(simulation, script) {
+        this.simulation = simulation;
+        this.steps = (typeof script === 'string' ? ObservingSequence.parse(script) : ObservingSequence.normalize(script))
+            .map(step => ({ ...step, status: 'pending', progress: 0, result: null, error: null }));
+        this.state = 'idle';
+        this.current = -1;
+        this.pauseRequested = false;
+        this.resumeWaiter = null;
+        this.abortWaiter = null;
+        this.listeners = {};
+    }
+
+    static get ACTIONS() {
+        return ['telescope', 'field', 'slew', 'tracking', 'filter', 'filters', 'aperture', 'expose', 'spectrum', 'wait'];
+    }
+
+    // Steps from a script: JSON when it starts with [ or {, the line format otherwise
+    static parse(text) {
+        const trimmed = String(text).trim();
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error(`Sequence is not valid JSON: ${error.message}`);
+            }
+            return ObservingSequence.normalize(data);
+        }
+
+        const steps = [];
+        trimmed.split(/\r?\n/).forEach((raw, i) => {
+            const line = raw.replace(/#.*$/, '').trim();
+            if (!line) return;
+            try {
+                steps.push(ObservingSequence.parseLine(line));
+            } catch (error) {
+                throw new Error(`Line ${i + 1}: ${error.message}`);
+            }
+        });
+        return ObservingSequence.normalize(steps);
+    }
+
+    // One text line to a step object
+    static parseLine(line) {
+        const [word, ...rest] = line.split(/\s+/);
+        const action = word.toLowerCase();
+        const args = rest.join(' ');
+
+        switch (action) {
+            case 'telescope':
+            case 'field':
+                return { action, name: args };
+            case 'slew': {
+                const coords = args.match(/^(-?[\d.]+)\s+([+-]?[\d.]+)$/);
+                return coords ? { action, ra: Number(coords[1]), dec: Number(coords[2]) } : { action, object: args };
+            }
+            case 'tracking':
+                return { action, enabled: /^(on|true|yes)$/i.test(args) ? true : /^(off|false|no)$/i.test(args) ? false : args };
+            case 'filter':
+                return { action, band: args };
+            case 'filters': {
+                const words = args.split(/[\s,]+/).filter(Boolean);
+                const mode = /^(sequential|simultaneous)$/i.test(words[0]) ? words.shift().toLowerCase() : 'sequential';
+                return { action, bands: words, mode };
+            }
+            case 'aperture':
+                return { action, arcsec: Number(args.replace(/["″]$/, '')) };
+            case 'expose': {
+                const match = args.match(/^(?:(\d+)\s*[x×]\s*)?([\d.]+)\s*s?$/i);
+                if (!match) {
+                    throw new Error(`expected "expose [N x] seconds", got "${line}"`);
+                }
+                return { action, count: match[1] ? Number(match[1]) : 1, seconds: Number(match[2]) };
+            }
+            case 'spectrum':
+                return { action, seconds: ObservingSequence.parseDuration(args) };
+            case 'wait': {
+                const until = args.match(/^until\s+(.+)$/i);
+                return until ? { action, until: until[1] } : { action, seconds: ObservingSequence.parseDuration(args) };
+            }
+            default:
+                throw new Error(`unknown step "${word}"`);
+        }
+    }
+
+    // "90", "90s", "10m", "1.5h" to seconds
+    static parseDuration(text) {
+        const match = String(text).trim().match(/^([\d.]+)\s*(s|sec|m|min|h|hr)?$/i);
+        if (!match) {
+            throw new Error(`invalid duration "${text}"`);
+        }
+        const scale = { s: 1, sec: 1, m: 60, min: 60, h: 3600, hr: 3600 }[(match[2] || 's').toLowerCase()];
+        return Number(match[1]) * scale;
+    }
+
+    // Check and complete step objects; throws on the first bad one
+    static normalize(data) {
+        const steps = Array.isArray(data) ? data : data && Array.isArray(data.steps) ? data.steps : null;
+        if (!steps) {
+            throw new Error('A sequence must be a list of steps');
+        }
+        if (steps.length === 0) {
+            throw new Error('The sequence has no steps');
+        }
+
+        return steps.map((step, i) => {
+            const fail = (message) => {
+                throw new Error(`Step ${i + 1} (${step.action}): ${message}`);
+            };
+            if (!step || !ObservingSequence.ACTIONS.includes(step.action)) {
+                throw new Error(`Step ${i + 1}: unknown action "${step && step.action}"`);
+            }
+
+            switch (step.action) {
+                case 'telescope':
+                case 'field':
+                    if (!step.name) fail('a name is required');
+                    return { action: step.action, name: String(step.name) };
+                case 'slew':
+                    if (step.object) return { action: 'slew', object: String(step.object) };
+                    if (!Number.isFinite(step.ra) || !Number.isFinite(step.dec)) fail('an object or ra/dec is required');
+                    return { action: 'slew', ra: step.ra, dec: step.dec };
+                case 'tracking':
+                    if (typeof step.enabled !== 'boolean') fail('expected on or off');
+                    return { action: 'tracking', enabled: step.enabled };
+                case 'filter':
+                    if (!Passbands.has(step.band)) fail(`unknown filter "${step.band}"`);
+                    return { action: 'filter', band: step.band };
+                case 'filters': {
+                    const mode = step.mode === undefined ? 'sequential' : step.mode;
+                    if (!Array.isArray(step.bands) || step.bands.length === 0) fail('at least one filter is required');
+                    step.bands.forEach(band => {
+                        if (!Passbands.has(band)) fail(`unknown filter "${band}"`);
+                    });
+                    if (!['sequential', 'simultaneous'].includes(mode)) fail('mode must be sequential or simultaneous');
+                    return { action: 'filters', bands: step.bands.slice(), mode };
+                }
+                case 'aperture':
+                    if (!CONSTANTS.APERTURE_SIZES.includes(step.arcsec)) {
+                        fail(`aperture must be one of ${CONSTANTS.APERTURE_SIZES.join(', ')}"`);
+                    }
+                    return { action: 'aperture', arcsec: step.arcsec };
+                case 'expose': {
+                    const count = step.count === undefined ? 1 : step.count;
+                    if (!Number.isInteger(count) || count < 1) fail('count must be a positive whole number');
+                    if (typeof step.seconds !== 'number' || !Number.isFinite(step.seconds) || step.seconds <= 0) {
+                        fail('a positive integration time is required');
+                    }
+                    return { action: 'expose', count, seconds: step.seconds };
+                }
+                case 'spectrum':
+                    if (!(step.seconds > 0)) fail('a positive duration is required');
+                    return { action: 'spectrum', seconds: step.seconds };
+                case 'wait':
+                    if (step.until) return { action: 'wait', until: String(step.until) };
+                    if (!(step.seconds > 0)) fail('a positive duration or an "until" time is required');
+                    return { action: 'wait', seconds: step.seconds };
+            }
+            return step;
+        });
+    }
+
+    // One-line description of a step for progress displays
+    static describe(step) {
+        switch (step.action) {
+            case 'telescope': return `Telescope: ${step.name}`;
+            case 'field': return `Field: ${step.name}`;
+            case 'slew': return step.object ? `Slew to ${step.object}` : `Slew to ${Utils.formatRA(step.ra)} ${Utils.formatDec(step.dec)}`;
+            case 'tracking': return `Tracking ${step.enabled ? 'on' : 'off'}`;
+            case 'filter': return `Filter ${step.band}`;
+            case 'filters': return `Filters ${step.bands.join(', ')} (${step.mode})`;
+            case 'aperture': return `Aperture ${step.arcsec}"`;
+            case 'expose': return `Expose ${step.count} × ${step.seconds} s`;
+            case 'spectrum': return `Spectrum ${step.seconds} s`;
+            case 'wait': return step.until ? `Wait until ${step.until}` : `Wait ${step.seconds} s`;
+            default: return step.action;
+        }
+    }
+
+    // Run every step in order; resolves with the steps once the sequence is done, aborted or
+    // has failed. A failing step stops the sequence and keeps its error.
+    async run() {
+        if (this.state !== 'idle') {
+            throw new Error('A sequence runs once; create a new one to run it again');
+        }
+        this.setState('running');
+
+        for (let i = 0; i < this.steps.length; i++) {
+            if (this.pauseRequested) {
+                this.setState('paused');
+                await new Promise(resolve => { this.resumeWaiter = resolve; });
+            }
+            if (this.state === 'aborted') break;
+
+            const step = this.steps[i];
+            this.current = i;
+            step.progress = 0;
+            this.setStepStatus(i, 'running');
+
+            try {
+                step.result = await this.execute(step);
+                step.progress = 1;
+                this.setStepStatus(i, 'done');
+            } catch (error) {
+                if (this.state === 'aborted') {
+                    this.setStepStatus(i, 'aborted');
+                    break;
+                }
+                step.error = error.message;
+                this.setStepStatus(i, 'failed');
+                break;
+            }
+        }
+
+        this.steps.forEach((step, i) => {
+            if (step.status === 'pending') this.setStepStatus(i, 'skipped');
+        });
+        if (this.state === 'running') {
+            this.setState(this.steps.some(s => s.status === 'failed') ? 'failed' : 'done');
+        }
+        return this.steps;
+    }
+
+    // Hold before the next step; the step in progress finishes
+    pause() {
+        if (this.state !== 'running') return;
+        this.pauseRequested = true;
+        this.emit('state', { state: 'pausing', current: this.current });
+    }
+
+    resume() {
+        this.pauseRequested = false;
+        if (this.state === 'paused') {
+            this.setState('running');
+            this.resumeWaiter();
+        }
+    }
+
+    // Stop now: the slew or exposure in progress is cut short and its data discarded
+    abort() {
+        if (!['running', 'paused'].includes(this.state)) return;
+        const wasPaused = this.state === 'paused';
+        this.setState('aborted');
+
+        const { telescope, photometer } = this.simulation;
+        telescope.abortSlewing();
+        photometer.cancelExposure();
+        if (this.abortWaiter) this.abortWaiter();
+        if (wasPaused) this.resumeWaiter();
+    }
+
+    async execute(step) {
+        const { telescope, photometer, spectrometer } = this.simulation;
+
+        switch (step.action) {
+            case 'telescope':
+                return { telescope: telescope.setTelescope(step.name).name };
+
+            case 'field': {
+                await telescope.loadField(step.name);
+                return { field: telescope.currentField.name, objects: telescope.catalog.objects.length };
+            }
+
+            case 'slew': {
+                const target = step.object ? this.findObject(step.object) : { ra: step.ra, dec: step.dec };
+                const started = telescope.currentDateTime.getTime();
+                if (!telescope.slewToObject(target)) {
+                    throw new Error(telescope.limitStatus);
+                }
+                await this.waitFor(() => !telescope.autoSlewActive, () => telescope.finishSlew());
+
+                // A limit reached on the way stops the slew short of the target
+                if (telescope.limitStatus) {
+                    throw new Error(telescope.limitStatus);
+                }
+                return {
+                    object: target.name || null,
+                    ra: telescope.centerRA,
+                    dec: telescope.centerDec,
+                    seconds: (telescope.lastSlewArrival.getTime() - started) / 1000
+                };
+            }
+
+            case 'tracking':
+                telescope.setTracking(step.enabled);
+                return { tracking: step.enabled };
+
+            case 'filter': {
+                photometer.setFilterMode('single');
+                const seconds = photometer.setFilter(step.band);
+                if (seconds > 0) {
+                    await this.passTime(seconds, f => this.setProgress(f));
+                }
+                return { filter: step.band, seconds };
+            }
+
+            case 'filters':
+                photometer.setActiveFilters(step.bands);
+                photometer.setFilterMode(step.mode);
+                return { filters: photometer.getCycleFilters(), mode: step.mode };
+
+            case 'aperture':
+                photometer.setAperture(step.arcsec);
+                return { aperture: step.arcsec };
+
+            case 'expose': {
+                photometer.setIntegrationTime(step.seconds);
+                return photometer.exposeCycle({
+                    count: step.count,
+                    wait: (seconds, onFraction) => this.passTime(seconds, onFraction),
+                    onProgress: f => this.setProgress(f)
+                });
+            }
+
+            case 'spectrum': {
+                spectrometer.currentObject = null;
+                const object = await spectrometer.start();
+                await this.passTime(step.seconds, f => this.setProgress(f));
+                spectrometer.accumulate(step.seconds);
+                const spectrum = spectrometer.finish();
+                return {
+                    object: object.name,
+                    exposure: spectrum.exposure,
+                    totalCounts: spectrum.counts.reduce((sum, c) => sum + c, 0)
+                };
+            }
+
+            case 'wait': {
+                const seconds = step.until ?
+                    (telescope.siteTimeToDate(step.until) - telescope.currentDateTime) / 1000 :
+                    step.seconds;
+                if (seconds > 0) {
+                    await this.passTime(seconds, f => this.setProgress(f));
+                }
+                return { until: telescope.currentDateTime.toISOString() };
+            }
+        }
+        throw new Error(`Unknown action: ${step.action}`);
+    }
+
+    // Catalog object by exact name, or the only one whose name contains the text
+    findObject(name) {
+        const catalog = this.simulation.telescope.catalog;
+        const exact = catalog.objects.find(obj => obj.name.toLowerCase() === name.toLowerCase());
+        if (exact) return exact;
+
+        const matches = catalog.searchByName(name);
+        if (matches.length === 1) return matches[0];
+        throw new Error(matches.length === 0 ?
+            `No object named "${name}" in the loaded field` :
+            `"${name}" matches ${matches.length} objects; use the full name`);
+    }
+
+    // Let simulated time pass: wait for a started clock, step one that was never started.
+    // onProgress gets the fraction done on every tick.
+    passTime(seconds, onProgress = () => {}) {
+        const clock = this.simulation.clock;
+        const start = clock.time.getTime();
+        const target = start + seconds * 1000;
+        return this.waitFor(() => {
+            const now = clock.time.getTime();
+            onProgress(Math.min(1, (now - start) / (target - start)));
+            return now >= target;
+        }, () => {
+            clock.step(seconds);
+            onProgress(1);
+        });
+    }
+
+    // Resolve once done() holds on a clock tick; with no running clock call advance() instead.
+    // Rejects if the sequence is aborted or the date is changed underneath it.
+    waitFor(done, advance) {
+        const clock = this.simulation.clock;
+        if (!clock.timer) {
+            advance();
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const finish = (error) => {
+                unsubscribeTick();
+                unsubscribeJump();
+                this.abortWaiter = null;
+                if (error) reject(error); else resolve();
+            };
+            const unsubscribeTick = clock.on('tick', () => {
+                if (done()) finish();
+            });
+            const unsubscribeJump = clock.on('jump', () => finish(new Error('The date was changed during the step')));
+            this.abortWaiter = () => finish(new Error('Sequence aborted'));
+            if (done()) finish();
+        });
+    }
+
+    setState(state) {
+        this.state = state;
+        this.emit('state', { state, current: this.current });
+    }
+
+    // Fraction (0-1) of the current step done, for progress bars
+    setProgress(fraction) {
+        const step = this.steps[this.current];
+        step.progress = fraction;
+        this.emit('step', { index: this.current, step });
+    }
+
+    setStepStatus(index, status) {
+        this.steps[index].status = status;
+        this.emit('step', { index, step: this.steps[index] });
+    }
+
+    // Per-step outcome for reports: [{ step, description, status, result, error }]
+    getResults() {
+        return this.steps.map((step, i) => ({
+            step: i + 1,
+            description: ObservingSequence.describe(step),
+            status: step.status,
+            result: step.result,
+            error: step.error
+        }));
+    }
+
+    on(event, handler) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        if (!this.listeners[event]) return;
+        this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+    }
+
+    emit(event, data) {
+        (this.listeners[event] || []).slice().forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`Sequence ${event} handler failed:`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,348 @@
+// Session state - the whole observing session as plain data, and as a short link
+//
+// capture() records telescope, field, time and clock, pointing, mount, instrument settings,
+// random-number positions and the observation log; restore() puts all of it back, so a saved
+// session continues with the same numbers it would have produced. restore() also takes part of
+// a state - whatever is missing is left as it is - which is what a link gives:
+//
+//   ?scope=vu20&field=PLEIADES&time=2026-11-03T02:00Z&at=Alcyone
+//
+// opens the 20" at the Pleiades on 2026-11-03 02:00 UT, pointed at Alcyone. Link keys:
+//   scope     telescope id or name (TELESCOPES)
+//   field     field name or data file, with or without .json
+//   time      UT instant, "YYYY-MM-DDTHH:MM" (a zone suffix is honoured)
+//   at        catalog object name, or "ra,dec" (J2000 hours, degrees)
+//   seed      random seed
+//   filter, aperture (arcsec), exposure (s)   photometer settings
+
+const SessionState = {
+    VERSION: 1,
+
+    // Centers closer than this (arcsec) to a catalog object are saved as pointing at it
+    TARGET_TOLERANCE: 5,
+
+    URL_KEYS: ['scope', 'field', 'time', 'at', 'seed', 'filter', 'aperture', 'exposure'],
+
+    capture: (simulation) => {
+        const { telescope, clock, photometer, spectrometer, log } = simulation;
+        const field = telescope.currentField;
+        const target = SessionState.objectAtCenter(telescope);
+
+        return {
+            version: SessionState.VERSION,
+            savedAt: new Date().toISOString(),
+            seed: simulation.seed,
+            telescope: telescope.currentTelescope ?
+                telescope.currentTelescope.id || telescope.currentTelescope.name : null,
+            field: field ? field.name : null,
+            userField: field && telescope.userFields.includes(field) ? field : null,
+            time: telescope.currentDateTime.toISOString(),
+            clock: { rate: clock.rate, running: clock.running },
+            pointing: {
+                ra: telescope.centerRA,
+                dec: telescope.centerDec,
+                target: target ? target.name : null
+            },
+            tracking: telescope.mount.tracking,
+            slewSpeed: telescope.slewSpeedIndex,
+            photometer: {
+                filter: photometer.currentFilter,
+                filterMode: photometer.filterMode,
+                filters: photometer.activeFilters.slice(),
+                aperture: photometer.getAperture(),
+                integrationTime: photometer.getIntegrationTime(),
+                atmosphere: photometer.atmosphereEnabled,
+                annulus: photometer.annulusEnabled,
+                observationCount: photometer.observationCount,
+                rngState: photometer.rng.state
+            },
+            spectrometer: { rngState: spectrometer.rng.state },
+            log: {
+                entries: log.entries.map(entry => ({ ...entry })),
+                spectra: log.spectra.map(spectrum => ({ ...spectrum, counts: Array.from(spectrum.counts) }))
+            }
+        };
+    },
+
+    // Apply a captured (or partial) state; throws on anything it cannot apply, before changing
+    // anything
+    restore: async (simulation, state) => {
+        const { field, target } = await SessionState.check(simulation, state);
+        const { telescope, clock, photometer, spectrometer, log } = simulation;
+
+        if (state.seed !== undefined && state.seed !== null) {
+            simulation.setSeed(state.seed);
+        }
+        if (state.telescope) {
+            telescope.setTelescope(state.telescope);
+        }
+        if (state.userField) {
+            telescope.addUserField(state.userField);
+        }
+        if (field) {
+            await telescope.loadField(field);
+        }
+        if (state.time) {
+            clock.setTime(state.time);
+        }
+
+        const pointing = state.pointing;
+        if (pointing) {
+            if (Number.isFinite(pointing.ra) && Number.isFinite(pointing.dec)) {
+                telescope.syncTo(pointing.ra, pointing.dec);
+            } else if (target) {
+                telescope.syncTo(target.ra, target.dec);
+            }
+        }
+        if (state.tracking !== undefined) {
+            telescope.setTracking(state.tracking);
+        }
+        if (state.slewSpeed !== undefined) {
+            telescope.slewSpeedIndex = state.slewSpeed;
+        }
+
+        if (state.clock) {
+            if (state.clock.rate !== undefined) {
+                clock.setRate(state.clock.rate);
+            }
+            if (state.clock.running === true) {
+                clock.resume();
+            } else if (state.clock.running === false) {
+                clock.pause();
+            }
+        }
+
+        const settings = state.photometer;
+        if (settings) {
+            if (settings.filter !== undefined) photometer.setFilter(settings.filter);
+            if (settings.filters !== undefined) photometer.setActiveFilters(settings.filters);
+            if (settings.filterMode !== undefined) photometer.setFilterMode(settings.filterMode);
+            if (settings.aperture !== undefined) photometer.setAperture(settings.aperture);
+            if (settings.integrationTime !== undefined) photometer.setIntegrationTime(settings.integrationTime);
+            if (settings.atmosphere !== undefined) photometer.atmosphereEnabled = Boolean(settings.atmosphere);
+            if (settings.annulus !== undefined) photometer.setSkyAnnulus(settings.annulus);
+            if (settings.observationCount !== undefined) photometer.observationCount = settings.observationCount;
+            if (settings.rngState !== undefined) photometer.rng.state = settings.rngState;
+        }
+        if (state.spectrometer && state.spectrometer.rngState !== undefined) {
+            spectrometer.rng.state = state.spectrometer.rngState;
+        }
+
+        if (state.log) {
+            log.entries = (state.log.entries || []).map(entry => ({ ...entry }));
+            log.spectra = (state.log.spectra || []).map(spectrum => ({
+                ...spectrum,
+                counts: Float64Array.from(spectrum.counts || [])
+            }));
+        }
+
+        // The slit is empty until the next integration picks a target
+        spectrometer.currentObject = null;
+        spectrometer.clear();
+
+        return simulation;
+    },
+
+    // Throw on the first part of a state restore() could not apply, without changing anything;
+    // resolves to the field and pointing target it names. The target is looked up in a scratch
+    // telescope holding the catalog (and seeded background stars) the restored session will have.
+    check: async (simulation, state) => {
+        if (!state || typeof state !== 'object') {
+            throw new Error('Not a saved session');
+        }
+        if (state.version > SessionState.VERSION) {
+            throw new Error(`Session format ${state.version} is newer than this emulator supports`);
+        }
+
+        const { telescope } = simulation;
+        if (state.telescope) {
+            const scope = typeof state.telescope === 'string' ?
+                TELESCOPES.find(t => t.name === state.telescope || t.id === state.telescope) : state.telescope;
+            if (!scope) {
+                throw new Error(`Unknown telescope: ${state.telescope}`);
+            }
+            if (scope.timeZone && !Utils.isValidTimeZone(scope.timeZone)) {
+                throw new Error(`Unknown time zone for ${scope.name}: ${scope.timeZone}`);
+            }
+        }
+        if (state.userField && (typeof state.userField !== 'object' || typeof state.userField.name !== 'string')) {
+            throw new Error('Uploaded field has no name');
+        }
+        if (state.time && Number.isNaN(new Date(state.time).getTime())) {
+            throw new Error(`Invalid date/time: ${state.time}`);
+        }
+
+        // Fields as they will be once the uploaded one is added
+        const scratch = new Telescope({
+            rng: state.seed !== undefined && state.seed !== null ? new SeededRandom(state.seed).fork('sky') : telescope.rng
+        });
+        scratch.userFields = state.userField ?
+            telescope.userFields.filter(f => f.name !== state.userField.name).concat(state.userField) :
+            telescope.userFields.slice();
+        const field = state.field ? SessionState.findField(scratch, state.field) : null;
+
+        const pointing = state.pointing;
+        const byPosition = pointing && Number.isFinite(pointing.ra) && Number.isFinite(pointing.dec);
+        if (byPosition && (pointing.ra < 0 || pointing.ra > 24 || pointing.dec < -90 || pointing.dec > 90)) {
+            throw new Error(`Pointing out of range: RA ${pointing.ra}h, Dec ${pointing.dec}°`);
+        }
+        if (state.slewSpeed !== undefined && !(Number.isInteger(state.slewSpeed) && CONSTANTS.SLEW_SPEEDS[state.slewSpeed])) {
+            throw new Error(`Unknown slew speed: ${state.slewSpeed}`);
+        }
+        if (state.clock && state.clock.rate !== undefined && !Number.isFinite(Number(state.clock.rate))) {
+            throw new Error(`Invalid clock rate: ${state.clock.rate}`);
+        }
+
+        const settings = state.photometer;
+        if (settings) {
+            if (settings.filter !== undefined && !Passbands.has(settings.filter)) {
+                throw new Error(`Unknown filter: ${settings.filter}`);
+            }
+            if (settings.filters !== undefined && !(Array.isArray(settings.filters) &&
+                settings.filters.length > 0 && settings.filters.every(band => Passbands.has(band)))) {
+                throw new Error(`Unknown filters: ${settings.filters}`);
+            }
+            if (settings.filterMode !== undefined && !Photometer.FILTER_MODES.includes(settings.filterMode)) {
+                throw new Error(`Unknown filter mode: ${settings.filterMode}`);
+            }
+            if (settings.aperture !== undefined && !CONSTANTS.APERTURE_SIZES.includes(settings.aperture)) {
+                throw new Error(`Unsupported aperture: ${settings.aperture}"`);
+            }
+            const time = settings.integrationTime;
+            if (time !== undefined && !(typeof time === 'number' && Number.isFinite(time) && time > 0)) {
+                throw new Error(`Unsupported integration time: ${time}s`);
+            }
+            const count = settings.observationCount;
+            if (count !== undefined && !(Number.isInteger(count) && count >= 0)) {
+                throw new Error(`Invalid observation count: ${count}`);
+            }
+        }
+
+        if (state.log) {
+            const { entries, spectra } = state.log;
+            if ((entries !== undefined && !Array.isArray(entries)) || (spectra !== undefined && !Array.isArray(spectra))) {
+                throw new Error('Malformed observation log');
+            }
+        }
+
+        // Last, as it may read a catalog file
+        let target = null;
+        if (pointing && !byPosition && pointing.target) {
+            const where = field || telescope.currentField;
+            if (where) {
+                await scratch.loadField(where);
+            }
+            target = SessionState.findObject(where ? scratch : telescope, String(pointing.target));
+        }
+
+        return { field, target };
+    },
+
+    // Link query string ("?scope=...") for the parts of a state a link carries
+    toURL: (state) => {
+        const params = [];
+        const add = (key, value) => {
+            if (value === undefined || value === null || value === '') return;
+            // ':' and ',' are legal in a query and keep times and coordinates readable
+            params.push(`${key}=${encodeURIComponent(value).replace(/%3A/gi, ':').replace(/%2C/gi, ',')}`);
+        };
+
+        add('scope', state.telescope);
+        if (state.field) {
+            add('field', state.userField ? state.field : SessionState.fieldKey(state.field));
+        }
+        if (state.time) {
+            // Whole seconds, and no seconds at all when they are zero
+            add('time', new Date(state.time).toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/:00Z$/, 'Z'));
+        }
+        const pointing = state.pointing;
+        if (pointing) {
+            add('at', pointing.target ||
+                (Number.isFinite(pointing.ra) ? `${pointing.ra.toFixed(5)},${pointing.dec.toFixed(4)}` : null));
+        }
+        add('seed', state.seed);
+        if (state.photometer) {
+            add('filter', state.photometer.filter);
+            add('aperture', state.photometer.aperture);
+            add('exposure', state.photometer.integrationTime);
+        }
+
+        return params.length > 0 ? `?${params.join('&')}` : '';
+    },
+
+    // Partial state from a link's query string, or null if it carries none
+    fromURL: (search) => {
+        const params = new URLSearchParams(search);
+        if (!SessionState.URL_KEYS.some(key => params.has(key))) return null;
+
+        const state = {};
+        if (params.get('scope')) state.telescope = params.get('scope');
+        if (params.get('field')) state.field = params.get('field');
+        if (params.get('time')) {
+            // Times without a zone are UT
+            let time = params.get('time').trim().replace(' ', 'T');
+            if (!/(Z|[+-]\d\d:?\d\d)$/i.test(time)) time += 'Z';
+            state.time = time;
+        }
+        const at = params.get('at');
+        if (at) {
+            const match = at.match(/^\s*([-+]?[\d.]+)\s*,\s*([-+]?[\d.]+)\s*$/);
+            state.pointing = match ? { ra: Number(match[1]), dec: Number(match[2]) } : { target: at.trim() };
+        }
+        const seed = SeededRandom.parseSeed(params.get('seed'));
+        if (seed !== undefined) state.seed = seed;
+
+        const settings = {};
+        if (params.get('filter')) settings.filter = params.get('filter');
+        if (params.get('aperture')) settings.aperture = Number(params.get('aperture'));
+        if (params.get('exposure')) settings.integrationTime = Number(params.get('exposure'));
+        if (Object.keys(settings).length > 0) state.photometer = settings;
+
+        return state;
+    },
+
+    // Field by name or data file, with or without .json, ignoring case
+    findField: (telescope, text) => {
+        const key = String(text).toLowerCase();
+        const field = telescope.getFields().find(f =>
+            f.name.toLowerCase() === key ||
+            (f.filename && (f.filename.toLowerCase() === key || SessionState.fieldKey(f.filename).toLowerCase() === key)));
+        if (!field) {
+            throw new Error(`Unknown field: ${text}`);
+        }
+        return field;
+    },
+
+    // Short form of a field for links: its data file without .json
+    fieldKey: (name) => {
+        const field = FIELDS.find(f => f.name === name || f.filename === name);
+        return (field ? field.filename : String(name)).replace(/\.json$/i, '');
+    },
+
+    // Catalog object by exact name, or the only one whose name contains the text
+    findObject: (telescope, name) => {
+        const catalog = telescope.catalog;
+        const exact = catalog.objects.find(obj => obj.name.toLowerCase() === name.toLowerCase());
+        if (exact) return exact;
+
+        const matches = catalog.searchByName(name);
+        if (matches.length === 1) return matches[0];
+        throw new Error(matches.length === 0 ?
+            `No object named "${name}" in the loaded field` :
+            `"${name}" matches ${matches.length} objects; use the full name`);
+    },
+
+    // The catalog object the telescope is centered on, if any
+    objectAtCenter: (telescope) => {
+        let best = null;
+        let bestDistance = SessionState.TARGET_TOLERANCE / 3600;
+        telescope.catalog.objects.forEach(obj => {
+            const distance = Utils.angularDistance(telescope.centerRA, telescope.centerDec, obj.ra, obj.dec);
+            if (distance <= bestDistance) {
+                best = obj;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+};
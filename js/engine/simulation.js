@@ -0,0 +1,55 @@
+// Simulation engine - one telescope and its instruments, usable with or without the UI
+
+class Simulation {
+    // options: { seed, dateTime, catalog }
+    constructor(options = {}) {
+        this.rng = new SeededRandom(options.seed);
+        this.log = new ObservationLog();
+        this.telescope = new Telescope({ ...options, rng: this.rng.fork('sky') });
+        this.clock = new SimulationClock(this.telescope);
+        this.photometer = new Photometer(this.telescope, {
+            rng: this.rng.fork('photometer'), log: this.log, clock: this.clock
+        });
+        this.spectrometer = new Spectrometer(this.telescope, {
+            rng: this.rng.fork('spectrometer'), log: this.log, clock: this.clock
+        });
+        this.planner = new Planner(this.telescope);
+    }
+
+    // Session seed; the same seed and the same actions reproduce every simulated number
+    get seed() {
+        return this.rng.seed;
+    }
+
+    // Reseed every noise source and regenerate the sky of the current field
+    setSeed(seed) {
+        this.rng = new SeededRandom(seed);
+        this.telescope.rng = this.rng.fork('sky');
+        this.photometer.rng = this.rng.fork('photometer');
+        this.spectrometer.rng = this.rng.fork('spectrometer');
+        this.telescope.generateBackgroundStars();
+        return this.rng.seed;
+    }
+
+    // Convenience setup for scripts: { telescope, field, dateTime, localTime, seed } by object
+    // or name. dateTime is an instant (Date or ISO string with zone); localTime is wall-clock
+    // time at the telescope's site, "YYYY-MM-DD HH:MM".
+    async configure(options = {}) {
+        if (options.seed !== undefined) {
+            this.setSeed(options.seed);
+        }
+        if (options.telescope) {
+            this.telescope.setTelescope(options.telescope);
+        }
+        if (options.dateTime) {
+            this.clock.setTime(options.dateTime);
+        }
+        if (options.localTime) {
+            this.clock.setTime(this.telescope.siteTimeToDate(options.localTime));
+        }
+        if (options.field) {
+            await this.telescope.loadField(options.field);
+        }
+        return this;
+    }
+}
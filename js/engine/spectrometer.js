@@ -0,0 +1,261 @@
+// Spectrometer instrument model - slit target, photon rates and accumulated counts, no DOM
+//
+// Seeing spreads the target's light (js/psf.js), and only what falls inside the slit
+// (SLIT_WIDTH_DEG across in RA, SLIT_HEIGHT_DEG along Dec) is counted: an object off the
+// slit center, or a poor night, gives a fainter spectrum.
+
+class Spectrometer {
+    // options: { rng, log, clock } - random source, ObservationLog to record spectra in,
+    // and the SimulationClock that integrations take their time from
+    constructor(telescope, options = {}) {
+        this.telescope = telescope;
+        this.rng = options.rng || new SeededRandom(undefined, 'spectrometer');
+        this.log = options.log || null;
+        this.clock = options.clock || null;
+
+        // Spectrometer state
+        this.currentObject = null;
+        this.elapsed = 0;
+        this.wavelengths = [];
+        this.counts = new Float64Array(0);
+        this.newCounts = new Float64Array(0); // scratch buffer for each integration step
+        this.rates = [];
+        this.slitFraction = 0;         // share of the target's light inside the slit
+        this.startPointing = null;
+        this.spectralLibraryLoaded = false;
+
+        this.generateWavelengthGrid();
+    }
+
+    async loadSpectralLibrary() {
+        console.log('Loading Jacoby Atlas for spectrometer...');
+        const library = await Utils.loadSpectralLibrary();
+        this.spectralLibraryLoaded = library !== null;
+
+        if (this.spectralLibraryLoaded) {
+            console.log('Spectral library loaded successfully');
+        } else {
+            console.warn('Could not load spectral library, using fallback');
+        }
+        return this.spectralLibraryLoaded;
+    }
+
+    generateWavelengthGrid() {
+        this.wavelengths = [];
+        for (let w = CONSTANTS.SPECTRUM_MIN_WAVE; w <= CONSTANTS.SPECTRUM_MAX_WAVE; w++) {
+            this.wavelengths.push(w);
+        }
+        this.counts = new Float64Array(this.wavelengths.length);
+        this.newCounts = new Float64Array(this.wavelengths.length);
+        console.log(`Generated wavelength grid: ${this.wavelengths.length} points from ${CONSTANTS.SPECTRUM_MIN_WAVE} to ${CONSTANTS.SPECTRUM_MAX_WAVE} Å`);
+    }
+
+    // Find the object nearest the slit center and make it the current target (or null)
+    findObjectInSlit() {
+        // Use more generous slit dimensions for detection
+        const slitWidthDeg = CONSTANTS.SLIT_WIDTH_DEG * 10; // Make slit 10x wider for detection
+        const slitHeightDeg = CONSTANTS.SLIT_HEIGHT_DEG * 5; // Make slit 5x taller for detection
+
+        const objectsInSlit = this.telescope.catalog.findObjectsInSlit(
+            this.telescope.centerRA,
+            this.telescope.centerDec,
+            slitWidthDeg,
+            slitHeightDeg
+        );
+
+        if (objectsInSlit.length === 0) {
+            this.currentObject = null;
+            return null;
+        }
+
+        // Find the nearest object to slit center
+        let nearest = objectsInSlit[0];
+        let minDist = Infinity;
+
+        objectsInSlit.forEach(obj => {
+            const dist = Utils.angularSeparation(
+                this.telescope.centerRA, this.telescope.centerDec,
+                obj.ra, obj.dec
+            );
+            if (dist < minDist) {
+                minDist = dist;
+                nearest = obj;
+            }
+        });
+
+        this.currentObject = nearest;
+        return nearest;
+    }
+
+    // Share of the target's light that seeing puts inside the slit at the current pointing, the
+    // FWHM taken at the middle of the spectrum and the pointing's airmass
+    getSlitFraction() {
+        if (!this.currentObject) return 0;
+
+        const { centerRA, centerDec, currentTelescope } = this.telescope;
+        const pointing = this.telescope.getCurrentPointing();
+        const airmass = pointing.altaz.altitude > 0 ? pointing.airmass : 1.0;
+        const seeing = PSF.getSeeing(currentTelescope);
+        const fwhm = PSF.getFWHM(seeing, airmass, (CONSTANTS.SPECTRUM_MIN_WAVE + CONSTANTS.SPECTRUM_MAX_WAVE) / 2);
+
+        // Slit center relative to the object, arcsec; ΔRA wrapped into ±12h across 0h
+        let dRA = Utils.normalizeHours(centerRA - this.currentObject.ra);
+        if (dRA > 12) dRA -= 24;
+        const dx = dRA * 15 * Math.cos(Utils.degreesToRadians(centerDec)) * 3600;
+        const dy = (centerDec - this.currentObject.dec) * 3600;
+        return PSF.inRectangle(CONSTANTS.SLIT_WIDTH_DEG * 3600, CONSTANTS.SLIT_HEIGHT_DEG * 3600, dx, dy, fwhm, seeing);
+    }
+
+    // Prepare a new integration on the object in the slit; throws if the slit is empty
+    async start() {
+        if (!this.currentObject) {
+            this.findObjectInSlit();
+        }
+
+        if (!this.currentObject) {
+            throw new Error('No object in slit. Please slew to an object first.');
+        }
+
+        const violation = this.telescope.checkCurrentLimits();
+        if (violation) {
+            this.telescope.limitStatus = `Integration refused: ${violation}`;
+            throw new Error(`Cannot integrate: ${violation}`);
+        }
+
+        this.counts.fill(0);
+        this.elapsed = 0;
+        this.startPointing = this.telescope.getCurrentPointing();
+        this.slitFraction = this.getSlitFraction();
+        await this.generateSpectrum();
+        return this.currentObject;
+    }
+
+    // End the integration: snapshot the spectrum and record it in the log
+    finish() {
+        if (!this.currentObject || !this.startPointing) return null;
+
+        const pointing = this.startPointing;
+        const spectrum = {
+            timestamp: pointing.datetime.toISOString(),
+            telescope: pointing.telescope ? pointing.telescope.name : '',
+            field: this.telescope.currentField ? this.telescope.currentField.name : '',
+            object: this.currentObject.name,
+            objType: this.currentObject.objType,
+            redshift: this.currentObject.redshift,
+            ra: pointing.ra,
+            dec: pointing.dec,
+            airmass: pointing.airmass,
+            exposure: this.elapsed,
+            slitFraction: this.slitFraction,
+            seed: this.rng.seed,
+            wavelengths: this.wavelengths.slice(),
+            counts: this.counts.slice()
+        };
+
+        if (this.log) {
+            this.log.addSpectrum(spectrum);
+        }
+
+        return spectrum;
+    }
+
+    // ENHANCED: Generate spectrum using Jacoby Atlas
+    async generateSpectrum() {
+        if (!this.currentObject) {
+            console.error('Cannot generate spectrum: no current object');
+            return;
+        }
+
+        console.log('Generating spectrum for:', this.currentObject.name);
+
+        const obj = this.currentObject;
+        const telescopeDiam = this.telescope.currentTelescope ?
+            this.telescope.currentTelescope.diameter : CONSTANTS.DEFAULT_TELESCOPE_DIAM;
+
+        let relativeFlux;
+
+        if (obj.objType === 1) {
+            // Galaxy spectrum with redshift
+            console.log('Generating galaxy spectrum with redshift:', obj.redshift);
+            relativeFlux = Utils.generateGalaxySpectrum(obj.redshift, this.wavelengths);
+        } else {
+            // Stellar spectrum - NOW USING JACOBY ATLAS
+            console.log('Generating stellar spectrum for spectral type:', obj.specType);
+            console.log('Spectral library loaded:', this.spectralLibraryLoaded);
+
+            relativeFlux = await Utils.generateStellarSpectrum(obj.specType, this.wavelengths);
+        }
+
+        // Calculate photon arrival rates
+        const telescopeArea = Math.PI * (telescopeDiam / 2) ** 2;
+
+        // Use galaxy magnitude scaling factor from original (0.45)
+        const effectiveMag = obj.objType === 1 ? obj.mag * 0.45 : obj.mag;
+
+        // Convert magnitude to flux (simplified)
+        const baseFlux = Math.pow(10, -0.4 * (effectiveMag + 21.10)); // erg/s/cm²/Å
+        const fluxSI = baseFlux * 1e-3; // J/s/m²/Å
+
+        this.rates = relativeFlux.map((flux, i) => {
+            const wavelengthM = this.wavelengths[i] * 1e-10;
+            const photonEnergy = (CONSTANTS.H_PLANCK * CONSTANTS.C_LIGHT) / wavelengthM;
+            const rate = flux * (fluxSI / photonEnergy) * telescopeArea;
+            return Math.max(0.01, rate); // Minimum rate to ensure some signal
+        });
+
+        console.log(`Generated spectrum rates: min=${Math.min(...this.rates).toFixed(3)}, max=${Math.max(...this.rates).toFixed(3)}`);
+
+        // Log spectral information
+        if (this.spectralLibraryLoaded && obj.objType === 0) {
+            console.log(`✨ Using high-quality Jacoby Atlas spectrum for ${obj.specType}`);
+        }
+    }
+
+    // Integrate for `seconds` of simulated time: the clock runs on, then the counts are added
+    integrate(seconds = 1) {
+        if (this.clock) {
+            this.clock.step(seconds);
+        } else {
+            this.telescope.advanceTime(seconds * 1000);
+        }
+        return this.accumulate(seconds);
+    }
+
+    // Add the photon counts for `seconds` of integration that have already passed on the
+    // clock (the UI calls this on every clock tick). A sum of Poisson draws is Poisson
+    // with the summed mean, so any duration is one draw per bin. The slit takes in the
+    // share of the light seeing puts inside it where the telescope points now.
+    accumulate(seconds) {
+        // The sky keeps turning: stop once tracking carries the target out of limits
+        const violation = this.telescope.checkCurrentLimits();
+        if (violation) {
+            this.telescope.limitStatus = `Integration aborted: ${violation}`;
+            throw new Error(`Integration aborted: ${violation}`);
+        }
+
+        this.slitFraction = this.getSlitFraction();
+        const means = this.rates.map(rate => rate * seconds * this.slitFraction);
+        Utils.poissonRandomArray(means, this.rng, this.newCounts);
+
+        for (let i = 0; i < this.counts.length; i++) {
+            this.counts[i] += this.newCounts[i];
+        }
+        this.elapsed += seconds;
+
+        return this.counts;
+    }
+
+    clear() {
+        this.counts.fill(0);
+        this.elapsed = 0;
+    }
+
+    getStatus() {
+        const totalCounts = this.counts.reduce((sum, count) => sum + count, 0);
+        const nonZeroCounts = this.counts.filter(count => count > 0);
+        const meanSNR = nonZeroCounts.length > 0 ?
+            nonZeroCounts.reduce((sum, count) => sum + Math.sqrt(count), 0) / nonZeroCounts.length : 0;
+
+        return { elapsed: this.elapsed, totalCounts, meanSNR, slitFraction: this.slitFraction, seed: this.rng.seed };
+    }
+}
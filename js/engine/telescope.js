@@ -0,0 +1,602 @@
+// Telescope state and pointing model - DOM-free, shared by the UI and headless scripts
+
+class Telescope {
+    constructor(options = {}) {
+        this.centerRA = 0.0;           // hours
+        this.centerDec = 0.0;          // degrees
+        this.currentTelescope = null;
+        this.currentField = null;
+        this.userFields = [];          // uploaded target lists, see js/catalog-import.js
+        this.catalog = options.catalog || new Catalog();
+        this.currentDateTime = options.dateTime ? new Date(options.dateTime) : new Date();
+        this.rng = options.rng || new SeededRandom(options.seed, 'sky');
+
+        // Slewing parameters
+        this.slewSpeedIndex = 2;       // Start with medium speed
+        this.slewActive = false;
+        this.slewDirection = { dx: 0, dy: 0 };
+
+        // Auto-slew parameters
+        this.autoSlewTarget = null;
+        this.autoSlewActive = false;
+
+        // Mount state: axis angles during a go-to, the pier side it is heading for, the ramped
+        // manual slew speed (deg/s) and, with tracking off, the fixed position of the axes
+        this.mount = new Mount();
+        this.mountAxes = null;
+        this.slewPierSide = null;
+        this.manualSpeed = 0;
+        this.parkedPosition = null;
+        this.meridianFlipping = false;
+        this.lastSlewArrival = null;   // simulated time the last go-to reached its target
+
+        // Why the last slew or integration was refused, or null
+        this.limitStatus = null;
+
+        // Last Sun/Moon rise and set search, see getRiseSetTimes()
+        this.riseSetCache = null;
+    }
+
+    // Select a telescope configuration (a TELESCOPES entry, its name or its id)
+    setTelescope(telescope) {
+        if (typeof telescope === 'string') {
+            const match = TELESCOPES.find(t => t.name === telescope || t.id === telescope);
+            if (!match) {
+                throw new Error(`Unknown telescope: ${telescope}`);
+            }
+            telescope = match;
+        }
+        if (telescope.timeZone && !Utils.isValidTimeZone(telescope.timeZone)) {
+            throw new Error(`Unknown time zone for ${telescope.name}: ${telescope.timeZone}`);
+        }
+
+        this.abortSlewing();
+        this.currentTelescope = telescope;
+        this.mount = new Mount(telescope.mount, telescope.latitude);
+        this.resetMount();
+        return telescope;
+    }
+
+    // Built-in fields followed by uploaded ones
+    getFields() {
+        return FIELDS.concat(this.userFields);
+    }
+
+    // Add (or replace, by name) a field that carries its own objects
+    addUserField(field) {
+        this.removeUserField(field.name);
+        this.userFields.push(field);
+        return field;
+    }
+
+    removeUserField(name) {
+        const before = this.userFields.length;
+        this.userFields = this.userFields.filter(f => f.name !== name);
+        return this.userFields.length < before;
+    }
+
+    // Point at a field (a FIELDS or uploaded entry, its name or filename) and load its catalog
+    async loadField(field) {
+        if (typeof field === 'string') {
+            const match = this.getFields().find(f => f.name === field || f.filename === field);
+            if (!match) {
+                throw new Error(`Unknown field: ${field}`);
+            }
+            field = match;
+        }
+
+        this.abortSlewing();
+        this.currentField = field;
+        this.centerRA = field.ra;
+        this.centerDec = field.dec;
+        this.resetMount();
+
+        // A missing or malformed file leaves the field empty; catalog.report says why
+        try {
+            if (field.objects) {
+                this.catalog.loadFromData(field.objects, field.name);
+            } else {
+                await this.catalog.loadFromFile(field.filename);
+            }
+        } catch (error) {
+            console.warn(`Could not load catalog for ${field.name}: ${error.message}`);
+        }
+
+        this.generateBackgroundStars();
+
+        return this.catalog.objects;
+    }
+
+    // Background stars for the current field; the same seed always gives the same sky
+    generateBackgroundStars() {
+        if (!this.currentField) return;
+
+        const field = this.currentField;
+        this.catalog.generateBackgroundStars(
+            field.ra,
+            field.dec,
+            CONSTANTS.FINDER_FOV_DEG,
+            field.background,
+            this.rng.fork(field.filename)
+        );
+    }
+
+    // Time control
+    setDateTime(date) {
+        const value = new Date(date);
+        if (Number.isNaN(value.getTime())) {
+            throw new Error(`Invalid date/time: ${date}`);
+        }
+        this.currentDateTime = value;
+    }
+
+    // IANA time zone of the site (the default site's without a telescope)
+    getTimeZone() {
+        const telescope = this.currentTelescope;
+        return telescope && telescope.timeZone ? telescope.timeZone : CONSTANTS.DEFAULT_TIME_ZONE;
+    }
+
+    // Site-local wall-clock time "YYYY-MM-DD HH:MM[:SS]" to a Date
+    siteTimeToDate(text) {
+        return Utils.zonedTimeToDate(text, this.getTimeZone());
+    }
+
+    // The current time on the usual scales: UTC, site-local, Julian Day, MJD and apparent LST
+    getTimeInfo() {
+        const date = this.currentDateTime;
+        const timeZone = this.getTimeZone();
+        const telescope = this.currentTelescope;
+        return {
+            date,
+            utc: Utils.formatZonedDateTime(date, 'UTC'),
+            local: Utils.formatZonedDateTime(date, timeZone),
+            timeZone,
+            zoneName: Utils.timeZoneAbbreviation(date, timeZone),
+            jd: Utils.dateToJulianDay(date),
+            mjd: Utils.dateToModifiedJulianDay(date),
+            lst: telescope ? Astrometry.apparentSiderealTime(date, telescope.longitude) : null
+        };
+    }
+
+    // Sun, Moon and twilight at the site now, and how they light the sky at a J2000 position
+    // (default: the pointing center). Null until a telescope is selected.
+    getSkyConditions(ra = this.centerRA, dec = this.centerDec) {
+        const telescope = this.currentTelescope;
+        if (!telescope) return null;
+
+        const sky = Ephemeris.skyAt(this.currentDateTime, telescope, this.getAtmosphere());
+        const pointing = this.getPointingAt(ra, dec);
+        return {
+            ...sky,
+            targetAltitude: pointing.altaz.altitude,
+            moonSeparation: Utils.angularDistance(pointing.apparent.ra, pointing.apparent.dec, sky.moon.ra, sky.moon.dec)
+        };
+    }
+
+    // Next rise and set of the Sun and Moon, { sun: { rise, set }, moon: { rise, set } }.
+    // A search covers a day, so the result is kept until the earliest of those events passes.
+    getRiseSetTimes() {
+        const telescope = this.currentTelescope;
+        if (!telescope) return null;
+
+        const now = this.currentDateTime.getTime();
+        const cache = this.riseSetCache;
+        if (cache && cache.telescope === telescope && now >= cache.from && now < cache.until) {
+            return cache.times;
+        }
+
+        const times = {
+            sun: Ephemeris.riseSet('sun', this.currentDateTime, telescope),
+            moon: Ephemeris.riseSet('moon', this.currentDateTime, telescope)
+        };
+        const events = [times.sun.rise, times.sun.set, times.moon.rise, times.moon.set]
+            .filter(Boolean).map(date => date.getTime());
+        this.riseSetCache = {
+            telescope,
+            from: now,
+            until: Math.min(now + 12 * 3600000, ...events),
+            times
+        };
+        return times;
+    }
+
+    // Move the clock forward and the mount with it. Slews are integrated in MOUNT_STEP_MS
+    // steps so their ramps come out right; the time they take is simulated time.
+    advanceTime(milliseconds) {
+        let remaining = milliseconds;
+        while (remaining > 0) {
+            const step = this.slewActive ? Math.min(remaining, CONSTANTS.MOUNT_STEP_MS) : remaining;
+            this.currentDateTime = new Date(this.currentDateTime.getTime() + step);
+            this.updateMount(step / 1000);
+            remaining -= step;
+        }
+    }
+
+    // What the mount does with `seconds` of simulated time that have just passed
+    updateMount(seconds) {
+        if (this.slewActive) {
+            this.performSlewStep(seconds);
+        } else if (!this.mount.tracking) {
+            this.drift();
+        } else if (this.currentTelescope && this.mount.needsMeridianFlip(this.getCurrentPointing().hourAngle)) {
+            this.meridianFlip();
+        }
+    }
+
+    // Mount state after the telescope was put somewhere directly (new telescope or field):
+    // at rest, on the pier side that suits the hour angle, tracking as before
+    resetMount() {
+        this.mount.stop();
+        this.mountAxes = null;
+        if (this.mount.type === 'gem') {
+            this.mount.pierSide = this.getCurrentPointing().hourAngle >= 0 ? 'east' : 'west';
+        }
+        this.parkedPosition = this.mount.tracking ? null : this.toMountFrame(this.centerRA, this.centerDec);
+    }
+
+    // Tracking on or off. Off, the axes stand still and the sky drifts through the finder.
+    setTracking(enabled) {
+        this.mount.tracking = Boolean(enabled);
+        this.parkedPosition = enabled ? null : this.toMountFrame(this.centerRA, this.centerDec);
+        return this.mount.tracking;
+    }
+
+    toggleTracking() {
+        return this.setTracking(!this.mount.tracking);
+    }
+
+    // Pointing follows the fixed axes as the sky turns
+    drift() {
+        if (!this.parkedPosition) {
+            this.parkedPosition = this.toMountFrame(this.centerRA, this.centerDec);
+            return;
+        }
+        const position = this.fromMountFrame(this.parkedPosition);
+        this.centerRA = position.ra;
+        this.centerDec = position.dec;
+    }
+
+    // A tracking GEM at its meridian limit swings to the other side of the pier and
+    // comes back to the same position
+    meridianFlip() {
+        const pierSide = this.mount.pierSide === 'east' ? 'west' : 'east';
+        console.log(`Meridian flip to the ${pierSide} side`);
+        this.beginSlew({ ra: this.centerRA, dec: this.centerDec, name: 'meridian flip' }, pierSide);
+        this.meridianFlipping = true;
+    }
+
+    // Speed cycling
+    getSlewSpeed() {
+        return CONSTANTS.SLEW_SPEEDS[this.slewSpeedIndex];
+    }
+
+    cycleSpeed() {
+        this.slewSpeedIndex = (this.slewSpeedIndex + 1) % CONSTANTS.SLEW_SPEEDS.length;
+        return this.getSlewSpeed();
+    }
+
+    // Manual slewing in one of the cardinal directions; returns false if already slewing
+    startSlewing(direction) {
+        if (this.slewActive) return false;
+
+        const directionMap = {
+            'north': { dx: 0, dy: 1 },
+            'south': { dx: 0, dy: -1 },
+            'east': { dx: 1, dy: 0 },
+            'west': { dx: -1, dy: 0 }
+        };
+
+        if (!directionMap[direction]) {
+            throw new Error(`Unknown slew direction: ${direction}`);
+        }
+
+        this.slewActive = true;
+        this.autoSlewActive = false;
+        this.slewDirection = directionMap[direction];
+        this.manualSpeed = 0;
+        this.parkedPosition = null;
+        this.limitStatus = null;
+        return true;
+    }
+
+    // Auto-slew to a catalog object (anything with ra/dec); returns false, with the
+    // reason in limitStatus, when the target is outside the telescope's limits
+    slewToObject(obj) {
+        const violation = this.checkLimits(obj.ra, obj.dec);
+        if (violation) {
+            this.limitStatus = `Slew refused: ${violation}`;
+            return false;
+        }
+
+        const pierSide = this.mount.choosePierSide(this.getPointingAt(obj.ra, obj.dec).hourAngle);
+        this.beginSlew(obj, pierSide);
+        return true;
+    }
+
+    slewTo(ra, dec) {
+        return this.slewToObject({ ra, dec });
+    }
+
+    // Start a go-to from the current axis position; a GEM ends up on `pierSide`
+    beginSlew(target, pierSide) {
+        this.mountAxes = this.mount.toAxes(this.toMountFrame(this.centerRA, this.centerDec));
+        this.slewPierSide = pierSide;
+        this.parkedPosition = null;
+        this.limitStatus = null;
+        this.autoSlewTarget = target;
+        this.autoSlewActive = true;
+        this.slewActive = true;
+    }
+
+    // Sync: declare that the telescope is pointing at a J2000 position, as a planetarium program
+    // does after the user centers a star by hand. Any motion stops; nothing is checked.
+    syncTo(ra, dec) {
+        this.abortSlewing();
+        this.centerRA = Utils.normalizeHours(ra);
+        this.centerDec = Math.max(-90, Math.min(90, dec));
+        this.limitStatus = null;
+        this.resetMount();
+    }
+
+    // Seconds a go-to to a J2000 position would take from here, flip included
+    estimateSlewTime(ra, dec) {
+        const pierSide = this.mount.choosePierSide(this.getPointingAt(ra, dec).hourAngle);
+        const from = this.mountAxes || this.mount.toAxes(this.toMountFrame(this.centerRA, this.centerDec));
+        return this.mount.slewTime(from, this.mount.toAxes(this.toMountFrame(ra, dec), pierSide));
+    }
+
+    stopSlewing() {
+        this.slewActive = false;
+        this.manualSpeed = 0;
+        if (!this.mount.tracking) {
+            this.parkedPosition = this.toMountFrame(this.centerRA, this.centerDec);
+        }
+    }
+
+    // Stop wherever the axes are; a GEM stopped part-way through a flip is on
+    // whichever side its declination axis has reached
+    abortSlewing() {
+        if (this.mount.type === 'gem' && this.mountAxes) {
+            this.mount.pierSide = Math.abs(this.mountAxes[1]) > 90 ? 'east' : 'west';
+        }
+        this.mount.stop();
+        this.mountAxes = null;
+        this.stopSlewing();
+        this.autoSlewActive = false;
+        this.autoSlewTarget = null;
+        this.meridianFlipping = false;
+    }
+
+    // Advance the slew by `seconds` of motion; returns true while still slewing.
+    // A step that would leave the pointing limits is undone and the slew aborted.
+    // A GEM changing pier sides swings through the pole, where hour angle and declination
+    // limits mean nothing, so only the horizon is checked on the way.
+    performSlewStep(seconds = CONSTANTS.MOUNT_STEP_MS / 1000) {
+        const fromRA = this.centerRA;
+        const fromDec = this.centerDec;
+        const horizonOnly = this.autoSlewActive && this.slewPierSide !== this.mount.pierSide;
+        const wasLegal = !this.checkLimits(fromRA, fromDec, horizonOnly);
+
+        this.moveMount(seconds);
+
+        const violation = wasLegal ? this.checkLimits(this.centerRA, this.centerDec, horizonOnly) : null;
+        if (violation) {
+            this.centerRA = fromRA;
+            this.centerDec = fromDec;
+            this.abortSlewing();
+            this.limitStatus = `Slew stopped: ${violation}`;
+        }
+
+        return this.slewActive;
+    }
+
+    moveMount(seconds) {
+        if (this.autoSlewActive && this.autoSlewTarget) {
+            // Go-to: both axes head for where the target is now, at the mount's full rate
+            const target = this.mount.toAxes(
+                this.toMountFrame(this.autoSlewTarget.ra, this.autoSlewTarget.dec), this.slewPierSide);
+            const result = this.mount.step(this.mountAxes, target, seconds);
+            this.mountAxes = result.axes;
+
+            if (result.arrived) {
+                this.lastSlewArrival = this.currentDateTime;
+                this.centerRA = this.autoSlewTarget.ra;
+                this.centerDec = this.autoSlewTarget.dec;
+                this.abortSlewing();
+                return;
+            }
+
+            const position = this.fromMountFrame(this.mount.fromAxes(this.mountAxes));
+            this.centerRA = position.ra;
+            this.centerDec = position.dec;
+        } else {
+            // Manual slewing ramps up to the selected speed, capped by the mount
+            const speed = this.getSlewSpeed();
+            const rate = Math.min(speed.step / speed.interval * 1000, this.mount.maxRate);
+            this.manualSpeed = this.mount.accelerate(this.manualSpeed, rate, seconds);
+            const stepDeg = this.manualSpeed * seconds;
+
+            this.centerRA += this.slewDirection.dx * stepDeg / 15.0;
+            this.centerDec += this.slewDirection.dy * stepDeg;
+        }
+
+        // Normalize coordinates
+        this.centerRA = Utils.normalizeHours(this.centerRA);
+        this.centerDec = Math.max(-90, Math.min(90, this.centerDec));
+    }
+
+    // Run an auto-slew to completion in simulated time without timers;
+    // returns the seconds it took, which have been added to the clock
+    finishSlew() {
+        if (!this.autoSlewActive) return 0;
+
+        const start = this.currentDateTime.getTime();
+        while (this.autoSlewActive && this.slewActive) {
+            this.advanceTime(CONSTANTS.MOUNT_STEP_MS);
+        }
+        return (this.currentDateTime.getTime() - start) / 1000;
+    }
+
+    // A J2000 position in the mount's frame now, in degrees: { ha, dec } of date for
+    // equatorial mounts, { az, alt } with refraction (where the tube points) for alt-az ones
+    toMountFrame(ra, dec) {
+        const pointing = this.getPointingAt(ra, dec);
+        if (this.mount.isEquatorial()) {
+            return { ha: pointing.hourAngle * 15, dec: pointing.apparent.dec };
+        }
+        return { az: pointing.altaz.azimuth, alt: pointing.altaz.altitude };
+    }
+
+    // The J2000 position a mount-frame position points at now
+    fromMountFrame(position) {
+        const telescope = this.currentTelescope;
+        const lst = telescope ? Astrometry.apparentSiderealTime(this.currentDateTime, telescope.longitude) : 0;
+
+        if (!this.mount.isEquatorial()) {
+            return this.horizontalToJ2000(position.alt, position.az);
+        }
+        const apparent = { ra: Utils.normalizeHours(lst - position.ha / 15), dec: position.dec };
+        return Astrometry.catalogPlace(apparent.ra, apparent.dec, this.currentDateTime);
+    }
+
+    // The J2000 position seen now at an observed (refracted) altitude and azimuth, in degrees
+    horizontalToJ2000(altitude, azimuth) {
+        const telescope = this.currentTelescope;
+        if (!telescope) {
+            throw new Error('Select a telescope first: Alt/Az depends on the site');
+        }
+        const lst = Astrometry.apparentSiderealTime(this.currentDateTime, telescope.longitude);
+        const atmosphere = this.getAtmosphere();
+        const geometric = altitude -
+            Utils.calculateRefractionApparent(altitude, atmosphere.pressure, atmosphere.temperature);
+        const apparent = Utils.calculateEquatorial(geometric, azimuth, lst, telescope.latitude);
+        return Astrometry.catalogPlace(apparent.ra, apparent.dec, this.currentDateTime);
+    }
+
+    // Summary for displays: mount type, tracking, pier side (GEM) and what it is doing
+    getMountStatus() {
+        let activity = this.mount.tracking ? 'tracking' : 'stopped';
+        if (this.slewActive) {
+            activity = this.meridianFlipping ? 'flipping' : 'slewing';
+        }
+        return {
+            type: this.mount.type,
+            label: Mount.LABELS[this.mount.type],
+            tracking: this.mount.tracking,
+            pierSide: this.mount.type === 'gem' ? this.mount.pierSide : null,
+            activity
+        };
+    }
+
+    // Site atmosphere for refraction: pressure from the telescope's elevation
+    getAtmosphere() {
+        const telescope = this.currentTelescope;
+        return {
+            pressure: Utils.sitePressure(telescope ? telescope.altitude : CONSTANTS.DEFAULT_SITE_ALT),
+            temperature: telescope && telescope.temperature !== undefined ?
+                telescope.temperature : CONSTANTS.DEFAULT_SITE_TEMPERATURE
+        };
+    }
+
+    // Apparent RA/Dec of date for the J2000 pointing center
+    getApparentPosition() {
+        return Astrometry.apparentPlace(this.centerRA, this.centerDec, this.currentDateTime);
+    }
+
+    // Current pointing: ra/dec in the J2000 catalog frame, apparent place of date,
+    // local apparent sidereal time, the refracted Alt/Az that follow from them, and the airmass
+    getCurrentPointing() {
+        return this.getPointingAt(this.centerRA, this.centerDec);
+    }
+
+    // The same for any J2000 position at the current time, e.g. a slew target
+    getPointingAt(ra, dec) {
+        const apparent = Astrometry.apparentPlace(ra, dec, this.currentDateTime);
+        const telescope = this.currentTelescope;
+        const lst = telescope ? Astrometry.apparentSiderealTime(this.currentDateTime, telescope.longitude) : 0;
+        const altaz = telescope ?
+            Utils.calculateAltAz(apparent.ra, apparent.dec, lst, telescope.latitude, this.getAtmosphere()) :
+            { altitude: 0, azimuth: 0 };
+
+        let hourAngle = Utils.normalizeHours(lst - apparent.ra);
+        if (hourAngle > 12) hourAngle -= 24;
+
+        return {
+            ra,
+            dec,
+            apparent,
+            telescope,
+            datetime: this.currentDateTime,
+            lst,
+            hourAngle,
+            altaz,
+            airmass: telescope ? Utils.calculateAirmass(altaz.altitude) : 1.0
+        };
+    }
+
+    // Lowest usable altitude at an azimuth: the larger of minAltitude and the horizon profile
+    getAltitudeLimit(azimuth) {
+        const limits = (this.currentTelescope && this.currentTelescope.limits) || {};
+        let limit = limits.minAltitude !== undefined ? limits.minAltitude : 0;
+
+        const horizon = limits.horizon;
+        if (horizon && horizon.length > 0) {
+            const points = [...horizon].sort((a, b) => a[0] - b[0]);
+            const az = Utils.normalizeAngle(azimuth);
+            // Wrap the profile around north so every azimuth has a neighbour on each side
+            const first = points[0];
+            const last = points[points.length - 1];
+            const wrapped = [[last[0] - 360, last[1]], ...points, [first[0] + 360, first[1]]];
+
+            for (let i = 1; i < wrapped.length; i++) {
+                const [az0, alt0] = wrapped[i - 1];
+                const [az1, alt1] = wrapped[i];
+                if (az >= az0 && az <= az1) {
+                    const t = az1 > az0 ? (az - az0) / (az1 - az0) : 0;
+                    limit = Math.max(limit, alt0 + t * (alt1 - alt0));
+                    break;
+                }
+            }
+        }
+
+        return limit;
+    }
+
+    // Why the telescope may not point at a J2000 position now, or null if it may.
+    // Without a selected telescope there is no site, so nothing is enforced.
+    // horizonOnly skips the declination and hour-angle limits.
+    checkLimits(ra, dec, horizonOnly = false) {
+        const telescope = this.currentTelescope;
+        if (!telescope) return null;
+
+        const limits = telescope.limits || {};
+        const pointing = this.getPointingAt(ra, dec);
+        const altitude = pointing.altaz.altitude;
+        const minAltitude = this.getAltitudeLimit(pointing.altaz.azimuth);
+
+        if (limits.declination && !horizonOnly) {
+            const [minDec, maxDec] = limits.declination;
+            if (dec < minDec || dec > maxDec) {
+                return `declination ${dec.toFixed(1)}° is outside the ${minDec}° to ${maxDec}° range`;
+            }
+        }
+        if (altitude < minAltitude) {
+            return altitude < 0 ?
+                `target is below the horizon (altitude ${altitude.toFixed(1)}°)` :
+                `altitude ${altitude.toFixed(1)}° is below the ${minAltitude.toFixed(1)}° limit at azimuth ${pointing.altaz.azimuth.toFixed(0)}°`;
+        }
+        if (limits.hourAngle && !horizonOnly) {
+            const [east, west] = limits.hourAngle;
+            if (pointing.hourAngle < east || pointing.hourAngle > west) {
+                return `hour angle ${pointing.hourAngle.toFixed(2)}h is outside the ${east}h to ${west}h range`;
+            }
+        }
+
+        return null;
+    }
+
+    // Limit check for the current pointing; instruments call this before integrating
+    checkCurrentLimits() {
+        return this.checkLimits(this.centerRA, this.centerDec);
+    }
+}
@@ -0,0 +1,261 @@
+// Sun and Moon: positions, lunar phase, rise/set times and twilight
+//
+// Low-precision series from Meeus, "Astronomical Algorithms": the Sun (ch. 25) to about 0.01°
+// and the Moon (ch. 47, main terms) to a few arcminutes, well inside what sky brightness and
+// planning need. Positions are apparent RA (hours) and Dec (degrees) of date, like the
+// pointing model's; the Moon is also given topocentrically, since its parallax reaches 1°.
+
+const Ephemeris = {
+    // Standard altitude of the upper limb at rise and set, refraction included (degrees)
+    RISE_SET_ALTITUDE: -0.833,
+    EARTH_RADIUS_KM: 6378.14,
+    AU_KM: 149597870.7,
+
+    // Sun altitude thresholds, highest first: the state is the first one the Sun is above
+    TWILIGHT_STATES: [
+        { state: 'day', label: 'Daylight', altitude: -0.833 },
+        { state: 'civil', label: 'Civil twilight', altitude: -6 },
+        { state: 'nautical', label: 'Nautical twilight', altitude: -12 },
+        { state: 'astronomical', label: 'Astronomical twilight', altitude: -18 },
+        { state: 'night', label: 'Night', altitude: -Infinity }
+    ],
+
+    // Ecliptic (longitude, latitude in degrees) of date to apparent RA/Dec
+    eclipticToEquatorial: (lambda, beta, obliquity) => {
+        const l = Utils.degreesToRadians(lambda);
+        const b = Utils.degreesToRadians(beta);
+        const e = Utils.degreesToRadians(obliquity);
+        const ra = Math.atan2(Math.sin(l) * Math.cos(e) - Math.tan(b) * Math.sin(e), Math.cos(l));
+        const dec = Math.asin(Math.sin(b) * Math.cos(e) + Math.cos(b) * Math.sin(e) * Math.sin(l));
+        return {
+            ra: Utils.normalizeHours(Utils.radiansToHours(ra)),
+            dec: Utils.radiansToDegrees(dec)
+        };
+    },
+
+    // Apparent place of the Sun (Meeus 25): { ra, dec, longitude, distance (AU) }
+    sunPosition: (date) => {
+        const T = Astrometry.julianCenturies(date);
+        const M = Utils.degreesToRadians(357.52911 + 35999.05029 * T - 0.0001537 * T * T);
+        const e = 0.016708634 - 0.000042037 * T;
+        const C = (1.914602 - 0.004817 * T) * Math.sin(M) + 0.019993 * Math.sin(2 * M) + 0.000289 * Math.sin(3 * M);
+        const trueAnomaly = M + Utils.degreesToRadians(C);
+        const distance = 1.000001018 * (1 - e * e) / (1 + e * Math.cos(trueAnomaly));
+
+        // Nutation and aberration folded in as Meeus 25.8-25.9
+        const omega = Utils.degreesToRadians(125.04 - 1934.136 * T);
+        const longitude = Utils.normalizeAngle(Astrometry.solarLongitude(T) - 0.00569 - 0.00478 * Math.sin(omega));
+        const obliquity = Astrometry.nutation(T).meanObliquity + 0.00256 * Math.cos(omega);
+
+        return { ...Ephemeris.eclipticToEquatorial(longitude, 0, obliquity), longitude, distance };
+    },
+
+    // Periodic terms of the lunar longitude and distance (Meeus table 47.A, main terms):
+    // multiples of D, M, M', F; longitude in 1e-6 degrees; distance in metres
+    MOON_LR_TERMS: [
+        [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111],
+        [2, 0, 0, 0, 658314, -2955968], [0, 0, 2, 0, 213618, -569925],
+        [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+        [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138],
+        [2, 0, 1, 0, 53322, -170733], [2, -1, 0, 0, 45758, -204586],
+        [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+        [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321],
+        [0, 0, 1, 2, -12528, 0], [0, 0, 1, -2, 10980, 79661],
+        [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+        [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208],
+        [2, 1, 0, 0, -6766, 30824], [1, 0, -1, 0, -5163, -8379],
+        [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+        [2, 0, 2, 0, 3994, -10445]
+    ],
+
+    // ...and of the latitude (table 47.B, main terms), in 1e-6 degrees
+    MOON_B_TERMS: [
+        [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693],
+        [2, 0, 0, -1, 173237], [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271],
+        [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198], [2, 0, 1, -1, 9266],
+        [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+        [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359]
+    ],
+
+    // Geocentric apparent place of the Moon (Meeus 47): { ra, dec, longitude, latitude, distance (km) }
+    moonPosition: (date) => {
+        const T = Astrometry.julianCenturies(date);
+        const rad = (deg) => Utils.degreesToRadians(deg);
+
+        const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T * T + T * T * T / 538841;
+        const D = rad(297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + T * T * T / 545868);
+        const M = rad(357.5291092 + 35999.0502909 * T - 0.0001536 * T * T);
+        const Mp = rad(134.9633964 + 477198.8675055 * T + 0.0087414 * T * T + T * T * T / 69699);
+        const F = rad(93.2720950 + 483202.0175233 * T - 0.0036539 * T * T);
+        const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+        const A1 = rad(119.75 + 131.849 * T);
+        const A2 = rad(53.09 + 479264.290 * T);
+        const A3 = rad(313.45 + 481266.484 * T);
+
+        // Terms in M shrink with the decreasing eccentricity of Earth's orbit
+        const eccentricity = (m) => (Math.abs(m) === 2 ? E * E : Math.abs(m) === 1 ? E : 1);
+
+        let sumL = 3958 * Math.sin(A1) + 1962 * Math.sin(rad(Lp) - F) + 318 * Math.sin(A2);
+        let sumR = 0;
+        Ephemeris.MOON_LR_TERMS.forEach(([d, m, mp, f, l, r]) => {
+            const arg = d * D + m * M + mp * Mp + f * F;
+            const scale = eccentricity(m);
+            sumL += l * scale * Math.sin(arg);
+            sumR += r * scale * Math.cos(arg);
+        });
+
+        let sumB = -2235 * Math.sin(rad(Lp)) + 382 * Math.sin(A3) + 175 * Math.sin(A1 - F) +
+            175 * Math.sin(A1 + F) + 127 * Math.sin(rad(Lp) - Mp) - 115 * Math.sin(rad(Lp) + Mp);
+        Ephemeris.MOON_B_TERMS.forEach(([d, m, mp, f, b]) => {
+            sumB += b * eccentricity(m) * Math.sin(d * D + m * M + mp * Mp + f * F);
+        });
+
+        const nut = Astrometry.nutation(T);
+        const longitude = Utils.normalizeAngle(Lp + sumL / 1e6 + nut.dpsi);
+        const latitude = sumB / 1e6;
+        const distance = 385000.56 + sumR / 1000;
+
+        return { ...Ephemeris.eclipticToEquatorial(longitude, latitude, nut.obliquity), longitude, latitude, distance };
+    },
+
+    // Shift a geocentric place to the observer's (Meeus 40); matters only for the Moon
+    topocentric: (position, distanceKm, lst, latitude, elevation = 0) => {
+        const phi = Utils.degreesToRadians(latitude);
+        const u = Math.atan(0.99664719 * Math.tan(phi));
+        const h = (elevation || 0) / 6378140;
+        const rhoSin = 0.99664719 * Math.sin(u) + h * Math.sin(phi);
+        const rhoCos = Math.cos(u) + h * Math.cos(phi);
+
+        const sinParallax = Ephemeris.EARTH_RADIUS_KM / distanceKm;
+        const H = Utils.hoursToRadians(lst - position.ra);
+        const dec = Utils.degreesToRadians(position.dec);
+
+        const denominator = Math.cos(dec) - rhoCos * sinParallax * Math.cos(H);
+        const dRA = Math.atan2(-rhoCos * sinParallax * Math.sin(H), denominator);
+        const topoDec = Math.atan2((Math.sin(dec) - rhoSin * sinParallax) * Math.cos(dRA), denominator);
+
+        return {
+            ra: Utils.normalizeHours(position.ra + Utils.radiansToHours(dRA)),
+            dec: Utils.radiansToDegrees(topoDec)
+        };
+    },
+
+    // Illuminated fraction and phase of the Moon (Meeus 48):
+    // { fraction (0-1), phaseAngle (degrees, 0 = full), elongation (degrees), waxing }
+    moonPhase: (date) => {
+        const sun = Ephemeris.sunPosition(date);
+        const moon = Ephemeris.moonPosition(date);
+        const elongation = Utils.angularDistance(sun.ra, sun.dec, moon.ra, moon.dec);
+
+        const psi = Utils.degreesToRadians(elongation);
+        const sunDistance = sun.distance * Ephemeris.AU_KM;
+        const phaseAngle = Utils.radiansToDegrees(
+            Math.atan2(sunDistance * Math.sin(psi), moon.distance - sunDistance * Math.cos(psi)));
+
+        return {
+            fraction: (1 + Math.cos(Utils.degreesToRadians(phaseAngle))) / 2,
+            phaseAngle,
+            elongation,
+            waxing: Utils.normalizeAngle(moon.longitude - sun.longitude) < 180
+        };
+    },
+
+    // Name of the lunar phase for displays
+    phaseName: (phase) => {
+        if (phase.fraction < 0.03) return 'New Moon';
+        if (phase.fraction > 0.97) return 'Full Moon';
+        if (Math.abs(phase.fraction - 0.5) < 0.03) return phase.waxing ? 'First Quarter' : 'Last Quarter';
+        const shape = phase.fraction < 0.5 ? 'Crescent' : 'Gibbous';
+        return `${phase.waxing ? 'Waxing' : 'Waning'} ${shape}`;
+    },
+
+    // Sun and Moon as seen from a site ({ latitude, longitude, altitude (m) }): apparent
+    // and topocentric places, geometric and refracted altitude, azimuth, and the lunar phase
+    skyAt: (date, site, atmosphere = null) => {
+        const lst = Astrometry.apparentSiderealTime(date, site.longitude);
+        const horizontal = (position) => {
+            const altaz = Utils.calculateAltAz(position.ra, position.dec, lst, site.latitude, atmosphere);
+            return {
+                ...position,
+                altitude: altaz.altitude,
+                geometricAltitude: altaz.geometricAltitude !== undefined ? altaz.geometricAltitude : altaz.altitude,
+                azimuth: altaz.azimuth
+            };
+        };
+
+        const sunPlace = Ephemeris.sunPosition(date);
+        const moonPlace = Ephemeris.moonPosition(date);
+        const moonTopo = Ephemeris.topocentric(moonPlace, moonPlace.distance, lst, site.latitude, site.altitude);
+        const phase = Ephemeris.moonPhase(date);
+        const sun = horizontal(sunPlace);
+
+        return {
+            lst,
+            sun,
+            moon: { ...horizontal({ ...moonTopo, distance: moonPlace.distance }), ...phase },
+            twilight: Ephemeris.twilightState(sun.geometricAltitude)
+        };
+    },
+
+    // Twilight state for a geometric solar altitude: { state, label }
+    twilightState: (sunAltitude) => {
+        const match = Ephemeris.TWILIGHT_STATES.find(t => sunAltitude > t.altitude);
+        return { state: match.state, label: match.label };
+    },
+
+    // Times at which altitudeAt(date) (degrees) crosses `threshold` between start and start + hours,
+    // found by sampling every stepMinutes and bisecting to a few seconds: [{ time, rising }]
+    findCrossings: (altitudeAt, start, hours, threshold, stepMinutes = 20) => {
+        const crossings = [];
+        const stepMs = stepMinutes * 60000;
+        const endMs = start.getTime() + hours * 3600000;
+
+        let t0 = start.getTime();
+        let a0 = altitudeAt(new Date(t0)) - threshold;
+        while (t0 < endMs) {
+            const t1 = Math.min(t0 + stepMs, endMs);
+            const a1 = altitudeAt(new Date(t1)) - threshold;
+
+            if ((a0 < 0) !== (a1 < 0)) {
+                let lo = t0;
+                let hi = t1;
+                let aLo = a0;
+                while (hi - lo > 5000) {
+                    const mid = (lo + hi) / 2;
+                    const aMid = altitudeAt(new Date(mid)) - threshold;
+                    if ((aMid < 0) === (aLo < 0)) {
+                        lo = mid;
+                        aLo = aMid;
+                    } else {
+                        hi = mid;
+                    }
+                }
+                crossings.push({ time: new Date(Math.round((lo + hi) / 2)), rising: a1 >= 0 });
+            }
+
+            t0 = t1;
+            a0 = a1;
+        }
+
+        return crossings;
+    },
+
+    // Next rise and set of the Sun or Moon ('sun' | 'moon') within a day of `date`:
+    // { rise, set } as Dates, or null when the body stays up or down
+    riseSet: (body, date, site, altitude = Ephemeris.RISE_SET_ALTITUDE) => {
+        const altitudeAt = (t) => {
+            const lst = Astrometry.apparentSiderealTime(t, site.longitude);
+            let place = body === 'sun' ? Ephemeris.sunPosition(t) : Ephemeris.moonPosition(t);
+            if (body === 'moon') {
+                place = Ephemeris.topocentric(place, place.distance, lst, site.latitude, site.altitude);
+            }
+            return Utils.calculateAltAz(place.ra, place.dec, lst, site.latitude).altitude;
+        };
+
+        // The Moon rises about 50 minutes later each day, so look a little over a day ahead
+        const crossings = Ephemeris.findCrossings(altitudeAt, date, body === 'moon' ? 26 : 24.5, altitude);
+        const rise = crossings.find(c => c.rising);
+        const set = crossings.find(c => !c.rising);
+        return { rise: rise ? rise.time : null, set: set ? set.time : null };
+    }
+};
@@ -0,0 +1,239 @@
+// Exposure calculator view - UI over ExposureCalculator in js/engine/exposure-calculator.js:
+// SNR for an exposure, the exposure for a target SNR, and SNR against time colored by the
+// noise term that dominates
+
+// Curve colors for the noise regimes
+const ETC_COLORS = {
+    source: '#81c784',
+    sky: '#4fc3f7',
+    dark: '#ba68c8',
+    readNoise: '#ffb74d',
+    scintillation: '#f06292'
+};
+
+class ExposureCalculatorController {
+    constructor(telescopeController) {
+        this.telescopeController = telescopeController;
+        this.photometer = telescopeController.simulation.photometer;
+        this.canvas = document.getElementById('etc-canvas');
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+
+        this.result = null;            // last ExposureCalculator.calculate() result
+
+        this.init();
+    }
+
+    init() {
+        if (!document.getElementById('etc-controls')) return;
+
+        this.fillOptions('etc-telescope', TELESCOPES.map(t => [t.id, t.name]));
+        this.fillOptions('etc-filter', Passbands.ids().map(id => [id, Passbands.get(id).label]));
+        this.fillOptions('etc-aperture', CONSTANTS.APERTURE_SIZES.map(size => [size, `${size}"`]));
+
+        document.querySelectorAll('#etc-controls input, #etc-controls select').forEach(input => {
+            input.addEventListener('change', () => this.update());
+        });
+        document.getElementById('etc-from-photometer').addEventListener('click', () => this.useCurrentSettings());
+
+        document.getElementById('etc-snr').value = 100;
+        this.useCurrentSettings();
+    }
+
+    fillOptions(id, options) {
+        const select = document.getElementById(id);
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    // Telescope, filter, aperture, integration time, airmass, sky and the brightest object in
+    // the aperture, from the photometer as it is set up now
+    useCurrentSettings() {
+        const conditions = ExposureCalculator.getConditions(this.photometer);
+        if (conditions.telescope) {
+            document.getElementById('etc-telescope').value = conditions.telescope.id;
+        }
+        document.getElementById('etc-filter').value = conditions.filter;
+        document.getElementById('etc-magnitude').value = conditions.magnitude.toFixed(2);
+        document.getElementById('etc-aperture').value = conditions.aperture;
+        document.getElementById('etc-airmass').value = conditions.airmass.toFixed(2);
+        document.getElementById('etc-sky').value = conditions.skyMagnitude.toFixed(2);
+        document.getElementById('etc-seconds').value = this.photometer.getIntegrationTime();
+        this.update();
+    }
+
+    value(id) {
+        return document.getElementById(id).value;
+    }
+
+    // Bad input shows in the summary line rather than an alert, since this runs on every change
+    update() {
+        const summary = document.getElementById('etc-summary');
+        try {
+            this.result = ExposureCalculator.calculate(this.photometer, {
+                telescope: this.value('etc-telescope'),
+                filter: this.value('etc-filter'),
+                magnitude: this.number('etc-magnitude'),
+                aperture: this.number('etc-aperture'),
+                airmass: this.number('etc-airmass'),
+                skyMagnitude: this.number('etc-sky'),
+                seconds: this.number('etc-seconds'),
+                snr: this.number('etc-snr')
+            });
+        } catch (error) {
+            this.result = null;
+            summary.textContent = error.message;
+            this.updateTable();
+            this.drawPlot();
+            return;
+        }
+
+        const { exposure, target } = this.result;
+        summary.textContent = [
+            `SNR ${exposure.snr.toFixed(1)} in ${ExposureCalculatorController.formatSeconds(exposure.seconds)}`,
+            `SNR ${target.snr} needs ${ExposureCalculatorController.formatSeconds(target.seconds)}`,
+            `${ExposureCalculator.REGIMES[exposure.dominant]} limited`
+        ].join(' · ');
+        if (exposure.fwhm > 0) {
+            summary.textContent += ` · ${(exposure.fraction * 100).toFixed(0)}% of the light in ${exposure.fwhm.toFixed(1)}" seeing`;
+        }
+        if (!this.photometer.atmosphereEnabled) {
+            summary.textContent += ' (atmosphere off)';
+        }
+        this.updateTable();
+        this.drawPlot();
+    }
+
+    // Blank boxes are left for the calculator to fill in
+    number(id) {
+        const text = this.value(id).trim();
+        return text === '' ? undefined : Number(text);
+    }
+
+    static formatSeconds(seconds) {
+        if (seconds < 1) return `${(seconds * 1000).toPrecision(3)} ms`;
+        if (seconds < 120) return `${seconds.toPrecision(3)} s`;
+        if (seconds < 7200) return `${(seconds / 60).toPrecision(3)} min`;
+        return `${(seconds / 3600).toPrecision(3)} h`;
+    }
+
+    // Each noise term of the chosen exposure: σ in counts and its share of the variance
+    updateTable() {
+        const tbody = document.getElementById('etc-tbody');
+        if (!tbody) return;
+        tbody.innerHTML = '';
+        if (!this.result) return;
+
+        const exposure = this.result.exposure;
+        const total = exposure.noise ** 2;
+        const signalRow = document.createElement('tr');
+        signalRow.innerHTML = `<td>Signal</td><td>${Math.round(exposure.signal).toLocaleString()}</td><td></td>`;
+        tbody.appendChild(signalRow);
+
+        Object.entries(ExposureCalculator.REGIMES).forEach(([term, label]) => {
+            const variance = exposure.variances[term];
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><span style="color: ${ETC_COLORS[term]};">■</span> ${label}</td>
+                <td>${Math.sqrt(variance).toFixed(1)}</td>
+                <td>${total > 0 ? (variance / total * 100).toFixed(1) : '0.0'}%</td>
+            `;
+            if (term === exposure.dominant) {
+                row.style.fontWeight = 'bold';
+            }
+            tbody.appendChild(row);
+        });
+    }
+
+    // SNR against exposure time on log axes, each stretch colored and labeled by the noise term
+    // that dominates it, with the target SNR and the chosen exposure marked
+    drawPlot() {
+        if (!this.canvas || !this.ctx) return;
+
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const left = 36;
+        const right = width - 10;
+        const top = 10;
+        const bottom = height - 20;
+
+        Utils.clearCanvas(this.canvas);
+        if (!this.result) return;
+
+        const { curve, exposure, target } = this.result;
+        const [t0, t1] = ExposureCalculator.CURVE_RANGE.map(Math.log10);
+        const snrs = curve.map(point => point.snr).concat(target.snr);
+        const s0 = Math.floor(Math.log10(Math.max(1e-3, Math.min(...snrs))));
+        const s1 = Math.max(s0 + 1, Math.ceil(Math.log10(Math.max(...snrs))));
+        const x = (seconds) => left + (Math.log10(seconds) - t0) / (t1 - t0) * (right - left);
+        const y = (snr) => bottom - (Math.log10(Math.max(snr, 10 ** s0)) - s0) / (s1 - s0) * (bottom - top);
+
+        // Decade grid
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = 1;
+        ctx.font = '9px Arial';
+        ctx.fillStyle = '#888888';
+        for (let decade = Math.ceil(t0); decade <= t1; decade++) {
+            const px = x(10 ** decade);
+            ctx.beginPath();
+            ctx.moveTo(px, top);
+            ctx.lineTo(px, bottom);
+            ctx.stroke();
+            ctx.fillText(`${10 ** decade}s`, px - 8, height - 6);
+        }
+        for (let decade = s0; decade <= s1; decade++) {
+            ctx.beginPath();
+            ctx.moveTo(left, y(10 ** decade));
+            ctx.lineTo(right, y(10 ** decade));
+            ctx.stroke();
+            ctx.fillText(String(10 ** decade), 4, y(10 ** decade) + 3);
+        }
+        ctx.fillText('SNR', left + 4, top + 10);
+
+        // Target SNR and the exposure it needs
+        ctx.strokeStyle = '#ff5252';
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(left, y(target.snr));
+        ctx.lineTo(right, y(target.snr));
+        if (target.seconds >= 10 ** t0 && target.seconds <= 10 ** t1) {
+            ctx.moveTo(x(target.seconds), y(target.snr));
+            ctx.lineTo(x(target.seconds), bottom);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // The curve in runs of one dominant noise term, each labeled at its middle
+        ctx.lineWidth = 2;
+        let start = 0;
+        curve.forEach((point, i) => {
+            const next = curve[i + 1];
+            if (next && next.dominant === point.dominant) return;
+            const run = curve.slice(start, i + 2);
+            ctx.strokeStyle = ETC_COLORS[point.dominant];
+            ctx.beginPath();
+            ctx.moveTo(x(run[0].seconds), y(run[0].snr));
+            run.slice(1).forEach(p => ctx.lineTo(x(p.seconds), y(p.snr)));
+            ctx.stroke();
+
+            const middle = curve[Math.floor((start + i) / 2)];
+            const label = ExposureCalculator.REGIMES[point.dominant];
+            const labelX = Math.min(right - ctx.measureText(label).width, Math.max(left + 2, x(middle.seconds) - 20));
+            Utils.drawText(ctx, label, labelX, Math.max(top + 20, y(middle.snr) - 8), ETC_COLORS[point.dominant], '9px Arial');
+            start = i + 1;
+        });
+
+        // Chosen exposure
+        if (exposure.seconds < 10 ** t0 || exposure.seconds > 10 ** t1) return;
+        ctx.strokeStyle = '#ffff00';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x(exposure.seconds), top);
+        ctx.lineTo(x(exposure.seconds), bottom);
+        ctx.stroke();
+    }
+}
@@ -0,0 +1,168 @@
+// Minimal FITS writer: primary images and binary tables, big-endian, 2880-byte blocks
+
+const FITS = {
+    BLOCK_SIZE: 2880,
+    CARD_SIZE: 80,
+    MAX_STRING: 68,     // characters between the quotes of a string value
+
+    // Format one 80-character header card. Values: string, number, boolean or undefined (comment-only)
+    formatCard: (key, value, comment) => {
+        let card = FITS.toASCII(key.toUpperCase()).padEnd(8).slice(0, 8);
+
+        if (value !== undefined) {
+            let valueStr;
+            if (typeof value === 'boolean') {
+                valueStr = (value ? 'T' : 'F').padStart(20);
+            } else if (typeof value === 'number') {
+                valueStr = FITS.formatNumber(value).padStart(20);
+            } else {
+                // Strings are quoted, with embedded quotes doubled and at least 8 characters inside.
+                // Longer than a card holds, they are shortened inside the quotes.
+                let text = FITS.toASCII(value);
+                while (text.replace(/'/g, "''").length > FITS.MAX_STRING) {
+                    text = text.slice(0, -1);
+                }
+                const escaped = text.replace(/'/g, "''");
+                valueStr = `'${escaped.padEnd(8)}'`.padEnd(20);
+            }
+            card += '= ' + valueStr;
+            if (comment) {
+                card += ' / ' + FITS.toASCII(comment);
+            }
+        } else if (comment) {
+            card += FITS.toASCII(comment);
+        }
+
+        return card.slice(0, FITS.CARD_SIZE).padEnd(FITS.CARD_SIZE);
+    },
+
+    formatNumber: (value) => {
+        if (!Number.isFinite(value)) {
+            throw new Error(`FITS header values must be finite numbers, not ${value}`);
+        }
+        if (Number.isInteger(value) && Math.abs(value) < 1e15) return String(value);
+        return value.toPrecision(15).replace(/\.?0+(e|$)/, '$1').toUpperCase();
+    },
+
+    // Headers and text columns hold printable ASCII only; anything else becomes '?'
+    toASCII: (text) => {
+        return String(text).replace(/[^\x20-\x7e]/gu, '?');
+    },
+
+    // Build a header block from [key, value, comment] entries; END and padding are added.
+    // Cards whose number is NaN or infinite are left out rather than written as a made-up value.
+    buildHeader: (cards) => {
+        const text = cards
+            .filter(([, value]) => typeof value !== 'number' || Number.isFinite(value))
+            .map(([key, value, comment]) => FITS.formatCard(key, value, comment)).join('') +
+            'END'.padEnd(FITS.CARD_SIZE);
+        const padded = text.padEnd(FITS.paddedLength(text.length), ' ');
+
+        const bytes = new Uint8Array(padded.length);
+        for (let i = 0; i < padded.length; i++) {
+            bytes[i] = padded.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    paddedLength: (length) => {
+        return Math.ceil(length / FITS.BLOCK_SIZE) * FITS.BLOCK_SIZE;
+    },
+
+    // Join header and data units into one file
+    concat: (parts) => {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const out = new Uint8Array(total);
+        let offset = 0;
+        parts.forEach(part => {
+            out.set(part, offset);
+            offset += part.length;
+        });
+        return out;
+    },
+
+    // Primary HDU holding a 1-D float64 image; extraCards are [key, value, comment]
+    createImage1D: (values, extraCards = []) => {
+        const header = FITS.buildHeader([
+            ['SIMPLE', true, 'conforms to FITS standard'],
+            ['BITPIX', -64, 'IEEE double precision'],
+            ['NAXIS', 1, 'number of data axes'],
+            ['NAXIS1', values.length, 'length of data axis 1'],
+            ...extraCards
+        ]);
+
+        const data = new Uint8Array(FITS.paddedLength(values.length * 8));
+        const view = new DataView(data.buffer);
+        for (let i = 0; i < values.length; i++) {
+            view.setFloat64(i * 8, values[i], false);
+        }
+
+        return FITS.concat([header, data]);
+    },
+
+    // Empty primary HDU followed by a BINTABLE extension.
+    // columns: [{ name, type: 'A' | 'D' | 'K', unit }]; rows: objects keyed by column name
+    createBinaryTable: (columns, rows, extname, primaryCards = []) => {
+        const primary = FITS.buildHeader([
+            ['SIMPLE', true, 'conforms to FITS standard'],
+            ['BITPIX', 8, 'array data type'],
+            ['NAXIS', 0, 'no primary data'],
+            ['EXTEND', true, 'extensions follow'],
+            ...primaryCards
+        ]);
+
+        // Fixed-width layout: strings take the longest value, numbers 8 bytes
+        const layout = columns.map(col => {
+            let width = 8;
+            if (col.type === 'A') {
+                width = Math.max(1, ...rows.map(row => FITS.toASCII(row[col.name] ?? '').length));
+            }
+            return { ...col, width, format: col.type === 'A' ? `${width}A` : `1${col.type}` };
+        });
+        const rowBytes = layout.reduce((sum, col) => sum + col.width, 0);
+
+        const cards = [
+            ['XTENSION', 'BINTABLE', 'binary table extension'],
+            ['BITPIX', 8, 'array data type'],
+            ['NAXIS', 2, 'number of array dimensions'],
+            ['NAXIS1', rowBytes, 'bytes per row'],
+            ['NAXIS2', rows.length, 'number of rows'],
+            ['PCOUNT', 0, 'no heap'],
+            ['GCOUNT', 1, 'one data group'],
+            ['TFIELDS', layout.length, 'number of columns']
+        ];
+        layout.forEach((col, i) => {
+            cards.push([`TTYPE${i + 1}`, col.name]);
+            cards.push([`TFORM${i + 1}`, col.format]);
+            if (col.unit) {
+                cards.push([`TUNIT${i + 1}`, col.unit]);
+            }
+        });
+        if (extname) {
+            cards.push(['EXTNAME', extname, 'extension name']);
+        }
+        const header = FITS.buildHeader(cards);
+
+        const data = new Uint8Array(FITS.paddedLength(rowBytes * rows.length));
+        const view = new DataView(data.buffer);
+        let offset = 0;
+        rows.forEach(row => {
+            layout.forEach(col => {
+                const value = row[col.name];
+                if (col.type === 'A') {
+                    const text = FITS.toASCII(value ?? '').padEnd(col.width);
+                    for (let i = 0; i < col.width; i++) {
+                        data[offset + i] = text.charCodeAt(i);
+                    }
+                } else if (col.type === 'K') {
+                    view.setBigInt64(offset, BigInt(Math.round(Number(value) || 0)), false);
+                } else {
+                    view.setFloat64(offset, value === null || value === undefined ? NaN : Number(value), false);
+                }
+                offset += col.width;
+            });
+        });
+
+        return FITS.concat([primary, header, data]);
+    }
+};
@@ -0,0 +1,81 @@
+// Go-to panel - UI over GoTo in js/engine/goto.js: slew by name (with suggestions from the
+// field and the built-in bright-star and Messier list), by RA/Dec, by Alt/Az or by an offset
+
+const GOTO_SUGGESTIONS = 12;
+
+class GoToController {
+    constructor(telescopeController) {
+        this.telescopeController = telescopeController;
+        this.telescope = telescopeController.telescope;
+
+        this.init();
+    }
+
+    init() {
+        if (!document.getElementById('goto-controls')) return;
+
+        const actions = {
+            'goto-name': () => GoTo.resolveName(this.telescope.catalog, this.value('goto-name')),
+            'goto-radec': () => GoTo.fromEquatorial(this.value('goto-ra'), this.value('goto-dec')),
+            'goto-altaz': () => GoTo.fromHorizontal(this.telescope, this.value('goto-alt'), this.value('goto-az')),
+            'goto-offset': () => GoTo.fromOffset(this.telescope, this.value('goto-east'), this.value('goto-north'))
+        };
+        const inputs = {
+            'goto-name': ['goto-name'],
+            'goto-radec': ['goto-ra', 'goto-dec'],
+            'goto-altaz': ['goto-alt', 'goto-az'],
+            'goto-offset': ['goto-east', 'goto-north']
+        };
+
+        // Each row's button, or Enter in one of its boxes
+        Object.entries(actions).forEach(([id, resolve]) => {
+            document.getElementById(`${id}-btn`).addEventListener('click', () => this.goTo(resolve));
+            inputs[id].forEach(inputId => {
+                document.getElementById(inputId).addEventListener('keydown', (event) => {
+                    if (event.key === 'Enter') this.goTo(resolve);
+                });
+            });
+        });
+
+        document.getElementById('goto-name').addEventListener('input', () => this.updateSuggestions());
+    }
+
+    value(id) {
+        return document.getElementById(id).value;
+    }
+
+    updateSuggestions() {
+        const list = document.getElementById('goto-suggestions');
+        list.innerHTML = '';
+        GoTo.suggest(this.telescope.catalog, this.value('goto-name'), GOTO_SUGGESTIONS).forEach(obj => {
+            const option = document.createElement('option');
+            option.value = obj.name;
+            const details = [obj.alias, obj.source === 'field' ? 'in field' : obj.source];
+            if (Number.isFinite(obj.mag)) details.push(`V ${obj.mag.toFixed(1)}`);
+            option.label = details.filter(Boolean).join(' · ');
+            list.appendChild(option);
+        });
+    }
+
+    // Resolve the typed target and slew; input errors and refused slews show under the panel
+    goTo(resolve) {
+        const status = document.getElementById('goto-status');
+        let target;
+        try {
+            target = resolve();
+        } catch (error) {
+            status.textContent = error.message;
+            return;
+        }
+
+        const seconds = this.telescope.estimateSlewTime(target.ra, target.dec);
+        if (this.telescope.slewToObject(target)) {
+            status.textContent = `Slewing to ${target.name} (${Utils.formatRA(target.ra)}, ` +
+                `${Utils.formatDec(target.dec)}), about ${Math.ceil(seconds)} s`;
+        } else {
+            status.textContent = this.telescope.limitStatus;
+            console.warn(this.telescope.limitStatus);
+        }
+        this.telescopeController.updateDisplay();
+    }
+}
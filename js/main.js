@@ -1,14 +1,34 @@
 // Main application initialization and global functions
 
-// Global telescope controller instance
+// Global simulation engine and telescope controller instances
+let simulation;
 let telescopeController;
+let bridgeClient;
+let apiController;
+let sessionController;
 
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     console.log('Telescope Control Panel - Initializing...');
     
-    // Create the main telescope controller
-    telescopeController = new TelescopeController();
+    // Create the simulation engine and the main telescope controller over it.
+    // A ?seed= URL parameter lets an instructor hand out a reproducible session.
+    const params = new URLSearchParams(window.location.search);
+    simulation = new Simulation({ seed: SeededRandom.parseSeed(params.get('seed')) });
+    telescopeController = new TelescopeController(simulation);
+    
+    // Promise-based automation API for the console, tests and embedding pages (js/api.js)
+    apiController = new APIController(telescopeController);
+    window.telescopeAPI = apiController.api;
+    
+    // Saved sessions, and links like ?scope=vu20&field=PLEIADES&time=2026-11-03T02:00Z&at=Alcyone
+    sessionController = new SessionController(telescopeController);
+    sessionController.applyURL(window.location.search);
+    
+    // ?bridge links the mount to scripts/telescope-bridge.js for planetarium software
+    if (params.has('bridge')) {
+        bridgeClient = new BridgeClient(telescopeController, params.get('bridge'));
+    }
     
     // Add window resize handler
     window.addEventListener('resize', handleWindowResize);
@@ -82,6 +102,35 @@ function hideModal() {
     document.getElementById('modal').style.display = 'none';
 }
 
+// Save text or binary (Uint8Array) data as a file download
+function downloadFile(filename, data, mimeType) {
+    const blob = new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    URL.revokeObjectURL(url);
+}
+
+// File-name friendly version of object names and timestamps
+function safeFilename(text) {
+    return String(text).replace(/[^A-Za-z0-9._-]+/g, '_');
+}
+
+// Escape text (catalog names, file contents) before putting it into innerHTML
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 // Error handling
 window.addEventListener('error', function(event) {
     console.error('Application Error:', event.error);
@@ -100,7 +149,7 @@ window.addEventListener('error', function(event) {
         max-width: 300px;
     `;
     errorDiv.innerHTML = `
-        <strong>Error:</strong> ${event.error.message}<br>
+        <strong>Error:</strong> ${escapeHTML(event.error ? event.error.message : event.message)}<br>
         <small>Check console for details</small>
         <button onclick="this.parentElement.remove()" style="float: right; margin-left: 10px; background: none; border: none; color: white; cursor: pointer;">×</button>
     `;
@@ -141,79 +190,16 @@ if (location.hostname === 'localhost' || location.hostname === '127.0.0.1') {
     updatePerformanceStats();
 }
 
-// Helper functions for debugging
-window.debugTelescope = {
-    getState: () => {
-        if (!telescopeController) return null;
-        return {
-            ra: telescopeController.centerRA,
-            dec: telescopeController.centerDec,
-            telescope: telescopeController.currentTelescope,
-            field: telescopeController.currentField,
-            objects: telescopeController.catalog.objects.length,
-            backgroundStars: telescopeController.catalog.backgroundStars.length
-        };
-    },
-    
-    slewTo: (ra, dec) => {
-        if (!telescopeController) return;
-        telescopeController.centerRA = ra;
-        telescopeController.centerDec = dec;
-        telescopeController.updateDisplay();
-    },
-    
-    loadSampleField: () => {
-        if (!telescopeController) return;
-        const sampleField = FIELDS[0]; // Coma cluster
-        telescopeController.currentField = sampleField;
-        telescopeController.centerRA = sampleField.ra;
-        telescopeController.centerDec = sampleField.dec;
-        telescopeController.catalog.loadSampleData();
-        telescopeController.updateDisplay();
-    },
-    
-    testSpectrometer: () => {
-        if (window.spectrometerController) {
-            console.log('Spectrometer controller exists');
-            console.log('Current object:', window.spectrometerController.currentObject);
-            console.log('Objects in catalog:', telescopeController.catalog.objects.map(obj => obj.name));
-            
-            // Test slit detection
-            const result = telescopeController.catalog.findObjectsInSlit(
-                telescopeController.centerRA, 
-                telescopeController.centerDec,
-                CONSTANTS.SLIT_WIDTH_DEG,
-                CONSTANTS.SLIT_HEIGHT_DEG
-            );
-            console.log('Objects in slit:', result);
-        } else {
-            console.log('Spectrometer controller not found');
-        }
-    }
-};
-
 // Console welcome message
 console.log(`
-╭─────────────────────────────────────────╮
-│     Telescope Control Panel v1.0       │
-│                                         │
-│  Debug functions available in           │
-│  window.debugTelescope                  │
-│                                         │
-│  Try: debugTelescope.getState()         │
-│       debugTelescope.loadSampleField()  │
-│       debugTelescope.testSpectrometer() │
-╰─────────────────────────────────────────╯
+╭────────────────────────────────────────────────────╮
+│    Telescope Control Panel v1.0                    │
+│                                                    │
+│  Automation API: window.telescopeAPI               │
+│                                                    │
+│  Try: await telescopeAPI.getState()                │
+│       await telescopeAPI.scope.slewTo(3.79, 24.1)  │
+│       await telescopeAPI.photometer.expose({       │
+│           filter: 'B', aperture: 10, time: 1 })    │
+╰────────────────────────────────────────────────────╯
 `);
-
-// Export for potential module usage
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
-        TelescopeController,
-        PhotometerController,
-        SpectrometerController,
-        Utils,
-        Catalog,
-        AstroObject
-    };
-}
@@ -0,0 +1,214 @@
+// Offline list of bright named stars and the Messier objects, for go-to by name
+//
+// J2000 positions as typed into a go-to box (see Utils.parseRA / parseDec) and V magnitudes.
+// Positions are good to a few arcseconds for the stars and to about an arcminute for the
+// Messier objects, which is all a go-to needs; proper motion is ignored.
+
+const NAMED_OBJECTS = {
+    // name, RA, Dec, V
+    STARS: [
+        ['Sirius', '06 45 08.9', '-16 42 58', -1.46],
+        ['Canopus', '06 23 57.1', '-52 41 44', -0.74],
+        ['Rigil Kentaurus', '14 39 36.5', '-60 50 02', -0.27],
+        ['Arcturus', '14 15 39.7', '+19 10 57', -0.05],
+        ['Vega', '18 36 56.3', '+38 47 01', 0.03],
+        ['Capella', '05 16 41.4', '+45 59 53', 0.08],
+        ['Rigel', '05 14 32.3', '-08 12 06', 0.13],
+        ['Procyon', '07 39 18.1', '+05 13 30', 0.34],
+        ['Achernar', '01 37 42.8', '-57 14 12', 0.46],
+        ['Betelgeuse', '05 55 10.3', '+07 24 25', 0.50],
+        ['Hadar', '14 03 49.4', '-60 22 23', 0.61],
+        ['Altair', '19 50 47.0', '+08 52 06', 0.76],
+        ['Acrux', '12 26 35.9', '-63 05 57', 0.76],
+        ['Aldebaran', '04 35 55.2', '+16 30 33', 0.86],
+        ['Antares', '16 29 24.4', '-26 25 55', 0.96],
+        ['Spica', '13 25 11.6', '-11 09 41', 0.97],
+        ['Pollux', '07 45 18.9', '+28 01 34', 1.14],
+        ['Fomalhaut', '22 57 39.0', '-29 37 20', 1.16],
+        ['Deneb', '20 41 25.9', '+45 16 49', 1.25],
+        ['Mimosa', '12 47 43.3', '-59 41 19', 1.25],
+        ['Regulus', '10 08 22.3', '+11 58 02', 1.35],
+        ['Adhara', '06 58 37.5', '-28 58 20', 1.50],
+        ['Castor', '07 34 36.0', '+31 53 18', 1.58],
+        ['Shaula', '17 33 36.5', '-37 06 14', 1.62],
+        ['Gacrux', '12 31 10.0', '-57 06 48', 1.63],
+        ['Bellatrix', '05 25 07.9', '+06 20 59', 1.64],
+        ['Elnath', '05 26 17.5', '+28 36 27', 1.65],
+        ['Miaplacidus', '09 13 12.0', '-69 43 02', 1.67],
+        ['Alnilam', '05 36 12.8', '-01 12 07', 1.69],
+        ['Alnair', '22 08 14.0', '-46 57 40', 1.74],
+        ['Alnitak', '05 40 45.5', '-01 56 34', 1.77],
+        ['Alioth', '12 54 01.7', '+55 57 35', 1.77],
+        ['Dubhe', '11 03 43.7', '+61 45 03', 1.79],
+        ['Mirfak', '03 24 19.4', '+49 51 40', 1.79],
+        ['Wezen', '07 08 23.5', '-26 23 36', 1.83],
+        ['Kaus Australis', '18 24 10.3', '-34 23 05', 1.85],
+        ['Avior', '08 22 30.8', '-59 30 35', 1.86],
+        ['Alkaid', '13 47 32.4', '+49 18 48', 1.86],
+        ['Sargas', '17 37 19.1', '-42 59 52', 1.86],
+        ['Menkalinan', '05 59 31.7', '+44 56 51', 1.90],
+        ['Atria', '16 48 39.9', '-69 01 40', 1.92],
+        ['Alhena', '06 37 42.7', '+16 23 57', 1.93],
+        ['Peacock', '20 25 38.9', '-56 44 06', 1.94],
+        ['Polaris', '02 31 49.1', '+89 15 51', 1.98],
+        ['Mirzam', '06 22 42.0', '-17 57 21', 1.98],
+        ['Alphard', '09 27 35.2', '-08 39 31', 1.98],
+        ['Hamal', '02 07 10.4', '+23 27 45', 2.00],
+        ['Diphda', '00 43 35.4', '-17 59 12', 2.02],
+        ['Nunki', '18 55 15.9', '-26 17 48', 2.05],
+        ['Mirach', '01 09 43.9', '+35 37 14', 2.05],
+        ['Menkent', '14 06 40.9', '-36 22 12', 2.06],
+        ['Alpheratz', '00 08 23.3', '+29 05 26', 2.06],
+        ['Rasalhague', '17 34 56.1', '+12 33 36', 2.07],
+        ['Kochab', '14 50 42.3', '+74 09 20', 2.08],
+        ['Saiph', '05 47 45.4', '-09 40 11', 2.09],
+        ['Almach', '02 03 54.0', '+42 19 47', 2.10],
+        ['Algol', '03 08 10.1', '+40 57 20', 2.12],
+        ['Denebola', '11 49 03.6', '+14 34 19', 2.13],
+        ['Suhail', '09 07 59.8', '-43 25 57', 2.21],
+        ['Alphecca', '15 34 41.3', '+26 42 53', 2.22],
+        ['Mizar', '13 23 55.5', '+54 55 31', 2.23],
+        ['Sadr', '20 22 13.7', '+40 15 24', 2.23],
+        ['Eltanin', '17 56 36.4', '+51 29 20', 2.23],
+        ['Mintaka', '05 32 00.4', '-00 17 57', 2.23],
+        ['Schedar', '00 40 30.4', '+56 32 14', 2.24],
+        ['Naos', '08 03 35.0', '-40 00 12', 2.25],
+        ['Caph', '00 09 10.7', '+59 08 59', 2.28],
+        ['Izar', '14 44 59.2', '+27 04 27', 2.37],
+        ['Merak', '11 01 50.5', '+56 22 57', 2.37],
+        ['Enif', '21 44 11.2', '+09 52 30', 2.39],
+        ['Ankaa', '00 26 17.0', '-42 18 22', 2.40],
+        ['Scheat', '23 03 46.5', '+28 04 58', 2.42],
+        ['Sabik', '17 10 22.7', '-15 43 29', 2.43],
+        ['Phecda', '11 53 49.8', '+53 41 41', 2.44],
+        ['Aludra', '07 24 05.7', '-29 18 11', 2.45],
+        ['Alderamin', '21 18 34.8', '+62 35 08', 2.45],
+        ['Markab', '23 04 45.7', '+15 12 19', 2.49],
+        ['Menkar', '03 02 16.8', '+04 05 23', 2.54],
+        ['Unukalhai', '15 44 16.1', '+06 25 32', 2.63],
+        ['Ruchbah', '01 25 49.0', '+60 14 07', 2.68],
+        ['Muphrid', '13 54 41.1', '+18 23 52', 2.68],
+        ['Zubenelgenubi', '14 50 52.7', '-16 02 30', 2.75],
+        ['Algenib', '00 13 14.2', '+15 11 01', 2.83],
+        ['Vindemiatrix', '13 02 10.6', '+10 57 33', 2.83],
+        ['Cor Caroli', '12 56 01.7', '+38 19 06', 2.89],
+        ['Albireo', '19 30 43.3', '+27 57 35', 3.05],
+        ['Acamar', '02 58 15.7', '-40 18 17', 3.20],
+        ['Megrez', '12 15 25.6', '+57 01 57', 3.31],
+        ['Thuban', '14 04 23.3', '+64 22 33', 3.65]
+    ],
+
+    // designation, common name, RA, Dec, V, kind
+    MESSIER: [
+        ['M1', 'Crab Nebula', '05 34.5', '+22 01', 8.4, 'supernova remnant'],
+        ['M2', '', '21 33.5', '-00 49', 6.5, 'globular cluster'],
+        ['M3', '', '13 42.2', '+28 23', 6.2, 'globular cluster'],
+        ['M4', '', '16 23.6', '-26 32', 5.6, 'globular cluster'],
+        ['M5', '', '15 18.6', '+02 05', 5.6, 'globular cluster'],
+        ['M6', 'Butterfly Cluster', '17 40.1', '-32 13', 4.2, 'open cluster'],
+        ['M7', "Ptolemy's Cluster", '17 53.9', '-34 49', 3.3, 'open cluster'],
+        ['M8', 'Lagoon Nebula', '18 03.8', '-24 23', 6.0, 'nebula'],
+        ['M9', '', '17 19.2', '-18 31', 7.7, 'globular cluster'],
+        ['M10', '', '16 57.1', '-04 06', 6.6, 'globular cluster'],
+        ['M11', 'Wild Duck Cluster', '18 51.1', '-06 16', 5.8, 'open cluster'],
+        ['M12', '', '16 47.2', '-01 57', 6.7, 'globular cluster'],
+        ['M13', 'Hercules Cluster', '16 41.7', '+36 28', 5.8, 'globular cluster'],
+        ['M14', '', '17 37.6', '-03 15', 7.6, 'globular cluster'],
+        ['M15', '', '21 30.0', '+12 10', 6.2, 'globular cluster'],
+        ['M16', 'Eagle Nebula', '18 18.8', '-13 47', 6.0, 'nebula'],
+        ['M17', 'Omega Nebula', '18 20.8', '-16 11', 6.0, 'nebula'],
+        ['M18', '', '18 19.9', '-17 08', 6.9, 'open cluster'],
+        ['M19', '', '17 02.6', '-26 16', 6.8, 'globular cluster'],
+        ['M20', 'Trifid Nebula', '18 02.6', '-23 02', 6.3, 'nebula'],
+        ['M21', '', '18 04.6', '-22 30', 5.9, 'open cluster'],
+        ['M22', '', '18 36.4', '-23 54', 5.1, 'globular cluster'],
+        ['M23', '', '17 56.8', '-19 01', 5.5, 'open cluster'],
+        ['M24', 'Sagittarius Star Cloud', '18 16.9', '-18 29', 4.6, 'star cloud'],
+        ['M25', '', '18 31.6', '-19 15', 4.6, 'open cluster'],
+        ['M26', '', '18 45.2', '-09 24', 8.0, 'open cluster'],
+        ['M27', 'Dumbbell Nebula', '19 59.6', '+22 43', 7.5, 'planetary nebula'],
+        ['M28', '', '18 24.5', '-24 52', 6.8, 'globular cluster'],
+        ['M29', '', '20 23.9', '+38 32', 7.1, 'open cluster'],
+        ['M30', '', '21 40.4', '-23 11', 7.2, 'globular cluster'],
+        ['M31', 'Andromeda Galaxy', '00 42.7', '+41 16', 3.4, 'galaxy'],
+        ['M32', '', '00 42.7', '+40 52', 8.1, 'galaxy'],
+        ['M33', 'Triangulum Galaxy', '01 33.9', '+30 39', 5.7, 'galaxy'],
+        ['M34', '', '02 42.0', '+42 47', 5.5, 'open cluster'],
+        ['M35', '', '06 08.9', '+24 20', 5.3, 'open cluster'],
+        ['M36', '', '05 36.1', '+34 08', 6.3, 'open cluster'],
+        ['M37', '', '05 52.4', '+32 33', 6.2, 'open cluster'],
+        ['M38', '', '05 28.4', '+35 50', 7.4, 'open cluster'],
+        ['M39', '', '21 32.2', '+48 26', 4.6, 'open cluster'],
+        ['M40', 'Winnecke 4', '12 22.4', '+58 05', 8.4, 'double star'],
+        ['M41', '', '06 46.0', '-20 44', 4.5, 'open cluster'],
+        ['M42', 'Orion Nebula', '05 35.4', '-05 27', 4.0, 'nebula'],
+        ['M43', '', '05 35.6', '-05 16', 9.0, 'nebula'],
+        ['M44', 'Beehive Cluster', '08 40.1', '+19 59', 3.7, 'open cluster'],
+        ['M45', 'Pleiades', '03 47.0', '+24 07', 1.6, 'open cluster'],
+        ['M46', '', '07 41.8', '-14 49', 6.0, 'open cluster'],
+        ['M47', '', '07 36.6', '-14 30', 5.2, 'open cluster'],
+        ['M48', '', '08 13.8', '-05 48', 5.5, 'open cluster'],
+        ['M49', '', '12 29.8', '+08 00', 8.4, 'galaxy'],
+        ['M50', '', '07 03.2', '-08 20', 5.9, 'open cluster'],
+        ['M51', 'Whirlpool Galaxy', '13 29.9', '+47 12', 8.4, 'galaxy'],
+        ['M52', '', '23 24.2', '+61 35', 7.3, 'open cluster'],
+        ['M53', '', '13 12.9', '+18 10', 7.6, 'globular cluster'],
+        ['M54', '', '18 55.1', '-30 29', 7.6, 'globular cluster'],
+        ['M55', '', '19 40.0', '-30 58', 6.3, 'globular cluster'],
+        ['M56', '', '19 16.6', '+30 11', 8.3, 'globular cluster'],
+        ['M57', 'Ring Nebula', '18 53.6', '+33 02', 8.8, 'planetary nebula'],
+        ['M58', '', '12 37.7', '+11 49', 9.7, 'galaxy'],
+        ['M59', '', '12 42.0', '+11 39', 9.6, 'galaxy'],
+        ['M60', '', '12 43.7', '+11 33', 8.8, 'galaxy'],
+        ['M61', '', '12 21.9', '+04 28', 9.7, 'galaxy'],
+        ['M62', '', '17 01.2', '-30 07', 6.5, 'globular cluster'],
+        ['M63', 'Sunflower Galaxy', '13 15.8', '+42 02', 8.6, 'galaxy'],
+        ['M64', 'Black Eye Galaxy', '12 56.7', '+21 41', 8.5, 'galaxy'],
+        ['M65', '', '11 18.9', '+13 05', 9.3, 'galaxy'],
+        ['M66', '', '11 20.2', '+12 59', 8.9, 'galaxy'],
+        ['M67', '', '08 50.4', '+11 49', 6.1, 'open cluster'],
+        ['M68', '', '12 39.5', '-26 45', 7.8, 'globular cluster'],
+        ['M69', '', '18 31.4', '-32 21', 7.6, 'globular cluster'],
+        ['M70', '', '18 43.2', '-32 18', 7.9, 'globular cluster'],
+        ['M71', '', '19 53.8', '+18 47', 8.2, 'globular cluster'],
+        ['M72', '', '20 53.5', '-12 32', 9.3, 'globular cluster'],
+        ['M73', '', '20 59.0', '-12 38', 9.0, 'asterism'],
+        ['M74', '', '01 36.7', '+15 47', 9.4, 'galaxy'],
+        ['M75', '', '20 06.1', '-21 55', 8.5, 'globular cluster'],
+        ['M76', 'Little Dumbbell Nebula', '01 42.4', '+51 34', 10.1, 'planetary nebula'],
+        ['M77', '', '02 42.7', '-00 01', 8.9, 'galaxy'],
+        ['M78', '', '05 46.7', '+00 03', 8.3, 'nebula'],
+        ['M79', '', '05 24.5', '-24 33', 7.7, 'globular cluster'],
+        ['M80', '', '16 17.0', '-22 59', 7.3, 'globular cluster'],
+        ['M81', "Bode's Galaxy", '09 55.6', '+69 04', 6.9, 'galaxy'],
+        ['M82', 'Cigar Galaxy', '09 55.8', '+69 41', 8.4, 'galaxy'],
+        ['M83', 'Southern Pinwheel Galaxy', '13 37.0', '-29 52', 7.5, 'galaxy'],
+        ['M84', '', '12 25.1', '+12 53', 9.1, 'galaxy'],
+        ['M85', '', '12 25.4', '+18 11', 9.1, 'galaxy'],
+        ['M86', '', '12 26.2', '+12 57', 8.9, 'galaxy'],
+        ['M87', 'Virgo A', '12 30.8', '+12 23', 8.6, 'galaxy'],
+        ['M88', '', '12 32.0', '+14 25', 9.6, 'galaxy'],
+        ['M89', '', '12 35.7', '+12 33', 9.8, 'galaxy'],
+        ['M90', '', '12 36.8', '+13 10', 9.5, 'galaxy'],
+        ['M91', '', '12 35.4', '+14 30', 10.2, 'galaxy'],
+        ['M92', '', '17 17.1', '+43 08', 6.4, 'globular cluster'],
+        ['M93', '', '07 44.6', '-23 52', 6.0, 'open cluster'],
+        ['M94', '', '12 50.9', '+41 07', 8.2, 'galaxy'],
+        ['M95', '', '10 44.0', '+11 42', 9.7, 'galaxy'],
+        ['M96', '', '10 46.8', '+11 49', 9.2, 'galaxy'],
+        ['M97', 'Owl Nebula', '11 14.8', '+55 01', 9.9, 'planetary nebula'],
+        ['M98', '', '12 13.8', '+14 54', 10.1, 'galaxy'],
+        ['M99', '', '12 18.8', '+14 25', 9.9, 'galaxy'],
+        ['M100', '', '12 22.9', '+15 49', 9.3, 'galaxy'],
+        ['M101', 'Pinwheel Galaxy', '14 03.2', '+54 21', 7.9, 'galaxy'],
+        ['M102', 'Spindle Galaxy', '15 06.5', '+55 46', 9.9, 'galaxy'],
+        ['M103', '', '01 33.2', '+60 42', 7.4, 'open cluster'],
+        ['M104', 'Sombrero Galaxy', '12 40.0', '-11 37', 8.0, 'galaxy'],
+        ['M105', '', '10 47.8', '+12 35', 9.3, 'galaxy'],
+        ['M106', '', '12 19.0', '+47 18', 8.4, 'galaxy'],
+        ['M107', '', '16 32.5', '-13 03', 7.9, 'globular cluster'],
+        ['M108', '', '11 11.5', '+55 40', 10.0, 'galaxy'],
+        ['M109', '', '11 57.6', '+53 23', 9.8, 'galaxy'],
+        ['M110', '', '00 40.4', '+41 41', 8.5, 'galaxy']
+    ]
+};
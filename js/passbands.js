@@ -0,0 +1,288 @@
+// Passbands - the photometer's filters: transmission curves and the per-band constants of the
+// photon model, and magnitudes synthesized through the curves
+//
+// Each PASSBANDS entry:
+//   id, label        key used everywhere a filter is named ('V', 'r', 'Ha'), and how it is shown
+//   system           group in the photometer panel
+//   magSystem        'Vega' (Vega is 0 mag) or 'AB' (3631 Jy is 0 mag)
+//   curve            [[wavelength (Å), transmission], ...], interpolated linearly
+//   zeroPoint        photons s⁻¹ m⁻² from a 0 mag source; when absent it is computed from the
+//                    curve, on the same scale as V
+//   extinction       mag per airmass
+//   sky              dark, moonless sky at the zenith (mag/arcsec²), as seen from the ground
+//   moonColor, twilightColor   band - V of scattered moonlight and of twilight (mag/arcsec²):
+//                    both are bluer than the airglow that dominates a dark sky
+//
+// U, B and V come from the catalog (mag, bv, ub). Every other band is synthesized: the object's
+// spectrum (a blackbody at the star's temperature, or the galaxy template at its redshift) is put
+// through the curve and tied to its V magnitude.
+
+const PASSBANDS = [
+    {
+        id: 'U', label: 'U', system: 'Johnson-Cousins', magSystem: 'Vega',
+        zeroPoint: 1.8e10, extinction: 0.50, sky: 22.0, moonColor: -2.0, twilightColor: -0.6,
+        curve: [[3000, 0], [3050, 0.016], [3100, 0.068], [3150, 0.167], [3200, 0.287], [3250, 0.423],
+            [3300, 0.560], [3350, 0.673], [3400, 0.772], [3450, 0.841], [3500, 0.905], [3550, 0.943],
+            [3600, 0.981], [3650, 0.993], [3700, 1.000], [3750, 0.989], [3800, 0.916], [3850, 0.804],
+            [3900, 0.625], [3950, 0.423], [4000, 0.238], [4050, 0.114], [4100, 0.051], [4150, 0.019], [4200, 0]]
+    },
+    {
+        id: 'B', label: 'B', system: 'Johnson-Cousins', magSystem: 'Vega',
+        zeroPoint: 4.0e10, extinction: 0.25, sky: 22.7, moonColor: -0.6, twilightColor: -0.3,
+        curve: [[3600, 0], [3700, 0.030], [3800, 0.134], [3900, 0.567], [4000, 0.920], [4100, 0.978],
+            [4200, 1.000], [4300, 0.978], [4400, 0.935], [4500, 0.853], [4600, 0.740], [4700, 0.640],
+            [4800, 0.536], [4900, 0.424], [5000, 0.325], [5100, 0.235], [5200, 0.150], [5300, 0.095],
+            [5400, 0.043], [5500, 0.009], [5600, 0]]
+    },
+    {
+        id: 'V', label: 'V', system: 'Johnson-Cousins', magSystem: 'Vega',
+        zeroPoint: 3.6e10, extinction: 0.15, sky: 21.6, moonColor: 0.0, twilightColor: 0.0,
+        curve: [[4700, 0], [4800, 0.030], [4900, 0.163], [5000, 0.458], [5100, 0.780], [5200, 0.967],
+            [5300, 1.000], [5400, 0.973], [5500, 0.898], [5600, 0.792], [5700, 0.684], [5800, 0.574],
+            [5900, 0.461], [6000, 0.359], [6100, 0.270], [6200, 0.197], [6300, 0.135], [6400, 0.081],
+            [6500, 0.045], [6600, 0.025], [6700, 0.017], [6800, 0.013], [6900, 0.009], [7000, 0]]
+    },
+    {
+        id: 'R', label: 'R', system: 'Johnson-Cousins', magSystem: 'Vega',
+        extinction: 0.10, sky: 20.9, moonColor: 0.2, twilightColor: 0.1,
+        curve: [[5500, 0], [5600, 0.23], [5700, 0.74], [5800, 0.91], [5900, 0.98], [6000, 1.00],
+            [6100, 0.98], [6200, 0.96], [6300, 0.93], [6400, 0.90], [6500, 0.86], [6600, 0.81],
+            [6700, 0.78], [6800, 0.72], [6900, 0.67], [7000, 0.61], [7100, 0.56], [7200, 0.51],
+            [7300, 0.46], [7400, 0.40], [7500, 0.35], [8000, 0.14], [8500, 0.03], [9000, 0]]
+    },
+    {
+        id: 'I', label: 'I', system: 'Johnson-Cousins', magSystem: 'Vega',
+        extinction: 0.07, sky: 19.9, moonColor: 0.4, twilightColor: 0.3,
+        curve: [[7000, 0], [7100, 0.024], [7200, 0.232], [7300, 0.555], [7400, 0.785], [7500, 0.910],
+            [7600, 0.965], [7700, 0.985], [7800, 0.990], [7900, 0.995], [8000, 1.000], [8100, 1.000],
+            [8200, 0.990], [8300, 0.980], [8400, 0.950], [8500, 0.910], [8600, 0.860], [8700, 0.750],
+            [8800, 0.560], [8900, 0.330], [9000, 0.150], [9100, 0.030], [9200, 0]]
+    },
+    {
+        id: 'u', label: 'u′', system: 'SDSS', magSystem: 'AB',
+        extinction: 0.49, sky: 22.3, moonColor: -1.8, twilightColor: -0.5,
+        curve: [[2980, 0], [3100, 0.10], [3200, 0.45], [3300, 0.75], [3400, 0.90], [3500, 1.00],
+            [3600, 0.95], [3700, 0.85], [3800, 0.60], [3900, 0.30], [4000, 0.08], [4100, 0]]
+    },
+    {
+        id: 'g', label: 'g′', system: 'SDSS', magSystem: 'AB',
+        extinction: 0.18, sky: 22.0, moonColor: -0.4, twilightColor: -0.2,
+        curve: [[3630, 0], [3800, 0.20], [3900, 0.55], [4000, 0.75], [4200, 0.88], [4400, 0.95],
+            [4600, 1.00], [4800, 1.00], [5000, 0.98], [5200, 0.95], [5400, 0.85], [5500, 0.40],
+            [5600, 0.05], [5800, 0]]
+    },
+    {
+        id: 'r', label: 'r′', system: 'SDSS', magSystem: 'AB',
+        extinction: 0.10, sky: 21.0, moonColor: 0.15, twilightColor: 0.1,
+        curve: [[5380, 0], [5500, 0.35], [5600, 0.85], [5800, 0.95], [6000, 1.00], [6200, 1.00],
+            [6400, 0.97], [6600, 0.92], [6800, 0.80], [7000, 0.25], [7200, 0.02], [7300, 0]]
+    },
+    {
+        id: 'i', label: 'i′', system: 'SDSS', magSystem: 'AB',
+        extinction: 0.06, sky: 20.2, moonColor: 0.35, twilightColor: 0.2,
+        curve: [[6430, 0], [6700, 0.40], [6900, 0.85], [7100, 0.95], [7300, 1.00], [7500, 0.98],
+            [7700, 0.95], [7900, 0.90], [8100, 0.80], [8300, 0.40], [8500, 0.05], [8630, 0]]
+    },
+    {
+        id: 'z', label: 'z′', system: 'SDSS', magSystem: 'AB',
+        extinction: 0.05, sky: 19.3, moonColor: 0.5, twilightColor: 0.3,
+        curve: [[7730, 0], [8000, 0.40], [8300, 0.90], [8500, 1.00], [8800, 0.95], [9100, 0.80],
+            [9400, 0.60], [9700, 0.40], [10000, 0.20], [10500, 0.05], [11000, 0]]
+    },
+    {
+        id: 'Ha', label: 'Hα', system: 'Narrowband', magSystem: 'Vega',
+        extinction: 0.09, sky: 20.6, moonColor: 0.2, twilightColor: 0.1,
+        curve: [[6533, 0], [6548, 0.90], [6555, 0.95], [6563, 0.95], [6571, 0.95], [6578, 0.90], [6593, 0]]
+    },
+    {
+        id: 'OIII', label: '[OIII]', system: 'Narrowband', magSystem: 'Vega',
+        extinction: 0.17, sky: 22.0, moonColor: -0.2, twilightColor: -0.1,
+        curve: [[4977, 0], [4992, 0.90], [4999, 0.95], [5007, 0.95], [5015, 0.95], [5022, 0.90], [5037, 0]]
+    }
+];
+
+const Passbands = {
+    // Wavelength grid (Å) that spectra and curves are sampled on for synthetic photometry
+    GRID_START: 2900,
+    GRID_END: 11100,
+    GRID_STEP: 5,
+
+    // Zero-magnitude references: Vega (approximated by a 9600 K blackbody with
+    // 3.63e-9 erg s⁻¹ cm⁻² Å⁻¹ at 5556 Å) and AB (3631 Jy); F_λ in erg s⁻¹ cm⁻² Å⁻¹
+    VEGA_TEMPERATURE: 9600,
+    VEGA_FLUX_5556: 3.63e-9,
+    AB_FLUX_JY: 3631,
+
+    // Sampled curves, references and zero points, built on first use
+    cache: { grid: null, curves: {}, centers: {}, references: {}, zeroPoints: {} },
+
+    get: (id) => PASSBANDS.find(band => band.id === id),
+
+    has: (id) => PASSBANDS.some(band => band.id === id),
+
+    ids: () => PASSBANDS.map(band => band.id),
+
+    // Bands grouped for display: [{ system, bands: [...] }] in registry order
+    getGroups: () => {
+        const groups = [];
+        PASSBANDS.forEach(band => {
+            let group = groups.find(g => g.system === band.system);
+            if (!group) {
+                group = { system: band.system, bands: [] };
+                groups.push(group);
+            }
+            group.bands.push(band);
+        });
+        return groups;
+    },
+
+    // The band, or an Error naming the filter
+    require: (id) => {
+        const band = Passbands.get(id);
+        if (!band) {
+            throw new Error(`Unknown filter: ${id}`);
+        }
+        return band;
+    },
+
+    // Transmission at a wavelength (Å); 0 outside the curve
+    transmission: (id, wavelength) => {
+        const curve = Passbands.require(id).curve;
+        if (wavelength <= curve[0][0] || wavelength >= curve[curve.length - 1][0]) return 0;
+        let i = 1;
+        while (curve[i][0] < wavelength) i++;
+        const [w1, t1] = curve[i - 1];
+        const [w2, t2] = curve[i];
+        return t1 + (t2 - t1) * (wavelength - w1) / (w2 - w1);
+    },
+
+    getGrid: () => {
+        if (!Passbands.cache.grid) {
+            const grid = [];
+            for (let w = Passbands.GRID_START; w <= Passbands.GRID_END; w += Passbands.GRID_STEP) {
+                grid.push(w);
+            }
+            Passbands.cache.grid = grid;
+        }
+        return Passbands.cache.grid;
+    },
+
+    // Transmission on the grid
+    getCurve: (id) => {
+        if (!Passbands.cache.curves[id]) {
+            Passbands.cache.curves[id] = Passbands.getGrid().map(w => Passbands.transmission(id, w));
+        }
+        return Passbands.cache.curves[id];
+    },
+
+    // Transmission-weighted mean wavelength and the width of the curve at half its peak (Å)
+    describe: (id) => {
+        const band = Passbands.require(id);
+        const grid = Passbands.getGrid();
+        const curve = Passbands.getCurve(id);
+        let weighted = 0;
+        let total = 0;
+        curve.forEach((t, i) => {
+            weighted += t * grid[i];
+            total += t;
+        });
+        const peak = Math.max(...curve);
+        const above = grid.filter((w, i) => curve[i] >= peak / 2);
+        return {
+            id,
+            label: band.label,
+            system: band.system,
+            magSystem: band.magSystem,
+            center: weighted / total,
+            width: above[above.length - 1] - above[0] + Passbands.GRID_STEP
+        };
+    },
+
+    // Transmission-weighted mean wavelength (Å), as in describe()
+    getCenter: (id) => {
+        if (Passbands.cache.centers[id] === undefined) {
+            Passbands.cache.centers[id] = Passbands.describe(id).center;
+        }
+        return Passbands.cache.centers[id];
+    },
+
+    // F_λ (erg s⁻¹ cm⁻² Å⁻¹) of a 0 mag source in a magnitude system, on the grid
+    getReference: (magSystem) => {
+        const cache = Passbands.cache.references;
+        if (!cache[magSystem]) {
+            const grid = Passbands.getGrid();
+            if (magSystem === 'AB') {
+                // F_ν = 3631 Jy as F_λ = F_ν c / λ², with c in Å/s
+                cache[magSystem] = grid.map(w => Passbands.AB_FLUX_JY * 1e-23 * 2.99792458e18 / (w * w));
+            } else {
+                const norm = Passbands.VEGA_FLUX_5556 / Utils.blackbody(5556, Passbands.VEGA_TEMPERATURE);
+                cache[magSystem] = grid.map(w => Utils.blackbody(w, Passbands.VEGA_TEMPERATURE) * norm);
+            }
+        }
+        return cache[magSystem];
+    },
+
+    // Photon-weighted integral of a spectrum (an array on the grid) through a band
+    integrate: (spectrum, id) => {
+        const grid = Passbands.getGrid();
+        const curve = Passbands.getCurve(id);
+        let sum = 0;
+        for (let i = 0; i < grid.length; i++) {
+            sum += spectrum[i] * curve[i] * grid[i];
+        }
+        return sum * Passbands.GRID_STEP;
+    },
+
+    // Magnitude of a spectrum (F_λ on the grid) in a band's own magnitude system
+    synthesize: (spectrum, id) => {
+        const reference = Passbands.getReference(Passbands.require(id).magSystem);
+        return -2.5 * Math.log10(Passbands.integrate(spectrum, id) / Passbands.integrate(reference, id));
+    },
+
+    // Photons s⁻¹ m⁻² from a 0 mag source: the value given, or the curve's photon count for
+    // the zero-magnitude reference on the scale that V's given zero point sets
+    getZeroPoint: (id) => {
+        const band = Passbands.require(id);
+        if (band.zeroPoint) return band.zeroPoint;
+        if (!Passbands.cache.zeroPoints[id]) {
+            const photons = (bandId) =>
+                Passbands.integrate(Passbands.getReference(Passbands.require(bandId).magSystem), bandId);
+            Passbands.cache.zeroPoints[id] = Passbands.get('V').zeroPoint * photons(id) / photons('V');
+        }
+        return Passbands.cache.zeroPoints[id];
+    },
+
+    // Spectrum of a catalog object on the grid, in arbitrary units: the galaxy template at the
+    // object's redshift, or a blackbody at the star's temperature
+    getSpectrum: (obj) => {
+        const grid = Passbands.getGrid();
+        if (obj.objType === 1) {
+            return Utils.generateGalaxySpectrum(obj.redshift || 0, grid);
+        }
+        const temperature = Passbands.getTemperature(obj);
+        return grid.map(w => Utils.blackbody(w, temperature));
+    },
+
+    // Effective temperature (K) from the spectral type, or from B-V when there is none
+    // (Ballesteros 2012, EPL 97, 34008)
+    getTemperature: (obj) => {
+        if (obj.specType) {
+            return Utils.getTemperatureFromSpectralType(obj.specType);
+        }
+        const bv = obj.bv || 0;
+        return 4600 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62));
+    },
+
+    // Magnitude of a catalog object in a band, tied to its V magnitude through the band - V
+    // color of its spectrum. Colors are kept on the object, as its spectrum does not change.
+    synthesizeMagnitude: (obj, id) => {
+        if (!obj.syntheticColors) {
+            obj.syntheticColors = {};
+        }
+        if (obj.syntheticColors[id] === undefined) {
+            const spectrum = Passbands.getSpectrum(obj);
+            obj.syntheticColors[id] = Passbands.synthesize(spectrum, id) - Passbands.synthesize(spectrum, 'V');
+        }
+        return obj.mag + obj.syntheticColors[id];
+    }
+};
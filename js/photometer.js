@@ -1,49 +1,85 @@
-// Photometer instrument controller - Updated for new layout
+// Photometer instrument controller - UI over the Photometer model in js/engine/photometer.js
+
+// Disabled while an integration runs
+const PHOTOMETER_CONTROLS = '.filter-btn, #filter-mode-btn, #aperture-btn, #integration-btn, #atmosphere-btn, #annulus-btn, #start-integration';
+
+const FILTER_MODE_LABELS = {
+    single: 'Single filter',
+    sequential: 'Filter wheel',
+    simultaneous: 'Simultaneous'
+};
 
 class PhotometerController {
     constructor(telescopeController) {
-        this.telescope = telescopeController;
+        this.telescope = telescopeController.telescope;
+        this.simulation = telescopeController.simulation;
+        this.photometer = telescopeController.simulation.photometer;
+        this.clock = telescopeController.simulation.clock;
         this.canvas = document.getElementById('photometer-canvas');
         this.ctx = this.canvas.getContext('2d');
         
-        // Photometer settings
-        this.currentFilter = 'V';
-        this.apertureIndex = 2; // Start with 20"
-        this.integrationIndex = 2; // Start with 1.0s
-        this.atmosphereEnabled = true;
-        
-        // Integration state
+        // Integration state: exposures run on the simulation clock, not the wall clock
         this.integrating = false;
-        this.integrationTimer = null;
+        this.clockSubscriptions = [];
         this.integrationProgress = 0;
-        this.observationCount = 0;
+        this.cycling = false;          // a multi-filter cycle is running
+        this.cycleWait = null;         // { check, cancel } for the cycle's current wait
         
         this.init();
     }
     
     init() {
         console.log('Initializing photometer controller...');
+        this.buildFilterButtons();
         this.setupEventListeners();
         this.updateControls();
         this.updateApertureView();
     }
     
+    // One button per passband, a row per photometric system (PASSBANDS in js/passbands.js)
+    buildFilterButtons() {
+        const container = document.getElementById('filter-controls');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        Passbands.getGroups().forEach(({ system, bands }) => {
+            const group = document.createElement('div');
+            group.className = 'filter-group';
+            
+            const label = document.createElement('span');
+            label.className = 'filter-group-label';
+            label.textContent = system;
+            group.appendChild(label);
+            
+            bands.forEach(band => {
+                const { center, width } = Passbands.describe(band.id);
+                const btn = document.createElement('button');
+                btn.className = 'filter-btn';
+                btn.dataset.filter = band.id;
+                btn.textContent = band.label;
+                btn.title = `${band.label}: ${Math.round(center)} Å, ${width} Å wide (${band.magSystem} magnitudes)`;
+                group.appendChild(btn);
+            });
+            container.appendChild(group);
+        });
+    }
+    
     setupEventListeners() {
-        // Filter buttons
+        // Filter buttons: pick the filter, or with several filters add or remove one
         document.querySelectorAll('.filter-btn').forEach(btn => {
             btn.addEventListener('click', () => {
-                // Toggle filter selection (multiple filters can be active)
-                btn.classList.toggle('active');
-                
-                // Set current filter to first active filter
-                const activeFilters = document.querySelectorAll('.filter-btn.active');
-                if (activeFilters.length > 0) {
-                    this.currentFilter = activeFilters[0].dataset.filter;
-                }
-                this.updateApertureView();
+                this.selectFilter(btn.dataset.filter);
             });
         });
         
+        // Filter mode: single filter, filter wheel or simultaneous
+        const filterModeBtn = document.getElementById('filter-mode-btn');
+        if (filterModeBtn) {
+            filterModeBtn.addEventListener('click', () => {
+                this.cycleFilterMode();
+            });
+        }
+        
         // Aperture control
         const apertureBtn = document.getElementById('aperture-btn');
         if (apertureBtn) {
@@ -68,6 +104,14 @@ class PhotometerController {
             });
         }
         
+        // Sky annulus toggle
+        const annulusBtn = document.getElementById('annulus-btn');
+        if (annulusBtn) {
+            annulusBtn.addEventListener('click', () => {
+                this.toggleSkyAnnulus();
+            });
+        }
+        
         // Start integration
         const startBtn = document.getElementById('start-integration');
         if (startBtn) {
@@ -75,11 +119,45 @@ class PhotometerController {
                 this.startIntegration();
             });
         }
+        
+        // Observation log export
+        const exports = {
+            'export-csv': () => this.exportLog('csv'),
+            'export-json': () => this.exportLog('json'),
+            'export-fits': () => this.exportLog('fits')
+        };
+        Object.entries(exports).forEach(([id, handler]) => {
+            const btn = document.getElementById(id);
+            if (btn) {
+                btn.addEventListener('click', handler);
+            }
+        });
+    }
+    
+    // Download the observation log (photometry rows; JSON also includes saved spectra)
+    exportLog(format) {
+        const log = this.photometer.log;
+        if (!log || (log.entries.length === 0 && log.spectra.length === 0)) {
+            alert('No observations recorded yet.');
+            return;
+        }
+        
+        switch (format) {
+            case 'csv':
+                downloadFile('observation-log.csv', log.toCSV(), 'text/csv');
+                break;
+            case 'json':
+                downloadFile('observation-log.json', log.toJSONString(), 'application/json');
+                break;
+            case 'fits':
+                downloadFile('observation-log.fits', log.toFITS(), 'application/fits');
+                break;
+        }
     }
     
     updateControls() {
-        const aperture = CONSTANTS.APERTURE_SIZES[this.apertureIndex];
-        const integrationTime = CONSTANTS.INTEGRATION_TIMES[this.integrationIndex];
+        const aperture = this.photometer.getAperture();
+        const integrationTime = this.photometer.getIntegrationTime();
         
         const apertureBtn = document.getElementById('aperture-btn');
         const integrationBtn = document.getElementById('integration-btn');
@@ -92,27 +170,72 @@ class PhotometerController {
             integrationBtn.textContent = `⏱️ ${integrationTime}s`;
         }
         if (atmosphereBtn) {
-            atmosphereBtn.textContent = `Atmosphere: ${this.atmosphereEnabled ? 'On' : 'Off'}`;
-            atmosphereBtn.classList.toggle('active', this.atmosphereEnabled);
+            atmosphereBtn.textContent = `Atmosphere: ${this.photometer.atmosphereEnabled ? 'On' : 'Off'}`;
+            atmosphereBtn.classList.toggle('active', this.photometer.atmosphereEnabled);
+        }
+        
+        const annulusBtn = document.getElementById('annulus-btn');
+        if (annulusBtn) {
+            annulusBtn.textContent = `Sky annulus: ${this.photometer.annulusEnabled ? 'On' : 'Off'}`;
+            annulusBtn.classList.toggle('active', this.photometer.annulusEnabled);
         }
+        
+        // The filters an exposure will measure
+        const filters = this.photometer.filterMode === 'single' ?
+            [this.photometer.currentFilter] : this.photometer.activeFilters;
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', filters.includes(btn.dataset.filter));
+        });
+        
+        const filterModeBtn = document.getElementById('filter-mode-btn');
+        if (filterModeBtn) {
+            filterModeBtn.textContent = `🎡 ${FILTER_MODE_LABELS[this.photometer.filterMode]}`;
+        }
+    }
+    
+    selectFilter(filter) {
+        if (this.photometer.filterMode === 'single') {
+            this.photometer.setFilter(filter);
+        } else {
+            const filters = this.photometer.activeFilters;
+            if (!filters.includes(filter)) {
+                this.photometer.setActiveFilters(filters.concat(filter));
+            } else if (filters.length > 1) {
+                this.photometer.setActiveFilters(filters.filter(f => f !== filter));
+            }
+        }
+        this.updateControls();
+        this.updateApertureView();
+    }
+    
+    cycleFilterMode() {
+        const modes = Photometer.FILTER_MODES;
+        this.photometer.setFilterMode(modes[(modes.indexOf(this.photometer.filterMode) + 1) % modes.length]);
+        this.updateControls();
     }
     
     cycleAperture() {
-        this.apertureIndex = (this.apertureIndex + 1) % CONSTANTS.APERTURE_SIZES.length;
+        this.photometer.cycleAperture();
         this.updateControls();
         this.updateApertureView();
     }
     
     cycleIntegrationTime() {
-        this.integrationIndex = (this.integrationIndex + 1) % CONSTANTS.INTEGRATION_TIMES.length;
+        this.photometer.cycleIntegrationTime();
         this.updateControls();
     }
     
     toggleAtmosphere() {
-        this.atmosphereEnabled = !this.atmosphereEnabled;
+        this.photometer.toggleAtmosphere();
         this.updateControls();
     }
     
+    toggleSkyAnnulus() {
+        this.photometer.toggleSkyAnnulus();
+        this.updateControls();
+        this.updateApertureView();
+    }
+    
     updateApertureView() {
         if (!this.telescope.currentField || !this.canvas) return;
         
@@ -166,7 +289,7 @@ class PhotometerController {
         });
         
         // Draw aperture circle
-        const aperture = CONSTANTS.APERTURE_SIZES[this.apertureIndex];
+        const aperture = this.photometer.getAperture();
         const apertureRadius = (aperture / 3600.0) * pixelsPerDegree; // Convert arcsec to pixels
         
         ctx.strokeStyle = '#00d4ff'; // Use modern accent color
@@ -175,6 +298,29 @@ class PhotometerController {
         ctx.arc(centerX, centerY, apertureRadius, 0, 2 * Math.PI);
         ctx.stroke();
         
+        // Draw sky annulus: a shaded ring between dashed circles
+        if (this.photometer.annulusEnabled) {
+            const { inner, outer } = this.photometer.getAnnulus(aperture);
+            const innerRadius = (inner / 3600.0) * pixelsPerDegree;
+            const outerRadius = (outer / 3600.0) * pixelsPerDegree;
+            
+            ctx.fillStyle = 'rgba(255, 183, 77, 0.08)';
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, outerRadius, 0, 2 * Math.PI);
+            ctx.arc(centerX, centerY, innerRadius, 0, 2 * Math.PI, true);
+            ctx.fill();
+            
+            ctx.strokeStyle = '#ffb74d';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            [innerRadius, outerRadius].forEach(radius => {
+                ctx.beginPath();
+                ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+                ctx.stroke();
+            });
+            ctx.setLineDash([]);
+        }
+        
         // Draw border
         ctx.strokeStyle = '#ffffff20';
         ctx.lineWidth = 1;
@@ -185,32 +331,108 @@ class PhotometerController {
     }
     
     updateApertureContents() {
-        const aperture = CONSTANTS.APERTURE_SIZES[this.apertureIndex];
-        const objectsInAperture = this.telescope.catalog.findObjectsInAperture(
-            this.telescope.centerRA,
-            this.telescope.centerDec,
-            aperture
-        );
+        const light = this.photometer.getApertureLight();
         
         const apertureInfo = document.getElementById('aperture-objects');
         
         if (apertureInfo) {
-            if (objectsInAperture.length === 0) {
+            if (light.objects.length === 0) {
                 apertureInfo.textContent = 'Object SKY is within the aperture';
             } else {
-                const objectList = objectsInAperture.map(obj => {
-                    const type = obj.objType === 0 ? 'Star' : 'Galaxy';
-                    return `Object ${obj.name} (${type}) is within the aperture`;
+                // Seeing spreads each star's light; the aperture catches only part of it
+                const objectList = light.objects.map(({ object, fraction }) => {
+                    const type = object.objType === 0 ? 'Star' : 'Galaxy';
+                    return `Object ${object.name} (${type}) is within the aperture (${(fraction * 100).toFixed(0)}% of its light)`;
                 }).join(', ');
                 apertureInfo.textContent = objectList;
             }
+            
+            if (light.fwhm > 0) {
+                apertureInfo.textContent += `; seeing ${light.fwhm.toFixed(1)}"`;
+            }
+            
+            // Anything in the annulus brightens the sky that gets subtracted
+            if (this.photometer.annulusEnabled) {
+                const inAnnulus = this.photometer.findObjectsInAnnulus();
+                if (inAnnulus.length > 0) {
+                    apertureInfo.textContent += `; ${inAnnulus.map(obj => obj.name).join(', ')} in the sky annulus`;
+                }
+            }
         }
     }
     
     startIntegration() {
         if (this.integrating) return;
+        if (this.photometer.filterMode !== 'single') {
+            this.startCycle();
+            return;
+        }
+        
+        try {
+            this.photometer.startExposure();
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
         
         console.log('Starting photometer integration...');
+        this.beginIntegration();
+        
+        // Progress follows simulated time; a paused clock holds the shutter open
+        this.clockSubscriptions = [
+            this.clock.on('tick', () => this.updateIntegration()),
+            this.clock.on('jump', () => this.cancelIntegration())
+        ];
+    }
+    
+    // Exposures through every active filter: the photometer turns the wheel and exposes,
+    // taking its time from the simulation clock as it ticks
+    startCycle() {
+        console.log(`Starting photometer cycle: ${this.photometer.getCycleFilters().join(', ')}`);
+        this.beginIntegration();
+        this.cycling = true;
+        this.clockSubscriptions = [
+            this.clock.on('tick', () => this.cycleWait && this.cycleWait.check()),
+            this.clock.on('jump', () => this.cancelIntegration())
+        ];
+        
+        let cancelled = false;
+        this.photometer.exposeCycle({
+            wait: (seconds, onFraction) => new Promise((resolve, reject) => {
+                const start = this.clock.time.getTime();
+                const target = start + seconds * 1000;
+                this.cycleWait = {
+                    check: () => {
+                        const now = this.clock.time.getTime();
+                        onFraction(target > start ? Math.min(1, (now - start) / (target - start)) : 1);
+                        if (now >= target) {
+                            this.cycleWait = null;
+                            resolve();
+                        }
+                    },
+                    cancel: () => {
+                        cancelled = true;
+                        this.cycleWait = null;
+                        reject(new Error('The date was changed during the cycle'));
+                    }
+                };
+                this.cycleWait.check();
+            }),
+            onProgress: fraction => this.setProgress(fraction * 100)
+        }).then(({ observations, colors }) => {
+            observations.forEach(observation => this.displayResults(observation));
+            this.displayColors(colors);
+        }, error => {
+            if (!cancelled) {
+                alert(error.message);
+            }
+        }).then(() => {
+            this.cycling = false;
+            this.endIntegration();
+        });
+    }
+    
+    beginIntegration() {
         this.integrating = true;
         this.integrationProgress = 0;
         
@@ -221,37 +443,57 @@ class PhotometerController {
         }
         
         // Disable controls during integration
-        document.querySelectorAll('.filter-btn, #aperture-btn, #integration-btn, #atmosphere-btn, #start-integration')
-            .forEach(el => el.disabled = true);
+        document.querySelectorAll(PHOTOMETER_CONTROLS).forEach(el => el.disabled = true);
+    }
+    
+    updateIntegration() {
+        const integrationTime = this.photometer.exposureTime;
+        const elapsed = this.photometer.getExposureElapsed();
+        this.setProgress((elapsed / integrationTime) * 100);
         
-        const integrationTime = CONSTANTS.INTEGRATION_TIMES[this.integrationIndex];
-        const updateInterval = 100; // Update every 100ms
-        const totalSteps = (integrationTime * 1000) / updateInterval;
-        let currentStep = 0;
+        if (elapsed >= integrationTime) {
+            this.completeIntegration();
+        }
+    }
+    
+    setProgress(percent) {
+        this.integrationProgress = Math.min(100, percent);
         
-        this.integrationTimer = setInterval(() => {
-            currentStep++;
-            this.integrationProgress = (currentStep / totalSteps) * 100;
-            
-            // Update progress bar
-            const progressFill = document.querySelector('.progress-fill');
-            if (progressFill) {
-                progressFill.style.width = `${this.integrationProgress}%`;
-            }
-            
-            if (currentStep >= totalSteps) {
-                this.completeIntegration();
+        // Update progress bar
+        const progressFill = document.querySelector('.progress-fill');
+        if (progressFill) {
+            progressFill.style.width = `${this.integrationProgress}%`;
+        }
+    }
+    
+    // The date was changed mid-exposure; the exposure (or the whole cycle) is thrown away
+    cancelIntegration() {
+        console.warn('Photometer exposure cancelled: the simulation time was changed');
+        if (this.cycling) {
+            // The cycle ends the integration once it has stopped
+            this.photometer.cancelExposure();
+            if (this.cycleWait) {
+                this.cycleWait.cancel();
             }
-        }, updateInterval);
+            return;
+        }
+        this.photometer.cancelExposure();
+        this.endIntegration();
     }
     
     completeIntegration() {
-        this.integrating = false;
-        clearInterval(this.integrationTimer);
-        this.integrationTimer = null;
-        
+        this.endIntegration();
         console.log('Photometer integration complete');
         
+        // Perform photometry
+        this.performPhotometry();
+    }
+    
+    endIntegration() {
+        this.integrating = false;
+        this.clockSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.clockSubscriptions = [];
+        
         // Update status indicator
         const statusDot = document.getElementById('photometer-status');
         if (statusDot) {
@@ -259,115 +501,56 @@ class PhotometerController {
         }
         
         // Re-enable controls
-        document.querySelectorAll('.filter-btn, #aperture-btn, #integration-btn, #atmosphere-btn, #start-integration')
-            .forEach(el => el.disabled = false);
+        document.querySelectorAll(PHOTOMETER_CONTROLS).forEach(el => el.disabled = false);
         
         // Reset progress bar
         const progressFill = document.querySelector('.progress-fill');
         if (progressFill) {
             progressFill.style.width = '0%';
         }
-        
-        // Perform photometry
-        this.performPhotometry();
     }
     
     performPhotometry() {
-        const aperture = CONSTANTS.APERTURE_SIZES[this.apertureIndex];
-        const integrationTime = CONSTANTS.INTEGRATION_TIMES[this.integrationIndex];
-        const pointing = this.telescope.getCurrentPointing();
-        
-        // Calculate airmass if atmosphere is enabled
-        let airmass = 1.0;
-        if (this.atmosphereEnabled && pointing.telescope) {
-            airmass = Utils.calculateAirmass(pointing.altaz.altitude);
+        // Tracking may have carried the target out of limits during the exposure
+        let observation;
+        try {
+            observation = this.photometer.finishExposure();
+        } catch (error) {
+            alert(error.message);
+            return;
         }
         
-        // Find objects in aperture
-        const objectsInAperture = this.telescope.catalog.findObjectsInAperture(
-            pointing.ra,
-            pointing.dec,
-            aperture
-        );
-        
-        // Perform photometry simulation
-        const results = this.simulatePhotometry(
-            objectsInAperture,
-            aperture,
-            integrationTime,
-            airmass,
-            pointing.telescope
-        );
-        
         // Display results
-        this.displayResults(results, airmass);
+        this.displayResults(observation);
     }
     
-    simulatePhotometry(objects, apertureArcsec, integrationTime, airmass, telescope) {
-        const results = {};
-        const telescopeDiameter = telescope ? telescope.diameter : CONSTANTS.DEFAULT_TELESCOPE_DIAM;
-        const telescopeArea = Math.PI * (telescopeDiameter / 2) ** 2; // m²
-        const apertureArea = Math.PI * (apertureArcsec / 3600 * Math.PI / 180) ** 2; // steradians (approximation)
-        
-        // Sky background
-        if (this.atmosphereEnabled) {
-            const skyMag = CONSTANTS.SKY_BRIGHTNESS[this.currentFilter];
-            const skyFlux = Utils.magToFlux(skyMag, this.currentFilter);
-            const skyFluxExtinct = Utils.applyExtinction(skyFlux, this.currentFilter, airmass);
-            const skyPhotons = skyFluxExtinct * telescopeArea * integrationTime * apertureArea * 1e10; // scaling factor
-            const skyCounts = Utils.poissonRandom(skyPhotons);
-            
-            if (objects.length === 0) {
-                results['SKY'] = skyCounts;
-            }
-        }
-        
-        // Object photometry
-        objects.forEach(obj => {
-            const objMag = obj.getMagnitude(this.currentFilter);
-            const objFlux = Utils.magToFlux(objMag, this.currentFilter);
-            const objFluxExtinct = this.atmosphereEnabled ? 
-                Utils.applyExtinction(objFlux, this.currentFilter, airmass) : objFlux;
-            
-            // Calculate photon counts
-            const objPhotons = objFluxExtinct * telescopeArea * integrationTime;
-            const objCounts = Utils.poissonRandom(objPhotons);
-            
-            // Add sky background per object
-            let totalCounts = objCounts;
-            if (this.atmosphereEnabled) {
-                const skyMag = CONSTANTS.SKY_BRIGHTNESS[this.currentFilter];
-                const skyFlux = Utils.magToFlux(skyMag, this.currentFilter);
-                const skyFluxExtinct = Utils.applyExtinction(skyFlux, this.currentFilter, airmass);
-                const skyPhotons = skyFluxExtinct * telescopeArea * integrationTime * apertureArea * 1e10;
-                const skyCounts = Utils.poissonRandom(skyPhotons);
-                totalCounts += skyCounts;
-            }
-            
-            // Add scintillation noise if atmosphere enabled
-            if (this.atmosphereEnabled && telescope) {
-                const sigma = 0.09 * Math.pow(telescopeDiameter, -2/3) * Math.pow(airmass, 7/4) * 
-                             Math.exp(-telescope.altitude / 8000) * Math.pow(integrationTime, -0.5);
-                const scintNoise = Utils.normalRandom() * sigma * objCounts;
-                totalCounts += scintNoise;
-            }
-            
-            results[obj.name] = Math.max(0, Math.round(totalCounts));
-        });
-        
-        return results;
-    }
-    
-    displayResults(results, airmass) {
-        this.observationCount++;
-        const aperture = CONSTANTS.APERTURE_SIZES[this.apertureIndex];
-        const integrationTime = CONSTANTS.INTEGRATION_TIMES[this.integrationIndex];
+    displayResults(observation) {
+        const { number, filter, aperture, integrationTime, airmass, skyBrightness, results, annulus } = observation;
+        const magnitudes = observation.magnitudes || {};
+        const photometry = observation.photometry || {};
+        const sky = skyBrightness !== null ? `, sky=${skyBrightness.toFixed(2)}` : '';
         
         const output = document.getElementById('photometry-output');
         if (!output) return;
         
+        // The annulus measurement first: the background every object below has taken off
+        if (annulus) {
+            const contaminated = annulus.objects.length > 0 ? ` (contains ${annulus.objects.join(', ')})` : '';
+            const div = document.createElement('div');
+            div.textContent = `${number}. Sky annulus ${annulus.inner}–${annulus.outer}": counts=${annulus.counts.toLocaleString()}, scaled to aperture=${annulus.scaled.toFixed(1)}${contaminated}`;
+            div.style.fontSize = '12px';
+            div.style.marginBottom = '2px';
+            div.style.color = contaminated ? '#ffb74d' : 'var(--text-muted)';
+            output.appendChild(div);
+        }
+        
         Object.entries(results).forEach(([objName, counts]) => {
-            const line = `${this.observationCount}. ${objName}: filter=${this.currentFilter}, aperture=${aperture}", t=${integrationTime}s, airmass=${airmass.toFixed(2)}, counts=${counts.toLocaleString()}`;
+            const measured = magnitudes[objName];
+            const mag = measured ? `, ${filter}=${measured.mag.toFixed(3)} ± ${measured.error.toFixed(3)}` : '';
+            const reduced = photometry[objName];
+            const net = reduced ? `, sky counts=${reduced.sky.toFixed(1)}, net=${reduced.net.toFixed(1)}` +
+                (reduced.instrumentalMag !== null ? `, inst=${reduced.instrumentalMag.toFixed(3)} ± ${reduced.error.toFixed(3)}` : '') : '';
+            const line = `${number}. ${objName}: filter=${filter}, aperture=${aperture}", t=${integrationTime}s, airmass=${airmass.toFixed(2)}${sky}, counts=${counts.toLocaleString()}${net}${mag}`;
             
             const div = document.createElement('div');
             div.textContent = line;
@@ -383,7 +566,23 @@ class PhotometerController {
         const resultsEl = document.getElementById('photometer-results');
         if (resultsEl) {
             const totalCounts = Object.values(results).reduce((sum, counts) => sum + counts, 0);
-            resultsEl.textContent = `Latest: ${totalCounts} counts (${this.currentFilter} filter)`;
+            resultsEl.textContent = `Latest: ${totalCounts} counts (${filter} filter)`;
         }
     }
+    
+    // Color indices from a multi-filter exposure, under its per-filter lines
+    displayColors(colors) {
+        const output = document.getElementById('photometry-output');
+        if (!output || !colors || colors.length === 0) return;
+        
+        colors.forEach(({ object, index, value, error }) => {
+            const div = document.createElement('div');
+            div.textContent = `${object}: ${index.replace('-', '−')} = ${value.toFixed(3)} ± ${error.toFixed(3)}`;
+            div.style.fontSize = '12px';
+            div.style.marginBottom = '2px';
+            div.style.color = 'var(--accent-blue)';
+            output.appendChild(div);
+        });
+        output.scrollTop = output.scrollHeight;
+    }
 }
@@ -0,0 +1,249 @@
+// Observation planner view - UI over the Planner model in js/engine/planner.js
+
+// Curve colors for the plotted targets, in rank order
+const PLANNER_COLORS = ['#4fc3f7', '#ffb74d', '#81c784', '#f06292', '#ba68c8', '#fff176', '#4db6ac', '#e57373'];
+
+class PlannerController {
+    constructor(telescopeController) {
+        this.telescopeController = telescopeController;
+        this.telescope = telescopeController.telescope;
+        this.planner = telescopeController.simulation.planner;
+        this.canvas = document.getElementById('planner-canvas');
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+
+        this.plan = null;              // last Planner.plan() result
+        this.plotted = new Set();      // names of the objects drawn on the plot
+
+        this.init();
+    }
+
+    init() {
+        const runBtn = document.getElementById('planner-run');
+        if (!runBtn) return;
+
+        runBtn.addEventListener('click', () => this.update());
+        document.getElementById('planner-airmass').addEventListener('change', () => this.update());
+        document.getElementById('planner-date').addEventListener('change', () => this.update());
+    }
+
+    // Re-plan for the night of the simulated date, e.g. after a new telescope, field or date
+    reset() {
+        if (!this.telescope.currentTelescope) return;
+        document.getElementById('planner-date').value = this.planner.nightOf();
+        this.plotted.clear();
+        this.update();
+    }
+
+    update() {
+        const summary = document.getElementById('planner-summary');
+        if (!summary) return;
+
+        if (!this.telescope.currentTelescope || this.telescope.catalog.objects.length === 0) {
+            this.plan = null;
+            summary.textContent = 'Select a telescope and a field to plan a night';
+            this.updateTable();
+            this.drawPlot();
+            return;
+        }
+
+        try {
+            this.plan = this.planner.plan({
+                date: document.getElementById('planner-date').value || this.planner.nightOf(),
+                maxAirmass: parseFloat(document.getElementById('planner-airmass').value)
+            });
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        // Start with the best few targets on the plot
+        if (this.plotted.size === 0) {
+            this.plan.targets.slice(0, 4).forEach(target => this.plotted.add(target.object.name));
+        }
+
+        this.updateSummary();
+        this.updateTable();
+        this.drawPlot();
+    }
+
+    formatClock(date) {
+        return date ? Utils.formatTime(date, this.plan.night.timeZone).slice(0, 5) : '--:--';
+    }
+
+    updateSummary() {
+        const night = this.plan.night;
+        const dark = night.darkStart && night.darkEnd ?
+            `dark ${this.formatClock(night.darkStart)}–${this.formatClock(night.darkEnd)}` : 'never dark';
+        document.getElementById('planner-summary').textContent = [
+            `Sunset ${this.formatClock(night.sunset)}`,
+            dark,
+            `sunrise ${this.formatClock(night.sunrise)}`,
+            `Moon ${Math.round(night.moonFraction * 100)}%`
+        ].join(' · ');
+    }
+
+    // Ranked targets; the checkbox puts a target on the plot, clicking the name slews to it
+    updateTable() {
+        const tbody = document.getElementById('planner-tbody');
+        if (!tbody) return;
+        tbody.innerHTML = '';
+        if (!this.plan) return;
+
+        document.getElementById('planner-hours-label').textContent = `Hours X≤${this.plan.maxAirmass}`;
+
+        this.plan.targets.forEach(target => {
+            const name = target.object.name;
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><input type="checkbox" ${this.plotted.has(name) ? 'checked' : ''}></td>
+                <td class="planner-name">${escapeHTML(name)}</td>
+                <td>${this.formatClock(target.rise)}</td>
+                <td>${this.formatClock(target.transit)}</td>
+                <td>${this.formatClock(target.set)}</td>
+                <td>${target.moonDistance.toFixed(0)}°</td>
+                <td>${target.hoursUsable.toFixed(1)}</td>
+            `;
+            row.querySelector('input').addEventListener('change', (event) => {
+                if (event.target.checked) {
+                    this.plotted.add(name);
+                } else {
+                    this.plotted.delete(name);
+                }
+                this.drawPlot();
+            });
+            row.querySelector('.planner-name').addEventListener('click', () => {
+                this.telescopeController.selectObject(target.object);
+            });
+            tbody.appendChild(row);
+        });
+    }
+
+    // Altitude against local time over the night, with twilight shading, the airmass limit,
+    // the Moon and a marker at the current simulated time
+    drawPlot() {
+        if (!this.canvas || !this.ctx) return;
+
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const left = 30;
+        const right = width - 30;
+        const top = 10;
+        const bottom = height - 20;
+
+        Utils.clearCanvas(this.canvas);
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, width, height);
+        if (!this.plan) return;
+
+        const night = this.plan.night;
+        const hour = 3600000;
+        const t0 = night.sunset ? night.sunset.getTime() - hour : night.start.getTime();
+        const t1 = night.sunrise ? night.sunrise.getTime() + hour : night.end.getTime();
+        const x = (time) => left + (time - t0) / (t1 - t0) * (right - left);
+        const y = (altitude) => bottom - Math.max(0, Math.min(90, altitude)) / 90 * (bottom - top);
+        const inRange = (sample) => sample.time >= t0 && sample.time <= t1;
+
+        // Daylight and twilight behind the curves
+        const stepWidth = this.planner.stepMinutes * 60000 / (t1 - t0) * (right - left);
+        night.samples.filter(inRange).forEach(sample => {
+            const h = sample.sunAltitude;
+            ctx.fillStyle = h > 0 ? '#1c2c4c' : h > -6 ? '#15213a' : h > -12 ? '#0e1628' : h > -18 ? '#080c18' : '#000000';
+            ctx.fillRect(x(sample.time.getTime()), top, stepWidth + 1, bottom - top);
+        });
+
+        // Altitude grid on the left, airmass on the right
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = 1;
+        ctx.font = '9px Arial';
+        ctx.fillStyle = '#888888';
+        [0, 30, 60, 90].forEach(altitude => {
+            ctx.beginPath();
+            ctx.moveTo(left, y(altitude));
+            ctx.lineTo(right, y(altitude));
+            ctx.stroke();
+            ctx.fillText(`${altitude}°`, 4, y(altitude) + 3);
+        });
+        [1.0, 1.5, 2.0, 3.0].forEach(airmass => {
+            ctx.fillText(airmass.toFixed(1), right + 4, y(PlannerController.airmassAltitude(airmass)) + 3);
+        });
+
+        // Hour ticks in site time
+        for (let t = Math.ceil(t0 / hour) * hour; t <= t1; t += hour) {
+            const clock = this.formatClock(new Date(t));
+            if (clock.endsWith(':00') && Number(clock.slice(0, 2)) % 2 === 0) {
+                ctx.fillText(clock.slice(0, 2), x(t) - 5, height - 6);
+            }
+        }
+
+        // Airmass limit
+        ctx.strokeStyle = '#ff5252';
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        const limit = y(PlannerController.airmassAltitude(this.plan.maxAirmass));
+        ctx.moveTo(left, limit);
+        ctx.lineTo(right, limit);
+        ctx.stroke();
+
+        // Moon
+        ctx.strokeStyle = '#bbbbbb';
+        this.drawCurve(night.samples.filter(inRange).map(s => [x(s.time.getTime()), y(s.moon.altitude), s.moon.altitude > 0]));
+        ctx.setLineDash([]);
+
+        // Chosen targets
+        ctx.lineWidth = 1.5;
+        let legend = 0;
+        this.plan.targets.forEach((target, index) => {
+            if (!this.plotted.has(target.object.name)) return;
+            const color = PLANNER_COLORS[index % PLANNER_COLORS.length];
+            ctx.strokeStyle = color;
+            this.drawCurve(target.samples.filter(inRange).map(s => [x(s.time.getTime()), y(s.altitude), s.altitude > 0]));
+            Utils.drawText(ctx, target.object.name, left + 4, top + 10 + legend * 11, color, '9px Arial');
+            legend++;
+        });
+
+        // Now
+        const now = this.telescope.currentDateTime.getTime();
+        if (now >= t0 && now <= t1) {
+            ctx.strokeStyle = '#ffff00';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x(now), top);
+            ctx.lineTo(x(now), bottom);
+            ctx.stroke();
+        }
+    }
+
+    // Polyline through [x, y, visible] points, broken where the object is below the horizon
+    drawCurve(points) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        let drawing = false;
+        points.forEach(([px, py, visible]) => {
+            if (!visible) {
+                drawing = false;
+            } else if (drawing) {
+                ctx.lineTo(px, py);
+            } else {
+                ctx.moveTo(px, py);
+                drawing = true;
+            }
+        });
+        ctx.stroke();
+    }
+
+    // Apparent altitude at which Kasten-Young gives this airmass, by bisection
+    static airmassAltitude(airmass) {
+        let lo = 0;
+        let hi = 90;
+        for (let i = 0; i < 30; i++) {
+            const mid = (lo + hi) / 2;
+            if (Utils.calculateAirmass(mid) > airmass) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+        return (lo + hi) / 2;
+    }
+}
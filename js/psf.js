@@ -0,0 +1,103 @@
+// Point-spread function - how seeing spreads a star's light, and how much of it falls inside
+// a photometer aperture or the spectrometer slit
+//
+// Seeing is given as the FWHM at the zenith at 5000 Å (CONSTANTS.DEFAULT_SEEING, or a
+// telescope's `seeing` entry). Kolmogorov turbulence makes it grow with airmass as X^0.6 and
+// shrink slowly with wavelength as λ^-0.2. The profile is a Moffat, whose wings match real
+// star images (beta ≈ 3), or a Gaussian. Offsets and sizes are in arcseconds; a FWHM of 0
+// (no atmosphere) is a point: all of its light or none.
+
+const PSF = {
+    REFERENCE_WAVELENGTH: 5000,   // Å
+    EXTENT_FWHM: 6,               // light further out than this many FWHM is ignored
+    GRID_STEPS: 64,               // per axis, for the slit integral
+
+    // { fwhm, profile, beta } for a telescope
+    getSeeing: (telescope) => ({ ...CONSTANTS.DEFAULT_SEEING, ...(telescope && telescope.seeing) }),
+
+    // FWHM at an airmass and wavelength (Å)
+    getFWHM: (seeing, airmass = 1.0, wavelength = PSF.REFERENCE_WAVELENGTH) =>
+        seeing.fwhm * Math.pow(airmass, 0.6) * Math.pow(wavelength / PSF.REFERENCE_WAVELENGTH, -0.2),
+
+    // How far from a star its light reaches
+    getReach: (fwhm) => PSF.EXTENT_FWHM * fwhm,
+
+    moffatAlpha: (fwhm, beta) => fwhm / (2 * Math.sqrt(Math.pow(2, 1 / beta) - 1)),
+
+    gaussianSigma: (fwhm) => fwhm / (2 * Math.sqrt(2 * Math.LN2)),
+
+    // Fraction of the light per arcsec² at distance r from the star's center
+    intensity: (r, fwhm, seeing) => {
+        if (seeing.profile === 'gaussian') {
+            const sigma = PSF.gaussianSigma(fwhm);
+            return Math.exp(-r * r / (2 * sigma * sigma)) / (2 * Math.PI * sigma * sigma);
+        }
+        const alpha = PSF.moffatAlpha(fwhm, seeing.beta);
+        return (seeing.beta - 1) / (Math.PI * alpha * alpha) * Math.pow(1 + r * r / (alpha * alpha), -seeing.beta);
+    },
+
+    // Fraction of the light within r of the star's center
+    encircled: (r, fwhm, seeing) => {
+        if (!(fwhm > 0)) return 1;
+        if (seeing.profile === 'gaussian') {
+            const sigma = PSF.gaussianSigma(fwhm);
+            return 1 - Math.exp(-r * r / (2 * sigma * sigma));
+        }
+        const alpha = PSF.moffatAlpha(fwhm, seeing.beta);
+        return 1 - Math.pow(1 + r * r / (alpha * alpha), 1 - seeing.beta);
+    },
+
+    // Fraction of the light inside a circle of `radius` whose center is `offset` from the star.
+    // Rings around the star closer than radius − offset lie wholly inside; a ring further out
+    // crosses the circle's edge, with the arc 2·acos((r² + d² − R²) / 2rd) inside.
+    inCircle: (radius, offset, fwhm, seeing) => {
+        if (!(fwhm > 0)) return offset <= radius ? 1 : 0;
+        if (offset < 1e-6 * radius) return PSF.encircled(radius, fwhm, seeing);
+        if (offset - radius > PSF.getReach(fwhm)) return 0;
+
+        let fraction = radius > offset ? PSF.encircled(radius - offset, fwhm, seeing) : 0;
+        const from = Math.abs(radius - offset);
+        const to = radius + offset;
+        const steps = 100;
+        let inner = PSF.encircled(from, fwhm, seeing);
+        for (let i = 1; i <= steps; i++) {
+            const r = from + (to - from) * i / steps;
+            const outer = PSF.encircled(r, fwhm, seeing);
+            const mid = r - (to - from) / steps / 2;
+            const cos = (mid * mid + offset * offset - radius * radius) / (2 * mid * offset);
+            fraction += (outer - inner) * Math.acos(Math.max(-1, Math.min(1, cos))) / Math.PI;
+            inner = outer;
+        }
+        return Math.min(1, fraction);
+    },
+
+    // Fraction of the light inside a ring between two radii around a point `offset` from the star
+    inAnnulus: (innerRadius, outerRadius, offset, fwhm, seeing) =>
+        Math.max(0, PSF.inCircle(outerRadius, offset, fwhm, seeing) - PSF.inCircle(innerRadius, offset, fwhm, seeing)),
+
+    // Fraction of the light inside a rectangle (full width and height) whose center is dx, dy
+    // from the star, summed over a grid on the part of it the star's light reaches
+    inRectangle: (width, height, dx, dy, fwhm, seeing) => {
+        if (!(fwhm > 0)) return Math.abs(dx) <= width / 2 && Math.abs(dy) <= height / 2 ? 1 : 0;
+
+        const reach = PSF.getReach(fwhm);
+        const x0 = Math.max(dx - width / 2, -reach);
+        const x1 = Math.min(dx + width / 2, reach);
+        const y0 = Math.max(dy - height / 2, -reach);
+        const y1 = Math.min(dy + height / 2, reach);
+        if (x0 >= x1 || y0 >= y1) return 0;
+
+        const steps = PSF.GRID_STEPS;
+        const stepX = (x1 - x0) / steps;
+        const stepY = (y1 - y0) / steps;
+        let fraction = 0;
+        for (let i = 0; i < steps; i++) {
+            const x = x0 + (i + 0.5) * stepX;
+            for (let j = 0; j < steps; j++) {
+                const y = y0 + (j + 0.5) * stepY;
+                fraction += PSF.intensity(Math.sqrt(x * x + y * y), fwhm, seeing);
+            }
+        }
+        return Math.min(1, fraction * stepX * stepY);
+    }
+};
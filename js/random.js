@@ -0,0 +1,56 @@
+// Seeded pseudo-random number generator for reproducible simulated noise
+//
+// Every noise source takes an `rng` with a random() method returning [0, 1).
+// Math satisfies that interface, so it remains the unseeded default.
+
+class SeededRandom {
+    // seed: number or string; stream: optional label for an independent sub-sequence
+    constructor(seed, stream = '') {
+        this.seed = seed === undefined || seed === null || seed === '' ? SeededRandom.randomSeed() : seed;
+        this.stream = stream;
+        this.reset();
+    }
+
+    // Fresh seed for sessions that don't specify one
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    // Seed typed by a user or read from a URL: digits become a number, anything else stays text
+    static parseSeed(text) {
+        if (text === undefined || text === null) return undefined;
+        const trimmed = String(text).trim();
+        if (trimmed === '') return undefined;
+        return /^\d+$/.test(trimmed) ? Number(trimmed) : trimmed;
+    }
+
+    // 32-bit FNV-1a hash so string seeds ("lab3-night") work as well as numbers
+    static hashSeed(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Restart the sequence from the seed
+    reset() {
+        const key = this.stream ? `${this.seed}:${this.stream}` : String(this.seed);
+        this.state = SeededRandom.hashSeed(key);
+    }
+
+    // Independent generator for one noise source, derived from the same seed
+    fork(stream) {
+        return new SeededRandom(this.seed, this.stream ? `${this.stream}/${stream}` : stream);
+    }
+
+    // Uniform deviate in [0, 1) (mulberry32)
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
@@ -0,0 +1,217 @@
+// Observing sequence view - UI over ObservingSequence in js/engine/sequence.js
+
+const SEQUENCE_EXAMPLE = `# One step per line, or a JSON list of steps
+slew Alcyone
+filter B
+aperture 10
+expose 3 x 1
+filter V
+expose 3 x 1
+spectrum 60
+wait 5m`;
+
+const SEQUENCE_STATUS_ICONS = {
+    pending: '•',
+    running: '▶',
+    done: '✓',
+    failed: '✗',
+    aborted: '⏹',
+    skipped: '–'
+};
+
+class SequenceController {
+    constructor(telescopeController) {
+        this.telescopeController = telescopeController;
+        this.simulation = telescopeController.simulation;
+        this.sequence = null;
+        this.subscriptions = [];
+
+        this.init();
+    }
+
+    init() {
+        const script = document.getElementById('sequence-script');
+        if (!script) return;
+        script.placeholder = SEQUENCE_EXAMPLE;
+
+        document.getElementById('sequence-run').addEventListener('click', () => this.run());
+        document.getElementById('sequence-pause').addEventListener('click', () => this.togglePause());
+        document.getElementById('sequence-abort').addEventListener('click', () => {
+            if (this.sequence) this.sequence.abort();
+        });
+        document.getElementById('sequence-export').addEventListener('click', () => this.exportResults());
+        document.getElementById('sequence-file').addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                script.value = await file.text();
+            }
+            event.target.value = '';
+        });
+
+        this.updateControls();
+    }
+
+    isActive() {
+        return this.sequence !== null && ['running', 'paused'].includes(this.sequence.state);
+    }
+
+    async run() {
+        if (this.isActive()) return;
+
+        const script = document.getElementById('sequence-script');
+        let sequence;
+        try {
+            sequence = new ObservingSequence(this.simulation, script.value.trim() || SEQUENCE_EXAMPLE);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.sequence = sequence;
+        this.subscriptions = [
+            sequence.on('step', (event) => this.onStep(event)),
+            sequence.on('state', () => this.updateControls())
+        ];
+        this.renderSteps();
+
+        await sequence.run();
+
+        const failed = sequence.steps.find(step => step.status === 'failed');
+        if (failed) {
+            alert(`Sequence stopped at "${ObservingSequence.describe(failed)}": ${failed.error}`);
+        }
+        this.updateControls();
+    }
+
+    togglePause() {
+        if (!this.isActive()) return;
+        if (this.sequence.state === 'paused' || this.sequence.pauseRequested) {
+            this.sequence.resume();
+        } else {
+            this.sequence.pause();
+        }
+        this.updateControls();
+    }
+
+    // A step changed: redraw its row and show what it did in the rest of the UI
+    onStep({ index, step }) {
+        this.renderStep(index);
+        this.updateProgress();
+        if (step.status !== 'done') return;
+
+        const controller = this.telescopeController;
+        if (step.action === 'telescope' || step.action === 'field') {
+            controller.updateSelectionInfo();
+            controller.refreshPlanner();
+        }
+        if (step.action === 'expose' && controller.photometerController) {
+            step.result.observations.forEach(observation => controller.photometerController.displayResults(observation));
+            controller.photometerController.displayColors(step.result.colors);
+        }
+        if (['filter', 'filters', 'aperture'].includes(step.action) && controller.photometerController) {
+            controller.photometerController.updateControls();
+        }
+        controller.updateDisplay();
+    }
+
+    renderSteps() {
+        const list = document.getElementById('sequence-steps');
+        list.innerHTML = '';
+        this.sequence.steps.forEach(() => list.appendChild(document.createElement('li')));
+        this.sequence.steps.forEach((step, index) => this.renderStep(index));
+        this.updateProgress();
+    }
+
+    renderStep(index) {
+        const item = document.getElementById('sequence-steps').children[index];
+        if (!item) return;
+
+        const step = this.sequence.steps[index];
+        item.className = `sequence-step ${step.status}`;
+        item.textContent = `${SEQUENCE_STATUS_ICONS[step.status] || ''} ${ObservingSequence.describe(step)}`;
+
+        const detail = step.error || this.summarize(step);
+        if (step.status === 'running' && step.progress > 0 && step.progress < 1) {
+            item.textContent += ` (${Math.round(step.progress * 100)}%)`;
+        }
+        if (detail) {
+            const sub = document.createElement('div');
+            sub.className = 'sequence-result';
+            sub.textContent = detail;
+            item.appendChild(sub);
+        }
+    }
+
+    // Short text for what a finished step produced
+    summarize(step) {
+        const result = step.result;
+        if (!result) return '';
+
+        switch (step.action) {
+            case 'slew':
+                return `${result.seconds.toFixed(1)} s`;
+            case 'filter':
+                return result.seconds > 0 ? `wheel ${result.seconds.toFixed(1)} s` : '';
+            case 'filters':
+                return `cycle ${result.filters.join(', ')}`;
+            case 'expose': {
+                const counts = result.observations
+                    .map(observation => Object.entries(observation.results)
+                        .map(([name, n]) => `${name} ${n.toLocaleString()}`).join(', '))
+                    .join(' | ');
+                const colors = (result.colors || [])
+                    .map(({ object, index, value, error }) =>
+                        `${object} ${index.replace('-', '−')} ${value.toFixed(3)} ± ${error.toFixed(3)}`);
+                return [counts].concat(colors).join(' | ');
+            }
+            case 'spectrum':
+                return `${result.object}: ${result.totalCounts.toLocaleString()} counts`;
+            case 'wait':
+                return `until ${Utils.formatZonedDateTime(new Date(result.until), this.simulation.telescope.getTimeZone()).replace('T', ' ')}`;
+            default:
+                return '';
+        }
+    }
+
+    // Overall progress: finished steps plus the fraction of the one running
+    updateProgress() {
+        const fill = document.querySelector('#sequence-progress .progress-fill');
+        if (!fill || !this.sequence) return;
+
+        const steps = this.sequence.steps;
+        const done = steps.filter(step => ['done', 'failed', 'aborted', 'skipped'].includes(step.status)).length;
+        const running = steps.find(step => step.status === 'running');
+        fill.style.width = `${(done + (running ? running.progress : 0)) / steps.length * 100}%`;
+    }
+
+    updateControls() {
+        const state = this.sequence ? this.sequence.state : 'idle';
+        const active = this.isActive();
+        const pausing = active && (state === 'paused' || this.sequence.pauseRequested);
+
+        document.getElementById('sequence-run').disabled = active;
+        document.getElementById('sequence-pause').disabled = !active;
+        document.getElementById('sequence-abort').disabled = !active;
+        document.getElementById('sequence-export').disabled = !this.sequence || active;
+        document.getElementById('sequence-pause').textContent = pausing ? '▶ Resume' : '⏸ Pause';
+
+        const labels = {
+            idle: 'Ready',
+            running: this.sequence && this.sequence.pauseRequested ? 'Pausing after this step' : 'Running',
+            paused: 'Paused',
+            done: 'Finished',
+            aborted: 'Aborted',
+            failed: 'Stopped on an error'
+        };
+        document.getElementById('sequence-state').textContent = labels[state] || state;
+    }
+
+    // Per-step results as JSON
+    exportResults() {
+        if (!this.sequence) return;
+        const data = JSON.stringify(this.sequence.getResults(), null, 2);
+        const stamp = safeFilename(this.simulation.telescope.currentDateTime.toISOString());
+        downloadFile(`sequence_${stamp}.json`, data, 'application/json');
+    }
+}
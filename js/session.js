@@ -0,0 +1,193 @@
+// Session view - named snapshots in localStorage and shareable links, over SessionState
+// in js/engine/session.js. The session is also saved when the page is closed and offered
+// as "Last session" next time.
+
+const SESSIONS_KEY = 'telescopeEmulator.sessions';
+const LAST_SESSION_KEY = 'telescopeEmulator.lastSession';
+
+class SessionController {
+    constructor(telescopeController) {
+        this.telescopeController = telescopeController;
+        this.simulation = telescopeController.simulation;
+
+        document.getElementById('session-btn').addEventListener('click', () => this.show());
+        window.addEventListener('pagehide', () => this.saveLastSession());
+    }
+
+    // Saved snapshots as { name: state }
+    loadSnapshots() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSIONS_KEY) || '{}');
+        } catch (error) {
+            console.warn('Could not read saved sessions:', error);
+            return {};
+        }
+    }
+
+    saveSnapshot(name) {
+        const snapshots = this.loadSnapshots();
+        snapshots[name] = SessionState.capture(this.simulation);
+        try {
+            localStorage.setItem(SESSIONS_KEY, JSON.stringify(snapshots));
+            return true;
+        } catch (error) {
+            console.error('Could not save session:', error);
+            alert(`Session "${name}" could not be saved: ${error.message}`);
+            return false;
+        }
+    }
+
+    deleteSnapshot(name) {
+        const snapshots = this.loadSnapshots();
+        delete snapshots[name];
+        localStorage.setItem(SESSIONS_KEY, JSON.stringify(snapshots));
+    }
+
+    // Closing the page must not be held up, so a full storage only gets a console note
+    saveLastSession() {
+        try {
+            localStorage.setItem(LAST_SESSION_KEY, JSON.stringify(SessionState.capture(this.simulation)));
+        } catch (error) {
+            console.warn('Could not save the last session:', error);
+        }
+    }
+
+    loadLastSession() {
+        try {
+            return JSON.parse(localStorage.getItem(LAST_SESSION_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Link to this session for students: telescope, field, time, pointing, seed, photometer
+    getShareLink() {
+        const state = SessionState.capture(this.simulation);
+        return `${window.location.origin}${window.location.pathname}${SessionState.toURL(state)}`;
+    }
+
+    show() {
+        const modal = document.getElementById('modal');
+        const title = document.getElementById('modal-title');
+        const body = document.getElementById('modal-body');
+
+        title.textContent = 'Session';
+        body.innerHTML = `
+            <label for="session-name">Save this session as:</label><br>
+            <input type="text" id="session-name" style="width: 70%; margin: 10px 0; padding: 5px;">
+            <button id="session-save" style="padding: 5px 10px;">Save</button>
+            <div id="session-list"></div>
+            <p style="margin-top: 15px;">Share link (telescope, field, time, pointing, seed and photometer):</p>
+            <input type="text" id="session-link" readonly style="width: 70%; padding: 5px;">
+            <button id="session-copy" style="padding: 5px 10px;">Copy</button>
+        `;
+        document.getElementById('session-name').value = this.defaultName();
+        document.getElementById('session-link').value = this.getShareLink();
+
+        document.getElementById('session-save').addEventListener('click', () => {
+            const name = document.getElementById('session-name').value.trim();
+            if (!name) return;
+            if (this.saveSnapshot(name)) {
+                this.show();
+            }
+        });
+        document.getElementById('session-copy').addEventListener('click', () => this.copyLink());
+
+        this.showSnapshotList(document.getElementById('session-list'));
+
+        document.getElementById('modal-ok').onclick = () => {
+            modal.style.display = 'none';
+        };
+        document.getElementById('modal-cancel').onclick = () => {
+            modal.style.display = 'none';
+        };
+
+        modal.style.display = 'block';
+    }
+
+    showSnapshotList(list) {
+        const rows = Object.entries(this.loadSnapshots()).map(([name, state]) => ({ name, state, removable: true }));
+        const last = this.loadLastSession();
+        if (last) {
+            rows.unshift({ name: 'Last session (autosaved)', state: last, removable: false });
+        }
+
+        rows.forEach(({ name, state, removable }) => {
+            const row = document.createElement('div');
+            row.className = 'catalog-upload-row';
+            const saved = state.savedAt ? new Date(state.savedAt).toLocaleString() : '';
+            row.innerHTML = `<span>💾 ${escapeHTML(name)} <small>${escapeHTML(saved)}</small></span>`;
+
+            const buttons = document.createElement('span');
+            const loadBtn = document.createElement('button');
+            loadBtn.textContent = 'Load';
+            loadBtn.addEventListener('click', () => {
+                hideModal();
+                this.restore(state);
+            });
+            buttons.appendChild(loadBtn);
+
+            if (removable) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.textContent = 'Delete';
+                deleteBtn.addEventListener('click', () => {
+                    this.deleteSnapshot(name);
+                    this.show();
+                });
+                buttons.appendChild(deleteBtn);
+            }
+            row.appendChild(buttons);
+            list.appendChild(row);
+        });
+    }
+
+    copyLink() {
+        const input = document.getElementById('session-link');
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(input.value).catch(() => input.select());
+        } else {
+            input.select();
+        }
+    }
+
+    // e.g. "Pleiades star cluster 2026-11-03 02:00 UT"
+    defaultName() {
+        const field = this.simulation.telescope.currentField;
+        const time = this.simulation.telescope.currentDateTime.toISOString().slice(0, 16).replace('T', ' ');
+        return `${field ? field.name : 'Session'} ${time} UT`;
+    }
+
+    // Start from a shared link; returns whether the URL carried a session
+    async applyURL(search) {
+        const state = SessionState.fromURL(search);
+        if (!state) return false;
+
+        await this.restore(state);
+        return true;
+    }
+
+    async restore(state) {
+        try {
+            await SessionState.restore(this.simulation, state);
+        } catch (error) {
+            console.error('Could not restore session:', error);
+            alert(`The session could not be restored completely: ${error.message}`);
+        }
+        this.refreshViews();
+    }
+
+    refreshViews() {
+        const controller = this.telescopeController;
+        controller.updateSelectionInfo();
+        controller.refreshPlanner();
+        document.getElementById('speed-btn').textContent = this.simulation.telescope.getSlewSpeed().label;
+        if (controller.photometerController) {
+            controller.photometerController.updateControls();
+            controller.photometerController.updateApertureView();
+        }
+        if (controller.spectrometerController) {
+            controller.spectrometerController.clearSpectrum();
+        }
+        controller.updateDisplay();
+    }
+}
@@ -0,0 +1,90 @@
+// Sky brightness - the night sky as the photometer sees it, in mag/arcsec²
+//
+// Three sources add up: the dark sky (each passband's `sky` at the zenith, brighter toward
+// the horizon through the longer airglow path), moonlight scattered by the atmosphere
+// (Krisciunas & Schaefer 1991, PASP 103, 1033) and twilight from a Sun less than 18° below
+// the horizon. Moonlight and twilight are modelled in V and shifted to the other bands with
+// the passbands' moonColor and twilightColor (see PASSBANDS). Brightnesses are as observed from the
+// ground, so the photometer does not extinguish them again.
+
+const SkyBrightness = {
+    // Ground-level V brightness of twilight at the zenith: Sun altitude (degrees) -> mag/arcsec²
+    TWILIGHT_SLOPE: 0.8,          // mag per degree of solar depression
+    TWILIGHT_HORIZON: 7.5,        // with the Sun on the horizon
+    DAYLIGHT_LIMIT: 4.0,          // brightest (blue) daytime sky
+
+    // nanoLamberts to V mag/arcsec² and back (Krisciunas & Schaefer eq. 1)
+    nanolambertsToMag: (nL) => (20.7233 - Math.log(nL / 34.08)) / 0.92104,
+    magToNanolamberts: (mag) => 34.08 * Math.exp(20.7233 - 0.92104 * mag),
+
+    // Sum of surface brightnesses given in magnitudes
+    addMagnitudes: (mags) => {
+        const flux = mags.reduce((sum, mag) => sum + (Number.isFinite(mag) ? Math.pow(10, -0.4 * mag) : 0), 0);
+        return flux > 0 ? -2.5 * Math.log10(flux) : Infinity;
+    },
+
+    // Optical path through the scattering layer at zenith distance z (K&S eq. 3)
+    pathLength: (altitude) => {
+        const z = Utils.degreesToRadians(90 - Math.max(0, altitude));
+        return 1 / Math.sqrt(1 - 0.96 * Math.sin(z) ** 2);
+    },
+
+    // Dark sky at an altitude (K&S eq. 2): more airglow along the path, less of it transmitted
+    darkSky: (band, altitude) => {
+        const passband = Passbands.require(band);
+        const X = SkyBrightness.pathLength(altitude);
+        return passband.sky + passband.extinction * (X - 1) - 2.5 * Math.log10(X);
+    },
+
+    // Scattered moonlight in a band (K&S eqs. 15-21): the Moon's brightness at its phase angle
+    // (degrees, 0 = full), the scattering function at the moon-target separation, dimmed by
+    // the extinction of moonlight on its way in and scaled by the scattering along the line of sight
+    moonlight: (band, altitude, moonAltitude, phaseAngle, separation) => {
+        if (moonAltitude <= 0) return Infinity;
+
+        const passband = Passbands.require(band);
+        const k = passband.extinction;
+        const alpha = Math.abs(phaseAngle);
+        const illuminance = Math.pow(10, -0.4 * (3.84 + 0.026 * alpha + 4e-9 * alpha ** 4));
+
+        const rho = Math.max(separation, 1);
+        const rhoRad = Utils.degreesToRadians(rho);
+        const scattering = Math.pow(10, 5.36) * (1.06 + Math.cos(rhoRad) ** 2) + Math.pow(10, 6.15 - rho / 40);
+
+        const nL = scattering * illuminance *
+            Math.pow(10, -0.4 * k * SkyBrightness.pathLength(moonAltitude)) *
+            (1 - Math.pow(10, -0.4 * k * SkyBrightness.pathLength(altitude)));
+
+        return SkyBrightness.nanolambertsToMag(nL) + passband.moonColor;
+    },
+
+    // Twilight and daylight for a geometric solar altitude. Fades out over the last 3° before
+    // astronomical night so the sky darkens smoothly into the dark-sky value.
+    twilight: (band, altitude, sunAltitude) => {
+        if (sunAltitude <= -18) return Infinity;
+
+        let mag = sunAltitude < 0 ?
+            SkyBrightness.TWILIGHT_HORIZON - SkyBrightness.TWILIGHT_SLOPE * sunAltitude :
+            Math.max(SkyBrightness.DAYLIGHT_LIMIT, SkyBrightness.TWILIGHT_HORIZON - 0.1 * sunAltitude);
+        if (sunAltitude < -15) {
+            mag -= 2.5 * Math.log10((sunAltitude + 18) / 3);
+        }
+
+        // Brighter toward the horizon, like the dark sky
+        mag -= 2.5 * Math.log10(SkyBrightness.pathLength(altitude));
+        return mag + Passbands.require(band).twilightColor;
+    },
+
+    // Sky brightness in a band for a target, from Telescope.getSkyConditions():
+    // { targetAltitude, sun: { geometricAltitude }, moon: { altitude, phaseAngle }, moonSeparation }.
+    // Returns { magnitude, dark, moon, twilight } in mag/arcsec² (Infinity for an absent source).
+    compute: (band, conditions) => {
+        const altitude = conditions.targetAltitude;
+        const dark = SkyBrightness.darkSky(band, altitude);
+        const moon = SkyBrightness.moonlight(band, altitude, conditions.moon.altitude,
+            conditions.moon.phaseAngle, conditions.moonSeparation);
+        const twilight = SkyBrightness.twilight(band, altitude, conditions.sun.geometricAltitude);
+
+        return { magnitude: SkyBrightness.addMagnitudes([dark, moon, twilight]), dark, moon, twilight };
+    }
+};
@@ -1,23 +1,20 @@
-// Spectrometer instrument controller - Enhanced with Jacoby Atlas
+// Spectrometer instrument controller - UI over the Spectrometer model in js/engine/spectrometer.js
 
 class SpectrometerController {
     constructor(telescopeController) {
-        this.telescope = telescopeController;
+        this.telescope = telescopeController.telescope;
+        this.spectrometer = telescopeController.simulation.spectrometer;
+        this.clock = telescopeController.simulation.clock;
         this.canvas = document.getElementById('spectrometer-canvas');
         this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
         this.spectrumCanvas = document.getElementById('spectrum-canvas');
         this.spectrumCtx = this.spectrumCanvas ? this.spectrumCanvas.getContext('2d') : null;
         
-        // Spectrometer state
-        this.currentObject = null;
+        // Integration state: counts accumulate on every simulation clock tick
         this.integrating = false;
-        this.integrationTimer = null;
-        this.elapsed = 0;
-        this.wavelengths = [];
-        this.counts = [];
-        this.rates = [];
+        this.clockSubscription = null;
         this.plotMode = 'scatter'; // 'scatter' during integration, 'line' after stop
-        this.spectralLibraryLoaded = false;
+        this.lastSpectrum = null;  // most recent completed spectrum, for export
         
         this.init();
     }
@@ -31,26 +28,13 @@ class SpectrometerController {
         }
         
         // Load spectral library
-        await this.loadSpectralLibrary();
+        await this.spectrometer.loadSpectralLibrary();
         
         this.setupEventListeners();
-        this.generateWavelengthGrid();
         this.updateSpectrometerView();
         this.clearSpectrum();
     }
     
-    async loadSpectralLibrary() {
-        try {
-            console.log('Loading Jacoby Atlas for spectrometer...');
-            await Utils.loadSpectralLibrary();
-            this.spectralLibraryLoaded = true;
-            console.log('Spectral library loaded successfully');
-        } catch (error) {
-            console.warn('Could not load spectral library, using fallback:', error);
-            this.spectralLibraryLoaded = false;
-        }
-    }
-    
     setupEventListeners() {
         // Start integration
         const startBtn = document.getElementById('start-spectrum');
@@ -76,6 +60,14 @@ class SpectrometerController {
             console.error('Stop spectrum button not found!');
         }
         
+        // Save the last completed spectrum
+        const exportBtn = document.getElementById('export-spectrum');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.exportSpectrum();
+            });
+        }
+        
         // Canvas click for spectrum analysis
         if (this.spectrumCanvas) {
             this.spectrumCanvas.addEventListener('click', (event) => {
@@ -84,15 +76,6 @@ class SpectrometerController {
         }
     }
     
-    generateWavelengthGrid() {
-        this.wavelengths = [];
-        for (let w = CONSTANTS.SPECTRUM_MIN_WAVE; w <= CONSTANTS.SPECTRUM_MAX_WAVE; w++) {
-            this.wavelengths.push(w);
-        }
-        this.counts = new Array(this.wavelengths.length).fill(0);
-        console.log(`Generated wavelength grid: ${this.wavelengths.length} points from ${CONSTANTS.SPECTRUM_MIN_WAVE} to ${CONSTANTS.SPECTRUM_MAX_WAVE} Å`);
-    }
-    
     updateSpectrometerView() {
         if (!this.telescope.currentField || !this.canvas || !this.ctx) return;
         
@@ -171,77 +154,38 @@ class SpectrometerController {
     }
     
     updateSlitContents() {
-        console.log('Updating slit contents...');
-        
-        // Use more generous slit dimensions for detection
-        const slitWidthDeg = CONSTANTS.SLIT_WIDTH_DEG * 10; // Make slit 10x wider for detection
-        const slitHeightDeg = CONSTANTS.SLIT_HEIGHT_DEG * 5; // Make slit 5x taller for detection
-        
-        const objectsInSlit = this.telescope.catalog.findObjectsInSlit(
-            this.telescope.centerRA,
-            this.telescope.centerDec,
-            slitWidthDeg,
-            slitHeightDeg
-        );
+        const nearest = this.spectrometer.findObjectInSlit();
         
         const slitStatus = document.getElementById('slit-status');
         
         if (slitStatus) {
-            if (objectsInSlit.length === 0) {
+            if (!nearest) {
                 slitStatus.textContent = 'No object in slit';
                 slitStatus.style.color = '#a1a1aa';
-                this.currentObject = null;
-                console.log('No objects found in slit');
             } else {
-                // Find the nearest object to slit center
-                let nearest = objectsInSlit[0];
-                let minDist = Infinity;
-                
-                objectsInSlit.forEach(obj => {
-                    const dist = Utils.angularSeparation(
-                        this.telescope.centerRA, this.telescope.centerDec,
-                        obj.ra, obj.dec
-                    );
-                    if (dist < minDist) {
-                        minDist = dist;
-                        nearest = obj;
-                    }
-                });
-                
                 const type = nearest.objType === 0 ? 'Star' : 'Galaxy';
                 slitStatus.textContent = `Object ${nearest.name} (${type}) is within the slit`;
                 slitStatus.style.color = '#10b981';
-                this.currentObject = nearest;
-                console.log(`Found object in slit: ${nearest.name} (${type})`);
             }
         }
     }
     
-    startIntegration() {
-        console.log('startIntegration called');
-        console.log('Current object:', this.currentObject);
-        console.log('Currently integrating:', this.integrating);
-        
-        if (!this.currentObject) {
-            console.log('Cannot start integration: No object in slit');
-            // Try to update slit contents to see if we can find an object
-            this.updateSlitContents();
-            if (!this.currentObject) {
-                alert('No object in slit. Please slew to an object first.');
-                return;
-            }
-        }
-        
+    async startIntegration() {
         if (this.integrating) {
             console.log('Already integrating, ignoring start request');
             return;
         }
         
-        console.log('Starting spectrometer integration for:', this.currentObject.name);
+        try {
+            await this.spectrometer.start();
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        
+        console.log('Starting spectrometer integration for:', this.spectrometer.currentObject.name);
         
         this.integrating = true;
-        this.elapsed = 0;
-        this.generateSpectrum();
         this.plotMode = 'scatter';
         
         // Update status indicator
@@ -250,13 +194,10 @@ class SpectrometerController {
             statusDot.classList.remove('inactive');
         }
         
-        // Clear previous spectrum
-        this.counts.fill(0);
-        
-        // Start integration timer
-        this.integrationTimer = setInterval(() => {
-            this.updateIntegration();
-        }, 250); // Update every 250ms
+        // Integrate in simulated time
+        this.clockSubscription = this.clock.on('tick', (event) => {
+            this.updateIntegration(event.delta);
+        });
         
         console.log('Integration started successfully');
     }
@@ -270,9 +211,9 @@ class SpectrometerController {
         console.log('Stopping spectrometer integration');
         
         this.integrating = false;
-        if (this.integrationTimer) {
-            clearInterval(this.integrationTimer);
-            this.integrationTimer = null;
+        if (this.clockSubscription) {
+            this.clockSubscription();
+            this.clockSubscription = null;
         }
         
         // Update status indicator
@@ -284,68 +225,35 @@ class SpectrometerController {
         this.plotMode = 'line';
         this.plotSpectrum();
         
+        // Keep the spectrum in the observation log so the next integration doesn't lose it
+        this.lastSpectrum = this.spectrometer.finish();
+        
         console.log('Integration stopped');
     }
     
-    // ENHANCED: Generate spectrum using Jacoby Atlas
-    async generateSpectrum() {
-        if (!this.currentObject) {
-            console.error('Cannot generate spectrum: no current object');
+    exportSpectrum() {
+        if (this.integrating) {
+            alert('Stop the integration before saving the spectrum.');
             return;
         }
         
-        console.log('Generating spectrum for:', this.currentObject.name);
-        
-        const obj = this.currentObject;
-        const telescopeDiam = this.telescope.currentTelescope ? 
-            this.telescope.currentTelescope.diameter : CONSTANTS.DEFAULT_TELESCOPE_DIAM;
-        
-        let relativeFlux;
-        
-        if (obj.objType === 1) {
-            // Galaxy spectrum with redshift
-            console.log('Generating galaxy spectrum with redshift:', obj.redshift);
-            relativeFlux = Utils.generateGalaxySpectrum(obj.redshift, this.wavelengths);
-        } else {
-            // Stellar spectrum - NOW USING JACOBY ATLAS
-            console.log('Generating stellar spectrum for spectral type:', obj.specType);
-            console.log('Spectral library loaded:', this.spectralLibraryLoaded);
-            
-            relativeFlux = await Utils.generateStellarSpectrum(obj.specType, this.wavelengths);
+        const spectrum = this.lastSpectrum;
+        if (!spectrum) {
+            alert('No spectrum recorded yet.');
+            return;
         }
         
-        // Calculate photon arrival rates
-        const telescopeArea = Math.PI * (telescopeDiam / 2) ** 2;
-        
-        // Use galaxy magnitude scaling factor from original (0.45)
-        const effectiveMag = obj.objType === 1 ? obj.mag * 0.45 : obj.mag;
-        
-        // Convert magnitude to flux (simplified)
-        const baseFlux = Math.pow(10, -0.4 * (effectiveMag + 21.10)); // erg/s/cm²/Å
-        const fluxSI = baseFlux * 1e-3; // J/s/m²/Å
-        
-        this.rates = relativeFlux.map((flux, i) => {
-            const wavelengthM = this.wavelengths[i] * 1e-10;
-            const photonEnergy = (CONSTANTS.H_PLANCK * CONSTANTS.C_LIGHT) / wavelengthM;
-            const rate = flux * (fluxSI / photonEnergy) * telescopeArea;
-            return Math.max(0.01, rate); // Minimum rate to ensure some signal
-        });
-        
-        console.log(`Generated spectrum rates: min=${Math.min(...this.rates).toFixed(3)}, max=${Math.max(...this.rates).toFixed(3)}`);
-        
-        // Log spectral information
-        if (this.spectralLibraryLoaded && obj.objType === 0) {
-            console.log(`✨ Using high-quality Jacoby Atlas spectrum for ${obj.specType}`);
-        }
+        const filename = safeFilename(`${spectrum.object}_${spectrum.timestamp.slice(0, 19)}`) + '.fits';
+        downloadFile(filename, ObservationLog.spectrumToFITS(spectrum), 'application/fits');
     }
     
-    updateIntegration() {
-        this.elapsed++;
-        
-        // Add new photon counts
-        for (let i = 0; i < this.counts.length; i++) {
-            const newCounts = Utils.poissonRandom(this.rates[i]);
-            this.counts[i] += newCounts;
+    updateIntegration(seconds) {
+        try {
+            this.spectrometer.accumulate(seconds);
+        } catch (error) {
+            this.stopIntegration();
+            alert(error.message);
+            return;
         }
         
         // Update display
@@ -365,16 +273,20 @@ class SpectrometerController {
         ctx.fillStyle = '#f8f8f8';
         ctx.fillRect(0, 0, width, height);
         
-        if (this.wavelengths.length === 0) return;
+        const wavelengths = this.spectrometer.wavelengths;
+        const counts = this.spectrometer.counts;
+        const currentObject = this.spectrometer.currentObject;
+        
+        if (wavelengths.length === 0) return;
         
         // Set up plot area
         const margin = { left: 60, right: 20, top: 40, bottom: 60 };
         const plotWidth = width - margin.left - margin.right;
         const plotHeight = height - margin.top - margin.bottom;
         
-        const minWave = Math.min(...this.wavelengths);
-        const maxWave = Math.max(...this.wavelengths);
-        const maxCounts = Math.max(...this.counts) || 1;
+        const minWave = Math.min(...wavelengths);
+        const maxWave = Math.max(...wavelengths);
+        const maxCounts = Math.max(...counts) || 1;
         
         // Draw axes
         ctx.strokeStyle = '#000000';
@@ -401,10 +313,10 @@ class SpectrometerController {
         ctx.restore();
         
         // Title with spectral library indicator
-        if (this.currentObject) {
-            const objType = this.currentObject.objType === 0 ? 'star' : 'galaxy';
-            const libraryIndicator = this.spectralLibraryLoaded && this.currentObject.objType === 0 ? ' ✨' : '';
-            const title = `${this.currentObject.name} (${objType}) V = ${this.currentObject.mag.toFixed(2)}${libraryIndicator}`;
+        if (currentObject) {
+            const objType = currentObject.objType === 0 ? 'star' : 'galaxy';
+            const libraryIndicator = this.spectrometer.spectralLibraryLoaded && currentObject.objType === 0 ? ' ✨' : '';
+            const title = `${currentObject.name} (${objType}) V = ${currentObject.mag.toFixed(2)}${libraryIndicator}`;
             ctx.textAlign = 'center';
             ctx.font = 'bold 14px Arial';
             ctx.fillText(title, width / 2, 20);
@@ -414,10 +326,10 @@ class SpectrometerController {
         if (this.plotMode === 'scatter') {
             // Scatter plot during integration
             ctx.fillStyle = '#0066cc';
-            for (let i = 0; i < this.wavelengths.length; i++) {
-                if (this.counts[i] > 0) {
-                    const x = margin.left + (this.wavelengths[i] - minWave) / (maxWave - minWave) * plotWidth;
-                    const y = height - margin.bottom - (this.counts[i] / maxCounts) * plotHeight;
+            for (let i = 0; i < wavelengths.length; i++) {
+                if (counts[i] > 0) {
+                    const x = margin.left + (wavelengths[i] - minWave) / (maxWave - minWave) * plotWidth;
+                    const y = height - margin.bottom - (counts[i] / maxCounts) * plotHeight;
                     ctx.beginPath();
                     ctx.arc(x, y, 2, 0, 2 * Math.PI);
                     ctx.fill();
@@ -429,9 +341,9 @@ class SpectrometerController {
             ctx.lineWidth = 1;
             ctx.beginPath();
             let started = false;
-            for (let i = 0; i < this.wavelengths.length; i++) {
-                const x = margin.left + (this.wavelengths[i] - minWave) / (maxWave - minWave) * plotWidth;
-                const y = height - margin.bottom - (this.counts[i] / maxCounts) * plotHeight;
+            for (let i = 0; i < wavelengths.length; i++) {
+                const x = margin.left + (wavelengths[i] - minWave) / (maxWave - minWave) * plotWidth;
+                const y = height - margin.bottom - (counts[i] / maxCounts) * plotHeight;
                 if (!started) {
                     ctx.moveTo(x, y);
                     started = true;
@@ -482,21 +394,18 @@ class SpectrometerController {
     }
     
     updateStatus() {
-        const totalCounts = this.counts.reduce((sum, count) => sum + count, 0);
-        const nonZeroCounts = this.counts.filter(count => count > 0);
-        const meanSNR = nonZeroCounts.length > 0 ? 
-            nonZeroCounts.reduce((sum, count) => sum + Math.sqrt(count), 0) / nonZeroCounts.length : 0;
+        const { elapsed, totalCounts, meanSNR, slitFraction } = this.spectrometer.getStatus();
         
         const statusEl = document.getElementById('spectrum-status');
         if (statusEl) {
             statusEl.textContent = 
-                `Time: ${this.elapsed}s • Counts: ${totalCounts} • Mean SNR: ${meanSNR.toFixed(2)}`;
+                `Time: ${elapsed}s • Counts: ${totalCounts} • Mean SNR: ${meanSNR.toFixed(2)} • ` +
+                `Slit light: ${(slitFraction * 100).toFixed(0)}%`;
         }
     }
     
     clearSpectrum() {
-        this.counts.fill(0);
-        this.elapsed = 0;
+        this.spectrometer.clear();
         this.plotSpectrum();
         this.updateStatus();
     }
@@ -514,9 +423,9 @@ class SpectrometerController {
         const plotHeight = canvas.height - margin.top - margin.bottom;
         
         // Convert click position to wavelength and counts
-        const minWave = Math.min(...this.wavelengths);
-        const maxWave = Math.max(...this.wavelengths);
-        const maxCounts = Math.max(...this.counts) || 1;
+        const minWave = Math.min(...this.spectrometer.wavelengths);
+        const maxWave = Math.max(...this.spectrometer.wavelengths);
+        const maxCounts = Math.max(...this.spectrometer.counts) || 1;
         
         const wavelength = minWave + (x - margin.left) / plotWidth * (maxWave - minWave);
         const counts = maxCounts * (1 - (y - margin.top) / plotHeight);
@@ -1,43 +1,38 @@
-// Main telescope control class - Updated for new layout
+// Main telescope control view - UI over the Telescope model in js/engine/telescope.js
+
+// localStorage key for uploaded target lists
+const USER_CATALOGS_KEY = 'telescopeEmulator.userCatalogs';
 
 class TelescopeController {
-    constructor() {
-        this.centerRA = 0.0;           // hours
-        this.centerDec = 0.0;          // degrees
-        this.currentTelescope = null;
-        this.currentField = null;
-        this.catalog = new Catalog();
-        this.currentDateTime = new Date();
-        
-        // Slewing parameters
-        this.slewSpeedIndex = 2;       // Start with medium speed
-        this.slewActive = false;
-        this.slewDirection = { dx: 0, dy: 0 };
-        this.slewTimer = null;
-        
-        // Auto-slew parameters
-        this.autoSlewTarget = null;
-        this.autoSlewActive = false;
+    constructor(simulation) {
+        this.simulation = simulation || new Simulation();
+        this.telescope = this.simulation.telescope;
+        this.clock = this.simulation.clock;
         
         // Canvas references
         this.finderCanvas = null;
         this.finderCtx = null;
         
-        // Update timer
-        this.updateTimer = null;
+        // Wall-clock time of the last redraw; between redraws clock ticks only move the model
+        this.lastRedraw = 0;
         
         // Instrument controllers - Initialize immediately
         this.photometerController = null;
         this.spectrometerController = null;
+        this.exposureCalculatorController = null;
+        this.plannerController = null;
+        this.sequenceController = null;
+        this.goToController = null;
         
         this.init();
     }
     
     init() {
+        this.loadUserCatalogs();
         this.setupCanvas();
         this.setupEventListeners();
         this.initializeInstruments(); // Initialize instruments right away
-        this.startUpdateTimer();
+        this.startClock();
         this.updateDisplay();
     }
     
@@ -63,6 +58,11 @@ class TelescopeController {
         this.spectrometerController = new SpectrometerController(this);
         window.spectrometerController = this.spectrometerController; // For global access
         
+        this.exposureCalculatorController = new ExposureCalculatorController(this);
+        this.plannerController = new PlannerController(this);
+        this.sequenceController = new SequenceController(this);
+        this.goToController = new GoToController(this);
+        
         console.log('Instruments initialized');
     }
     
@@ -80,6 +80,10 @@ class TelescopeController {
             this.showDateTimeSelection();
         });
         
+        document.getElementById('select-seed').addEventListener('click', () => {
+            this.showSeedSelection();
+        });
+        
         // Speed control
         document.getElementById('speed-btn').addEventListener('click', () => {
             this.cycleSpeed();
@@ -98,16 +102,88 @@ class TelescopeController {
         document.getElementById('abort-btn').addEventListener('click', () => {
             this.abortSlewing();
         });
+        
+        // Tracking toggle
+        document.getElementById('tracking-btn').addEventListener('click', () => {
+            this.toggleTracking();
+        });
+        
+        // Simulation clock controls
+        document.getElementById('clock-toggle').addEventListener('click', () => {
+            this.clock.toggle();
+        });
+        
+        document.getElementById('clock-rate').addEventListener('click', () => {
+            this.cycleClockRate();
+        });
+        
+        document.getElementById('clock-step').addEventListener('click', () => {
+            this.clock.step(60);
+        });
+        
+        // Drag-and-drop target lists onto the page
+        document.addEventListener('dragover', (event) => {
+            if (!event.dataTransfer || !Array.from(event.dataTransfer.types || []).includes('Files')) return;
+            event.preventDefault();
+            document.body.classList.add('drag-over');
+        });
+        document.addEventListener('dragleave', (event) => {
+            if (event.target === document.body || event.target === document.documentElement) {
+                document.body.classList.remove('drag-over');
+            }
+        });
+        document.addEventListener('drop', (event) => {
+            if (!event.dataTransfer || event.dataTransfer.files.length === 0) return;
+            event.preventDefault();
+            document.body.classList.remove('drag-over');
+            hideModal();
+            this.importCatalogFiles(event.dataTransfer.files);
+        });
     }
     
-    startUpdateTimer() {
-        this.updateTimer = setInterval(() => {
-            this.currentDateTime = new Date(this.currentDateTime.getTime() + 1000);
+    // The simulation clock drives the mount and instruments; the display follows its events
+    startClock() {
+        this.clock.on('tick', (event) => this.onClockTick(event));
+        this.clock.on('jump', () => {
             this.updateDisplay();
-        }, 1000);
+            this.refreshPlanner();
+        });
+        this.clock.on('state', () => this.updateClockControls());
+        this.updateClockControls();
+        this.clock.start();
+    }
+    
+    // Redraw every tick while the view is moving (slewing, or time running fast),
+    // otherwise once a second
+    onClockTick(event) {
+        const now = Date.now();
+        const moving = this.telescope.slewActive || event.delta > 1;
+        
+        if (moving || now - this.lastRedraw >= 1000) {
+            this.lastRedraw = now;
+            this.updateDisplay();
+        }
+    }
+    
+    cycleClockRate() {
+        if (this.clock.rate >= SimulationClock.MAX_RATE) {
+            this.clock.setRate(1);
+        } else {
+            this.clock.faster();
+        }
+    }
+    
+    updateClockControls() {
+        const state = this.clock.getState();
+        document.getElementById('clock-toggle').textContent = state.running ? '⏸ Pause' : '▶ Resume';
+        document.getElementById('clock-toggle').classList.toggle('active', !state.running);
+        document.getElementById('clock-rate').textContent = `Time: ${state.rate}×`;
     }
     
     updateDisplay() {
+        this.updateSeedDisplay();
+        this.updateLimitStatus();
+        this.updateMountStatus();
         this.updateTimeDisplay();
         this.updateCoordinateDisplay();
         this.drawFinderView();
@@ -121,35 +197,117 @@ class TelescopeController {
         if (this.spectrometerController) {
             this.spectrometerController.updateSpectrometerView();
         }
+        
+        if (this.plannerController) {
+            this.plannerController.drawPlot();
+        }
     }
     
-    updateTimeDisplay() {
-        const date = this.currentDateTime;
-        
-        document.getElementById('local-date').textContent = Utils.formatDate(date);
-        document.getElementById('local-time').textContent = Utils.formatTime(date);
+    // Plan the night of the simulated date again after the telescope, field or date changes
+    refreshPlanner() {
+        if (this.plannerController) {
+            this.plannerController.reset();
+        }
+    }
+    
+    updateSeedDisplay() {
+        document.getElementById('seed-info').textContent = `Seed: ${this.simulation.seed}`;
+    }
+    
+    // Refused or stopped slews and integrations, or a pointing that has drifted out of limits
+    updateLimitStatus() {
+        const el = document.getElementById('limit-status');
+        if (!el) return;
+        
+        const violation = this.telescope.checkCurrentLimits();
+        const message = this.telescope.limitStatus || (violation ? `Outside pointing limits: ${violation}` : '');
+        el.textContent = message ? `⚠️ ${message}` : '';
+        el.hidden = !message;
+    }
+    
+    updateMountStatus() {
+        const status = this.telescope.getMountStatus();
+        const activities = {
+            tracking: 'Tracking',
+            stopped: 'Not tracking',
+            slewing: 'Slewing',
+            flipping: 'Meridian flip'
+        };
+        const pier = status.pierSide ? ` · pier ${status.pierSide === 'east' ? 'E' : 'W'}` : '';
         
-        if (this.currentTelescope) {
-            const lst = Utils.calculateLST(date, this.currentTelescope.longitude);
-            const lstFormatted = Utils.formatRA(lst);
-            document.getElementById('sidereal-time').textContent = lstFormatted;
+        document.getElementById('mount-status').textContent = `${activities[status.activity]}${pier}`;
+        document.getElementById('mount-status').title = status.label;
+        document.getElementById('tracking-btn').textContent = status.tracking ? 'Tracking: On' : 'Tracking: Off';
+    }
+    
+    // UTC, site-local time, JD/MJD and LST side by side
+    updateTimeDisplay() {
+        const time = this.telescope.getTimeInfo();
+        const [utcDate, utcTime] = time.utc.split('T');
+        const [localDate, localTime] = time.local.split('T');
+        
+        document.getElementById('utc-time').textContent = utcTime;
+        document.getElementById('utc-date').textContent = utcDate;
+        document.getElementById('local-time').textContent = localTime;
+        document.getElementById('local-date').textContent = `${localDate} ${time.zoneName}`;
+        document.getElementById('local-date').title = time.timeZone;
+        document.getElementById('julian-date').textContent = time.jd.toFixed(5);
+        document.getElementById('modified-julian-date').textContent = `MJD ${time.mjd.toFixed(5)}`;
+        
+        if (time.lst !== null) {
+            document.getElementById('sidereal-time').textContent = Utils.formatRA(time.lst);
         }
+        
+        this.updateSkyDisplay(time.timeZone);
+    }
+    
+    // Twilight, Sun and Moon at the site, and the sky brightness they give at the pointing
+    updateSkyDisplay(timeZone) {
+        const conditions = this.telescope.getSkyConditions();
+        if (!conditions) return;
+        
+        const times = this.telescope.getRiseSetTimes();
+        const clock = (date) => Utils.formatTime(date, timeZone).slice(0, 5);
+        const event = (label, date) => (date ? `${label} ${clock(date)}` : null);
+        const { sun, moon } = conditions;
+        
+        document.getElementById('twilight-state').textContent = conditions.twilight.label;
+        document.getElementById('sun-info').textContent = [
+            `${sun.altitude.toFixed(1)}°`,
+            // Whichever comes first is the one worth knowing
+            times.sun.set && (!times.sun.rise || times.sun.set < times.sun.rise) ?
+                event('set', times.sun.set) : event('rise', times.sun.rise)
+        ].filter(Boolean).join(' · ');
+        
+        document.getElementById('moon-info').textContent =
+            `${Math.round(moon.fraction * 100)}% · ${moon.altitude.toFixed(1)}°`;
+        document.getElementById('moon-info').title = Ephemeris.phaseName(moon);
+        const moonEvents = [['rise', times.moon.rise], ['set', times.moon.set]]
+            .filter(([, date]) => date)
+            .sort((a, b) => a[1] - b[1]);
+        document.getElementById('moon-times').textContent =
+            moonEvents.map(([label, date]) => event(label, date)).join(' · ') ||
+            (moon.altitude > 0 ? 'up all day' : 'down all day');
+        
+        const band = this.simulation.photometer.currentFilter;
+        const sky = SkyBrightness.compute(band, conditions).magnitude;
+        document.getElementById('sky-brightness').textContent = `${sky.toFixed(2)} ${Passbands.get(band).label}`;
+        document.getElementById('moon-separation').textContent = `mag/″² · Moon ${conditions.moonSeparation.toFixed(0)}° away`;
     }
     
     updateCoordinateDisplay() {
-        document.getElementById('center-ra').textContent = Utils.formatRA(this.centerRA);
-        document.getElementById('center-dec').textContent = Utils.formatDec(this.centerDec);
+        document.getElementById('center-ra').textContent = Utils.formatRA(this.telescope.centerRA);
+        document.getElementById('center-dec').textContent = Utils.formatDec(this.telescope.centerDec);
         
-        if (this.currentTelescope) {
-            const lst = Utils.calculateLST(this.currentDateTime, this.currentTelescope.longitude);
-            const altAz = Utils.calculateAltAz(this.centerRA, this.centerDec, lst, this.currentTelescope.latitude);
+        if (this.telescope.currentTelescope) {
+            const pointing = this.telescope.getCurrentPointing();
             
-            document.getElementById('altitude').textContent = `${altAz.altitude.toFixed(1)}°`;
-            document.getElementById('azimuth').textContent = `${altAz.azimuth.toFixed(1)}°`;
+            document.getElementById('apparent-ra').textContent = Utils.formatRA(pointing.apparent.ra);
+            document.getElementById('apparent-dec').textContent = Utils.formatDec(pointing.apparent.dec);
+            document.getElementById('altitude').textContent = `${pointing.altaz.altitude.toFixed(1)}°`;
+            document.getElementById('azimuth').textContent = `${pointing.altaz.azimuth.toFixed(1)}°`;
             
-            // Update airmass
-            const airmass = Utils.calculateAirmass(altAz.altitude);
-            document.getElementById('airmass').textContent = airmass.toFixed(2);
+            document.getElementById('airmass').textContent = pointing.airmass.toFixed(2);
         }
     }
     
@@ -160,6 +318,9 @@ class TelescopeController {
         const ctx = this.finderCtx;
         const width = canvas.width;
         const height = canvas.height;
+        const catalog = this.telescope.catalog;
+        const centerRA = this.telescope.centerRA;
+        const centerDec = this.telescope.centerDec;
         
         // Clear canvas
         Utils.clearCanvas(canvas);
@@ -168,12 +329,12 @@ class TelescopeController {
         const pixelsPerDegree = width / fov;
         const centerX = width / 2;
         const centerY = height / 2;
-        const cosDec = Math.cos(Utils.degreesToRadians(this.centerDec));
+        const cosDec = Math.cos(Utils.degreesToRadians(centerDec));
         
         // Draw background stars
-        this.catalog.backgroundStars.forEach(star => {
-            const dx = (star.ra - this.centerRA) * 15 * cosDec; // Convert RA to degrees
-            const dy = star.dec - this.centerDec;
+        catalog.backgroundStars.forEach(star => {
+            const dx = (star.ra - centerRA) * 15 * cosDec; // Convert RA to degrees
+            const dy = star.dec - centerDec;
             
             if (Math.abs(dx) <= fov/2 && Math.abs(dy) <= fov/2) {
                 const x = centerX - dx * pixelsPerDegree;
@@ -183,9 +344,9 @@ class TelescopeController {
         });
         
         // Draw catalog objects
-        this.catalog.objects.forEach(obj => {
-            const dx = (obj.ra - this.centerRA) * 15 * cosDec;
-            const dy = obj.dec - this.centerDec;
+        catalog.objects.forEach(obj => {
+            const dx = (obj.ra - centerRA) * 15 * cosDec;
+            const dy = obj.dec - centerDec;
             
             if (Math.abs(dx) <= fov/2 && Math.abs(dy) <= fov/2) {
                 const x = centerX - dx * pixelsPerDegree;
@@ -217,10 +378,10 @@ class TelescopeController {
         const tbody = document.getElementById('catalog-tbody');
         tbody.innerHTML = '';
         
-        this.catalog.objects.forEach((obj, index) => {
+        this.telescope.catalog.objects.forEach((obj, index) => {
             const row = document.createElement('tr');
             row.innerHTML = `
-                <td>${obj.name}</td>
+                <td>${escapeHTML(obj.name)}</td>
                 <td>${obj.ra.toFixed(5)}</td>
                 <td>${obj.dec.toFixed(5)}</td>
                 <td>${obj.mag.toFixed(2)}</td>
@@ -231,46 +392,164 @@ class TelescopeController {
         });
     }
     
+    // Header lines naming the selected telescope and field, also after a sequence changed them
+    updateSelectionInfo() {
+        const telescope = this.telescope.currentTelescope;
+        if (telescope) {
+            document.getElementById('telescope-info').textContent =
+                `Telescope: ${telescope.name} (${telescope.diameter}m aperture)`;
+        }
+        if (this.telescope.currentField) {
+            const field = this.telescope.currentField;
+            document.getElementById('field-info').textContent =
+                `Field: ${field.name}${field.synthetic ? ' (synthetic objects)' : ''}`;
+        }
+    }
+    
     // Telescope selection
     showTelescopeSelection() {
         const modal = new Modal('Select Telescope', TELESCOPES, (telescope) => {
-            this.currentTelescope = telescope;
-            document.getElementById('telescope-info').textContent = 
-                `Telescope: ${telescope.name} (${telescope.diameter}m aperture)`;
+            this.telescope.setTelescope(telescope);
+            this.updateSelectionInfo();
+            this.updateDisplay();
+            this.refreshPlanner();
         });
         modal.show();
     }
     
-    // Field selection
+    // Field selection - built-in fields, uploaded target lists, and a drop zone for new ones
     showFieldSelection() {
-        const modal = new Modal('Select Field', FIELDS, async (field) => {
-            this.currentField = field;
-            this.centerRA = field.ra;
-            this.centerDec = field.dec;
-            
-            document.getElementById('field-info').textContent = `Field: ${field.name}`;
+        const fields = this.telescope.getFields();
+        const modal = new Modal('Select Field', fields, (field) => this.selectField(field));
+        modal.show();
+        
+        // Generated catalogs are not real sky: say so next to their names
+        document.querySelectorAll('#modal-body .modal-option').forEach((option, index) => {
+            if (fields[index].synthetic) {
+                option.textContent += ' (synthetic)';
+                option.title = 'Made-up objects around the real field center, not real stars or galaxies';
+            }
+        });
+        
+        const body = document.getElementById('modal-body');
+        const upload = document.createElement('div');
+        upload.className = 'catalog-drop-zone';
+        upload.innerHTML = `
+            <p>Drop a CSV, JSON or VOTable target list anywhere on the page, or
+            <label class="catalog-file-label">choose a file<input type="file" id="catalog-file-input"
+                accept=".csv,.tsv,.txt,.json,.vot,.votable,.xml" multiple hidden></label></p>
+        `;
+        this.telescope.userFields.forEach(field => {
+            const row = document.createElement('div');
+            row.className = 'catalog-upload-row';
+            row.innerHTML = `<span>📁 ${escapeHTML(field.name)} (${field.objects.length} objects)</span>`;
             
-            // Load catalog
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                this.telescope.removeUserField(field.name);
+                this.saveUserCatalogs();
+                this.showFieldSelection();
+            });
+            row.appendChild(removeBtn);
+            upload.appendChild(row);
+        });
+        body.appendChild(upload);
+        
+        document.getElementById('catalog-file-input').addEventListener('change', (event) => {
+            hideModal();
+            this.importCatalogFiles(event.target.files);
+        });
+    }
+    
+    async selectField(field) {
+        document.getElementById('field-info').textContent = `Field: ${field.name}`;
+        
+        await this.telescope.loadField(field);
+        
+        this.updateSelectionInfo();
+        this.updateDisplay();
+        this.refreshPlanner();
+        this.showCatalogReport(this.telescope.catalog.report);
+    }
+    
+    // Turn dropped or chosen files into uploaded fields; the last good one is selected
+    async importCatalogFiles(files) {
+        let lastField = null;
+        let lastReport = null;
+        
+        for (const file of Array.from(files)) {
+            let report;
             try {
-                await this.catalog.loadFromFile(field.filename);
+                const text = await file.text();
+                const parsed = CatalogImport.parse(file.name, text);
+                report = CatalogSchema.validate(parsed.rows, file.name);
             } catch (error) {
-                console.warn('Could not load catalog file, using sample data');
+                console.error(`Could not import ${file.name}:`, error);
+                report = CatalogSchema.failedReport(file.name, error);
             }
             
-            // Generate background stars if needed
-            this.catalog.generateBackgroundStars(
-                this.centerRA, 
-                this.centerDec, 
-                CONSTANTS.FINDER_FOV_DEG, 
-                field.background
-            );
+            if (report.valid.length === 0) {
+                this.showCatalogReport(report.error ? report : { ...report, error: 'no usable rows' });
+                continue;
+            }
             
-            this.updateDisplay();
-        });
-        modal.show();
+            // Uploads never shadow a built-in field
+            let name = file.name.replace(/\.[^.]+$/, '');
+            if (FIELDS.some(f => f.name === name)) {
+                name += ' (uploaded)';
+            }
+            
+            lastField = this.telescope.addUserField(CatalogImport.createField(name, report.valid));
+            lastReport = report;
+            console.log(`Imported ${report.valid.length} objects from ${file.name} (${report.rejected.length} rejected)`);
+        }
+        
+        if (!lastField) return;
+        
+        this.saveUserCatalogs();
+        await this.selectField(lastField);
+        this.showCatalogReport(lastReport);
     }
     
-    // Date/Time selection
+    // Uploaded catalogs persist in localStorage between sessions
+    loadUserCatalogs() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(USER_CATALOGS_KEY) || '[]');
+            saved.forEach(field => this.telescope.addUserField(field));
+        } catch (error) {
+            console.warn('Could not restore uploaded catalogs:', error);
+        }
+    }
+    
+    saveUserCatalogs() {
+        try {
+            localStorage.setItem(USER_CATALOGS_KEY, JSON.stringify(this.telescope.userFields));
+        } catch (error) {
+            console.error('Could not save uploaded catalogs:', error);
+            alert(`Uploaded catalogs could not be saved for next time: ${error.message}`);
+        }
+    }
+    
+    // Summary of rows the catalog loader rejected (or why the file failed to load)
+    showCatalogReport(report) {
+        if (!CatalogSchema.hasIssues(report)) return;
+        
+        const maxLines = 50;
+        const lines = CatalogSchema.formatProblems(report);
+        const items = lines.slice(0, maxLines).map(line => `<li>${escapeHTML(line)}</li>`).join('');
+        const more = lines.length > maxLines ? `<li>… and ${lines.length - maxLines} more (see console)</li>` : '';
+        
+        showModal('Catalog Problems', `
+            <p>${escapeHTML(CatalogSchema.summarize(report))}</p>
+            <p>${report.error ? 'The field has no catalog objects.' : 'Rejected rows were left out of the field.'}</p>
+            <ul class="catalog-problems">${items}${more}</ul>
+        `, hideModal);
+        document.getElementById('modal-cancel').onclick = hideModal;
+    }
+    
+    // Date/Time selection - entered as the observatory's local time or as UTC,
+    // never in the browser's own zone
     showDateTimeSelection() {
         const modal = document.getElementById('modal');
         const title = document.getElementById('modal-title');
@@ -278,26 +557,105 @@ class TelescopeController {
         
         title.textContent = 'Select Date and Time';
         
-        const now = new Date();
-        const dateStr = now.toISOString().slice(0, 16);
+        const siteZone = this.telescope.getTimeZone();
+        const current = this.telescope.currentDateTime;
         
         body.innerHTML = `
-            <label for="datetime-input">Date and Time:</label><br>
-            <input type="datetime-local" id="datetime-input" value="${dateStr}" style="width: 100%; margin: 10px 0; padding: 5px;">
+            <label for="datetime-zone">Time zone:</label><br>
+            <select id="datetime-zone" style="width: 100%; margin: 10px 0; padding: 5px;">
+                <option value="${escapeHTML(siteZone)}">Site local (${escapeHTML(siteZone)})</option>
+                <option value="UTC">UTC</option>
+            </select>
             <br>
+            <label for="datetime-input">Date and Time:</label><br>
+            <input type="datetime-local" id="datetime-input" step="1" style="width: 100%; margin: 10px 0; padding: 5px;">
+            <div id="datetime-preview" class="datetime-preview"></div>
             <button id="use-now-btn" style="margin: 10px 0; padding: 5px 10px;">Use Current Time</button>
         `;
         
+        const zoneSelect = document.getElementById('datetime-zone');
+        const input = document.getElementById('datetime-input');
+        const preview = document.getElementById('datetime-preview');
+        
+        const selectedDate = () => Utils.zonedTimeToDate(input.value, zoneSelect.value);
+        const updatePreview = () => {
+            try {
+                const date = selectedDate();
+                preview.textContent = `${Utils.formatZonedDateTime(date, 'UTC').replace('T', ' ')} UTC · ` +
+                    `${Utils.formatZonedDateTime(date, siteZone).replace('T', ' ')} ${Utils.timeZoneAbbreviation(date, siteZone)}`;
+            } catch (error) {
+                preview.textContent = '';
+            }
+        };
+        
+        // Switching zones keeps the instant and rewrites the wall-clock time
+        let shownZone = zoneSelect.value;
+        input.value = Utils.formatZonedDateTime(current, shownZone);
+        zoneSelect.addEventListener('change', () => {
+            try {
+                const date = Utils.zonedTimeToDate(input.value, shownZone);
+                input.value = Utils.formatZonedDateTime(date, zoneSelect.value);
+            } catch (error) {
+                console.warn('Could not convert the entered time:', error.message);
+            }
+            shownZone = zoneSelect.value;
+            updatePreview();
+        });
+        input.addEventListener('input', updatePreview);
+        updatePreview();
+        
         document.getElementById('use-now-btn').addEventListener('click', () => {
-            this.currentDateTime = new Date();
+            this.clock.setTime(new Date());
             this.updateDisplay();
             modal.style.display = 'none';
         });
         
         document.getElementById('modal-ok').onclick = () => {
-            const input = document.getElementById('datetime-input');
             if (input.value) {
-                this.currentDateTime = new Date(input.value);
+                try {
+                    this.clock.setTime(selectedDate());
+                } catch (error) {
+                    alert(error.message);
+                    return;
+                }
+                this.updateDisplay();
+            }
+            modal.style.display = 'none';
+        };
+        
+        document.getElementById('modal-cancel').onclick = () => {
+            modal.style.display = 'none';
+        };
+        
+        modal.style.display = 'block';
+    }
+    
+    // Random seed selection - same seed gives students an identical observing night
+    showSeedSelection() {
+        const modal = document.getElementById('modal');
+        const title = document.getElementById('modal-title');
+        const body = document.getElementById('modal-body');
+        
+        title.textContent = 'Select Random Seed';
+        
+        body.innerHTML = `
+            <label for="seed-input">Seed (number or text):</label><br>
+            <input type="text" id="seed-input" style="width: 100%; margin: 10px 0; padding: 5px;">
+            <br>
+            <button id="random-seed-btn" style="margin: 10px 0; padding: 5px 10px;">New Random Seed</button>
+        `;
+        document.getElementById('seed-input').value = this.simulation.seed;
+        
+        document.getElementById('random-seed-btn').addEventListener('click', () => {
+            this.simulation.setSeed(SeededRandom.randomSeed());
+            this.updateDisplay();
+            modal.style.display = 'none';
+        });
+        
+        document.getElementById('modal-ok').onclick = () => {
+            const seed = SeededRandom.parseSeed(document.getElementById('seed-input').value);
+            if (seed !== undefined) {
+                this.simulation.setSeed(seed);
                 this.updateDisplay();
             }
             modal.style.display = 'none';
@@ -312,108 +670,45 @@ class TelescopeController {
     
     // Speed cycling
     cycleSpeed() {
-        this.slewSpeedIndex = (this.slewSpeedIndex + 1) % CONSTANTS.SLEW_SPEEDS.length;
-        const speed = CONSTANTS.SLEW_SPEEDS[this.slewSpeedIndex];
+        const speed = this.telescope.cycleSpeed();
         document.getElementById('speed-btn').textContent = speed.label;
     }
     
-    // Slewing controls
+    // Slewing controls - the update timer moves the mount, these only change its state
     startSlewing(direction) {
-        if (this.slewActive) return;
-        
-        this.slewActive = true;
-        this.autoSlewActive = false;
-        
-        const directionMap = {
-            'north': { dx: 0, dy: 1 },
-            'south': { dx: 0, dy: -1 },
-            'east': { dx: 1, dy: 0 },
-            'west': { dx: -1, dy: 0 }
-        };
-        
-        this.slewDirection = directionMap[direction];
-        
-        const speed = CONSTANTS.SLEW_SPEEDS[this.slewSpeedIndex];
-        this.slewTimer = setInterval(() => {
-            this.performSlewStep();
-        }, speed.interval);
+        this.telescope.startSlewing(direction);
     }
     
+    // Releasing a direction button must not stop a go-to
     stopSlewing() {
-        this.slewActive = false;
-        if (this.slewTimer) {
-            clearInterval(this.slewTimer);
-            this.slewTimer = null;
-        }
+        if (this.telescope.autoSlewActive) return;
+        this.telescope.stopSlewing();
     }
     
     abortSlewing() {
-        this.stopSlewing();
-        this.autoSlewActive = false;
-        this.autoSlewTarget = null;
+        this.telescope.abortSlewing();
+        this.updateDisplay();
     }
     
-    performSlewStep() {
-        const speed = CONSTANTS.SLEW_SPEEDS[this.slewSpeedIndex];
-        const stepDeg = speed.step;
-        const stepRA = stepDeg / 15.0; // Convert to hours
-        
-        if (this.autoSlewActive && this.autoSlewTarget) {
-            // Auto-slew to target
-            const dRA = this.autoSlewTarget.ra - this.centerRA;
-            const dDec = this.autoSlewTarget.dec - this.centerDec;
-            
-            // Normalize RA difference
-            let wrappedDRA = dRA;
-            if (wrappedDRA > 12) wrappedDRA -= 24;
-            if (wrappedDRA < -12) wrappedDRA += 24;
-            
-            if (Math.abs(wrappedDRA) > stepRA) {
-                this.centerRA += Math.sign(wrappedDRA) * stepRA;
-            } else {
-                this.centerRA = this.autoSlewTarget.ra;
-            }
-            
-            if (Math.abs(dDec) > stepDeg) {
-                this.centerDec += Math.sign(dDec) * stepDeg;
-            } else {
-                this.centerDec = this.autoSlewTarget.dec;
-            }
-            
-            // Check if we've reached the target
-            if (Math.abs(wrappedDRA) <= stepRA && Math.abs(dDec) <= stepDeg) {
-                this.abortSlewing();
-            }
-        } else {
-            // Manual slewing
-            this.centerRA += this.slewDirection.dx * stepRA;
-            this.centerDec += this.slewDirection.dy * stepDeg;
-        }
-        
-        // Normalize coordinates
-        this.centerRA = Utils.normalizeHours(this.centerRA);
-        this.centerDec = Math.max(-90, Math.min(90, this.centerDec));
-        
+    toggleTracking() {
+        this.telescope.toggleTracking();
         this.updateDisplay();
     }
     
     // Object selection
     selectObject(obj) {
-        const confirmSlew = confirm(`Slew telescope to ${obj.name}?`);
+        const seconds = this.telescope.estimateSlewTime(obj.ra, obj.dec);
+        const confirmSlew = confirm(`Slew telescope to ${obj.name}? (about ${Math.ceil(seconds)} s)`);
         if (confirmSlew) {
             this.slewToObject(obj);
         }
     }
     
     slewToObject(obj) {
-        this.autoSlewTarget = obj;
-        this.autoSlewActive = true;
-        this.slewActive = true;
-        
-        const speed = CONSTANTS.SLEW_SPEEDS[this.slewSpeedIndex];
-        this.slewTimer = setInterval(() => {
-            this.performSlewStep();
-        }, speed.interval);
+        if (!this.telescope.slewToObject(obj)) {
+            console.warn(this.telescope.limitStatus);
+        }
+        this.updateDisplay();
     }
     
     // Canvas click handling
@@ -426,17 +721,17 @@ class TelescopeController {
         const pixelsPerDegree = this.finderCanvas.width / fov;
         const centerX = this.finderCanvas.width / 2;
         const centerY = this.finderCanvas.height / 2;
-        const cosDec = Math.cos(Utils.degreesToRadians(this.centerDec));
+        const cosDec = Math.cos(Utils.degreesToRadians(this.telescope.centerDec));
         
         // Convert click position to RA/Dec
         const dx = (x - centerX) / pixelsPerDegree;
         const dy = (y - centerY) / pixelsPerDegree;
         
-        const clickRA = this.centerRA - dx / (15 * cosDec);
-        const clickDec = this.centerDec - dy;
+        const clickRA = this.telescope.centerRA - dx / (15 * cosDec);
+        const clickDec = this.telescope.centerDec - dy;
         
         // Find nearest object
-        const nearest = this.catalog.getNearestObject(clickRA, clickDec);
+        const nearest = this.telescope.catalog.getNearestObject(clickRA, clickDec);
         if (nearest.object && nearest.distance < 0.1) { // Within 0.1 degrees
             this.selectObject(nearest.object);
         }
@@ -444,16 +739,7 @@ class TelescopeController {
     
     // Get current telescope pointing information
     getCurrentPointing() {
-        return {
-            ra: this.centerRA,
-            dec: this.centerDec,
-            telescope: this.currentTelescope,
-            datetime: this.currentDateTime,
-            lst: this.currentTelescope ? Utils.calculateLST(this.currentDateTime, this.currentTelescope.longitude) : 0,
-            altaz: this.currentTelescope ? Utils.calculateAltAz(this.centerRA, this.centerDec, 
-                Utils.calculateLST(this.currentDateTime, this.currentTelescope.longitude), 
-                this.currentTelescope.latitude) : { altitude: 0, azimuth: 0 }
-        };
+        return this.telescope.getCurrentPointing();
     }
 }
 
@@ -74,45 +74,191 @@ const Utils = {
     degreesToHours: (degrees) => degrees / 15,
     
     // Format coordinates
+    // Both round to tenths of a second first, so 5.5833333h reads 05h 35m 0.0s, not 34m 60.0s
     formatRA: (raHours) => {
-        const h = Math.floor(raHours);
-        const m = Math.floor((raHours - h) * 60);
-        const s = ((raHours - h) * 60 - m) * 60;
+        const tenths = Math.round(raHours * 36000) % 864000;
+        const h = Math.floor(tenths / 36000);
+        const m = Math.floor(tenths / 600) % 60;
+        const s = (tenths % 600) / 10;
         return `${h.toString().padStart(2, '0')}h ${m.toString().padStart(2, '0')}m ${s.toFixed(1)}s`;
     },
     
     formatDec: (decDegrees) => {
         const sign = decDegrees >= 0 ? '+' : '-';
-        const absDec = Math.abs(decDegrees);
-        const d = Math.floor(absDec);
-        const m = Math.floor((absDec - d) * 60);
-        const s = ((absDec - d) * 60 - m) * 60;
+        const tenths = Math.round(Math.abs(decDegrees) * 36000);
+        const d = Math.floor(tenths / 36000);
+        const m = Math.floor(tenths / 600) % 60;
+        const s = (tenths % 600) / 10;
         return `${sign}${d.toString().padStart(2, '0')}° ${m.toString().padStart(2, '0')}′ ${s.toFixed(1)}″`;
     },
     
-    // Time utilities
-    formatTime: (date) => {
-        return date.toLocaleTimeString('en-US', { hour12: false });
+    // Split typed coordinates - "12h34m56.7s", "12:34:56", "12 34.5", "+27°48′30″", "-05d23m",
+    // "27.8" - into { sign, values: [whole, minutes, seconds], unit } where unit is the first
+    // component's ('h', 'd' for d or °, or null). Returns null if the text is not of that form;
+    // a component's unit symbol, if it has one, must be the one for its place ("12m34h" is not).
+    splitSexagesimal: (text) => {
+        const symbols = ['hd°:', "m′'ʹ:", 's″"ʺ'];
+        const input = String(text).trim().replace(/[−–]/g, '-');
+        const signMatch = input.match(/^([+-]?)\s*/);
+        const pattern = /(\d+(?:\.\d*)?|\.\d+)\s*([hdms°′'ʹ″"ʺ:])?\s*/iy;
+        pattern.lastIndex = signMatch[0].length;
+        
+        const values = [];
+        let unit = null;
+        let consumed = pattern.lastIndex;
+        let match;
+        while (consumed < input.length && (match = pattern.exec(input))) {
+            if (match[2] && !(symbols[values.length] || '').includes(match[2].toLowerCase())) return null;
+            values.push(Number(match[1]));
+            if (values.length === 1 && match[2]) {
+                const symbol = match[2].toLowerCase();
+                unit = symbol === 'h' ? 'h' : (symbol === 'd' || symbol === '°') ? 'd' : null;
+            }
+            consumed = pattern.lastIndex;
+        }
+        
+        // Up to three components, only the last one fractional, minutes and seconds below 60
+        if (values.length === 0 || values.length > 3 || consumed < input.length) return null;
+        if (values.slice(0, -1).some(v => !Number.isInteger(v)) || values.slice(1).some(v => v >= 60)) return null;
+    
+        return { sign: signMatch[1] === '-' ? -1 : 1, values, unit };
+    },
+    
+    joinSexagesimal: ({ sign, values }) => sign * values.reduce((sum, v, i) => sum + v / Math.pow(60, i), 0),
+    
+    // Right ascension in hours from sexagesimal or decimal hours, or degrees marked d or °
+    parseRA: (text) => {
+        const parts = Utils.splitSexagesimal(text);
+        if (!parts || parts.sign < 0) {
+            throw new Error(`Cannot read "${text}" as a right ascension (e.g. 12h34m56s, 12:34:56 or 12.58)`);
+        }
+        if (parts.unit === 'd') {
+            const degrees = Utils.joinSexagesimal(parts);
+            if (degrees >= 360) throw new Error(`Right ascension out of range: ${text}`);
+            return degrees / 15;
+        }
+        const hours = Utils.joinSexagesimal(parts);
+        if (hours >= 24) {
+            throw new Error(`Right ascension out of range: ${text} (write ${text}° for degrees)`);
+        }
+        return hours;
+    },
+    
+    // Angle in degrees from sexagesimal or decimal degrees
+    parseDegrees: (text) => {
+        const parts = Utils.splitSexagesimal(text);
+        if (!parts || parts.unit === 'h') {
+            throw new Error(`Cannot read "${text}" as an angle (e.g. +27°48′30″, -05:23:10 or 27.8)`);
+        }
+        return Utils.joinSexagesimal(parts);
+    },
+    
+    parseDec: (text) => {
+        const dec = Utils.parseDegrees(text);
+        if (Math.abs(dec) > 90) throw new Error(`Declination out of range: ${text}`);
+        return dec;
+    },
+    
+    // Time utilities. Times are shown in an explicit IANA zone (UTC unless given), never
+    // in the browser's own zone, which need not be the observatory's.
+    formatTime: (date, timeZone = 'UTC') => {
+        const p = Utils.zonedParts(date, timeZone);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+    },
+    
+    formatDate: (date, timeZone = 'UTC') => {
+        const p = Utils.zonedParts(date, timeZone);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+    },
+    
+    // "YYYY-MM-DDTHH:MM:SS" wall-clock time in a zone, as a datetime-local input expects
+    formatZonedDateTime: (date, timeZone = 'UTC') => {
+        return `${Utils.formatDate(date, timeZone)}T${Utils.formatTime(date, timeZone)}`;
+    },
+    
+    // Calendar fields of an instant in an IANA time zone
+    zonedParts: (date, timeZone = 'UTC') => {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(date);
+        const get = (type) => Number(parts.find(p => p.type === type).value);
+        return {
+            year: get('year'),
+            month: get('month'),
+            day: get('day'),
+            hour: get('hour'),
+            minute: get('minute'),
+            second: get('second')
+        };
+    },
+    
+    // Minutes a zone is ahead of UTC at an instant, e.g. -300 for New York in winter
+    timeZoneOffset: (date, timeZone) => {
+        const p = Utils.zonedParts(date, timeZone);
+        const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+        return Math.round((asUTC - wholeSeconds) / 60000);
+    },
+    
+    // Short zone name at an instant ("EST", "GMT-3")
+    timeZoneAbbreviation: (date, timeZone) => {
+        const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' }).formatToParts(date);
+        const name = parts.find(p => p.type === 'timeZoneName');
+        return name ? name.value : timeZone;
+    },
+    
+    isValidTimeZone: (timeZone) => {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
     },
     
-    formatDate: (date) => {
-        return date.toISOString().split('T')[0];
+    // Wall-clock time "YYYY-MM-DD HH:MM[:SS]" (or with a T) in a zone to the instant it names.
+    // A time skipped by a daylight-saving change comes out an hour later; a repeated one
+    // resolves to its first occurrence.
+    zonedTimeToDate: (text, timeZone = 'UTC') => {
+        const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/.exec(String(text).trim());
+        if (!match) {
+            throw new Error(`Invalid date/time (expected YYYY-MM-DD HH:MM): ${text}`);
+        }
+        
+        const [year, month, day, hour, minute] = match.slice(1, 6).map(Number);
+        const seconds = Number(match[6] || 0);
+        const asUTC = Date.UTC(year, month - 1, day, hour, minute) + seconds * 1000;
+        
+        // Near a change the offset at the first guess can be the wrong one; when neither
+        // offset is consistent the time does not exist and the first guess is the one after it
+        const first = Utils.timeZoneOffset(new Date(asUTC), timeZone);
+        const guess = new Date(asUTC - first * 60000);
+        const second = Utils.timeZoneOffset(guess, timeZone);
+        if (second === first) return guess;
+        
+        const retry = new Date(asUTC - second * 60000);
+        return Utils.timeZoneOffset(retry, timeZone) === second ? retry : guess;
     },
     
-    // Calculate Local Sidereal Time
+    // Calculate Local Mean Sidereal Time (see Astrometry.apparentSiderealTime for apparent)
     calculateLST: (date, longitude) => {
-        // Simplified LST calculation
         const jd = Utils.dateToJulianDay(date);
         const T = (jd - 2451545.0) / 36525.0;
         
-        // Greenwich Mean Sidereal Time at 0h UT
+        // Greenwich Mean Sidereal Time at this instant (Meeus 12.4); jd already
+        // carries the time of day, so no separate hours term is added
         let gmst = 280.46061837 + 360.98564736629 * (jd - 2451545.0) + 
                    0.000387933 * T * T - T * T * T / 38710000.0;
         
-        // Add hours since midnight
-        const hours = date.getUTCHours() + date.getUTCMinutes()/60.0 + date.getUTCSeconds()/3600.0;
-        gmst += 15.0 * hours;
-        
         // Convert to Local Sidereal Time
         let lst = gmst + longitude;
         
@@ -127,6 +273,10 @@ const Utils = {
         return (date.getTime() / 86400000.0) + 2440587.5;
     },
     
+    dateToModifiedJulianDay: (date) => {
+        return Utils.dateToJulianDay(date) - 2400000.5;
+    },
+    
     // Angle normalization
     normalizeAngle: (angle) => {
         while (angle < 0) angle += 360;
@@ -140,8 +290,10 @@ const Utils = {
         return hours;
     },
     
-    // Calculate altitude and azimuth
-    calculateAltAz: (ra, dec, lst, latitude) => {
+    // Calculate altitude and azimuth. Without `atmosphere` the altitude is geometric; with
+    // { pressure (hPa), temperature (°C) } it is the refracted altitude an observer sees,
+    // and geometricAltitude and refraction (degrees) are returned as well.
+    calculateAltAz: (ra, dec, lst, latitude, atmosphere = null) => {
         const ha = Utils.normalizeHours(lst - ra) * 15; // Hour angle in degrees
         const haRad = Utils.degreesToRadians(ha);
         const decRad = Utils.degreesToRadians(dec);
@@ -161,13 +313,59 @@ const Utils = {
             az = 360 - az;
         }
         
+        if (atmosphere) {
+            const refraction = Utils.calculateRefraction(alt, atmosphere.pressure, atmosphere.temperature);
+            return { altitude: alt + refraction, azimuth: az, geometricAltitude: alt, refraction };
+        }
+        
         return { altitude: alt, azimuth: az };
     },
     
-    // Calculate airmass
+    // Inverse of calculateAltAz for a geometric altitude: hour angle (hours, -12..12),
+    // declination and right ascension of date
+    calculateEquatorial: (altitude, azimuth, lst, latitude) => {
+        const altRad = Utils.degreesToRadians(altitude);
+        const azRad = Utils.degreesToRadians(azimuth);
+        const latRad = Utils.degreesToRadians(latitude);
+        
+        const sinDec = Math.sin(altRad) * Math.sin(latRad) +
+                      Math.cos(altRad) * Math.cos(latRad) * Math.cos(azRad);
+        const dec = Utils.radiansToDegrees(Math.asin(Math.max(-1, Math.min(1, sinDec))));
+        
+        // Azimuth is measured from north through east, so a western azimuth gives a positive hour angle
+        const y = -Math.sin(azRad) * Math.cos(altRad);
+        const x = Math.sin(altRad) * Math.cos(latRad) - Math.cos(altRad) * Math.sin(latRad) * Math.cos(azRad);
+        const hourAngle = Utils.radiansToHours(Math.atan2(y, x));
+        
+        return { hourAngle, dec, ra: Utils.normalizeHours(lst - hourAngle) };
+    },
+    
+    // Standard-atmosphere pressure (hPa) at a site elevation in meters
+    sitePressure: (elevation) => {
+        return CONSTANTS.SEA_LEVEL_PRESSURE * Math.pow(1 - 2.25577e-5 * (elevation || 0), 5.25588);
+    },
+    
+    // Refraction in degrees for a geometric (true) altitude: Saemundsson's formula,
+    // scaled for pressure and temperature. Held at its -1° value further below the
+    // horizon, where the formula is no longer meaningful.
+    calculateRefraction: (altitude, pressure = 1010, temperature = 10) => {
+        const h = Math.max(-1, altitude);
+        const arcmin = 1.02 / Math.tan(Utils.degreesToRadians(h + 10.3 / (h + 5.11)));
+        return Math.max(0, arcmin / 60 * (pressure / 1010) * (283 / (273 + temperature)));
+    },
+    
+    // Refraction in degrees for an observed (apparent) altitude: Bennett's formula
+    calculateRefractionApparent: (altitude, pressure = 1010, temperature = 10) => {
+        const h = Math.max(-1, altitude);
+        const arcmin = 1 / Math.tan(Utils.degreesToRadians(h + 7.31 / (h + 4.4)));
+        return Math.max(0, arcmin / 60 * (pressure / 1010) * (283 / (273 + temperature)));
+    },
+    
+    // Relative airmass for an apparent altitude in degrees (Kasten & Young 1989).
+    // Stays finite at the horizon (about 38); below it the horizon value is used.
     calculateAirmass: (altitude) => {
-        if (altitude <= 0) return 0;
-        return 1.0 / Math.sin(Utils.degreesToRadians(altitude));
+        const h = Math.max(0, altitude);
+        return 1.0 / (Math.sin(Utils.degreesToRadians(h)) + 0.50572 * Math.pow(h + 6.07995, -1.6364));
     },
     
     // Angular separation between two points
@@ -176,40 +374,128 @@ const Utils = {
         const ddec = dec2 - dec1;
         return Math.sqrt(dra * dra + ddec * ddec);
     },
-    
+
+    // Great-circle distance in degrees (haversine), for separations too wide for angularSeparation
+    angularDistance: (ra1, dec1, ra2, dec2) => {
+        const d1 = Utils.degreesToRadians(dec1);
+        const d2 = Utils.degreesToRadians(dec2);
+        const dra = Utils.hoursToRadians(ra2 - ra1);
+        const h = Math.sin((d2 - d1) / 2) ** 2 + Math.cos(d1) * Math.cos(d2) * Math.sin(dra / 2) ** 2;
+        return Utils.radiansToDegrees(2 * Math.asin(Math.min(1, Math.sqrt(h))));
+    },
+
     // Photometry utilities
     magToFlux: (mag, band) => {
-        const zeroPoint = CONSTANTS.ZERO_POINT_PHOTONS[band] || CONSTANTS.ZERO_POINT_PHOTONS['V'];
+        const zeroPoint = Passbands.getZeroPoint(Passbands.has(band) ? band : 'V');
         return zeroPoint * Math.pow(10, -0.4 * mag);
     },
     
     applyExtinction: (flux, band, airmass) => {
-        const k = CONSTANTS.EXTINCTION_COEFF[band] || CONSTANTS.EXTINCTION_COEFF['V'];
+        const k = (Passbands.get(band) || Passbands.get('V')).extinction;
         return flux * Math.pow(10, -0.4 * k * airmass);
     },
     
-    poissonRandom: (lambda) => {
-        // Generate Poisson random number using Knuth's algorithm
-        if (lambda < 30) {
+    // Random deviates - rng is anything with random() in [0, 1), e.g. a SeededRandom
+    poissonRandom: (lambda, rng = Math) => {
+        if (!(lambda > 0)) return 0;
+        
+        if (lambda < 10) {
+            // Knuth's multiplication method for small means
             const L = Math.exp(-lambda);
             let k = 0;
             let p = 1;
             do {
                 k++;
-                p *= Math.random();
+                p *= rng.random();
             } while (p > L);
             return k - 1;
-        } else {
-            // Use normal approximation for large lambda
-            return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * Utils.normalRandom()));
         }
+        
+        return Utils.poissonPTRS(lambda, rng);
+    },
+    
+    // Exact Poisson deviate for lambda >= 10: Hörmann (1993) transformed rejection
+    // with squeeze (PTRS). Unlike a rounded Gaussian it keeps the skewed tails.
+    poissonPTRS: (lambda, rng = Math) => {
+        const slam = Math.sqrt(lambda);
+        const loglam = Math.log(lambda);
+        const b = 0.931 + 2.53 * slam;
+        const a = -0.059 + 0.02483 * b;
+        const invalpha = 1.1239 + 1.1328 / (b - 3.4);
+        const vr = 0.9277 - 3.6224 / (b - 2);
+        
+        while (true) {
+            const U = rng.random() - 0.5;
+            const V = rng.random();
+            const us = 0.5 - Math.abs(U);
+            const k = Math.floor((2 * a / us + b) * U + lambda + 0.43);
+            
+            // Fast acceptance in the central region
+            if (us >= 0.07 && V <= vr) {
+                return k;
+            }
+            
+            if (k < 0 || (us < 0.013 && V > us)) {
+                continue;
+            }
+            
+            // Exact acceptance test against the Poisson probability
+            if (Math.log(V) + Math.log(invalpha) - Math.log(a / (us * us) + b) <=
+                -lambda + k * loglam - Utils.logGamma(k + 1)) {
+                return k;
+            }
+        }
+    },
+    
+    // Vectorized Poisson deviates: fills `out` (a typed array) with one draw per mean
+    poissonRandomArray: (lambdas, rng = Math, out = new Float64Array(lambdas.length)) => {
+        for (let i = 0; i < lambdas.length; i++) {
+            out[i] = Utils.poissonRandom(lambdas[i], rng);
+        }
+        return out;
+    },
+    
+    // ln Γ(x) for x > 0 via the Stirling series, shifted up to x >= 7 for accuracy
+    logGamma: (x) => {
+        const coeffs = [
+            8.333333333333333e-02, -2.777777777777778e-03,
+            7.936507936507937e-04, -5.952380952380952e-04,
+            8.417508417508418e-04, -1.917526917526918e-03,
+            6.410256410256410e-03, -2.955065359477124e-02,
+            1.796443723688307e-01, -1.392432216905900e+00
+        ];
+        
+        if (x === 1.0 || x === 2.0) return 0.0;
+        
+        let x0 = x;
+        let n = 0;
+        if (x <= 7.0) {
+            n = Math.floor(7 - x);
+            x0 = x + n;
+        }
+        
+        const x2 = 1.0 / (x0 * x0);
+        let series = coeffs[9];
+        for (let k = 8; k >= 0; k--) {
+            series = series * x2 + coeffs[k];
+        }
+        
+        let result = series / x0 + 0.5 * Math.log(2 * Math.PI) + (x0 - 0.5) * Math.log(x0) - x0;
+        
+        // Undo the shift with the recurrence Γ(x+1) = x Γ(x)
+        for (let k = 1; k <= n; k++) {
+            x0 -= 1.0;
+            result -= Math.log(x0);
+        }
+        
+        return result;
     },
     
-    normalRandom: () => {
+    normalRandom: (rng = Math) => {
         // Box-Muller transformation
         let u = 0, v = 0;
-        while(u === 0) u = Math.random(); // Converting [0,1) to (0,1)
-        while(v === 0) v = Math.random();
+        while(u === 0) u = rng.random(); // Converting [0,1) to (0,1)
+        while(v === 0) v = rng.random();
         return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
     },
     
@@ -384,17 +670,17 @@ const Utils = {
     },
     
     // Generate background stars for a field
-    generateBackgroundStars: (centerRA, centerDec, fovDegrees, count = 1000) => {
+    generateBackgroundStars: (centerRA, centerDec, fovDegrees, count = 1000, rng = Math) => {
         const stars = [];
         const halfFov = fovDegrees / 2;
         
         for (let i = 0; i < count; i++) {
             // Random position within the field
-            const ra = centerRA + (Math.random() - 0.5) * fovDegrees / 15; // Convert to hours
-            const dec = centerDec + (Math.random() - 0.5) * fovDegrees;
+            const ra = centerRA + (rng.random() - 0.5) * fovDegrees / 15; // Convert to hours
+            const dec = centerDec + (rng.random() - 0.5) * fovDegrees;
             
             // Generate magnitude using luminosity function
-            const u = Math.random();
+            const u = rng.random();
             const xMin = Math.pow(10, 0.6 * BACKGROUND_STARS.MAG_MIN);
             const xMax = Math.pow(10, 0.6 * BACKGROUND_STARS.MAG_MAX);
             const x = u * (xMax - xMin) + xMin;
@@ -1,5 +1,33 @@
+# Dump a legacy pickled field catalog to JSON for scripts/convert-dat-files.js
+#
+#   python pklimport.py field.pkl field.json
+import json
 import pickle
-with open('filename.pkl', 'rb') as f:
-    data = pickle.load(f)
+import sys
+
+
+def to_plain(value):
+    # numpy arrays and scalars -> lists and Python numbers
+    if hasattr(value, 'tolist'):
+        return value.tolist()
+    if isinstance(value, dict):
+        return {str(k): to_plain(v) for k, v in value.items()}
+    if isinstance(value, (list, tuple)):
+        return [to_plain(v) for v in value]
+    if isinstance(value, bytes):
+        return value.decode('latin-1')
+    return value
+
+
+if len(sys.argv) < 2:
+    sys.exit('usage: python pklimport.py input.pkl [output.json]')
+
+with open(sys.argv[1], 'rb') as f:
+    data = pickle.load(f, encoding='latin1')
+
 print(type(data))
 print(list(data.keys()) if isinstance(data, dict) else data[:5])
+
+if len(sys.argv) > 2:
+    with open(sys.argv[2], 'w') as f:
+        json.dump(to_plain(data), f, indent=2)
@@ -0,0 +1,373 @@
+// ASCOM Alpaca REST subset for the telescope bridge: one Telescope device (number 0) with
+// position, tracking, go-to, sync and abort, plus the management API and UDP discovery.
+//
+//   GET  /api/v1/telescope/0/rightascension         {"Value": 5.5877, "ErrorNumber": 0, ...}
+//   PUT  /api/v1/telescope/0/slewtocoordinatesasync  RightAscension=5.5877&Declination=22.0145
+//
+// Coordinates are J2000 (EquatorialSystem 2). PUT parameters are form-encoded, and parameter
+// names are case-insensitive as the Alpaca specification asks.
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const os = require('os');
+
+const API_PREFIX = '/api/v1/telescope/0/';
+const DISCOVERY_PORT = 32227;
+const DISCOVERY_MESSAGE = 'alpacadiscovery1';
+const INTERFACE_VERSION = 3;
+
+const ERRORS = {
+    notImplemented: 0x400,
+    invalidValue: 0x401,
+    valueNotSet: 0x402,
+    notConnected: 0x407,
+    invalidOperation: 0x40B
+};
+
+// Capabilities; everything not listed as true is false
+const CAPABILITIES = {
+    canslew: true,
+    canslewasync: true,
+    cansync: true,
+    cansettracking: true,
+    canmoveaxis: false,
+    canpark: false,
+    canunpark: false,
+    cansetpark: false,
+    canfindhome: false,
+    canpulseguide: false,
+    cansetpierside: false,
+    cansetguiderates: false,
+    cansetdeclinationrate: false,
+    cansetrightascensionrate: false,
+    canslewaltaz: false,
+    canslewaltazasync: false,
+    cansyncaltaz: false
+};
+
+const ALIGNMENT_MODES = { altaz: 0, equatorial: 1, gem: 2 };
+const PIER_SIDES = { east: 0, west: 1 };
+
+// An Alpaca method failed: ErrorNumber and message for the response body
+class AlpacaError extends Error {
+    constructor(number, message) {
+        super(message);
+        this.number = number;
+    }
+}
+
+class AlpacaServer {
+    // options: { name, port } - port is only announced by discovery
+    constructor(mount, options = {}) {
+        this.mount = mount;
+        this.name = options.name || 'Telescope Emulator';
+        this.port = options.port;
+        this.serverTransactionId = 0;
+        this.target = { ra: null, dec: null };
+        this.discovery = null;
+        this.uniqueId = crypto.createHash('sha1').update(`${os.hostname()}:${this.name}`).digest('hex')
+            .slice(0, 32).replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+    }
+
+    // Handle a request if it is an Alpaca one; returns false to let the caller answer it
+    handle(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        const path = url.pathname.toLowerCase();
+        if (!path.startsWith('/api/') && !path.startsWith('/management/')) return false;
+
+        readBody(request).then(body => {
+            const params = new URLSearchParams(request.method === 'PUT' ? body : url.search);
+            const get = (name) => {
+                for (const [key, value] of params) {
+                    if (key.toLowerCase() === name.toLowerCase()) return value;
+                }
+                return undefined;
+            };
+            return this.dispatch(request.method, path, get).then(
+                value => this.reply(response, get, value),
+                error => this.fail(response, get, error)
+            );
+        }).catch(error => {
+            console.warn(`Alpaca ${request.method} ${url.pathname}: ${error.message}`);
+            if (!response.headersSent) sendJSON(response, 500, { ErrorNumber: 0x4FF, ErrorMessage: error.message });
+        });
+        return true;
+    }
+
+    reply(response, get, value) {
+        sendJSON(response, 200, {
+            ...(value !== undefined ? { Value: value } : {}),
+            ...this.transaction(get),
+            ErrorNumber: 0,
+            ErrorMessage: ''
+        });
+    }
+
+    fail(response, get, error) {
+        if (error.httpStatus) {
+            response.writeHead(error.httpStatus, { 'Content-Type': 'text/plain' });
+            response.end(error.message);
+            return;
+        }
+        sendJSON(response, 200, {
+            ...this.transaction(get),
+            ErrorNumber: error instanceof AlpacaError ? error.number : 0x4FF,
+            ErrorMessage: error.message
+        });
+    }
+
+    transaction(get) {
+        const client = parseInt(get('ClientTransactionID'), 10);
+        return {
+            ClientTransactionID: Number.isFinite(client) && client >= 0 ? client : 0,
+            ServerTransactionID: ++this.serverTransactionId
+        };
+    }
+
+    async dispatch(method, path, get) {
+        if (path.startsWith('/management/')) {
+            return this.management(path);
+        }
+        if (!path.startsWith(API_PREFIX)) {
+            throw httpError(400, `No such device: ${path}`);
+        }
+
+        const member = path.slice(API_PREFIX.length);
+        if (method === 'GET') return this.getProperty(member);
+        if (method === 'PUT') return this.invoke(member, get);
+        throw httpError(400, `Unsupported method ${method}`);
+    }
+
+    management(path) {
+        switch (path) {
+            case '/management/apiversions':
+                return [1];
+            case '/management/v1/description':
+                return {
+                    ServerName: this.name,
+                    Manufacturer: 'Telescope Emulator Project',
+                    ManufacturerVersion: '1.0',
+                    Location: os.hostname()
+                };
+            case '/management/v1/configureddevices':
+                return [{ DeviceName: this.name, DeviceType: 'Telescope', DeviceNumber: 0, UniqueID: this.uniqueId }];
+            default:
+                throw httpError(400, `Unknown management request: ${path}`);
+        }
+    }
+
+    async getProperty(member) {
+        if (member in CAPABILITIES) return CAPABILITIES[member];
+
+        switch (member) {
+            case 'connected':
+                return this.mount.isConnected();
+            case 'name':
+                return this.name;
+            case 'description':
+                return this.mount.describe();
+            case 'driverinfo':
+                return 'Telescope emulator network bridge (LX200, Alpaca, Stellarium)';
+            case 'driverversion':
+                return '1.0';
+            case 'interfaceversion':
+                return INTERFACE_VERSION;
+            case 'supportedactions':
+                return [];
+            case 'equatorialsystem':
+                return 2;
+            case 'trackingrate':
+                return 0;
+            case 'trackingrates':
+                return [0];
+            case 'rightascensionrate':
+            case 'declinationrate':
+                return 0;
+            case 'atpark':
+            case 'athome':
+            case 'ispulseguiding':
+                return false;
+            case 'slewsettletime':
+                return 0;
+            case 'targetrightascension':
+            case 'targetdeclination': {
+                const value = member === 'targetrightascension' ? this.target.ra : this.target.dec;
+                if (value === null) throw new AlpacaError(ERRORS.valueNotSet, 'No target has been set');
+                return value;
+            }
+        }
+
+        const status = await this.getStatus();
+        switch (member) {
+            case 'rightascension':
+                return status.ra;
+            case 'declination':
+                return status.dec;
+            case 'altitude':
+                return status.altitude;
+            case 'azimuth':
+                return status.azimuth;
+            case 'siderealtime':
+                return status.siderealTime;
+            case 'slewing':
+                return status.slewing;
+            case 'tracking':
+                return status.tracking;
+            case 'alignmentmode':
+                return ALIGNMENT_MODES[status.mountType];
+            case 'sideofpier':
+                return status.pierSide ? PIER_SIDES[status.pierSide] : -1;
+            case 'sitelatitude':
+                return this.requireSite(status).latitude;
+            case 'sitelongitude':
+                return this.requireSite(status).longitude;
+            case 'siteelevation':
+                return this.requireSite(status).elevation;
+            case 'utcdate':
+                return status.utc;
+            default:
+                throw new AlpacaError(ERRORS.notImplemented, `${member} is not implemented`);
+        }
+    }
+
+    async invoke(member, get) {
+        switch (member) {
+            case 'connected':
+                // The link is the page's to make; accept a request that matches it
+                if (parseBoolean(get('Connected'), 'Connected') && !this.mount.isConnected()) {
+                    throw new AlpacaError(ERRORS.notConnected, 'No emulator page is connected to the bridge');
+                }
+                return undefined;
+            case 'tracking':
+                await this.execute('tracking', { enabled: parseBoolean(get('Tracking'), 'Tracking') });
+                return undefined;
+            case 'targetrightascension':
+                this.target.ra = parseCoordinate(get('TargetRightAscension'), 'TargetRightAscension', 0, 24);
+                return undefined;
+            case 'targetdeclination':
+                this.target.dec = parseCoordinate(get('TargetDeclination'), 'TargetDeclination', -90, 90);
+                return undefined;
+            case 'slewtocoordinates':
+            case 'slewtocoordinatesasync':
+            case 'synctocoordinates':
+                this.target = {
+                    ra: parseCoordinate(get('RightAscension'), 'RightAscension', 0, 24),
+                    dec: parseCoordinate(get('Declination'), 'Declination', -90, 90)
+                };
+                return this.goTo(member.startsWith('sync') ? 'sync' : 'slew', !member.endsWith('async'));
+            case 'slewtotarget':
+            case 'slewtotargetasync':
+            case 'synctotarget':
+                if (this.target.ra === null || this.target.dec === null) {
+                    throw new AlpacaError(ERRORS.invalidOperation, 'Set TargetRightAscension and TargetDeclination first');
+                }
+                return this.goTo(member.startsWith('sync') ? 'sync' : 'slew', !member.endsWith('async'));
+            case 'abortslew':
+                await this.execute('abort');
+                return undefined;
+            default:
+                throw new AlpacaError(ERRORS.notImplemented, `${member} is not implemented`);
+        }
+    }
+
+    // Slew or sync to the target; the synchronous slew waits until the mount stops
+    async goTo(command, wait) {
+        await this.execute(command, this.target);
+        if (command === 'slew' && wait) {
+            while ((await this.getStatus()).slewing) {
+                await new Promise(resolve => setTimeout(resolve, 250));
+            }
+        }
+        return undefined;
+    }
+
+    async getStatus() {
+        if (!this.mount.isConnected()) {
+            throw new AlpacaError(ERRORS.notConnected, 'No emulator page is connected to the bridge');
+        }
+        return this.mount.getStatus();
+    }
+
+    async execute(command, args) {
+        if (!this.mount.isConnected()) {
+            throw new AlpacaError(ERRORS.notConnected, 'No emulator page is connected to the bridge');
+        }
+        try {
+            return await this.mount.execute(command, args);
+        } catch (error) {
+            throw new AlpacaError(ERRORS.invalidOperation, error.message);
+        }
+    }
+
+    requireSite(status) {
+        if (status.latitude === null) {
+            throw new AlpacaError(ERRORS.valueNotSet, 'No telescope is selected');
+        }
+        return status;
+    }
+
+    // Answer discovery broadcasts with the HTTP port
+    startDiscovery() {
+        const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        socket.on('message', (message, remote) => {
+            if (message.toString('ascii').startsWith(DISCOVERY_MESSAGE)) {
+                socket.send(JSON.stringify({ AlpacaPort: this.port }), remote.port, remote.address);
+            }
+        });
+        socket.on('error', (error) => {
+            console.warn(`Alpaca discovery disabled: ${error.message}`);
+            socket.close();
+            this.discovery = null;
+        });
+        socket.bind(DISCOVERY_PORT);
+        this.discovery = socket;
+    }
+
+    close() {
+        if (this.discovery) {
+            this.discovery.close();
+            this.discovery = null;
+        }
+    }
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+function sendJSON(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+// Malformed parameters are an HTTP 400 in Alpaca, not an ErrorNumber
+function httpError(status, message) {
+    const error = new Error(message);
+    error.httpStatus = status;
+    return error;
+}
+
+function parseBoolean(value, name) {
+    if (value === undefined) throw httpError(400, `Missing parameter ${name}`);
+    const text = value.toLowerCase();
+    if (text !== 'true' && text !== 'false') throw httpError(400, `${name} must be True or False`);
+    return text === 'true';
+}
+
+function parseCoordinate(value, name, min, max) {
+    if (value === undefined || value.trim() === '') throw httpError(400, `Missing parameter ${name}`);
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw httpError(400, `${name} must be a number`);
+    if (number < min || number > max || (max === 24 && number === 24)) {
+        throw new AlpacaError(ERRORS.invalidValue, `${name} must be ${min} to ${max} (got ${value})`);
+    }
+    return number;
+}
+
+module.exports = { AlpacaServer, AlpacaError, DISCOVERY_PORT };
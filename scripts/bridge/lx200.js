@@ -0,0 +1,289 @@
+// Meade LX200 command set for the telescope bridge
+//
+// Commands look like ":GR#" and may arrive several to a packet or split across packets;
+// the single byte ACK (0x06) asks for the alignment mode. Replies follow the classic LX200
+// formats in low precision until the client toggles high precision with :U#. Coordinates
+// are J2000 (set the planetarium program's LX200 connection to J2000, not JNow).
+//
+// Supported: ACK, :GR# :GD# :GA# :GZ# :GS# :GL# :Ga# :GC# :GG# :Gt# :Gg# :GVP# :GVN# :GVD#
+// :GVT# :D# :U# :P#, :Sr# :Sd# :MS# :CM# :Q# :Qn# :Qs# :Qe# :Qw# :Mn# :Ms# :Me# :Mw#,
+// :RG# :RC# :RM# :RS#, :Te# :Td#, :AP# :AA# :AL#. Anything else gets no reply, as on a
+// real mount.
+
+const ACK = '\x06';
+
+// Longest unfinished command kept while waiting for its '#'; a client that sends more is dropped
+const MAX_COMMAND_LENGTH = 1024;
+
+const PRODUCT_NAME = 'Telescope Emulator';
+const FIRMWARE_VERSION = '1.0';
+const FIRMWARE_DATE = 'Jan 01 2025';
+const FIRMWARE_TIME = '00:00:00';
+
+const MOVE_DIRECTIONS = { n: 'north', s: 'south', e: 'east', w: 'west' };
+
+// Guide, center, find and slew rates onto the emulator's manual speeds
+const RATE_INDEX = { G: 0, C: 1, M: 2, S: 4 };
+
+const pad = (value, width) => String(value).padStart(width, '0');
+
+// Whole units of `value` split into sexagesimal parts, rounding carried upward
+function sexagesimal(value, unitsPerPart, parts) {
+    let total = Math.round(Math.abs(value) * Math.pow(unitsPerPart, parts - 1));
+    const result = [];
+    for (let i = 1; i < parts; i++) {
+        result.unshift(total % unitsPerPart);
+        total = Math.floor(total / unitsPerPart);
+    }
+    result.unshift(total);
+    return result;
+}
+
+// RA in hours: "HH:MM.T" (low precision) or "HH:MM:SS" (high)
+function formatRA(hours, highPrecision) {
+    const value = ((hours % 24) + 24) % 24;
+    if (highPrecision) {
+        const [h, m, s] = sexagesimal(value, 60, 3);
+        return `${pad(h % 24, 2)}:${pad(m, 2)}:${pad(s, 2)}`;
+    }
+    const tenths = Math.round(value * 600) % 14400;
+    return `${pad(Math.floor(tenths / 600), 2)}:${pad(Math.floor(tenths % 600 / 10), 2)}.${tenths % 10}`;
+}
+
+// Signed angle in degrees: "sDD*MM" or "sDD*MM'SS"
+function formatDec(degrees, highPrecision) {
+    const sign = degrees < 0 ? '-' : '+';
+    if (highPrecision) {
+        const [d, m, s] = sexagesimal(degrees, 60, 3);
+        return `${sign}${pad(d, 2)}*${pad(m, 2)}'${pad(s, 2)}`;
+    }
+    const [d, m] = sexagesimal(degrees, 60, 2);
+    return `${sign}${pad(d, 2)}*${pad(m, 2)}`;
+}
+
+// Azimuth-like angle 0-360: "DDD*MM" or "DDD*MM'SS"
+function formatAngle(degrees, highPrecision) {
+    const value = ((degrees % 360) + 360) % 360;
+    const parts = sexagesimal(value, 60, highPrecision ? 3 : 2);
+    const text = `${pad(parts[0] % 360, 3)}*${pad(parts[1], 2)}`;
+    return highPrecision ? `${text}'${pad(parts[2], 2)}` : text;
+}
+
+// "HH:MM:SS", "HH:MM.T" or "HH:MM" to hours, or null
+function parseRA(text) {
+    const match = /^\s*(\d{1,2}):(\d{1,2})(?:([:.])(\d+(?:\.\d*)?))?\s*$/.exec(text);
+    if (!match) return null;
+    const hours = Number(match[1]);
+    let minutes = Number(match[2]);
+    let seconds = 0;
+    if (match[3] === '.') {
+        minutes += Number(`0.${match[4]}`);
+    } else if (match[3] === ':') {
+        seconds = Number(match[4]);
+    }
+    if (hours > 23 || minutes >= 60 || seconds >= 60) return null;
+    return hours + minutes / 60 + seconds / 3600;
+}
+
+// "sDD*MM:SS", "sDD*MM'SS", "sDD:MM:SS", "sDD*MM" (the degree sign may also be ß or °) to
+// degrees, or null
+function parseDec(text) {
+    const match = /^\s*([+-]?)(\d{1,2})[*:ß°](\d{1,2})(?:[:'](\d{1,2}(?:\.\d*)?))?\s*$/.exec(text);
+    if (!match) return null;
+    const degrees = Number(match[2]);
+    const minutes = Number(match[3]);
+    const seconds = Number(match[4] || 0);
+    if (degrees > 90 || minutes >= 60 || seconds >= 60) return null;
+    const value = degrees + minutes / 60 + seconds / 3600;
+    if (value > 90) return null;
+    return match[1] === '-' ? -value : value;
+}
+
+// One client connection's state: the pending target and the precision it asked for
+class LX200Session {
+    constructor(mount) {
+        this.mount = mount;
+        this.highPrecision = false;
+        this.target = { ra: null, dec: null };
+        this.buffer = '';
+        this.warned = false;
+    }
+
+    // Feed received text; resolves to everything to send back, in order. Rejects when a
+    // command runs past MAX_COMMAND_LENGTH without its '#'; the connection should then be closed.
+    async receive(data) {
+        this.buffer += data;
+        let reply = '';
+
+        for (;;) {
+            // Stray '#' separators are allowed between commands
+            this.buffer = this.buffer.replace(/^[#\r\n ]+/, '');
+            if (this.buffer.startsWith(ACK)) {
+                this.buffer = this.buffer.slice(1);
+                reply += await this.respond(ACK);
+                continue;
+            }
+
+            const start = this.buffer.indexOf(':');
+            const end = this.buffer.indexOf('#', start);
+            if (start < 0 || end < 0) {
+                // Keep an unfinished command; drop noise that cannot start one
+                this.buffer = start < 0 ? '' : this.buffer.slice(start);
+                if (this.buffer.length > MAX_COMMAND_LENGTH) {
+                    this.buffer = '';
+                    throw new Error(`no '#' within ${MAX_COMMAND_LENGTH} characters`);
+                }
+                break;
+            }
+
+            const command = this.buffer.slice(start + 1, end);
+            this.buffer = this.buffer.slice(end + 1);
+            reply += await this.respond(command);
+        }
+
+        return reply;
+    }
+
+    // Reply to one command (without its ':' and '#'); '' when it has none
+    async respond(command) {
+        try {
+            const reply = await this.handle(command);
+            this.warned = false;
+            return reply;
+        } catch (error) {
+            // A mount that cannot answer stays silent; say why once
+            if (!this.warned) {
+                console.warn(`LX200 :${command}#: ${error.message}`);
+                this.warned = true;
+            }
+            return '';
+        }
+    }
+
+    async handle(command) {
+        const high = this.highPrecision;
+
+        if (command === ACK) {
+            const status = await this.mount.getStatus();
+            return status.mountType === 'altaz' ? 'A' : 'P';
+        }
+
+        switch (command) {
+            case 'GR':
+                return `${formatRA((await this.mount.getStatus()).ra, high)}#`;
+            case 'GD':
+                return `${formatDec((await this.mount.getStatus()).dec, high)}#`;
+            case 'GA':
+                return `${formatDec((await this.mount.getStatus()).altitude, high)}#`;
+            case 'GZ':
+                return `${formatAngle((await this.mount.getStatus()).azimuth, high)}#`;
+            case 'GS':
+                return `${formatRA((await this.mount.getStatus()).siderealTime || 0, true)}#`;
+            case 'GL':
+            case 'Ga':
+            case 'GC':
+                return this.localTime(command, await this.mount.getStatus());
+            case 'GG': {
+                // Hours to add to local time to get UTC
+                const offset = -(await this.mount.getStatus()).utcOffset;
+                return `${offset < 0 ? '-' : '+'}${pad(Math.abs(offset).toFixed(1), 4)}#`;
+            }
+            case 'Gt':
+                return `${formatDec((await this.mount.getStatus()).latitude || 0, false)}#`;
+            case 'Gg':
+                // LX200 longitudes are positive west
+                return `${formatAngle(-((await this.mount.getStatus()).longitude || 0), false)}#`;
+            case 'GVP':
+                return `${PRODUCT_NAME}#`;
+            case 'GVN':
+                return `${FIRMWARE_VERSION}#`;
+            case 'GVD':
+                return `${FIRMWARE_DATE}#`;
+            case 'GVT':
+                return `${FIRMWARE_TIME}#`;
+            case 'D':
+                return (await this.mount.getStatus()).slewing ? '\x7f#' : '#';
+            case 'U':
+                this.highPrecision = !this.highPrecision;
+                return '';
+            case 'P':
+                this.highPrecision = !this.highPrecision;
+                return this.highPrecision ? 'HIGH PRECISION' : 'LOW PRECISION';
+            case 'MS':
+                return this.slew();
+            case 'CM':
+                await this.mount.execute('sync', this.requireTarget());
+                return 'Coordinates     matched.        #';
+            case 'Q':
+                await this.mount.execute('abort');
+                return '';
+            case 'Te':
+            case 'Td':
+                await this.mount.execute('tracking', { enabled: command === 'Te' });
+                return '1';
+            case 'AP':
+            case 'AA':
+            case 'AL':
+                // Polar and alt-az modes track, land mode does not
+                await this.mount.execute('tracking', { enabled: command !== 'AL' });
+                return '';
+        }
+
+        if (/^Q[nsew]$/.test(command)) {
+            await this.mount.execute('stop');
+            return '';
+        }
+        if (/^M[nsew]$/.test(command)) {
+            await this.mount.execute('move', { direction: MOVE_DIRECTIONS[command[1]] });
+            return '';
+        }
+        if (/^R[GCMS]$/.test(command)) {
+            await this.mount.execute('rate', { index: RATE_INDEX[command[1]] });
+            return '';
+        }
+        if (command.startsWith('Sr')) {
+            const ra = parseRA(command.slice(2));
+            if (ra === null) return '0';
+            this.target.ra = ra;
+            return '1';
+        }
+        if (command.startsWith('Sd')) {
+            const dec = parseDec(command.slice(2));
+            if (dec === null) return '0';
+            this.target.dec = dec;
+            return '1';
+        }
+
+        throw new Error('not supported');
+    }
+
+    // :MS# answers 0 when the slew starts, else 1 and the reason
+    async slew() {
+        try {
+            await this.mount.execute('slew', this.requireTarget());
+            return '0';
+        } catch (error) {
+            return `1${error.message.replace(/#/g, '')}#`;
+        }
+    }
+
+    requireTarget() {
+        if (this.target.ra === null || this.target.dec === null) {
+            throw new Error('no target set (send :Sr# and :Sd# first)');
+        }
+        return { ...this.target };
+    }
+
+    // :GL# and :Ga# (24 and 12 hour local time) and :GC# (MM/DD/YY local date)
+    localTime(command, status) {
+        const local = new Date(Date.parse(status.utc) + status.utcOffset * 3600000);
+        const hours = local.getUTCHours();
+        const time = (h) => `${pad(h, 2)}:${pad(local.getUTCMinutes(), 2)}:${pad(local.getUTCSeconds(), 2)}#`;
+
+        if (command === 'GL') return time(hours);
+        if (command === 'Ga') return time(hours % 12 === 0 ? 12 : hours % 12);
+        return `${pad(local.getUTCMonth() + 1, 2)}/${pad(local.getUTCDate(), 2)}/${pad(local.getUTCFullYear() % 100, 2)}#`;
+    }
+}
+
+module.exports = { LX200Session, formatRA, formatDec, formatAngle, parseRA, parseDec };
@@ -0,0 +1,149 @@
+// The mount behind the telescope bridge. Protocol handlers talk to either of these through
+// the same small interface:
+//
+//   isConnected()              whether there is a telescope to command
+//   describe()                 one line for logs and the Alpaca device description
+//   async getStatus()          RemoteMount status (see js/engine/remote.js)
+//   async execute(cmd, args)   a RemoteMount command; rejects with the reason it was refused
+//
+// PageMount relays to the emulator page in a browser, which runs the command on the
+// simulation the student is watching. EngineMount runs its own headless simulation.
+
+const COMMAND_TIMEOUT_MS = 5000;
+
+class PageMount {
+    constructor() {
+        this.connection = null;
+        this.status = null;
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    isConnected() {
+        return this.connection !== null;
+    }
+
+    describe() {
+        if (!this.connection) return 'emulator page (not connected)';
+        return `emulator page${this.status && this.status.telescope ? `: ${this.status.telescope}` : ''}`;
+    }
+
+    // A page connected over WebSocket; a newer page replaces an older one
+    attach(connection) {
+        if (this.connection) {
+            console.log('Another emulator page connected; dropping the previous one');
+            this.connection.close(1001);
+        }
+        this.connection = connection;
+        this.status = null;
+
+        connection.on('message', (text) => this.receive(text));
+        connection.on('close', () => {
+            if (this.connection !== connection) return;
+            this.connection = null;
+            this.status = null;
+            this.rejectAll(new Error('The emulator page disconnected'));
+            console.log('Emulator page disconnected');
+        });
+        console.log('Emulator page connected');
+    }
+
+    receive(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            console.warn(`Ignoring a malformed message from the page: ${text.slice(0, 80)}`);
+            return;
+        }
+
+        if (message.status) {
+            this.status = message.status;
+        }
+        if (message.type === 'result' && this.pending.has(message.id)) {
+            const { resolve, reject, timer } = this.pending.get(message.id);
+            clearTimeout(timer);
+            this.pending.delete(message.id);
+            if (message.error) {
+                reject(new Error(message.error));
+            } else {
+                resolve(message.status);
+            }
+        }
+    }
+
+    async getStatus() {
+        this.requireConnection();
+        if (!this.status) {
+            throw new Error('The emulator page has not reported its position yet');
+        }
+        return this.status;
+    }
+
+    execute(command, args = {}) {
+        return new Promise((resolve, reject) => {
+            this.requireConnection();
+            const id = this.nextId++;
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`The emulator page did not answer "${command}"`));
+            }, COMMAND_TIMEOUT_MS);
+            this.pending.set(id, { resolve, reject, timer });
+            this.connection.send(JSON.stringify({ type: 'command', id, command, args }));
+        });
+    }
+
+    requireConnection() {
+        if (!this.connection) {
+            throw new Error('No emulator page is connected (open it with ?bridge in the URL)');
+        }
+    }
+
+    rejectAll(error) {
+        this.pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        this.pending.clear();
+    }
+
+    close() {
+        if (this.connection) this.connection.close(1001);
+    }
+}
+
+class EngineMount {
+    // engine: the js/engine exports (RemoteMount, Simulation); simulation already configured
+    constructor(engine, simulation) {
+        this.simulation = simulation;
+        this.remote = new engine.RemoteMount(simulation.telescope);
+    }
+
+    isConnected() {
+        return true;
+    }
+
+    describe() {
+        const telescope = this.simulation.telescope.currentTelescope;
+        return `headless simulation${telescope ? `: ${telescope.name}` : ''}`;
+    }
+
+    // Simulated time follows the wall clock while the bridge runs
+    start() {
+        this.simulation.clock.start();
+    }
+
+    close() {
+        this.simulation.clock.stop();
+    }
+
+    async getStatus() {
+        return this.remote.getStatus();
+    }
+
+    async execute(command, args = {}) {
+        return this.remote.execute(command, args);
+    }
+}
+
+module.exports = { PageMount, EngineMount };
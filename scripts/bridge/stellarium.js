@@ -0,0 +1,84 @@
+// Stellarium's own telescope server protocol, the "External software or a remote computer"
+// connection in its Telescope Control plugin. It needs no serial port, so it is the easiest
+// way to drive the emulator from Stellarium on the same machine.
+//
+// Little-endian binary messages, J2000 coordinates:
+//   client -> server, goto (20 bytes): length u16, type u16 = 0, time i64 (us), ra u32, dec i32
+//   server -> client, position (24 bytes): the same fields plus status i32 (0 = ok)
+// RA is a fraction of 2^32 per 24 h, Dec a fraction of 2^30 per 90°.
+
+const GOTO_LENGTH = 20;
+const POSITION_LENGTH = 24;
+const POSITION_INTERVAL_MS = 500;
+
+const RA_SCALE = 0x100000000 / 24;
+const DEC_SCALE = 0x40000000 / 90;
+
+function encodePosition(status) {
+    const message = Buffer.alloc(POSITION_LENGTH);
+    message.writeUInt16LE(POSITION_LENGTH, 0);
+    message.writeUInt16LE(0, 2);
+    message.writeBigInt64LE(BigInt(Date.parse(status.utc)) * 1000n, 4);
+    message.writeUInt32LE(Math.round(status.ra * RA_SCALE) % 0x100000000, 12);
+    message.writeInt32LE(Math.round(status.dec * DEC_SCALE), 16);
+    message.writeInt32LE(0, 20);
+    return message;
+}
+
+function decodeGoto(message) {
+    return {
+        ra: message.readUInt32LE(12) / RA_SCALE,
+        dec: message.readInt32LE(16) / DEC_SCALE
+    };
+}
+
+// One Stellarium connection: go-to requests in, the current position out twice a second
+class StellariumSession {
+    constructor(mount, socket) {
+        this.mount = mount;
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.warned = false;
+        this.timer = setInterval(() => this.sendPosition(), POSITION_INTERVAL_MS);
+
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => clearInterval(this.timer));
+        socket.on('error', () => clearInterval(this.timer));
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (this.buffer.length >= 4) {
+            const length = this.buffer.readUInt16LE(0);
+            if (length < 4) {
+                this.socket.destroy();
+                return;
+            }
+            if (this.buffer.length < length) return;
+
+            const message = this.buffer.subarray(0, length);
+            this.buffer = this.buffer.subarray(length);
+            if (message.readUInt16LE(2) === 0 && length >= GOTO_LENGTH) {
+                const target = decodeGoto(message);
+                this.mount.execute('slew', target).catch(error => {
+                    console.warn(`Stellarium go-to refused: ${error.message}`);
+                });
+            }
+        }
+    }
+
+    async sendPosition() {
+        try {
+            const status = await this.mount.getStatus();
+            if (!this.socket.destroyed) this.socket.write(encodePosition(status));
+            this.warned = false;
+        } catch (error) {
+            if (!this.warned) {
+                console.warn(`Stellarium: ${error.message}`);
+                this.warned = true;
+            }
+        }
+    }
+}
+
+module.exports = { StellariumSession, encodePosition, decodeGoto };
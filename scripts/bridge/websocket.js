@@ -0,0 +1,169 @@
+// Minimal WebSocket server side (RFC 6455) for the telescope bridge: the handshake, text
+// messages, ping/pong and close. Enough for the emulator page and for LX200 commands sent
+// from a browser, without adding a dependency.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1 << 20;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+// One open connection. Events: 'message' (text), 'close'.
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentBytes = 0;        // payload bytes of the message being assembled
+        this.closed = false;
+
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    send(text) {
+        this.sendFrame(OPCODES.text, Buffer.from(String(text), 'utf8'));
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.sendFrame(OPCODES.close, payload);
+        this.socket.end();
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+
+    // Server frames are never masked
+    sendFrame(opcode, payload) {
+        if (this.closed || this.socket.destroyed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header.writeUInt16BE(payload.length, 2);
+            header[1] = 126;
+        } else {
+            header = Buffer.alloc(10);
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+            header[1] = 127;
+        }
+        header[0] = 0x80 | opcode;
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    // Split buffered bytes into frames; a frame may arrive in pieces
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        while (this.buffer.length >= 2) {
+            const first = this.buffer[0];
+            const second = this.buffer[1];
+
+            // Clients must mask every frame (RFC 6455 section 5.1)
+            if ((second & 0x80) === 0) {
+                this.close(1002);
+                return;
+            }
+            let length = second & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            // A message is capped as a whole, over all of its fragments; control frames
+            // (opcode 8 and up) may come between them
+            const pending = (first & 0x08) === 0 ? this.fragmentBytes : 0;
+            if (length > MAX_MESSAGE_BYTES - pending) {
+                this.close(1009);
+                return;
+            }
+
+            const frameLength = offset + 4 + length;
+            if (this.buffer.length < frameLength) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, frameLength))
+                .map((byte, i) => byte ^ mask[i % 4]);
+            this.buffer = this.buffer.subarray(frameLength);
+
+            this.handleFrame(first & 0x0F, (first & 0x80) !== 0, payload);
+            if (this.closed) return;
+        }
+    }
+
+    handleFrame(opcode, final, payload) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation:
+                this.fragments.push(payload);
+                this.fragmentBytes += payload.length;
+                if (final) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentBytes = 0;
+                    this.emit('message', message);
+                }
+                break;
+            case OPCODES.ping:
+                this.sendFrame(OPCODES.pong, payload);
+                break;
+            case OPCODES.pong:
+                break;
+            case OPCODES.close:
+                this.close();
+                break;
+            default:
+                this.close(1002);
+        }
+    }
+}
+
+// Complete the handshake for an HTTP 'upgrade' request; returns the connection, or null
+// (after answering 400) when the request is not a WebSocket upgrade
+function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    return new WebSocketConnection(socket);
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection };
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+// Convert legacy field catalogs to the JSON schema in data/
+//
+// Usage:
+//   node scripts/convert-dat-files.js <input...> [--out data] [--skip-invalid]
+//
+// Inputs:
+//   .dat   Whitespace-separated rows from the original emulator. Default column order is
+//          `name ra dec mag bv ub redshift objType code [specType]`; a leading comment line
+//          such as `# name ra dec mag bv ub z type code` overrides it. Names containing
+//          spaces are double-quoted. `#` starts a comment. RA may be decimal hours or hh:mm:ss,
+//          Dec decimal degrees or ±dd:mm:ss.
+//   .json  Pickle-derived dumps (see pklimport.py): a dict of column arrays, a list of row
+//          arrays in the default column order, or a list of records.
+//
+// Each input becomes <out>/<BASENAME>.json. Rows are validated and the script exits non-zero
+// on any invalid row unless --skip-invalid is given, in which case those rows are dropped.
+
+const fs = require('fs');
+const path = require('path');
+const { SPECTRAL_CODES, CatalogSchema } = require('../js/engine');
+
+const DEFAULT_COLUMNS = ['name', 'ra', 'dec', 'mag', 'bv', 'ub', 'redshift', 'objType', 'code', 'specType'];
+
+// Alternative column names found in legacy files
+const COLUMN_ALIASES = {
+    'id': 'name', 'object': 'name',
+    'ra_h': 'ra', 'rahours': 'ra', 'alpha': 'ra',
+    'de': 'dec', 'decl': 'dec', 'delta': 'dec',
+    'v': 'mag', 'vmag': 'mag', 'magnitude': 'mag',
+    'b-v': 'bv', 'b_v': 'bv',
+    'u-b': 'ub', 'u_b': 'ub',
+    'z': 'redshift',
+    'type': 'objType', 'objtype': 'objType', 'obj_type': 'objType',
+    'spectype': 'specType', 'sptype': 'specType', 'spec_type': 'specType', 'spectral_type': 'specType'
+};
+
+const CLASS_LETTERS = ['', 'O', 'B', 'A', 'F', 'G', 'K', 'M'];
+const LUMINOSITY_CLASSES = ['', 'I', 'II', 'III', 'IV', 'V'];
+
+function normalizeColumnName(name) {
+    const key = String(name).trim().toLowerCase();
+    return COLUMN_ALIASES[key] || DEFAULT_COLUMNS.find(col => col.toLowerCase() === key) || key;
+}
+
+// Stellar codes are CSSTL000: class (O=1..M=7), subtype, tenths, luminosity class (I=1..V=5)
+function specTypeFromCode(code) {
+    const letter = CLASS_LETTERS[Math.floor(code / 1e7)];
+    const luminosity = LUMINOSITY_CLASSES[Math.floor(code / 1e3) % 10];
+    if (!letter || !luminosity) return '';
+
+    const subtype = Math.floor(code / 1e5) % 100;
+    const tenths = Math.floor(code / 1e4) % 10;
+    return `${letter}${subtype}${tenths ? '.' + tenths : ''} ${luminosity}`;
+}
+
+function codeFromSpecType(specType) {
+    if (SPECTRAL_CODES[specType] !== undefined) return SPECTRAL_CODES[specType];
+
+    const match = /^([OBAFGKM])(\d)(?:\.(\d))?\s*(I{1,3}|IV|V)/.exec(specType.trim());
+    if (!match) return 0;
+
+    const classIndex = CLASS_LETTERS.indexOf(match[1]);
+    const luminosity = LUMINOSITY_CLASSES.indexOf(match[4]);
+    return classIndex * 1e7 + Number(match[2]) * 1e5 + Number(match[3] || 0) * 1e4 + luminosity * 1e3;
+}
+
+// Decimal or sexagesimal ("hh:mm:ss", "±dd mm ss") value
+function parseAngle(value) {
+    if (typeof value === 'number') return value;
+
+    const text = String(value).trim();
+    if (!/[:\s]/.test(text)) return Number(text);
+
+    const sign = text.startsWith('-') ? -1 : 1;
+    const parts = text.replace(/^[+-]/, '').split(/[:\s]+/).map(Number);
+    return sign * (parts[0] + (parts[1] || 0) / 60 + (parts[2] || 0) / 3600);
+}
+
+// Split a .dat line into fields, keeping double-quoted names together
+function splitDatLine(line) {
+    const fields = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+        fields.push(match[1] !== undefined ? match[1] : match[2]);
+    }
+    return fields;
+}
+
+function parseDat(text) {
+    let columns = DEFAULT_COLUMNS;
+    const rows = [];
+
+    text.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        if (line.startsWith('#')) {
+            // A comment before any data that names known columns is the header
+            const names = line.slice(1).trim().split(/[\s,]+/).map(normalizeColumnName);
+            if (rows.length === 0 && names.includes('ra') && names.includes('dec')) {
+                columns = names;
+            }
+            return;
+        }
+
+        const fields = splitDatLine(line.replace(/\s#.*$/, ''));
+        const row = { _line: lineIndex + 1 };
+        columns.forEach((col, i) => {
+            if (i < fields.length) {
+                // A trailing spectral type like "K4 V" spans the remaining fields
+                row[col] = col === 'specType' && i === columns.length - 1 ?
+                    fields.slice(i).join(' ') : fields[i];
+            }
+        });
+        rows.push(row);
+    });
+
+    return rows;
+}
+
+function parseJsonDump(data) {
+    if (Array.isArray(data)) {
+        return data.map(item => {
+            if (Array.isArray(item)) {
+                const row = {};
+                DEFAULT_COLUMNS.forEach((col, i) => {
+                    if (i < item.length) row[col] = item[i];
+                });
+                return row;
+            }
+            const row = {};
+            Object.entries(item).forEach(([key, value]) => {
+                row[normalizeColumnName(key)] = value;
+            });
+            return row;
+        });
+    }
+
+    if (data && typeof data === 'object') {
+        // Dict of columns, as produced by dumping a pickled dict of arrays
+        const columns = Object.keys(data);
+        const length = Math.max(...columns.map(key => data[key].length));
+        const rows = [];
+        for (let i = 0; i < length; i++) {
+            const row = {};
+            columns.forEach(key => {
+                row[normalizeColumnName(key)] = data[key][i];
+            });
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    throw new Error('Unrecognized JSON layout: expected an array or a dict of columns');
+}
+
+// Coerce one parsed row to the catalog schema
+function normalizeRecord(row) {
+    const objType = Number(row.objType !== undefined ? row.objType : 0);
+    let code = Number(row.code !== undefined && row.code !== '' ? row.code : 0);
+    let specType = row.specType !== undefined && row.specType !== null ? String(row.specType).trim() : '';
+
+    if (objType === 0) {
+        if (!specType && code) specType = specTypeFromCode(code);
+        if (!code && specType) code = codeFromSpecType(specType);
+    }
+
+    return {
+        name: row.name !== undefined && row.name !== null ? String(row.name).trim() : '',
+        ra: parseAngle(row.ra),
+        dec: parseAngle(row.dec),
+        mag: Number(row.mag),
+        bv: Number(row.bv !== undefined && row.bv !== '' ? row.bv : 0),
+        ub: Number(row.ub !== undefined && row.ub !== '' ? row.ub : 0),
+        redshift: Number(row.redshift !== undefined && row.redshift !== '' ? row.redshift : 0),
+        objType,
+        code,
+        specType
+    };
+}
+
+// Same rules the browser applies when it loads the file (js/catalog-schema.js)
+const validateRecord = CatalogSchema.validateRecord;
+
+// Write a catalog in the same layout as the hand-made files in data/
+function formatCatalog(records) {
+    const formatRecord = (r) => [
+        '  {',
+        `    "name": ${JSON.stringify(r.name)},`,
+        `    "ra": ${r.ra.toFixed(6)},`,
+        `    "dec": ${r.dec.toFixed(5)},`,
+        `    "mag": ${r.mag.toFixed(r.objType === 0 ? 3 : 2)},`,
+        `    "bv": ${r.bv.toFixed(2)},`,
+        `    "ub": ${r.ub.toFixed(2)},`,
+        `    "redshift": ${r.redshift ? Number(r.redshift.toFixed(4)) : '0.0'},`,
+        `    "objType": ${r.objType},`,
+        `    "code": ${r.code},`,
+        `    "specType": ${JSON.stringify(r.specType)}`,
+        '  }'
+    ].join('\n');
+
+    return '[\n' + records.map(formatRecord).join(',\n') + '\n]\n';
+}
+
+function convertFile(inputPath, options) {
+    const text = fs.readFileSync(inputPath, 'utf8');
+    const extension = path.extname(inputPath).toLowerCase();
+    const rows = extension === '.json' ? parseJsonDump(JSON.parse(text)) : parseDat(text);
+
+    const records = [];
+    const errors = [];
+    rows.forEach((row, index) => {
+        const record = normalizeRecord(row);
+        const problems = validateRecord(record);
+        if (problems.length === 0) {
+            records.push(record);
+        } else {
+            const where = row._line ? `line ${row._line}` : `row ${index}`;
+            problems.forEach(p => errors.push(`${path.basename(inputPath)} ${where} ${p.field}: ${p.reason}`));
+        }
+    });
+
+    if (errors.length > 0) {
+        errors.forEach(message => console.error(`  ✗ ${message}`));
+        if (!options.skipInvalid) {
+            throw new Error(`${errors.length} invalid value(s) in ${inputPath}; fix them or use --skip-invalid`);
+        }
+    }
+
+    const outputName = path.basename(inputPath, path.extname(inputPath)).toUpperCase() + '.json';
+    const outputPath = path.join(options.outDir, outputName);
+    fs.writeFileSync(outputPath, formatCatalog(records));
+    console.log(`${inputPath} → ${outputPath} (${records.length} objects)`);
+    return records;
+}
+
+function main(argv) {
+    const options = { outDir: path.join(__dirname, '..', 'data'), skipInvalid: false };
+    const inputs = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') {
+            options.outDir = argv[++i];
+        } else if (argv[i] === '--skip-invalid') {
+            options.skipInvalid = true;
+        } else if (argv[i] === '--help' || argv[i] === '-h') {
+            inputs.length = 0;
+            break;
+        } else {
+            inputs.push(argv[i]);
+        }
+    }
+
+    if (inputs.length === 0) {
+        console.log('Usage: node scripts/convert-dat-files.js <file.dat|file.json...> [--out data] [--skip-invalid]');
+        return 1;
+    }
+
+    let failed = 0;
+    inputs.forEach(input => {
+        try {
+            convertFile(input, options);
+        } catch (error) {
+            console.error(error.message);
+            failed++;
+        }
+    });
+    return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    parseDat,
+    parseJsonDump,
+    normalizeRecord,
+    validateRecord,
+    formatCatalog,
+    specTypeFromCode,
+    codeFromSpecType
+};
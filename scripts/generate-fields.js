@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+// Generate the field catalogs referenced by FIELDS that have no surviving legacy source, the
+// ones marked `synthetic` there. Their objects are made up, scattered around the real field
+// center; the UI labels these fields as synthetic.
+//
+// Usage:
+//   node scripts/generate-fields.js [--out data] [FILENAME.json...]
+//
+// Galaxy cluster fields get a core of cluster members at the cluster's redshift, with
+// magnitudes that dim with distance as they did in the original lab, plus a handful of
+// foreground stars. The stellar fields are built from spectral types in the Jacoby atlas so
+// every star has a library spectrum. Output is deterministic: each field is seeded by its
+// filename, and every record passes the converter's validation before it is written.
+
+const fs = require('fs');
+const path = require('path');
+const { FIELDS, SeededRandom, Utils } = require('../js/engine');
+const { formatCatalog, validateRecord, codeFromSpecType } = require('./convert-dat-files');
+
+// Main-sequence colors by spectral class, interpolated for subtypes
+const STELLAR_COLORS = {
+    O5: [-0.33, -1.19], B0: [-0.30, -1.08], B5: [-0.17, -0.58], A0: [0.00, 0.00],
+    A5: [0.15, 0.10], F0: [0.30, 0.03], F5: [0.44, -0.02], G0: [0.58, 0.06],
+    G5: [0.68, 0.20], K0: [0.81, 0.45], K5: [1.15, 1.08], M0: [1.40, 1.22], M5: [1.64, 1.24]
+};
+const COLOR_SEQUENCE = Object.keys(STELLAR_COLORS);
+
+// Cluster fields: redshift and magnitude of the brightest member
+const CLUSTERS = {
+    'UMA1FLD.json': { prefix: 'UMa1-', redshift: 0.0510, brightest: 14.3, members: 10 },
+    'CRBORFLD.json': { prefix: 'CrB', redshift: 0.0720, brightest: 15.1, members: 12 },
+    'BOOTFLD.json': { prefix: 'Boot', redshift: 0.1310, brightest: 16.4, members: 10 },
+    'UMA2FLD.json': { prefix: 'UMa2-', redshift: 0.1370, brightest: 16.5, members: 9 }
+};
+
+const FOREGROUND_TYPES = ['F5 V', 'G2 V', 'K0 V', 'K4 V', 'M1 V', 'A5 V', 'G9 V'];
+
+// Stars spanning the temperature sequence around Betelgeuse
+const TEMPERATURE_STARS = [
+    { name: 'Betelgeuse', ra: 5.919529, dec: 7.40706, mag: 0.50, bv: 1.85, ub: 2.06, specType: 'M2 I' },
+    { specType: 'O5 V', mag: 8.9 }, { specType: 'O9 V', mag: 9.4 }, { specType: 'B3 V', mag: 8.2 },
+    { specType: 'B8 V', mag: 9.0 }, { specType: 'A1 V', mag: 8.6 }, { specType: 'A7 V', mag: 9.8 },
+    { specType: 'F3 V', mag: 9.1 }, { specType: 'F8 V', mag: 10.2 }, { specType: 'G2 V', mag: 10.0 },
+    { specType: 'G7 V', mag: 10.7 }, { specType: 'K0 V', mag: 10.9 }, { specType: 'K5 V', mag: 11.3 },
+    { specType: 'M0 V', mag: 11.8 }, { specType: 'M5 V', mag: 12.6 },
+    { specType: 'K3 III', mag: 7.9 }, { specType: 'G8 III', mag: 8.4 }
+];
+
+// Standards for measuring extinction: similar colors over a wide range of brightness
+const ATMOSPHERIC_STARS = [
+    { specType: 'A1 V', mag: 6.2 }, { specType: 'A2 V', mag: 7.1 }, { specType: 'A3 V', mag: 8.0 },
+    { specType: 'A1 V', mag: 8.9 }, { specType: 'A5 V', mag: 9.7 }, { specType: 'B8 V', mag: 10.4 },
+    { specType: 'A2 V', mag: 11.2 }, { specType: 'F0 V', mag: 7.6 }, { specType: 'G2 V', mag: 9.3 },
+    { specType: 'K0 III', mag: 6.8 }
+];
+
+function round(value, digits) {
+    const scale = Math.pow(10, digits);
+    return Math.round(value * scale) / scale;
+}
+
+function stellarColors(specType) {
+    const match = /^([OBAFGKM])(\d(?:\.\d)?)/.exec(specType);
+    const letters = 'OBAFGKM';
+    const position = letters.indexOf(match[1]) * 10 + Number(match[2]);
+
+    const points = COLOR_SEQUENCE.map(key => ({
+        position: letters.indexOf(key[0]) * 10 + Number(key.slice(1)),
+        colors: STELLAR_COLORS[key]
+    }));
+    for (let i = 1; i < points.length; i++) {
+        if (position <= points[i].position || i === points.length - 1) {
+            const a = points[i - 1];
+            const b = points[i];
+            const t = Math.min(1, Math.max(0, (position - a.position) / (b.position - a.position)));
+            return a.colors.map((value, j) => round(value + t * (b.colors[j] - value), 2));
+        }
+    }
+    return points[0].colors;
+}
+
+// Random position within radiusDeg of the field center
+function scatter(field, radiusDeg, rng) {
+    const r = radiusDeg * Math.sqrt(rng.random());
+    const theta = 2 * Math.PI * rng.random();
+    const dDec = r * Math.sin(theta);
+    const dRA = r * Math.cos(theta) / Math.cos(Utils.degreesToRadians(field.dec)) / 15;
+    return {
+        ra: (field.ra + dRA + 24) % 24,
+        dec: field.dec + dDec
+    };
+}
+
+function makeStar(name, specType, mag, position) {
+    const [bv, ub] = stellarColors(specType);
+    return {
+        name,
+        ra: position.ra,
+        dec: position.dec,
+        mag,
+        bv,
+        ub,
+        redshift: 0,
+        objType: 0,
+        code: codeFromSpecType(specType),
+        specType
+    };
+}
+
+function foregroundStars(field, rng, count) {
+    const stars = [];
+    for (let i = 0; i < count; i++) {
+        const specType = FOREGROUND_TYPES[Math.floor(rng.random() * FOREGROUND_TYPES.length)];
+        const mag = round(8 + rng.random() * 7, 3);
+        stars.push(makeStar(String(i + 1), specType, mag, scatter(field, 0.9, rng)));
+    }
+    return stars;
+}
+
+function clusterField(field, cluster, rng) {
+    const galaxies = [];
+    for (let i = 0; i < cluster.members; i++) {
+        // Luminosity function: a few bright members, many fainter ones
+        const mag = i === 0 ? cluster.brightest : cluster.brightest + 0.3 + 2.2 * Math.pow(rng.random(), 0.7);
+        galaxies.push({
+            name: `${cluster.prefix}${i + 1}`,
+            ...scatter(field, 0.35, rng),
+            mag: round(mag, 2),
+            bv: round(0.95 + 0.1 * (rng.random() - 0.5), 2),
+            ub: round(0.50 + 0.1 * (rng.random() - 0.5), 2),
+            // Peculiar velocities of a few hundred km/s around the cluster mean
+            redshift: round(cluster.redshift + 0.002 * (rng.random() - 0.5), 4),
+            objType: 1,
+            code: (i + 1) * 10,
+            specType: ''
+        });
+    }
+    return galaxies.concat(foregroundStars(field, rng, 5));
+}
+
+// Named stars keep their names; the rest are numbered as in the legacy fields
+function stellarField(field, stars, rng) {
+    let number = 0;
+    return stars.map(star => {
+        const position = star.ra !== undefined ? { ra: star.ra, dec: star.dec } : scatter(field, 0.8, rng);
+        const record = makeStar(star.name || String(++number), star.specType, star.mag, position);
+        if (star.bv !== undefined) {
+            record.bv = star.bv;
+            record.ub = star.ub;
+        }
+        return record;
+    });
+}
+
+function generateField(field) {
+    const rng = new SeededRandom(field.filename);
+    if (CLUSTERS[field.filename]) {
+        return clusterField(field, CLUSTERS[field.filename], rng);
+    }
+    if (field.filename === 'STARTEMP.json') {
+        return stellarField(field, TEMPERATURE_STARS, rng);
+    }
+    if (field.filename === 'ATMOGRP.json') {
+        return stellarField(field, ATMOSPHERIC_STARS, rng);
+    }
+    return null;
+}
+
+function main(argv) {
+    let outDir = path.join(__dirname, '..', 'data');
+    const only = [];
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') {
+            outDir = argv[++i];
+        } else {
+            only.push(argv[i]);
+        }
+    }
+
+    let failed = 0;
+    FIELDS.forEach(field => {
+        if (!field.synthetic || (only.length > 0 && !only.includes(field.filename))) return;
+
+        const records = generateField(field);
+        if (!records) {
+            console.error(`  ✗ ${field.filename} is marked synthetic but has no generator`);
+            failed++;
+            return;
+        }
+
+        const problems = records.flatMap((record, index) =>
+            validateRecord(record).map(p => `${field.filename} row ${index} ${p.field}: ${p.reason}`));
+        if (problems.length > 0) {
+            problems.forEach(message => console.error(`  ✗ ${message}`));
+            failed++;
+            return;
+        }
+
+        const outputPath = path.join(outDir, field.filename);
+        fs.writeFileSync(outputPath, formatCatalog(records));
+        console.log(`${field.name} → ${outputPath} (${records.length} objects)`);
+    });
+    return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+// Network bridge that makes the emulator look like a real mount to planetarium software.
+//
+// Usage:
+//   node scripts/telescope-bridge.js [--host 127.0.0.1] [--port 11111] [--lx200-port 4030]
+//        [--stellarium-port 10001] [--allow-origin URL ...]
+//        [--headless [--telescope NAME] [--field FILE] [--seed N]]
+//
+// Then open the emulator with ?bridge in the URL (e.g. http://localhost:3000/?bridge); the
+// page connects to ws://localhost:11111/bridge and runs the commands on what it shows.
+// With --headless the bridge runs its own simulation instead and needs no page.
+//
+// Listens for:
+//   Stellarium telescope protocol  TCP --stellarium-port  (Stellarium: "External software")
+//   Meade LX200 commands           TCP --lx200-port, or WebSocket ws://HOST:PORT/lx200
+//   ASCOM Alpaca (Telescope 0)     HTTP --port, with UDP discovery on 32227
+//   the emulator page              WebSocket ws://HOST:PORT/bridge
+//
+// Every protocol uses J2000 coordinates. Only local connections are accepted unless --host
+// says otherwise; there is no authentication. Browsers let any website open a WebSocket to
+// localhost, so WebSocket upgrades from a browser are refused (403) unless their Origin is the
+// emulator page as `npm start` serves it or one given with --allow-origin; clients that are
+// not browsers send no Origin and are let in.
+
+const http = require('http');
+const net = require('net');
+const engine = require('../js/engine');
+const { acceptWebSocket } = require('./bridge/websocket');
+const { PageMount, EngineMount } = require('./bridge/mounts');
+const { LX200Session } = require('./bridge/lx200');
+const { AlpacaServer } = require('./bridge/alpaca');
+const { StellariumSession } = require('./bridge/stellarium');
+
+const DEFAULTS = {
+    host: '127.0.0.1',
+    port: 11111,
+    lx200Port: 4030,
+    stellariumPort: 10001,
+    headless: false,
+    telescope: null,
+    field: null,
+    seed: undefined,
+    allowOrigins: []
+};
+
+// Where `npm start` serves the emulator page
+const PAGE_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000'];
+
+const USAGE = 'Usage: node scripts/telescope-bridge.js [--host 127.0.0.1] [--port 11111] [--lx200-port 4030] ' +
+    '[--stellarium-port 10001] [--allow-origin URL ...] [--headless [--telescope NAME] [--field FILE] [--seed N]]';
+
+// "http://host:port" of a URL, or null
+function toOrigin(text) {
+    try {
+        const url = new URL(text);
+        return url.origin === 'null' ? null : url.origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS, allowOrigins: [] };
+    const numbers = { '--port': 'port', '--lx200-port': 'lx200Port', '--stellarium-port': 'stellariumPort' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (numbers[arg]) {
+            const port = Number(argv[++i]);
+            if (!Number.isInteger(port) || port < 0 || port > 65535) {
+                throw new Error(`${arg} needs a port number`);
+            }
+            options[numbers[arg]] = port;
+        } else if (arg === '--host') {
+            options.host = argv[++i];
+        } else if (arg === '--allow-origin') {
+            const origin = toOrigin(argv[++i]);
+            if (!origin) {
+                throw new Error('--allow-origin needs the page\'s origin, e.g. http://localhost:8080');
+            }
+            options.allowOrigins.push(origin);
+        } else if (arg === '--headless') {
+            options.headless = true;
+        } else if (arg === '--telescope') {
+            options.telescope = argv[++i];
+        } else if (arg === '--field') {
+            options.field = argv[++i];
+        } else if (arg === '--seed') {
+            options.seed = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            return null;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    if (!options.host) {
+        throw new Error('--host needs an address');
+    }
+    if (!options.headless && (options.telescope || options.field || options.seed !== undefined)) {
+        throw new Error('--telescope, --field and --seed only apply with --headless');
+    }
+    return options;
+}
+
+function listen(server, port, host) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve(server.address().port);
+        });
+    });
+}
+
+// Start every listener; resolves to { mount, ports, close() }
+async function startBridge(options = {}) {
+    options = { ...DEFAULTS, ...options };
+
+    let mount;
+    if (options.headless) {
+        const simulation = await new engine.Simulation({ seed: engine.SeededRandom.parseSeed(options.seed) }).configure({
+            telescope: options.telescope || engine.TELESCOPES[0].name,
+            field: options.field || undefined
+        });
+        mount = new EngineMount(engine, simulation);
+        mount.start();
+    } else {
+        mount = new PageMount();
+    }
+
+    const allowedOrigins = PAGE_ORIGINS.concat(options.allowOrigins.map(toOrigin).filter(Boolean));
+    const alpaca = new AlpacaServer(mount);
+    const httpServer = http.createServer((request, response) => {
+        if (!alpaca.handle(request, response)) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Telescope emulator bridge: Alpaca API under /api/v1/telescope/0/\n');
+        }
+    });
+    httpServer.on('upgrade', (request, socket) => {
+        const path = new URL(request.url, 'http://localhost').pathname;
+        const origin = request.headers.origin;
+        if (origin !== undefined && !allowedOrigins.includes(toOrigin(origin))) {
+            console.warn(`Refused a WebSocket from ${origin} (allow it with --allow-origin ${origin})`);
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        } else if (path === '/bridge' && !options.headless) {
+            const connection = acceptWebSocket(request, socket);
+            if (connection) mount.attach(connection);
+        } else if (path === '/lx200') {
+            const connection = acceptWebSocket(request, socket);
+            if (!connection) return;
+            const session = new LX200Session(mount);
+            let queue = Promise.resolve();
+            connection.on('message', (text) => {
+                queue = queue.then(() => session.receive(text)).then(reply => {
+                    if (reply) connection.send(reply);
+                }, (error) => {
+                    console.warn(`LX200 client dropped: ${error.message}`);
+                    connection.close(1009);
+                });
+            });
+        } else {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        }
+    });
+
+    const lx200Server = net.createServer((socket) => {
+        console.log(`LX200 client connected from ${socket.remoteAddress}`);
+        socket.setEncoding('latin1');
+        socket.setNoDelay(true);
+        const session = new LX200Session(mount);
+        let queue = Promise.resolve();
+        socket.on('data', (data) => {
+            queue = queue.then(() => session.receive(data)).then(reply => {
+                if (reply && !socket.destroyed) socket.write(reply, 'latin1');
+            }, (error) => {
+                console.warn(`LX200 client dropped: ${error.message}`);
+                socket.destroy();
+            });
+        });
+        socket.on('error', () => socket.destroy());
+    });
+
+    const stellariumServer = net.createServer((socket) => {
+        console.log(`Stellarium connected from ${socket.remoteAddress}`);
+        socket.setNoDelay(true);
+        socket.on('error', () => socket.destroy());
+        new StellariumSession(mount, socket);
+    });
+
+    const servers = [httpServer, lx200Server, stellariumServer];
+    let ports;
+    try {
+        ports = {
+            http: await listen(httpServer, options.port, options.host),
+            lx200: await listen(lx200Server, options.lx200Port, options.host),
+            stellarium: await listen(stellariumServer, options.stellariumPort, options.host)
+        };
+    } catch (error) {
+        servers.forEach(server => server.listening && server.close());
+        mount.close();
+        throw error;
+    }
+
+    alpaca.port = ports.http;
+    alpaca.startDiscovery();
+
+    // Listening sockets close at once; open connections are dropped with them
+    const sockets = new Set();
+    servers.forEach(server => server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    }));
+
+    return {
+        mount,
+        ports,
+        close() {
+            alpaca.close();
+            mount.close();
+            servers.forEach(server => server.close());
+            sockets.forEach(socket => socket.destroy());
+        }
+    };
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        options = null;
+    }
+    if (!options) {
+        console.log(USAGE);
+        return 1;
+    }
+
+    let bridge;
+    try {
+        bridge = await startBridge(options);
+    } catch (error) {
+        console.error(`Cannot start the bridge: ${error.message}`);
+        return 1;
+    }
+
+    const { host } = options;
+    console.log(`Telescope bridge driving the ${bridge.mount.describe()}`);
+    console.log(`  Stellarium protocol  ${host}:${bridge.ports.stellarium}`);
+    console.log(`  LX200                ${host}:${bridge.ports.lx200}  (or ws://${host}:${bridge.ports.http}/lx200)`);
+    console.log(`  Alpaca               http://${host}:${bridge.ports.http}/api/v1/telescope/0/`);
+    if (!options.headless) {
+        console.log(`  Emulator page        open it with ?bridge=ws://${host}:${bridge.ports.http}/bridge`);
+    }
+
+    process.once('SIGINT', () => {
+        console.log('Stopping the bridge');
+        bridge.close();
+    });
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { startBridge, parseArgs };
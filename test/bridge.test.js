@@ -0,0 +1,147 @@
+// Network bridge protocols against a headless simulation: LX200 and ASCOM Alpaca replies
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const engine = require('../js/engine');
+const { EngineMount } = require('../scripts/bridge/mounts');
+const { LX200Session, formatRA, formatDec, parseRA, parseDec } = require('../scripts/bridge/lx200');
+const { AlpacaServer } = require('../scripts/bridge/alpaca');
+const { WebSocketConnection } = require('../scripts/bridge/websocket');
+const { EventEmitter } = require('events');
+
+// A mount whose clock stays where it is put, at the Pleiades from the Blanco
+async function headlessMount() {
+    const { Simulation } = engine.createEngine({ quiet: true });
+    const simulation = await new Simulation({ seed: 1, dateTime: '2026-11-03T06:30:00Z' }).configure({
+        telescope: 'CTIO 4-m Blanco telescope',
+        field: 'PLEIADES.json'
+    });
+    const alcyone = simulation.telescope.catalog.searchByName('Alcyone')[0];
+    simulation.telescope.syncTo(alcyone.ra, alcyone.dec);
+    return new EngineMount(engine, simulation);
+}
+
+test('LX200 coordinates format and parse', () => {
+    assert.strictEqual(formatRA(5.5877, false), '05:35.3');
+    assert.strictEqual(formatRA(5.5877, true), '05:35:16');
+    assert.strictEqual(formatDec(-22.0145, true), "-22*00'52");
+    assert.strictEqual(parseRA('05:35:16'), 5 + 35 / 60 + 16 / 3600);
+    assert.ok(Math.abs(parseDec('+22*00:52') - (22 + 52 / 3600)) < 1e-9);
+    assert.strictEqual(parseDec('99*00'), null);
+});
+
+test('LX200 session answers position queries and slews', async () => {
+    const mount = await headlessMount();
+    const session = new LX200Session(mount);
+    const { ra, dec } = mount.simulation.telescope.getCurrentPointing();
+
+    assert.strictEqual(await session.receive('\x06'), 'P');
+    assert.strictEqual(await session.receive(':U#:GR#'), `${formatRA(ra, true)}#`);
+    // A command split across packets is answered once it is complete
+    assert.strictEqual(await session.receive(':G'), '');
+    assert.strictEqual(await session.receive('D#'), `${formatDec(dec, true)}#`);
+
+    assert.strictEqual(await session.receive(`:Sr ${formatRA(ra + 0.01, true)}#:Sd ${formatDec(dec, true)}#:MS#`), '110');
+    assert.ok(mount.simulation.telescope.autoSlewActive);
+    // Beyond the Blanco's declination limit: the slew is refused with a reason
+    assert.match(await session.receive(':Sd +89*00\'00#:MS#'), /^11./);
+});
+
+test('LX200 session refuses a command that never ends', async () => {
+    const session = new LX200Session(await headlessMount());
+    await assert.rejects(session.receive(`:${'x'.repeat(2000)}`), /no '#'/);
+});
+
+test('Alpaca answers with values and transaction ids', async (t) => {
+    const mount = await headlessMount();
+    const alpaca = new AlpacaServer(mount);
+    const server = http.createServer((request, response) => {
+        if (!alpaca.handle(request, response)) {
+            response.writeHead(404);
+            response.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const base = `http://127.0.0.1:${server.address().port}/api/v1/telescope/0`;
+    const get = async (name) => (await fetch(`${base}/${name}?ClientTransactionID=7`)).json();
+
+    const ra = await get('rightascension');
+    assert.strictEqual(ra.ErrorNumber, 0);
+    assert.strictEqual(ra.ClientTransactionID, 7);
+    assert.ok(Math.abs(ra.Value - mount.simulation.telescope.getCurrentPointing().ra) < 1e-6);
+    assert.strictEqual((await get('connected')).Value, true);
+    assert.strictEqual((await get('slewing')).Value, false);
+
+    const put = (name, body) => fetch(`${base}/${name}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body
+    });
+
+    // Malformed parameters are an HTTP error; a refused slew is an Alpaca error with the reason
+    assert.strictEqual((await put('slewtocoordinatesasync', 'RightAscension=abc&Declination=1')).status, 400);
+    const refused = await (await put('slewtocoordinatesasync', 'RightAscension=12&Declination=89&ClientTransactionID=8')).json();
+    assert.notStrictEqual(refused.ErrorNumber, 0);
+    assert.match(refused.ErrorMessage, /^Slew refused: declination 89\.0°/);
+    assert.strictEqual(refused.ClientTransactionID, 8);
+});
+
+// A WebSocket connection over a fake socket; closeCode() is the code of the close frame it sent
+function fakeWebSocket() {
+    const socket = new EventEmitter();
+    const written = [];
+    socket.write = (data) => written.push(data);
+    socket.end = () => {};
+    socket.setNoDelay = () => {};
+    const connection = new WebSocketConnection(socket);
+    const messages = [];
+    connection.on('message', message => messages.push(message));
+    const closeCode = () => {
+        const frame = written.find(data => (data[0] & 0x0F) === 0x8);
+        return frame ? frame.readUInt16BE(2) : null;
+    };
+    return { connection, socket, messages, closeCode };
+}
+
+// One client frame: opcode, final flag, payload; masked unless told otherwise
+function clientFrame(opcode, final, payload, masked = true) {
+    const body = Buffer.from(payload);
+    const header = body.length < 126 ?
+        Buffer.from([0, body.length]) :
+        Buffer.from([0, 126, body.length >> 8, body.length & 0xFF]);
+    header[0] = (final ? 0x80 : 0) | opcode;
+    if (!masked) return Buffer.concat([header, body]);
+    header[1] |= 0x80;
+    const mask = Buffer.from([1, 2, 3, 4]);
+    return Buffer.concat([header, mask, body.map((byte, i) => byte ^ mask[i % 4])]);
+}
+
+test('WebSocket messages are put together from masked fragments', () => {
+    const { socket, messages, closeCode } = fakeWebSocket();
+    socket.emit('data', Buffer.concat([
+        clientFrame(0x1, false, ':GR'),
+        clientFrame(0x9, true, ''),
+        clientFrame(0x0, true, '#')
+    ]));
+    assert.deepStrictEqual(messages, [':GR#']);
+    assert.strictEqual(closeCode(), null);
+});
+
+test('WebSocket refuses unmasked frames and oversized fragmented messages', () => {
+    const unmasked = fakeWebSocket();
+    unmasked.socket.emit('data', clientFrame(0x1, true, ':GR#', false));
+    assert.deepStrictEqual(unmasked.messages, []);
+    assert.strictEqual(unmasked.closeCode(), 1002);
+
+    const flood = fakeWebSocket();
+    const fragment = clientFrame(0x0, false, Buffer.alloc(60000, 0x41));
+    flood.socket.emit('data', clientFrame(0x1, false, 'A'));
+    for (let i = 0; i < 20 && !flood.connection.closed; i++) {
+        flood.socket.emit('data', fragment);
+    }
+    assert.strictEqual(flood.closeCode(), 1009);
+    assert.ok(flood.connection.fragmentBytes <= 1 << 20);
+});
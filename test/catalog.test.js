@@ -0,0 +1,36 @@
+// Catalog rows: schema checks and target-list import
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createEngine } = require('../js/engine');
+
+const { CatalogSchema, CatalogImport, FIELDS } = createEngine({ quiet: true });
+
+const star = (specType) => ({ name: 'Test', ra: 3.79, dec: 24.1, mag: 8.0, objType: 0, specType });
+
+test('spectral types must be complete MK types', () => {
+    ['G2 V', 'G2V', 'K0 III', 'K0 IIIb', 'B6 IV', 'B8 III-IV', 'A0.5 V', 'B7 P', 'M2 I'].forEach(specType => {
+        assert.deepStrictEqual(Array.from(CatalogSchema.validateRecord(star(specType))), [], specType);
+    });
+    ['G2garbage', 'G2 V junk', 'G', 'X2 V', '', 'g2 v'].forEach(specType => {
+        const problems = CatalogSchema.validateRecord(star(specType));
+        assert.strictEqual(problems.length, 1, specType);
+        assert.strictEqual(problems[0].field, 'specType');
+    });
+});
+
+test('imported spectral types are normalized, and junk is left for the schema to reject', () => {
+    assert.strictEqual(CatalogImport.normalizeSpecType('G2'), 'G2 V');
+    assert.strictEqual(CatalogImport.normalizeSpecType(' K0III '), 'K0 III');
+    assert.strictEqual(CatalogImport.normalizeSpecType('G2garbage'), 'G2garbage');
+});
+
+test('every bundled field passes the schema', () => {
+    FIELDS.forEach(field => {
+        const file = path.join(__dirname, '..', 'data', field.filename);
+        const report = CatalogSchema.validate(JSON.parse(fs.readFileSync(file, 'utf8')), field.filename);
+        assert.strictEqual(report.rejected.length, 0, CatalogSchema.formatProblems(report).join('\n'));
+    });
+});
@@ -0,0 +1,136 @@
+// Headless engine: reproducible photometry and scripted sequences
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine } = require('../js/engine');
+
+const { Simulation, ObservingSequence, TelescopeAPI, Utils } = createEngine({ quiet: true });
+
+// The 20" at the Pleiades, pointed at Alcyone on a night it is well up
+async function pleiades(seed) {
+    const sim = await new Simulation({ seed, dateTime: '2026-11-03T04:00:00Z' }).configure({
+        telescope: 'vu20',
+        field: 'PLEIADES.json'
+    });
+    const alcyone = sim.telescope.catalog.searchByName('Alcyone')[0];
+    sim.telescope.syncTo(alcyone.ra, alcyone.dec);
+    return sim;
+}
+
+test('the same seed gives the same photometry', async () => {
+    const observe = async (seed) => {
+        const sim = await pleiades(seed);
+        sim.photometer.setFilter('B');
+        return [sim.photometer.performPhotometry(), sim.photometer.performPhotometry()]
+            .map(observation => observation.results);
+    };
+
+    const first = await observe(42);
+    assert.deepStrictEqual(await observe(42), first);
+    assert.ok(first[0].Alcyone > 0);
+    assert.notDeepStrictEqual(first[1], first[0]);
+    assert.notDeepStrictEqual(await observe(43), first);
+});
+
+test('photometry recovers the catalog magnitude', async () => {
+    const sim = await pleiades(7);
+    sim.photometer.setAperture(20);
+    const alcyone = sim.telescope.catalog.searchByName('Alcyone')[0];
+    const observation = sim.photometer.performPhotometry();
+    const measured = observation.magnitudes.Alcyone;
+
+    assert.strictEqual(observation.filter, 'V');
+    assert.ok(Math.abs(measured.mag - alcyone.getMagnitude('V')) < 0.05, `V = ${measured.mag}`);
+    assert.ok(measured.error > 0 && measured.error < 0.05);
+});
+
+test('a sequence slews, changes filter and exposes', async () => {
+    const sim = await pleiades(1);
+    const sequence = new ObservingSequence(sim, 'slew Alcyone\nfilter B\nexpose 2 x 1');
+    await sequence.run();
+
+    const results = sequence.getResults();
+    assert.deepStrictEqual(Array.from(results, step => step.status), ['done', 'done', 'done']);
+    assert.strictEqual(sim.photometer.currentFilter, 'B');
+    assert.strictEqual(sim.log.entries.length, 2);
+    assert.ok(sim.log.entries.every(entry => entry.filter === 'B'));
+});
+
+test('a sequence with an unknown filter fails when parsed', async () => {
+    const sim = await pleiades(1);
+    assert.throws(() => new ObservingSequence(sim, 'filter X'), /filter "X"/);
+});
+
+test('scripted exposures take any positive time', async () => {
+    const sim = await pleiades(1);
+    await new ObservingSequence(sim, 'expose 2 x 7').run();
+    assert.ok(sim.log.entries.every(entry => entry.exposure === 7));
+
+    const observation = await new TelescopeAPI(sim).photometer.expose({ time: 2.5 });
+    assert.strictEqual(observation.integrationTime, 2.5);
+    assert.throws(() => new ObservingSequence(sim, 'expose 0'), /positive integration time/);
+});
+
+test('a meridian flip goes to the other side of the pier', async () => {
+    const sim = await pleiades(1);
+    const telescope = sim.telescope;
+    for (const [from, to] of [['west', 'east'], ['east', 'west']]) {
+        telescope.mount.pierSide = from;
+        telescope.meridianFlip();
+        assert.strictEqual(telescope.slewPierSide, to);
+        telescope.advanceTime(300 * 1000);
+        assert.strictEqual(telescope.mount.pierSide, to);
+        assert.ok(!telescope.slewActive);
+    }
+});
+
+test('the slit finds and measures an object across 0h of RA', async () => {
+    const sim = await pleiades(1);
+    const { telescope, spectrometer } = sim;
+    telescope.catalog.loadFromData([{ name: 'Edge', ra: 23.99999, dec: 10, mag: 8, objType: 0, specType: 'G2V' }], 'edge.json');
+    telescope.syncTo(0.000003, 10);
+
+    assert.strictEqual(spectrometer.findObjectInSlit().name, 'Edge');
+    assert.ok(spectrometer.getSlitFraction() > 0.5, `fraction ${spectrometer.getSlitFraction()}`);
+});
+
+test('seeing is worse in blue filters than in red ones', async () => {
+    const sim = await pleiades(1);
+    const { photometer } = sim;
+    const telescope = sim.telescope.currentTelescope;
+    const fwhm = (band) => photometer.getSeeingFWHM(telescope, 1.5, band);
+
+    assert.ok(fwhm('U') > fwhm('V') && fwhm('V') > fwhm('I'), `U ${fwhm('U')}, V ${fwhm('V')}, I ${fwhm('I')}`);
+    assert.ok(Math.abs(fwhm('U') / fwhm('I') - Math.pow(3650 / 8060, -0.2)) < 0.05);
+});
+
+test('a sequential exposure turns the wheel and measures every filter', async () => {
+    const sim = await pleiades(3);
+    const { photometer } = sim;
+    photometer.setActiveFilters(['B', 'V']);
+    photometer.setFilterMode('sequential');
+    const start = sim.telescope.currentDateTime.getTime();
+
+    const { observations, colors } = await photometer.exposeCycle({ count: 2 });
+    assert.deepStrictEqual(Array.from(observations, observation => observation.filter).sort(), ['B', 'B', 'V', 'V']);
+    assert.ok(observations.every(observation => observation.magnitudes.Alcyone));
+    assert.ok(sim.telescope.currentDateTime.getTime() - start > 4 * photometer.getIntegrationTime() * 1000);
+
+    const color = colors.find(c => c.object === 'Alcyone' && c.index === 'B-V');
+    const alcyone = sim.telescope.catalog.searchByName('Alcyone')[0];
+    assert.ok(Math.abs(color.value - (alcyone.getMagnitude('B') - alcyone.getMagnitude('V'))) < 0.05, `B-V ${color.value}`);
+});
+
+test('typed coordinates take their unit symbols in order', () => {
+    assert.ok(Math.abs(Utils.parseRA('12h34m56.7s') - (12 + 34 / 60 + 56.7 / 3600)) < 1e-9);
+    assert.ok(Math.abs(Utils.parseDec('-05d23m') + (5 + 23 / 60)) < 1e-9);
+    assert.ok(Math.abs(Utils.parseDec('+27°48′30″') - (27 + 48 / 60 + 30 / 3600)) < 1e-9);
+    assert.strictEqual(Utils.parseRA('12:30'), 12.5);
+
+    for (const text of ['12m34h', '12h34s', '12s', '12h34m56h', '12:34m56m', '5m']) {
+        assert.throws(() => Utils.parseRA(text), /Cannot read/, text);
+    }
+    for (const text of ['27″48′', '27°48°', '27′', '27°48′30′']) {
+        assert.throws(() => Utils.parseDec(text), /Cannot read/, text);
+    }
+});
@@ -0,0 +1,37 @@
+// FITS export
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine } = require('../js/engine');
+
+const { FITS } = createEngine({ quiet: true });
+
+const headerText = (bytes) => Buffer.from(bytes.slice(0, FITS.BLOCK_SIZE)).toString('latin1');
+
+test('header text outside ASCII is replaced, not garbled', () => {
+    const header = headerText(FITS.buildHeader([['OBJECT', 'Çeşme Göksu 🌟', 'target name']]));
+    assert.match(header, /^OBJECT  = '\?e\?me G\?ksu \?' +\/ target name/);
+    assert.ok([...header].every(c => c >= ' ' && c <= '~'));
+
+    const table = FITS.createBinaryTable([{ name: 'object', type: 'A' }], [{ object: 'Ølstykke' }], 'T');
+    assert.ok(Buffer.from(table).toString('latin1').includes('?lstykke'));
+});
+
+test('numbers that are not finite are left out of the header', () => {
+    const header = headerText(FITS.buildHeader([['AIRMASS', NaN], ['EXPTIME', Infinity], ['CRPIX1', 1]]));
+    assert.doesNotMatch(header, /AIRMASS|EXPTIME/);
+    assert.match(header, /^CRPIX1  = +1/);
+    assert.throws(() => FITS.formatCard('AIRMASS', NaN), /finite/);
+});
+
+test('long strings are shortened inside their quotes', () => {
+    const name = "O'Brien's very long target name that goes on well past the end of one header card";
+    const card = FITS.formatCard('OBJECT', name, 'a comment that will not fit either');
+    assert.strictEqual(card.length, FITS.CARD_SIZE);
+    assert.match(card, /^OBJECT  = 'O''Brien''s very long target name .*'$/);
+    assert.doesNotMatch(card.slice(11, -1), /(^|[^'])'([^']|$)/);
+
+    const commented = FITS.formatCard('OBJECT', 'M45', 'x'.repeat(100));
+    assert.match(commented, /^OBJECT  = 'M45     ' +\/ x+$/);
+    assert.strictEqual(commented.length, FITS.CARD_SIZE);
+});
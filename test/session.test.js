@@ -0,0 +1,83 @@
+// Saved sessions and shareable links
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine } = require('../js/engine');
+
+const { Simulation, SessionState } = createEngine({ quiet: true });
+
+test('a link survives toURL and fromURL', async () => {
+    const sim = await new Simulation({ seed: 42, dateTime: '2026-11-03T02:00:00Z' }).configure({
+        telescope: 'vu20',
+        field: 'PLEIADES.json'
+    });
+    const alcyone = sim.telescope.catalog.searchByName('Alcyone')[0];
+    sim.telescope.syncTo(alcyone.ra, alcyone.dec);
+    sim.photometer.setFilter('B');
+    sim.photometer.setAperture(10);
+
+    const url = SessionState.toURL(SessionState.capture(sim));
+    const params = new URLSearchParams(url);
+    assert.strictEqual(params.get('scope'), 'vu20');
+    assert.strictEqual(params.get('at'), 'Alcyone');
+    assert.strictEqual(params.get('filter'), 'B');
+
+    const copy = new Simulation();
+    await SessionState.restore(copy, SessionState.fromURL(url));
+    assert.strictEqual(copy.telescope.currentTelescope.id, 'vu20');
+    assert.strictEqual(copy.telescope.currentField.name, sim.telescope.currentField.name);
+    assert.strictEqual(copy.telescope.currentDateTime.getTime(), sim.telescope.currentDateTime.getTime());
+    assert.strictEqual(SessionState.objectAtCenter(copy.telescope).name, 'Alcyone');
+    assert.strictEqual(copy.seed, 42);
+    assert.strictEqual(copy.photometer.currentFilter, 'B');
+    assert.strictEqual(copy.photometer.getAperture(), 10);
+    assert.strictEqual(SessionState.toURL(SessionState.capture(copy)), url);
+});
+
+test('a restored session continues with the same numbers', async () => {
+    const sim = await new Simulation({ seed: 9, dateTime: '2026-11-03T04:00:00Z' }).configure({
+        telescope: 'vu12',
+        field: 'PLEIADES.json'
+    });
+    const alcyone = sim.telescope.catalog.searchByName('Alcyone')[0];
+    sim.telescope.syncTo(alcyone.ra, alcyone.dec);
+    sim.photometer.performPhotometry();
+
+    const saved = JSON.parse(JSON.stringify(SessionState.capture(sim)));
+    const next = sim.photometer.performPhotometry();
+
+    const copy = new Simulation();
+    await SessionState.restore(copy, saved);
+    const replay = copy.photometer.performPhotometry();
+    assert.strictEqual(replay.number, next.number);
+    assert.strictEqual(JSON.stringify(replay.results), JSON.stringify(next.results));
+    assert.strictEqual(copy.log.entries.length, sim.log.entries.length);
+});
+
+test('a link naming something unknown is refused', async () => {
+    for (const [search, message] of [
+        ['?scope=nope', /Unknown telescope: nope/],
+        ['?field=nope', /Unknown field: nope/],
+        ['?filter=Q', /Unknown filter: Q/]
+    ]) {
+        await assert.rejects(SessionState.restore(new Simulation(), SessionState.fromURL(search)), message);
+    }
+});
+
+test('a state that cannot be restored changes nothing', async () => {
+    const sim = await new Simulation({ seed: 5, dateTime: '2026-11-03T04:00:00Z' }).configure({
+        telescope: 'vu20',
+        field: 'PLEIADES.json'
+    });
+    const snapshot = () => JSON.stringify({ ...SessionState.capture(sim), savedAt: null });
+    const before = snapshot();
+
+    for (const [search, message] of [
+        ['?seed=77&scope=vu12&time=2026-12-01T00:00Z&field=COMAFLD&at=Alcyone', /No object named "Alcyone"/],
+        ['?seed=77&scope=vu12&at=Alcyone&aperture=13', /Unsupported aperture: 13/],
+        ['?scope=vu12&at=3.5,95', /Pointing out of range/]
+    ]) {
+        await assert.rejects(SessionState.restore(sim, SessionState.fromURL(search)), message);
+        assert.strictEqual(snapshot(), before, search);
+    }
+});